@@ -0,0 +1,66 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * ShareCrop service worker: shows Web Push notifications while the app is closed
+ * and opens the related page when one is clicked.
+ *
+ * The backend pushes the same notification row it returns from /api/notifications/user/:id
+ * ({ id, title?, message, type, category?, event_type?, link?, order_id?, complaint_id? }).
+ * Links are resolved by the app at /open-notification, which knows the user's role.
+ */
+
+const APP_NAME = 'ShareCrop';
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+// Same-origin path only: `//host` and `/\host` would resolve to another site (see utils/notifications isAppPath)
+const isAppPath = (link) => /^\/(?![/\\])/.test(String(link || ''));
+
+function openUrlFor(notification) {
+  if (isAppPath(notification.link)) return notification.link;
+  const params = new URLSearchParams();
+  ['id', 'message', 'title', 'category', 'event_type', 'order_id', 'complaint_id'].forEach((key) => {
+    if (notification[key] != null && notification[key] !== '') params.set(key, String(notification[key]));
+  });
+  return `/open-notification?${params.toString()}`;
+}
+
+self.addEventListener('push', (event) => {
+  let notification = {};
+  try {
+    notification = event.data ? event.data.json() : {};
+  } catch {
+    notification = { message: event.data ? event.data.text() : '' };
+  }
+  const title = notification.title || APP_NAME;
+  event.waitUntil(
+    self.registration.showNotification(title, {
+      body: notification.message || '',
+      icon: '/logo192.png',
+      badge: '/favicon.ico',
+      // Same backend notification pushed twice replaces the first instead of stacking
+      tag: notification.id != null ? `notification-${notification.id}` : undefined,
+      data: { url: openUrlFor(notification) },
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const target = new URL(event.notification.data?.url || '/', self.location.origin);
+  const url = target.origin === self.location.origin ? target.href : self.location.origin + '/';
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const existing = windows.find((w) => new URL(w.url).origin === self.location.origin);
+      if (existing) {
+        return existing.focus().then((client) => (client.navigate ? client.navigate(url) : client));
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
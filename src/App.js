@@ -12,6 +12,7 @@ import AdminDashboard from './pages/admin/AdminDashboard';
 import AdminUsers from './pages/admin/AdminUsers';
 import UserDetailPage from './pages/admin/UserDetailPage';
 import AdminQA from './pages/admin/AdminQA';
+import AdminResponseTemplates from './pages/admin/AdminResponseTemplates';
 import AdminCoins from './pages/admin/AdminCoins';
 import AdminRedemptions from './pages/admin/AdminRedemptions';
 import AdminPayments from './pages/admin/AdminPayments';
@@ -27,6 +28,7 @@ import Home from './pages/Home';
 import Login from './pages/Login';
 import Signup from './pages/Signup';
 import BrowseFields from './pages/BrowseFields';
+import OpenNotification from './pages/OpenNotification';
 import ProtectedRoute from './components/Auth/ProtectedRoute';
 
 /** Guests land on /browse; signed-in users go to their app area. */
@@ -69,6 +71,16 @@ const AppContent = () => {
           <Route path="/signup" element={<Signup />} />
           <Route path="/browse" element={<BrowseFields />} />
 
+          {/* Clicked push notification: resolves the role-specific page */}
+          <Route
+            path="/open-notification"
+            element={
+              <ProtectedRoute>
+                <OpenNotification />
+              </ProtectedRoute>
+            }
+          />
+
           {/* Protected Farmer Routes */}
           <Route
             path="/farmer/*"
@@ -102,6 +114,7 @@ const AppContent = () => {
             <Route path="users" element={<AdminUsers />} />
             <Route path="users/:id" element={<UserDetailPage />} />
             <Route path="qa" element={<AdminQA />} />
+            <Route path="response-templates" element={<AdminResponseTemplates />} />
             <Route path="profile" element={<Profile />} />
             <Route path="messages" element={<Messages />} />
             <Route path="coins" element={<AdminCoins />} />
@@ -0,0 +1,339 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  FormControlLabel,
+  Grid,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Select,
+  Stack,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { Add, Edit, Delete, CheckCircle, Cancel } from '@mui/icons-material';
+import { adminService } from '../../services/admin';
+import {
+  PROMO_STATUS,
+  PROMO_TYPES,
+  describePromo,
+  normalizePromoCode,
+  promoStatus,
+  validatePromoForm,
+} from '../../utils/promotions';
+
+const EMPTY_FORM = {
+  code: '',
+  type: 'percent',
+  value: '',
+  starts_at: '',
+  ends_at: '',
+  max_redemptions: '',
+  per_user_limit: 1,
+  is_active: true,
+};
+
+const toDateInput = (value) => (value ? String(value).slice(0, 10) : '');
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : null);
+
+/** Admin list and editor for coin purchase promo codes (see utils/promotions). */
+const PromoCodesPanel = () => {
+  const [promos, setPromos] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadPromos = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await adminService.getPromoCodes();
+      setPromos(res.data?.promo_codes || (Array.isArray(res.data) ? res.data : []));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load promo codes');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPromos();
+  }, [loadPromos]);
+
+  const openDialog = (promo = null) => {
+    setEditing(promo);
+    setForm(promo
+      ? {
+          code: promo.code,
+          type: promo.type,
+          value: promo.value,
+          starts_at: toDateInput(promo.starts_at),
+          ends_at: toDateInput(promo.ends_at),
+          max_redemptions: promo.max_redemptions ?? '',
+          per_user_limit: promo.per_user_limit ?? 1,
+          is_active: promo.is_active !== false,
+        }
+      : EMPTY_FORM);
+    setFormError(null);
+    setDialogOpen(true);
+  };
+
+  const handleSave = async () => {
+    const problem = validatePromoForm(form);
+    if (problem) {
+      setFormError(problem);
+      return;
+    }
+    setSaving(true);
+    setFormError(null);
+    try {
+      const data = {
+        code: normalizePromoCode(form.code),
+        type: form.type,
+        value: Number(form.value),
+        starts_at: form.starts_at || null,
+        ends_at: form.ends_at || null,
+        max_redemptions: form.max_redemptions === '' ? null : Number(form.max_redemptions),
+        per_user_limit: Number(form.per_user_limit),
+        is_active: form.is_active,
+      };
+      if (editing) {
+        await adminService.updatePromoCode(editing.id, data);
+      } else {
+        await adminService.createPromoCode(data);
+      }
+      setDialogOpen(false);
+      loadPromos();
+    } catch (err) {
+      setFormError(err.response?.data?.error || err.response?.data?.message || 'Failed to save promo code');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (promo) => {
+    try {
+      await adminService.updatePromoCode(promo.id, { is_active: promo.is_active === false });
+      loadPromos();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update promo code');
+    }
+  };
+
+  const handleDelete = async (promo) => {
+    if (!window.confirm(`Delete promo code "${promo.code}"?\n\nCodes that were already redeemed can only be deactivated.`)) return;
+    try {
+      await adminService.deletePromoCode(promo.id);
+      loadPromos();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete promo code');
+    }
+  };
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Box sx={{ mb: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <Typography variant="h6" sx={{ fontWeight: 700 }}>Promo Codes</Typography>
+          <Button variant="outlined" startIcon={<Add />} onClick={() => openDialog()}>
+            Create Promo Code
+          </Button>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={{ fontWeight: 600 }}>Code</TableCell>
+                  <TableCell sx={{ fontWeight: 600 }}>Offer</TableCell>
+                  <TableCell sx={{ fontWeight: 600 }}>Valid</TableCell>
+                  <TableCell sx={{ fontWeight: 600 }}>Redeemed</TableCell>
+                  <TableCell sx={{ fontWeight: 600 }}>Per User</TableCell>
+                  <TableCell sx={{ fontWeight: 600 }}>Status</TableCell>
+                  <TableCell sx={{ fontWeight: 600 }}>Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {promos.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={7} align="center">
+                      <Typography variant="body2" color="text.secondary">No promo codes yet.</Typography>
+                    </TableCell>
+                  </TableRow>
+                ) : (
+                  promos.map((promo) => {
+                    const status = PROMO_STATUS[promoStatus(promo)];
+                    const from = formatDate(promo.starts_at);
+                    const until = formatDate(promo.ends_at);
+                    return (
+                      <TableRow key={promo.id} hover>
+                        <TableCell>
+                          <Typography variant="body2" sx={{ fontWeight: 600, fontFamily: 'monospace' }}>{promo.code}</Typography>
+                        </TableCell>
+                        <TableCell>{describePromo(promo)}</TableCell>
+                        <TableCell>
+                          {from || until ? `${from || 'Now'} – ${until || 'No end'}` : 'Always'}
+                        </TableCell>
+                        <TableCell>
+                          {Number(promo.redemption_count || 0).toLocaleString()}
+                          {promo.max_redemptions ? ` / ${Number(promo.max_redemptions).toLocaleString()}` : ''}
+                        </TableCell>
+                        <TableCell>{promo.per_user_limit ?? 1}</TableCell>
+                        <TableCell>
+                          <Chip label={status.label} color={status.color} size="small" />
+                        </TableCell>
+                        <TableCell>
+                          <Stack direction="row" spacing={1}>
+                            <IconButton size="small" onClick={() => openDialog(promo)} title="Edit">
+                              <Edit fontSize="small" />
+                            </IconButton>
+                            <IconButton
+                              size="small"
+                              onClick={() => handleToggleActive(promo)}
+                              color={promo.is_active !== false ? 'success' : 'default'}
+                              title={promo.is_active !== false ? 'Deactivate' : 'Activate'}
+                            >
+                              {promo.is_active !== false ? <CheckCircle fontSize="small" /> : <Cancel fontSize="small" />}
+                            </IconButton>
+                            <IconButton size="small" onClick={() => handleDelete(promo)} color="error" title="Delete">
+                              <Delete fontSize="small" />
+                            </IconButton>
+                          </Stack>
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </CardContent>
+
+      <Dialog open={dialogOpen} onClose={() => !saving && setDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editing ? 'Edit Promo Code' : 'Create Promo Code'}</DialogTitle>
+        <DialogContent>
+          {formError && <Alert severity="error" sx={{ mt: 1 }}>{formError}</Alert>}
+          <Grid container spacing={2} sx={{ mt: 1 }}>
+            <Grid size={{ xs: 12, sm: 6 }}>
+              <TextField
+                fullWidth
+                label="Code *"
+                value={form.code}
+                onChange={(e) => setForm({ ...form, code: normalizePromoCode(e.target.value) })}
+                helperText="Buyers enter this at checkout"
+              />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 6 }}>
+              <FormControl fullWidth>
+                <InputLabel>Type *</InputLabel>
+                <Select value={form.type} label="Type *" onChange={(e) => setForm({ ...form, type: e.target.value })}>
+                  {Object.entries(PROMO_TYPES).map(([value, label]) => (
+                    <MenuItem key={value} value={value}>{label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid size={{ xs: 12, sm: 6 }}>
+              <TextField
+                fullWidth
+                label={form.type === 'percent' ? 'Discount % *' : 'Bonus coins *'}
+                type="number"
+                value={form.value}
+                onChange={(e) => setForm({ ...form, value: e.target.value })}
+                inputProps={form.type === 'percent' ? { min: 0, max: 100, step: 0.01 } : { min: 1 }}
+                helperText={form.type === 'percent' ? 'Taken off the subtotal before the app fee' : 'Added on top of the coins bought'}
+              />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 6 }}>
+              <TextField
+                fullWidth
+                label="Uses per user *"
+                type="number"
+                value={form.per_user_limit}
+                onChange={(e) => setForm({ ...form, per_user_limit: e.target.value })}
+                inputProps={{ min: 1 }}
+              />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 6 }}>
+              <TextField
+                fullWidth
+                label="Starts"
+                type="date"
+                value={form.starts_at}
+                onChange={(e) => setForm({ ...form, starts_at: e.target.value })}
+                InputLabelProps={{ shrink: true }}
+              />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 6 }}>
+              <TextField
+                fullWidth
+                label="Ends"
+                type="date"
+                value={form.ends_at}
+                onChange={(e) => setForm({ ...form, ends_at: e.target.value })}
+                InputLabelProps={{ shrink: true }}
+              />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 6 }}>
+              <TextField
+                fullWidth
+                label="Total usage cap"
+                type="number"
+                value={form.max_redemptions}
+                onChange={(e) => setForm({ ...form, max_redemptions: e.target.value })}
+                inputProps={{ min: 1 }}
+                helperText="Leave empty for no cap"
+              />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 6 }}>
+              <FormControlLabel
+                control={<Switch checked={form.is_active} onChange={(e) => setForm({ ...form, is_active: e.target.checked })} />}
+                label="Active"
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)} disabled={saving}>Cancel</Button>
+          <Button onClick={handleSave} variant="contained" disabled={saving}>
+            {saving ? <CircularProgress size={20} /> : editing ? 'Update' : 'Create'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default PromoCodesPanel;
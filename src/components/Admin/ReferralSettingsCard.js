@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+  FormControlLabel,
+  Grid,
+  Switch,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { adminService } from '../../services/admin';
+
+const isWholeCoins = (value) => Number.isInteger(Number(value)) && Number(value) >= 0;
+
+/** Referral bonus amounts; both sides are credited after the referee's first completed order. */
+const ReferralSettingsCard = () => {
+  const [form, setForm] = useState({ enabled: false, referrer_bonus_coins: 0, referee_bonus_coins: 0 });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    adminService.getReferralSettings()
+      .then((res) => {
+        const s = res.data?.settings || res.data || {};
+        setForm({
+          enabled: Boolean(s.enabled),
+          referrer_bonus_coins: s.referrer_bonus_coins ?? 0,
+          referee_bonus_coins: s.referee_bonus_coins ?? 0,
+        });
+      })
+      .catch((err) => setError(err.response?.data?.error || 'Failed to load referral settings'))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleSave = async () => {
+    if (!isWholeCoins(form.referrer_bonus_coins) || !isWholeCoins(form.referee_bonus_coins)) {
+      setError('Bonuses must be whole numbers of coins');
+      return;
+    }
+    setSaving(true);
+    setError(null);
+    setSaved(false);
+    try {
+      await adminService.updateReferralSettings({
+        enabled: form.enabled,
+        referrer_bonus_coins: Number(form.referrer_bonus_coins),
+        referee_bonus_coins: Number(form.referee_bonus_coins),
+      });
+      setSaved(true);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save referral settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card sx={{ mt: 3 }}>
+      <CardContent>
+        <Typography variant="h6" sx={{ fontWeight: 700, mb: 0.5 }}>Referral Programme</Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          When someone signs up through a user's referral link, both accounts receive coins after the new user's first completed order.
+        </Typography>
+        {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+        {saved && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSaved(false)}>Referral settings saved</Alert>}
+        {loading ? (
+          <CircularProgress size={24} />
+        ) : (
+          <Grid container spacing={2} alignItems="center">
+            <Grid size={{ xs: 12, sm: 3 }}>
+              <FormControlLabel
+                control={<Switch checked={form.enabled} onChange={(e) => setForm({ ...form, enabled: e.target.checked })} />}
+                label="Enabled"
+              />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 3 }}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Referrer bonus (coins)"
+                type="number"
+                value={form.referrer_bonus_coins}
+                onChange={(e) => setForm({ ...form, referrer_bonus_coins: e.target.value })}
+                inputProps={{ min: 0 }}
+              />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 3 }}>
+              <TextField
+                fullWidth
+                size="small"
+                label="New user bonus (coins)"
+                type="number"
+                value={form.referee_bonus_coins}
+                onChange={(e) => setForm({ ...form, referee_bonus_coins: e.target.value })}
+                inputProps={{ min: 0 }}
+              />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 3 }}>
+              <Button variant="contained" onClick={handleSave} disabled={saving}>
+                {saving ? <CircularProgress size={20} /> : 'Save'}
+              </Button>
+            </Grid>
+          </Grid>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ReferralSettingsCard;
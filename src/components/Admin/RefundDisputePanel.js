@@ -0,0 +1,136 @@
+import React, { useEffect, useState } from 'react';
+import { Alert, Box, Button, Chip, CircularProgress, Grid, Paper, Stack, Typography } from '@mui/material';
+import { Gavel } from '@mui/icons-material';
+import { adminService } from '../../services/admin';
+import { orderService } from '../../services/orders';
+import useCurrencyRates from '../../hooks/useCurrencyRates';
+import { usdToCoins } from '../../utils/statementExport';
+import { disputeOrderId, refundHistory } from '../../utils/refundDispute';
+
+const REQUEST_COLORS = {
+  pending: 'warning',
+  approved: 'success',
+  rejected: 'error',
+  declined: 'error',
+};
+
+const formatDate = (value) => {
+  if (!value) return '—';
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? String(value) : d.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+};
+
+const SummaryItem = ({ label, children }) => (
+  <Grid size={{ xs: 6, sm: 4 }}>
+    <Typography variant="caption" color="text.secondary">{label}</Typography>
+    <Typography variant="body2" sx={{ fontWeight: 500 }}>{children}</Typography>
+  </Grid>
+);
+
+/**
+ * Order and refund history behind a complaint escalated from a declined refund (see utils/refundDispute).
+ * `onSuggestCoins(coins)` receives the order value in coins so the admin can prefill the refund.
+ */
+const RefundDisputePanel = ({ complaint, onSuggestCoins }) => {
+  const orderId = disputeOrderId(complaint);
+  const { rates } = useCurrencyRates();
+  const [order, setOrder] = useState(null);
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!orderId) return undefined;
+    let cancelled = false;
+    setLoading(true);
+    Promise.all([
+      orderService.getOrder(orderId).then((res) => res.data).catch(() => null),
+      adminService.getOrderRefundRequests(orderId).then((res) => refundHistory(res.data)).catch(() => []),
+    ]).then(([orderData, history]) => {
+      if (cancelled) return;
+      setOrder(orderData);
+      setRequests(history);
+      setLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [orderId]);
+
+  if (!orderId) return null;
+
+  const orderCoins = order?.total_price != null ? usdToCoins(order.total_price, rates) : null;
+
+  return (
+    <Box>
+      <Typography variant="subtitle2" color="text.secondary" gutterBottom sx={{ fontWeight: 600, display: 'flex', alignItems: 'center', gap: 0.5 }}>
+        <Gavel fontSize="small" /> Refund dispute · Order #{orderId}
+      </Typography>
+      {loading ? (
+        <Stack direction="row" alignItems="center" spacing={1} sx={{ py: 1 }}>
+          <CircularProgress size={16} />
+          <Typography variant="body2" color="text.secondary">Loading order and refund history...</Typography>
+        </Stack>
+      ) : (
+        <Stack spacing={1.5}>
+          {order ? (
+            <Paper variant="outlined" sx={{ p: 1.5, borderRadius: 2 }}>
+              <Grid container spacing={1.5}>
+                <SummaryItem label="Field">{order.field_name || order.product_name || '—'}</SummaryItem>
+                <SummaryItem label="Status">{order.status || '—'}</SummaryItem>
+                <SummaryItem label="Quantity">{order.quantity != null ? `${Number(order.quantity).toLocaleString()} m²` : '—'}</SummaryItem>
+                <SummaryItem label="Amount">
+                  {order.total_price != null ? `$${Number(order.total_price).toFixed(2)} (${orderCoins.toLocaleString()} coins)` : '—'}
+                </SummaryItem>
+                <SummaryItem label="Buyer">{order.buyer_name || order.buyer_email || '—'}</SummaryItem>
+                <SummaryItem label="Farmer">{order.farmer_name || order.farmer_email || '—'}</SummaryItem>
+              </Grid>
+              {onSuggestCoins && orderCoins > 0 && (
+                <Button size="small" onClick={() => onSuggestCoins(orderCoins)} sx={{ mt: 1, textTransform: 'none' }}>
+                  Use full order value ({orderCoins.toLocaleString()} coins) as refund
+                </Button>
+              )}
+            </Paper>
+          ) : (
+            <Alert severity="warning" sx={{ borderRadius: 2 }}>Order #{orderId} could not be loaded.</Alert>
+          )}
+
+          <Typography variant="caption" color="text.secondary" sx={{ fontWeight: 600 }}>Refund history</Typography>
+          {requests.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">No refund requests found for this order.</Typography>
+          ) : (
+            requests.map((r) => {
+              const status = String(r.status || 'pending').toLowerCase();
+              return (
+                <Paper
+                  key={r.id}
+                  variant="outlined"
+                  sx={{
+                    p: 1.5,
+                    borderRadius: 2,
+                    borderColor: String(r.id) === String(complaint.refund_request_id) ? '#f59e0b' : undefined,
+                  }}
+                >
+                  <Stack direction="row" alignItems="center" spacing={1} sx={{ mb: 0.5 }}>
+                    <Chip label={status} size="small" color={REQUEST_COLORS[status] || 'default'} sx={{ textTransform: 'capitalize', height: 22 }} />
+                    <Typography variant="caption" color="text.secondary">
+                      Requested {formatDate(r.created_at)}
+                      {r.resolved_at || (status !== 'pending' && r.updated_at) ? ` · Resolved ${formatDate(r.resolved_at || r.updated_at)}` : ''}
+                    </Typography>
+                  </Stack>
+                  <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
+                    <strong>Buyer:</strong> {r.reason || 'No reason given'}
+                  </Typography>
+                  {r.farmer_note && (
+                    <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', mt: 0.5 }}>
+                      <strong>Farmer:</strong> {r.farmer_note}
+                    </Typography>
+                  )}
+                </Paper>
+              );
+            })
+          )}
+        </Stack>
+      )}
+    </Box>
+  );
+};
+
+export default RefundDisputePanel;
@@ -0,0 +1,289 @@
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  FormControl,
+  Grid,
+  InputLabel,
+  LinearProgress,
+  MenuItem,
+  Select,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { Autorenew, Pause, PlayArrow, Edit, PowerSettingsNew } from '@mui/icons-material';
+import { useSearchParams } from 'react-router-dom';
+import coinService from '../../services/coinService';
+import useAutoTopUp from '../../hooks/useAutoTopUp';
+import { COIN_PURCHASE_APP_FEE_PERCENT, coinCheckoutFeeBreakdown, formatCheckoutAmount } from '../../utils/coinCheckout';
+import {
+  AUTO_TOP_UP_RUN_STATUS,
+  isAutoTopUpActive,
+  monthToDateCoins,
+  validateAutoTopUp,
+} from '../../utils/autoTopUp';
+
+const formatRunDate = (value) =>
+  value ? new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : '—';
+
+/**
+ * Set up, pause and review low-balance auto top-up on BuyCoins.
+ * `packs` are BuyCoins' packs with `finalPrice` already in the checkout currency of `checkoutRate`.
+ */
+const AutoTopUpCard = ({ packs, checkoutRate, returnUrl }) => {
+  const [searchParams] = useSearchParams();
+  const { settings, setSettings, runs, loading, reload } = useAutoTopUp();
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState({ packId: '', threshold: '', monthlyCap: '' });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const cardSetup = searchParams.get('autotopup');
+
+  const packCoins = (packId) => packs.find((p) => p.id === packId)?.coins || 0;
+
+  const startEditing = () => {
+    setForm(settings
+      ? { packId: settings.pack_id, threshold: String(settings.threshold_coins), monthlyCap: String(settings.monthly_cap_coins) }
+      : { packId: packs[0]?.id || '', threshold: '', monthlyCap: '' });
+    setError(null);
+    setEditing(true);
+  };
+
+  const handleSave = async () => {
+    const problem = validateAutoTopUp({ packCoins: packCoins(form.packId), threshold: form.threshold, monthlyCap: form.monthlyCap });
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    setSaving(true);
+    setError(null);
+    try {
+      const result = await coinService.saveAutoTopUp({
+        packId: form.packId,
+        thresholdCoins: Number(form.threshold),
+        monthlyCapCoins: Number(form.monthlyCap),
+        currency: checkoutRate?.currency,
+        successUrl: `${returnUrl}?autotopup=1`,
+        cancelUrl: `${returnUrl}?autotopup=0`,
+      });
+      if (result?.setup_url) {
+        window.location.href = result.setup_url;
+        return;
+      }
+      setSettings(result?.settings || null);
+      setEditing(false);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to save auto top-up');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePause = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const result = await coinService.setAutoTopUpPaused(isAutoTopUpActive(settings));
+      setSettings(result?.settings || { ...settings, status: isAutoTopUpActive(settings) ? 'paused' : 'active' });
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update auto top-up');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleTurnOff = async () => {
+    if (!window.confirm('Turn off auto top-up? Your history is kept.')) return;
+    setSaving(true);
+    setError(null);
+    try {
+      await coinService.deleteAutoTopUp();
+      setSettings(null);
+      reload();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to turn off auto top-up');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) return null;
+
+  const selectedPack = packs.find((p) => p.id === (editing ? form.packId : settings?.pack_id));
+  const packTotal = selectedPack && checkoutRate
+    ? formatCheckoutAmount(coinCheckoutFeeBreakdown(selectedPack.finalPrice, checkoutRate).total, checkoutRate)
+    : null;
+  const usedThisMonth = monthToDateCoins(runs);
+  const cap = Number(settings?.monthly_cap_coins) || 0;
+
+  return (
+    <Card sx={{ mb: 4, borderRadius: 3, boxShadow: 3 }}>
+      <CardContent sx={{ p: 4 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+          <Typography variant="h5" sx={{ fontWeight: 700, color: 'text.primary', display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Autorenew /> Auto Top-up
+          </Typography>
+          {settings && (
+            <Chip
+              label={isAutoTopUpActive(settings) ? 'Active' : 'Paused'}
+              color={isAutoTopUpActive(settings) ? 'success' : 'default'}
+              size="small"
+              sx={{ fontWeight: 600 }}
+            />
+          )}
+        </Box>
+
+        {cardSetup === '1' && (
+          <Alert severity="success" sx={{ mb: 2, borderRadius: 2 }}>Card saved. Auto top-up is on.</Alert>
+        )}
+        {cardSetup === '0' && (
+          <Alert severity="info" sx={{ mb: 2, borderRadius: 2 }}>Card setup was cancelled, so auto top-up is not on yet.</Alert>
+        )}
+        {error && (
+          <Alert severity="error" onClose={() => setError(null)} sx={{ mb: 2, borderRadius: 2 }}>{error}</Alert>
+        )}
+
+        {settings && !editing ? (
+          <Stack spacing={2}>
+            <Typography variant="body1">
+              When your balance drops below <strong>{Number(settings.threshold_coins).toLocaleString()} coins</strong>, we
+              buy <strong>{Number(settings.pack_coins || selectedPack?.coins || 0).toLocaleString()} coins</strong>
+              {packTotal ? ` for ${packTotal}` : ''} with your saved card.
+            </Typography>
+            <Box>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 0.5 }}>
+                <Typography variant="body2" color="text.secondary">This month</Typography>
+                <Typography variant="body2" color="text.secondary">
+                  {usedThisMonth.toLocaleString()} of {cap.toLocaleString()} coins
+                </Typography>
+              </Box>
+              <LinearProgress
+                variant="determinate"
+                value={cap ? Math.min(100, (usedThisMonth / cap) * 100) : 0}
+                color={usedThisMonth >= cap ? 'warning' : 'primary'}
+                sx={{ height: 8, borderRadius: 4 }}
+              />
+            </Box>
+            <Stack direction="row" spacing={1} sx={{ flexWrap: 'wrap', gap: 1 }}>
+              <Button
+                variant="outlined"
+                startIcon={isAutoTopUpActive(settings) ? <Pause /> : <PlayArrow />}
+                onClick={handlePause}
+                disabled={saving}
+                sx={{ textTransform: 'none' }}
+              >
+                {isAutoTopUpActive(settings) ? 'Pause' : 'Resume'}
+              </Button>
+              <Button variant="outlined" startIcon={<Edit />} onClick={startEditing} disabled={saving} sx={{ textTransform: 'none' }}>
+                Edit
+              </Button>
+              <Button color="error" startIcon={<PowerSettingsNew />} onClick={handleTurnOff} disabled={saving} sx={{ textTransform: 'none' }}>
+                Turn off
+              </Button>
+            </Stack>
+          </Stack>
+        ) : editing ? (
+          <Grid container spacing={3} alignItems="flex-start">
+            <Grid item xs={12} md={4}>
+              <FormControl fullWidth>
+                <InputLabel>Pack to buy *</InputLabel>
+                <Select
+                  value={form.packId}
+                  label="Pack to buy *"
+                  onChange={(e) => setForm({ ...form, packId: e.target.value })}
+                >
+                  {packs.map((pack) => (
+                    <MenuItem key={pack.id} value={pack.id}>
+                      {pack.coins.toLocaleString()} coins · {formatCheckoutAmount(coinCheckoutFeeBreakdown(pack.finalPrice, checkoutRate).total, checkoutRate)}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <TextField
+                fullWidth
+                label="When balance drops below *"
+                type="number"
+                value={form.threshold}
+                onChange={(e) => setForm({ ...form, threshold: e.target.value })}
+                inputProps={{ min: 1 }}
+                helperText="Coins available to spend"
+              />
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <TextField
+                fullWidth
+                label="Monthly cap *"
+                type="number"
+                value={form.monthlyCap}
+                onChange={(e) => setForm({ ...form, monthlyCap: e.target.value })}
+                inputProps={{ min: packCoins(form.packId) || 1 }}
+                helperText="Most coins auto top-up may buy per calendar month"
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <Stack direction="row" spacing={1}>
+                <Button
+                  variant="contained"
+                  onClick={handleSave}
+                  disabled={saving}
+                  startIcon={saving ? <CircularProgress size={18} color="inherit" /> : null}
+                  sx={{ textTransform: 'none', fontWeight: 600 }}
+                >
+                  {settings ? 'Save changes' : 'Turn on auto top-up'}
+                </Button>
+                <Button onClick={() => setEditing(false)} disabled={saving} sx={{ textTransform: 'none' }}>
+                  Cancel
+                </Button>
+              </Stack>
+              {!settings && (
+                <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+                  You'll be asked to save a card for future top-ups. Each top-up includes the same {COIN_PURCHASE_APP_FEE_PERCENT}% app fee as a normal purchase.
+                </Typography>
+              )}
+            </Grid>
+          </Grid>
+        ) : (
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 2 }}>
+            <Typography variant="body2" color="text.secondary" sx={{ maxWidth: 560 }}>
+              Renting many fields? Buy a pack automatically whenever your balance runs low, up to a monthly cap you choose.
+            </Typography>
+            <Button variant="outlined" startIcon={<Autorenew />} onClick={startEditing} disabled={packs.length === 0} sx={{ textTransform: 'none', fontWeight: 600 }}>
+              Set up auto top-up
+            </Button>
+          </Box>
+        )}
+
+        {runs.length > 0 && (
+          <Box sx={{ mt: 3 }}>
+            <Typography variant="subtitle2" sx={{ fontWeight: 600, mb: 1 }}>Recent top-ups</Typography>
+            <Stack spacing={1}>
+              {runs.slice(0, 5).map((run) => {
+                const status = AUTO_TOP_UP_RUN_STATUS[run.status] || AUTO_TOP_UP_RUN_STATUS.pending;
+                return (
+                  <Box key={run.id} sx={{ display: 'flex', alignItems: 'center', gap: 1.5, flexWrap: 'wrap' }}>
+                    <Chip label={status.label} color={status.color} size="small" sx={{ minWidth: 96 }} />
+                    <Typography variant="body2" sx={{ fontWeight: 600 }}>{Number(run.coins || 0).toLocaleString()} coins</Typography>
+                    <Typography variant="body2" color="text.secondary">{formatRunDate(run.created_at)}</Typography>
+                    {run.failure_reason && (
+                      <Typography variant="caption" color="error.main">{run.failure_reason}</Typography>
+                    )}
+                  </Box>
+                );
+              })}
+            </Stack>
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AutoTopUpCard;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { Step, StepContent, StepLabel, Stepper, Typography } from '@mui/material';
+
+const formatStepDate = (value) =>
+  value ? new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : null;
+
+/** Vertical lock → release/return timeline for steps from utils/coinEscrow escrowTimeline. */
+const EscrowTimeline = ({ steps }) => {
+  const activeStep = steps.findIndex((s) => s.state === 'upcoming');
+
+  return (
+    <Stepper orientation="vertical" activeStep={activeStep === -1 ? steps.length : activeStep}>
+      {steps.map((step) => (
+        <Step key={step.event} completed={step.state === 'done'} expanded>
+          <StepLabel
+            optional={
+              <Typography variant="caption" color="text.secondary">
+                {step.state === 'done'
+                  ? formatStepDate(step.at) || 'Done'
+                  : step.state === 'skipped' ? 'Not needed' : 'Expected'}
+              </Typography>
+            }
+            sx={step.state === 'skipped' ? { opacity: 0.5 } : undefined}
+          >
+            {step.label}
+          </StepLabel>
+          <StepContent>
+            <Typography
+              variant="body2"
+              sx={{ fontWeight: 600, textDecoration: step.state === 'skipped' ? 'line-through' : 'none' }}
+            >
+              {step.coins.toLocaleString()} coins
+            </Typography>
+          </StepContent>
+        </Step>
+      ))}
+    </Stepper>
+  );
+};
+
+export default EscrowTimeline;
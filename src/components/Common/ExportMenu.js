@@ -0,0 +1,176 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Button,
+  Menu,
+  MenuItem,
+  ListItemIcon,
+  ListItemText,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Stack,
+  Chip,
+  Typography,
+  Alert,
+} from '@mui/material';
+import { FileDownload, TableChart, PictureAsPdf } from '@mui/icons-material';
+import { useAuth } from '../../contexts/AuthContext';
+import useCurrencyRates from '../../hooks/useCurrencyRates';
+import {
+  buildCsv,
+  coinsToCurrency,
+  downloadCsv,
+  filterByDateRange,
+  formatMoney,
+  openPrintableStatement,
+  presetDateRange,
+  usdToCoins,
+} from '../../utils/statementExport';
+
+const PRESETS = [
+  { key: 'this-month', label: 'This month' },
+  { key: 'last-month', label: 'Last month' },
+  { key: 'year', label: 'Year to date' },
+  { key: 'all', label: 'All time' },
+];
+
+/**
+ * "Export" button with CSV and printable PDF statement options for a date range.
+ * `columns(ctx)` / `summary(records, ctx)` receive the conversion helpers for the user's preferred currency:
+ * ctx = { currency, rate, toCurrency(coins), usdToCoins(usd), money(amount) }.
+ */
+const ExportMenu = ({ title, filename, records = [], dateOf, columns, summary, disabled = false }) => {
+  const { user } = useAuth();
+  const { rates, currency, rate } = useCurrencyRates();
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [format, setFormat] = useState(null);
+  const [range, setRange] = useState(presetDateRange('this-month'));
+  const [popupBlocked, setPopupBlocked] = useState(false);
+
+  const ctx = useMemo(() => ({
+    currency,
+    rate,
+    toCurrency: (coins) => coinsToCurrency(coins, rate),
+    usdToCoins: (usd) => usdToCoins(usd, rates),
+    money: (amount) => formatMoney(amount, rate, currency),
+  }), [currency, rate, rates]);
+
+  const inRange = useMemo(
+    () => (format ? filterByDateRange(records, dateOf, range) : []),
+    [format, records, dateOf, range]
+  );
+
+  const periodLabel = range.from || range.to
+    ? `${range.from || 'beginning'} – ${range.to || 'today'}`
+    : 'All time';
+  const fileSuffix = range.from || range.to ? `${range.from || 'start'}_${range.to || 'today'}` : 'all';
+
+  const choose = (nextFormat) => {
+    setAnchorEl(null);
+    setPopupBlocked(false);
+    setFormat(nextFormat);
+  };
+
+  const handleExport = () => {
+    const cols = columns(ctx);
+    if (format === 'csv') {
+      downloadCsv(`${filename}_${fileSuffix}.csv`, buildCsv(cols, inRange));
+      setFormat(null);
+      return;
+    }
+    const opened = openPrintableStatement({
+      title,
+      accountName: [user?.name, user?.email].filter(Boolean).join(' · '),
+      periodLabel,
+      currencyNote: rate
+        ? `Converted at ${rate.coins_per_unit} coins = ${rate.symbol || currency}1.00 (${currency}).`
+        : `No ${currency} rate is configured; converted amounts are left blank.`,
+      columns: cols,
+      records: inRange,
+      summary: summary ? summary(inRange, ctx) : [],
+    });
+    if (opened) setFormat(null);
+    else setPopupBlocked(true);
+  };
+
+  return (
+    <>
+      <Button
+        variant="outlined"
+        startIcon={<FileDownload />}
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        disabled={disabled}
+        sx={{ borderRadius: 2, borderColor: '#e2e8f0', color: '#475569', '&:hover': { borderColor: '#4caf50', color: '#4caf50' } }}
+      >
+        Export
+      </Button>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        <MenuItem onClick={() => choose('csv')}>
+          <ListItemIcon><TableChart fontSize="small" /></ListItemIcon>
+          <ListItemText primary="CSV" secondary="For spreadsheets and accounting" />
+        </MenuItem>
+        <MenuItem onClick={() => choose('pdf')}>
+          <ListItemIcon><PictureAsPdf fontSize="small" /></ListItemIcon>
+          <ListItemText primary="PDF statement" secondary="Printable, save as PDF" />
+        </MenuItem>
+      </Menu>
+
+      <Dialog open={Boolean(format)} onClose={() => setFormat(null)} maxWidth="xs" fullWidth PaperProps={{ sx: { borderRadius: 3 } }}>
+        <DialogTitle sx={{ fontWeight: 700 }}>
+          {format === 'csv' ? 'Export CSV' : 'PDF statement'}
+        </DialogTitle>
+        <DialogContent>
+          <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap sx={{ mb: 2 }}>
+            {PRESETS.map((p) => (
+              <Chip key={p.key} label={p.label} size="small" variant="outlined" onClick={() => setRange(presetDateRange(p.key))} />
+            ))}
+          </Stack>
+          <Stack direction="row" spacing={1.5}>
+            <TextField
+              label="From"
+              type="date"
+              size="small"
+              fullWidth
+              value={range.from}
+              onChange={(e) => setRange((r) => ({ ...r, from: e.target.value }))}
+              InputLabelProps={{ shrink: true }}
+            />
+            <TextField
+              label="To"
+              type="date"
+              size="small"
+              fullWidth
+              value={range.to}
+              onChange={(e) => setRange((r) => ({ ...r, to: e.target.value }))}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Stack>
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+            {inRange.length} record{inRange.length === 1 ? '' : 's'} in range · amounts also shown in {currency}
+          </Typography>
+          {range.from && range.to && range.from > range.to && (
+            <Alert severity="warning" sx={{ mt: 1.5 }}>The start date is after the end date.</Alert>
+          )}
+          {popupBlocked && (
+            <Alert severity="error" sx={{ mt: 1.5 }}>Allow pop-ups for this site to open the printable statement.</Alert>
+          )}
+        </DialogContent>
+        <DialogActions sx={{ px: 3, pb: 2 }}>
+          <Button onClick={() => setFormat(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleExport}
+            disabled={inRange.length === 0}
+            sx={{ bgcolor: '#4caf50', '&:hover': { bgcolor: '#059669' } }}
+          >
+            {format === 'csv' ? 'Download CSV' : 'Open statement'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,88 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { ContentCopy, GroupAdd } from '@mui/icons-material';
+import coinService from '../../services/coinService';
+import { REFERRAL_STATUS, referralLink } from '../../utils/promotions';
+
+/** The user's referral link and the people who signed up through it. Hidden while the programme is off. */
+const ReferralCard = () => {
+  const [summary, setSummary] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    let mounted = true;
+    coinService.getReferralSummary().then((data) => {
+      if (mounted) setSummary(data);
+    });
+    return () => {
+      mounted = false;
+    };
+  }, []);
+
+  if (!summary?.code) return null;
+
+  const link = referralLink(summary.code);
+  const referrals = summary.referrals || [];
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Copy failed:', err);
+    }
+  };
+
+  return (
+    <Card sx={{ mb: 4, borderRadius: 3, boxShadow: 3 }}>
+      <CardContent sx={{ p: 4 }}>
+        <Typography variant="h5" sx={{ fontWeight: 700, color: 'text.primary', display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+          <GroupAdd /> Invite Friends
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Share your link. When a friend signs up and completes their first order, you get{' '}
+          <strong>{Number(summary.referrer_bonus_coins || 0).toLocaleString()} coins</strong> and they get{' '}
+          <strong>{Number(summary.referee_bonus_coins || 0).toLocaleString()} coins</strong>.
+        </Typography>
+        <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1}>
+          <TextField fullWidth size="small" value={link} InputProps={{ readOnly: true }} />
+          <Button variant="outlined" startIcon={<ContentCopy />} onClick={handleCopy} sx={{ textTransform: 'none', whiteSpace: 'nowrap' }}>
+            {copied ? 'Copied' : 'Copy link'}
+          </Button>
+        </Stack>
+
+        {referrals.length > 0 && (
+          <Box sx={{ mt: 3 }}>
+            <Typography variant="subtitle2" sx={{ fontWeight: 600, mb: 1 }}>Your referrals</Typography>
+            <Stack spacing={1}>
+              {referrals.map((r) => {
+                const status = REFERRAL_STATUS[r.status] || REFERRAL_STATUS.pending;
+                return (
+                  <Box key={r.id} sx={{ display: 'flex', alignItems: 'center', gap: 1.5, flexWrap: 'wrap' }}>
+                    <Chip label={status.label} color={status.color} size="small" sx={{ minWidth: 96 }} />
+                    <Typography variant="body2" sx={{ fontWeight: 600 }}>{r.name || 'New user'}</Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      Joined {new Date(r.created_at).toLocaleDateString()}
+                    </Typography>
+                  </Box>
+                );
+              })}
+            </Stack>
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ReferralCard;
@@ -0,0 +1,227 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Alert,
+  Autocomplete,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { Send } from '@mui/icons-material';
+import { useAuth } from '../../contexts/AuthContext';
+import coinService from '../../services/coinService';
+import { userService } from '../../services/users';
+import { normalizeTransferLimits, remainingToday, validateTransfer } from '../../utils/coinTransfers';
+
+const usersOf = (response) => {
+  const data = response?.data;
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.data)) return data.data;
+  return [];
+};
+
+/**
+ * Send coins to another user: pick a recipient, amount and note, then confirm.
+ * `onSent(result)` receives the server response after the transfer is recorded; `onRefresh()` reloads the
+ * transfer list when the outcome is unknown (timeout, network error, 5xx) and the transfer may have gone through.
+ */
+const SendCoinsDialog = ({ open, onClose, onSent, onRefresh }) => {
+  const { user } = useAuth();
+  const [step, setStep] = useState('form');
+  const [recipient, setRecipient] = useState(null);
+  const [query, setQuery] = useState('');
+  const [options, setOptions] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [coins, setCoins] = useState('');
+  const [note, setNote] = useState('');
+  const [balance, setBalance] = useState(null);
+  const [limits, setLimits] = useState(normalizeTransferLimits(null));
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+  const [uncertain, setUncertain] = useState(null);
+
+  useEffect(() => {
+    if (!open || !user?.id) return;
+    setStep('form');
+    setRecipient(null);
+    setCoins('');
+    setNote('');
+    setError(null);
+    setUncertain(null);
+    coinService.getUserCoins(user.id).then(setBalance);
+    coinService.getTransferLimits()
+      .then((data) => setLimits(normalizeTransferLimits(data)))
+      .catch(() => setLimits(normalizeTransferLimits(null)));
+  }, [open, user?.id]);
+
+  const search = useCallback(async (text) => {
+    setSearching(true);
+    try {
+      const response = await userService.getUserNames(text);
+      setOptions(usersOf(response).filter((u) => u?.id && String(u.id) !== String(user?.id) && u.user_type !== 'admin'));
+    } catch (err) {
+      console.error('Error searching users:', err);
+      setOptions([]);
+    } finally {
+      setSearching(false);
+    }
+  }, [user?.id]);
+
+  // Debounced like the complaint form's user search
+  useEffect(() => {
+    if (query.trim().length < 2) {
+      setOptions([]);
+      return undefined;
+    }
+    const timer = setTimeout(() => search(query.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [query, search]);
+
+  const handleReview = () => {
+    const problem = validateTransfer({ senderId: user?.id, recipient, coins, note, balance, limits });
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    setError(null);
+    setStep('confirm');
+  };
+
+  const handleSend = async () => {
+    setSending(true);
+    setError(null);
+    setUncertain(null);
+    try {
+      const result = await coinService.sendCoinTransfer({ recipientId: recipient.id, coins: Number(coins), note: note.trim() });
+      window.dispatchEvent(new CustomEvent('sharecrop-refresh-coins'));
+      if (onSent) onSent(result);
+      onClose();
+    } catch (err) {
+      const status = err.response?.status;
+      if (status >= 400 && status < 500) {
+        // The server rejected the transfer, so nothing moved
+        setError(err.response.data?.error || 'Failed to send coins. Nothing was deducted.');
+      } else {
+        // Timeout, network error or server error: the transfer may have been recorded anyway
+        setUncertain('We could not confirm this transfer. Check your balance and transaction history before sending again, so it is not sent twice.');
+        coinService.getUserCoins(user.id).then(setBalance);
+        coinService.getTransferLimits()
+          .then((data) => setLimits(normalizeTransferLimits(data)))
+          .catch(() => {});
+        window.dispatchEvent(new CustomEvent('sharecrop-refresh-coins'));
+        if (onRefresh) onRefresh();
+      }
+      setStep('form');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const available = remainingToday(limits);
+
+  return (
+    <Dialog open={open} onClose={() => !sending && onClose()} maxWidth="sm" fullWidth>
+      <DialogTitle sx={{ fontWeight: 700 }}>{step === 'confirm' ? 'Confirm transfer' : 'Send coins'}</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {uncertain && <Alert severity="warning" sx={{ mb: 2 }}>{uncertain}</Alert>}
+        {step === 'form' ? (
+          <Stack spacing={2} sx={{ mt: 1 }}>
+            <Autocomplete
+              options={options}
+              value={recipient}
+              onChange={(event, value) => setRecipient(value)}
+              onInputChange={(event, value) => setQuery(value)}
+              getOptionLabel={(option) => (option ? `${option.name || 'Unknown'} (${option.user_type || 'user'})` : '')}
+              isOptionEqualToValue={(option, value) => option.id === value.id}
+              filterOptions={(x) => x}
+              loading={searching}
+              noOptionsText={query.trim().length < 2 ? 'Type at least 2 characters to search' : searching ? 'Searching...' : 'No users found'}
+              renderInput={(params) => (
+                <TextField
+                  {...params}
+                  label="Recipient *"
+                  placeholder="Search by name"
+                  InputProps={{
+                    ...params.InputProps,
+                    endAdornment: (
+                      <>
+                        {searching ? <CircularProgress color="inherit" size={18} /> : null}
+                        {params.InputProps.endAdornment}
+                      </>
+                    ),
+                  }}
+                />
+              )}
+            />
+            <TextField
+              label="Coins *"
+              type="number"
+              value={coins}
+              onChange={(e) => setCoins(e.target.value)}
+              inputProps={{ min: 1, max: available || undefined }}
+              helperText={`${balance != null ? `${balance.toLocaleString()} coins available · ` : ''}up to ${available.toLocaleString()} more today (${limits.daily_limit_coins.toLocaleString()} per day, ${limits.per_transfer_max.toLocaleString()} per transfer)`}
+            />
+            <TextField
+              label="Note (optional)"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              multiline
+              minRows={2}
+              inputProps={{ maxLength: limits.note_max_length }}
+              helperText={`${note.length}/${limits.note_max_length} · The recipient sees this note`}
+            />
+          </Stack>
+        ) : (
+          <Box sx={{ mt: 1 }}>
+            <Typography variant="body1" sx={{ mb: 2 }}>
+              Send <strong>{Number(coins).toLocaleString()} coins</strong> to <strong>{recipient?.name}</strong>?
+            </Typography>
+            {note.trim() && (
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2, whiteSpace: 'pre-wrap' }}>
+                Note: “{note.trim()}”
+              </Typography>
+            )}
+            <Divider sx={{ mb: 2 }} />
+            <Typography variant="body2" color="text.secondary">
+              Your balance after the transfer: {balance != null ? (balance - Number(coins)).toLocaleString() : '—'} coins.
+              Transfers arrive instantly and cannot be cancelled. Only send coins to people you know.
+            </Typography>
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions sx={{ p: 2 }}>
+        {step === 'confirm' ? (
+          <>
+            <Button onClick={() => setStep('form')} disabled={sending} sx={{ textTransform: 'none' }}>Back</Button>
+            <Button
+              variant="contained"
+              onClick={handleSend}
+              disabled={sending}
+              startIcon={sending ? <CircularProgress size={18} color="inherit" /> : <Send />}
+              sx={{ textTransform: 'none', fontWeight: 600 }}
+            >
+              Send {Number(coins).toLocaleString()} coins
+            </Button>
+          </>
+        ) : (
+          <>
+            <Button onClick={onClose} sx={{ textTransform: 'none' }}>Cancel</Button>
+            <Button variant="contained" onClick={handleReview} disabled={available === 0} sx={{ textTransform: 'none', fontWeight: 600 }}>
+              Review
+            </Button>
+          </>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SendCoinsDialog;
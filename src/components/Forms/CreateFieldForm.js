@@ -58,6 +58,14 @@ import {
 import { fieldHasOngoingPurchase, normalizeOrdersArray } from '../../utils/fieldEditRestrictions';
 import { inferQuantitySellPercentFromField, derivedSellQuantityFromPercent } from '../../utils/fieldSellPercent';
 import { orderService } from '../../services/orders';
+import {
+  areaM2ToUnit,
+  boundaryAreaM2,
+  clearBoundaryDraft,
+  getFieldBoundary,
+  newFieldBoundaryDraftKey,
+} from '../../utils/fieldBoundary';
+import { formatAreaFromM2 } from '../../utils/rentedFieldModels';
 import { ISO2_COUNTRY_OPTIONS } from '../../data/isoCountryOptions';
 import {
   deriveShippingScopeEnum,
@@ -551,6 +559,8 @@ const CreateFieldForm = ({
     webcamUrl: '',
     latitude: '',
     longitude: '',
+    boundary: null,
+    boundaryAreaM2: 0,
     shippingScope: 'Global',
     farmId: '',
     available_for_rent: false,
@@ -635,6 +645,13 @@ const CreateFieldForm = ({
     }
   }, [open]);
 
+  // A drawn outline is the source of truth for Field Size — buyers pay per m² of it
+  useEffect(() => {
+    if (!formData.boundary || !(formData.boundaryAreaM2 > 0)) return;
+    const size = String(parseFloat(areaM2ToUnit(formData.boundaryAreaM2, formData.fieldSizeUnit).toFixed(2)));
+    setFormData(prev => (prev.fieldSize === size ? prev : { ...prev, fieldSize: size }));
+  }, [formData.boundary, formData.boundaryAreaM2, formData.fieldSizeUnit]);
+
   // Calculate remaining area whenever farm selection or fields change
   useEffect(() => {
     const calculateArea = async () => {
@@ -923,6 +940,8 @@ const CreateFieldForm = ({
         farmId: initialData.farm_id || initialData.farmId || '',
         latitude: initialData.coordinates?.[1] || initialData.latitude || '',
         longitude: initialData.coordinates?.[0] || initialData.longitude || '',
+        boundary: getFieldBoundary(initialData),
+        boundaryAreaM2: boundaryAreaM2(getFieldBoundary(initialData)),
         hasWebcam: initialData.has_webcam || !!initialData.webcam_url,
         webcamUrl: initialData.webcam_url || initialData.webcamUrl || '',
         harvestDates: Array.isArray(initialData.harvest_dates) ? initialData.harvest_dates :
@@ -1030,6 +1049,8 @@ const CreateFieldForm = ({
         webcamUrl: '',
         latitude: '',
         longitude: '',
+        boundary: null,
+        boundaryAreaM2: 0,
         shippingScope: '',
         farmId: ''
       });
@@ -1205,12 +1226,16 @@ const CreateFieldForm = ({
   // Handle location selection from LocationPicker
   const handleLocationSelect = (locationData) => {
     if (editMode && lockCommercial) return;
-    // LocationPicker returns { coordinates: [lng, lat], address: string }
+    // LocationPicker returns { coordinates: [lng, lat], address: string, boundary?: GeoJSON Polygon, areaM2?: number }
     const [lng, lat] = locationData.coordinates;
+    const boundary = locationData.boundary || null;
+    const areaM2 = boundary ? Number(locationData.areaM2) || 0 : 0;
     setFormData(prev => ({
       ...prev,
       latitude: lat?.toString() || '',
-      longitude: lng?.toString() || ''
+      longitude: lng?.toString() || '',
+      boundary,
+      boundaryAreaM2: areaM2,
     }));
     // Store the address for display in the location field
     setLocationAddress(locationData.address || `${lat}, ${lng}`);
@@ -1318,6 +1343,9 @@ const CreateFieldForm = ({
     return Object.keys(newErrors).length === 0;
   };
 
+  const existingFieldId = initialData?.id || initialData?._id;
+  const boundaryDraftKey = existingFieldId ? `field-${existingFieldId}` : newFieldBoundaryDraftKey(formData.farmId);
+
   const handleSubmit = async () => {
     if (!validateForm()) return;
 
@@ -1447,6 +1475,8 @@ const CreateFieldForm = ({
       farm_id: formData.farmId, // Snake case
       // Add these default values for popup compatibility:
       coordinates: [parseFloat(formData.longitude), parseFloat(formData.latitude)],
+      boundary: formData.boundary || null,
+      boundary_area_m2: formData.boundary ? Math.round(formData.boundaryAreaM2 || 0) : null,
       farmer_name: user?.name || '',
       location: actualLocation,
       available_area: formData.fieldSize || 100,
@@ -1466,8 +1496,12 @@ const CreateFieldForm = ({
       rent_duration_yearly: Boolean(formData.rent_duration_yearly)
     };
 
+    const draftKey = boundaryDraftKey;
     setTimeout(() => {
-      onSubmit(submitData);
+      // The parent resolves to false when saving fails; keep the outline draft then so it can be retried
+      Promise.resolve(onSubmit(submitData)).then((saved) => {
+        if (!existingFieldId && saved !== false) clearBoundaryDraft(draftKey);
+      });
       setIsSubmitting(false);
       handleClose();
     }, 1000);
@@ -1505,6 +1539,8 @@ const CreateFieldForm = ({
       webcamUrl: '',
       latitude: '',
       longitude: '',
+      boundary: null,
+      boundaryAreaM2: 0,
       shippingScope: 'Global',
       farmId: '',
       available_for_buy: true,
@@ -1523,6 +1559,16 @@ const CreateFieldForm = ({
     onClose();
   };
 
+  /** Outlines of the farm's other fields so shared edges can be snapped to. */
+  const boundarySnapTargets = useMemo(() => {
+    const currentId = String(initialData?.id || initialData?._id || '');
+    return (fieldsList || [])
+      .filter((f) => String(f.id || f._id || '') !== currentId)
+      .filter((f) => !formData.farmId || String(f.farm_id || f.farmId || '') === String(formData.farmId))
+      .map(getFieldBoundary)
+      .filter(Boolean);
+  }, [fieldsList, formData.farmId, initialData?.id, initialData?._id]);
+
   const offersHomeDelivery = formData.shippingOption !== 'Pickup';
   const hasDestinationRules = shippingDestinationsDraft.length > 0;
   const showDestinationEditor = hasDestinationRules || useSpecificDeliveryList;
@@ -2029,7 +2075,7 @@ const CreateFieldForm = ({
                         isMobile={isMobile}
                         type="number"
                         inputProps={{ min: 0, step: 'any' }}
-                        disabled={lockCommercial}
+                        disabled={lockCommercial || !!formData.boundary}
                       />
                       <StyledFormControl isMobile={isMobile}>
                         <InputLabel>Unit</InputLabel>
@@ -2079,7 +2125,11 @@ const CreateFieldForm = ({
                         )
                       }}
                       error={!!errors.latitude || !!errors.longitude}
-                      helperText={errors.latitude || errors.longitude || "Select your field location using the map"}
+                      helperText={
+                        errors.latitude || errors.longitude || (formData.boundary
+                          ? `Boundary drawn: ${formatAreaFromM2(formData.boundaryAreaM2, formData.fieldSizeUnit)} (sets Field Size)`
+                          : 'Select your field location and optionally draw its boundary on the map')
+                      }
                       sx={{
                         '& .MuiInputBase-input': {
                           cursor: 'pointer'
@@ -3149,6 +3199,10 @@ const CreateFieldForm = ({
         open={locationPickerOpen}
         onClose={() => setLocationPickerOpen(false)}
         onLocationSelect={handleLocationSelect}
+        enableBoundary
+        initialBoundary={formData.boundary}
+        snapBoundaries={boundarySnapTargets}
+        boundaryDraftKey={boundaryDraftKey}
         initialLocation={
           formData.latitude && formData.longitude ? {
             lat: parseFloat(formData.latitude) || 0,
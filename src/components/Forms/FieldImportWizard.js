@@ -0,0 +1,377 @@
+import React, { useMemo, useRef, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  IconButton,
+  Stepper,
+  Step,
+  StepLabel,
+  Select,
+  MenuItem,
+  FormControl,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Stack,
+  Alert,
+  LinearProgress,
+  FormControlLabel,
+  Switch,
+} from '@mui/material';
+import { Close, UploadFile, Download, CheckCircle, ErrorOutline } from '@mui/icons-material';
+import farmsService from '../../services/farms';
+import fieldsService from '../../services/fields';
+import { readSpreadsheetFile } from '../../utils/spreadsheetFile';
+import {
+  FIELD_IMPORT_COLUMNS,
+  guessHeaderMapping,
+  validateImportRows,
+  buildImportedFarmPayload,
+  buildImportedFieldPayload,
+  fieldImportTemplateCsv,
+} from '../../utils/fieldImport';
+
+const STEPS = ['Upload', 'Map columns', 'Review', 'Import'];
+
+/**
+ * Bulk-create farms and fields from the "FIELD SETUP" spreadsheet (CSV or XLSX).
+ * Farms are matched to `existingFarms` by name; unknown farm names are created first.
+ */
+const FieldImportWizard = ({ open, onClose, onImported, existingFarms = [], user }) => {
+  const fileInputRef = useRef(null);
+  const [step, setStep] = useState(0);
+  const [fileName, setFileName] = useState('');
+  const [sheet, setSheet] = useState({ headers: [], rows: [] });
+  const [mapping, setMapping] = useState({});
+  const [readError, setReadError] = useState('');
+  const [onlyErrors, setOnlyErrors] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [results, setResults] = useState([]);
+
+  const validated = useMemo(
+    () => (step >= 2 ? validateImportRows(sheet.rows, mapping, existingFarms) : []),
+    [step, sheet.rows, mapping, existingFarms]
+  );
+  const validRows = validated.filter((r) => r.errors.length === 0);
+  const invalidCount = validated.length - validRows.length;
+  const missingRequired = FIELD_IMPORT_COLUMNS.filter((c) => c.required && !(mapping[c.key] >= 0));
+  const newFarmCount = new Set(validRows.filter((r) => !r.existingFarmId).map((r) => r.farmKey)).size;
+
+  const reset = () => {
+    setStep(0);
+    setFileName('');
+    setSheet({ headers: [], rows: [] });
+    setMapping({});
+    setReadError('');
+    setOnlyErrors(false);
+    setProgress(0);
+    setResults([]);
+  };
+
+  const handleClose = () => {
+    if (importing) return;
+    reset();
+    onClose();
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    setReadError('');
+    try {
+      const table = await readSpreadsheetFile(file);
+      if (!table.headers.length || !table.rows.length) {
+        setReadError('The sheet is empty. Keep the header row and add one row per field.');
+        return;
+      }
+      setFileName(file.name);
+      setSheet(table);
+      setMapping(guessHeaderMapping(table.headers));
+      setStep(1);
+    } catch (err) {
+      setReadError(err.message || 'Could not read the file.');
+    }
+  };
+
+  const downloadTemplate = () => {
+    const blob = new Blob([fieldImportTemplateCsv()], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'field-setup-template.csv';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const runImport = async () => {
+    setStep(3);
+    setImporting(true);
+    setProgress(0);
+    const farmIds = new Map(validRows.filter((r) => r.existingFarmId).map((r) => [r.farmKey, r.existingFarmId]));
+    const farmErrors = new Map();
+    const out = [];
+    const total = validRows.length;
+
+    for (let i = 0; i < validRows.length; i += 1) {
+      const row = validRows[i];
+      const { values } = row;
+      if (!farmIds.has(row.farmKey) && !farmErrors.has(row.farmKey)) {
+        try {
+          const res = await farmsService.create(buildImportedFarmPayload(values, user?.id));
+          const created = Array.isArray(res.data) ? res.data[0] : (res.data?.farm || res.data);
+          if (!created?.id) throw new Error('The server did not return the new farm');
+          farmIds.set(row.farmKey, created.id);
+        } catch (err) {
+          farmErrors.set(row.farmKey, err.response?.data?.error || err.message || 'Could not create farm');
+        }
+      }
+
+      if (farmErrors.has(row.farmKey)) {
+        out.push({ rowNumber: row.rowNumber, name: values.fieldName, ok: false, message: `Farm "${values.farmName}": ${farmErrors.get(row.farmKey)}` });
+      } else {
+        try {
+          const payload = buildImportedFieldPayload(values, {
+            farmId: farmIds.get(row.farmKey),
+            ownerId: user?.id,
+            farmerName: user?.name,
+            location: values.farmLocation || existingFarms.find((f) => f.id === row.existingFarmId)?.location || '',
+          });
+          await fieldsService.create(payload);
+          out.push({ rowNumber: row.rowNumber, name: values.fieldName, ok: true, message: `Created on ${values.farmName}` });
+        } catch (err) {
+          out.push({ rowNumber: row.rowNumber, name: values.fieldName, ok: false, message: err.response?.data?.error || err.message || 'Could not create field' });
+        }
+      }
+      setProgress(Math.round(((i + 1) / total) * 100));
+      setResults([...out]);
+    }
+
+    setImporting(false);
+    if (out.some((r) => r.ok) && onImported) onImported();
+  };
+
+  const shownRows = onlyErrors ? validated.filter((r) => r.errors.length > 0) : validated;
+  const succeeded = results.filter((r) => r.ok).length;
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="lg" fullWidth PaperProps={{ sx: { borderRadius: 3 } }}>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', pb: 1 }}>
+        <Box>
+          <Typography variant="h6" sx={{ fontWeight: 700, fontSize: '1.1rem', lineHeight: 1.2 }}>
+            Import farms & fields
+          </Typography>
+          <Typography variant="caption" color="text.secondary">
+            {fileName || 'CSV or Excel (.xlsx) export of your field setup sheet'}
+          </Typography>
+        </Box>
+        <IconButton onClick={handleClose} size="small" disabled={importing}>
+          <Close />
+        </IconButton>
+      </DialogTitle>
+      <DialogContent dividers>
+        <Stepper activeStep={step} alternativeLabel sx={{ mb: 3 }}>
+          {STEPS.map((label) => (
+            <Step key={label}>
+              <StepLabel>{label}</StepLabel>
+            </Step>
+          ))}
+        </Stepper>
+
+        {step === 0 && (
+          <Box sx={{ textAlign: 'center', py: 4, border: '2px dashed #e2e8f0', borderRadius: 2 }}>
+            <UploadFile sx={{ fontSize: 48, color: '#4caf50', mb: 1 }} />
+            <Typography variant="body1" sx={{ fontWeight: 600, mb: 0.5 }}>
+              One row per field; rows with the same farm name are grouped into one farm.
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Harvest dates and shipping destinations can hold several values separated by ";" (e.g. "CH; DE:Berlin").
+            </Typography>
+            <Stack direction="row" spacing={1.5} justifyContent="center">
+              <Button
+                variant="contained"
+                startIcon={<UploadFile />}
+                onClick={() => fileInputRef.current?.click()}
+                sx={{ bgcolor: '#4caf50', '&:hover': { bgcolor: '#059669' }, borderRadius: 2 }}
+              >
+                Choose file
+              </Button>
+              <Button variant="outlined" startIcon={<Download />} onClick={downloadTemplate} sx={{ borderRadius: 2 }}>
+                Download template
+              </Button>
+            </Stack>
+            <input ref={fileInputRef} type="file" accept=".csv,.xlsx,text/csv" hidden onChange={handleFile} />
+            {readError && <Alert severity="error" sx={{ mt: 2, textAlign: 'left' }}>{readError}</Alert>}
+          </Box>
+        )}
+
+        {step === 1 && (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              {sheet.rows.length} row{sheet.rows.length === 1 ? '' : 's'} found. Match each column to a header in your sheet.
+            </Typography>
+            <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr' }, gap: 1.5 }}>
+              {FIELD_IMPORT_COLUMNS.map((col) => (
+                <Stack key={col.key} direction="row" spacing={1} alignItems="center">
+                  <Typography variant="body2" sx={{ width: 190, fontWeight: col.required ? 600 : 400 }}>
+                    {col.label}{col.required ? ' *' : ''}
+                  </Typography>
+                  <FormControl size="small" fullWidth>
+                    <Select
+                      value={mapping[col.key] ?? -1}
+                      onChange={(e) => setMapping((m) => ({ ...m, [col.key]: Number(e.target.value) }))}
+                    >
+                      <MenuItem value={-1}><em>Not in sheet</em></MenuItem>
+                      {sheet.headers.map((h, i) => (
+                        <MenuItem key={`${h}-${i}`} value={i}>{h || `Column ${i + 1}`}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Stack>
+              ))}
+            </Box>
+            {missingRequired.length > 0 && (
+              <Alert severity="warning" sx={{ mt: 2 }}>
+                Required columns not mapped: {missingRequired.map((c) => c.label).join(', ')}
+              </Alert>
+            )}
+          </>
+        )}
+
+        {step === 2 && (
+          <>
+            <Stack direction="row" spacing={1} alignItems="center" flexWrap="wrap" useFlexGap sx={{ mb: 2 }}>
+              <Chip icon={<CheckCircle />} label={`${validRows.length} ready`} color="success" variant="outlined" />
+              <Chip icon={<ErrorOutline />} label={`${invalidCount} with errors`} color={invalidCount ? 'error' : 'default'} variant="outlined" />
+              {newFarmCount > 0 && <Chip label={`${newFarmCount} new farm${newFarmCount === 1 ? '' : 's'}`} variant="outlined" />}
+              <Box sx={{ flex: 1 }} />
+              <FormControlLabel
+                control={<Switch size="small" checked={onlyErrors} onChange={(e) => setOnlyErrors(e.target.checked)} />}
+                label={<Typography variant="body2">Only rows with errors</Typography>}
+              />
+            </Stack>
+            {invalidCount > 0 && (
+              <Alert severity="info" sx={{ mb: 2 }}>
+                Rows with errors are skipped. Fix them in the sheet and import again, or continue with the valid rows.
+              </Alert>
+            )}
+            <TableContainer sx={{ maxHeight: 420, border: '1px solid #e2e8f0', borderRadius: 2 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Row</TableCell>
+                    <TableCell>Farm</TableCell>
+                    <TableCell>Field</TableCell>
+                    <TableCell>Product</TableCell>
+                    <TableCell>Size</TableCell>
+                    <TableCell>Harvest</TableCell>
+                    <TableCell>Status</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {shownRows.map((r) => (
+                    <TableRow key={r.rowNumber} sx={{ bgcolor: r.errors.length ? '#fef2f2' : 'inherit' }}>
+                      <TableCell>{r.rowNumber}</TableCell>
+                      <TableCell>
+                        {r.values.farmName}
+                        {r.values.farmName && !r.existingFarmId && (
+                          <Chip size="small" label="new" sx={{ ml: 0.5, height: 18, fontSize: '0.65rem' }} />
+                        )}
+                      </TableCell>
+                      <TableCell>{r.values.fieldName}</TableCell>
+                      <TableCell>{[r.values.category, r.values.subcategory].filter(Boolean).join(' · ')}</TableCell>
+                      <TableCell>
+                        {Number.isFinite(r.values.fieldSize) ? `${r.values.fieldSize} ${r.values.fieldSizeUnit}` : ''}
+                      </TableCell>
+                      <TableCell>{r.values.harvestDates.map((h) => h.date).join(', ')}</TableCell>
+                      <TableCell>
+                        {r.errors.length === 0 ? (
+                          <Chip size="small" label="OK" color="success" />
+                        ) : (
+                          <Stack spacing={0.5}>
+                            {r.errors.map((err) => (
+                              <Typography key={err} variant="caption" sx={{ color: '#b91c1c' }}>{err}</Typography>
+                            ))}
+                          </Stack>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+
+        {step === 3 && (
+          <>
+            <LinearProgress
+              variant="determinate"
+              value={progress}
+              sx={{ height: 8, borderRadius: 4, mb: 2, '& .MuiLinearProgress-bar': { bgcolor: '#4caf50' } }}
+            />
+            {!importing && (
+              <Alert severity={succeeded === results.length ? 'success' : 'warning'} sx={{ mb: 2 }}>
+                {succeeded} of {results.length} field{results.length === 1 ? '' : 's'} imported.
+              </Alert>
+            )}
+            <Stack spacing={0.75}>
+              {results.map((r) => (
+                <Stack key={r.rowNumber} direction="row" spacing={1} alignItems="center">
+                  {r.ok ? <CheckCircle sx={{ color: '#059669', fontSize: 18 }} /> : <ErrorOutline sx={{ color: '#ef4444', fontSize: 18 }} />}
+                  <Typography variant="body2">
+                    Row {r.rowNumber} · <strong>{r.name}</strong> — {r.message}
+                  </Typography>
+                </Stack>
+              ))}
+            </Stack>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions sx={{ px: 3, py: 2 }}>
+        {step === 1 && <Button onClick={() => setStep(0)}>Back</Button>}
+        {step === 2 && <Button onClick={() => setStep(1)}>Back</Button>}
+        <Box sx={{ flex: 1 }} />
+        {step === 1 && (
+          <Button
+            variant="contained"
+            disabled={missingRequired.length > 0}
+            onClick={() => setStep(2)}
+            sx={{ bgcolor: '#4caf50', '&:hover': { bgcolor: '#059669' } }}
+          >
+            Review rows
+          </Button>
+        )}
+        {step === 2 && (
+          <Button
+            variant="contained"
+            disabled={validRows.length === 0}
+            onClick={runImport}
+            sx={{ bgcolor: '#4caf50', '&:hover': { bgcolor: '#059669' } }}
+          >
+            Import {validRows.length} field{validRows.length === 1 ? '' : 's'}
+          </Button>
+        )}
+        {step === 3 && (
+          <Button onClick={handleClose} disabled={importing} sx={{ color: '#4caf50', fontWeight: 600 }}>
+            Done
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default FieldImportWizard;
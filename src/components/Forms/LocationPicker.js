@@ -11,13 +11,47 @@ import {
   Paper,
   InputAdornment,
   IconButton,
-  CircularProgress
+  CircularProgress,
+  ToggleButton,
+  ToggleButtonGroup,
+  Alert
 } from '@mui/material';
-import { Search, MyLocation, Close } from '@mui/icons-material';
-import { Map as MapboxMap, Marker, NavigationControl } from 'react-map-gl';
+import { Search, MyLocation, Close, Place, Timeline, Undo, DeleteOutline } from '@mui/icons-material';
+import { Map as MapboxMap, Marker, NavigationControl, Source, Layer } from 'react-map-gl';
 import 'mapbox-gl/dist/mapbox-gl.css';
+import {
+  MIN_BOUNDARY_VERTICES,
+  boundaryAreaM2,
+  boundaryCentroid,
+  boundaryVertices,
+  clearBoundaryDraft,
+  loadBoundaryDraft,
+  ringSelfIntersects,
+  saveBoundaryDraft,
+  snapToVertex,
+  verticesToBoundary,
+} from '../../utils/fieldBoundary';
+import { formatAreaFromM2 } from '../../utils/rentedFieldModels';
+
+const sameVertices = (a, b) =>
+  a.length === b.length && a.every((p, i) => p[0] === b[i][0] && p[1] === b[i][1]);
 
-const LocationPicker = ({ open, onClose, onLocationSelect, initialLocation }) => {
+/**
+ * Pin (and optionally boundary) picker.
+ * With `enableBoundary`, farmers can click out a field outline, drag vertices to adjust it, and new/dragged
+ * vertices snap to their own first vertex or to outlines passed in `snapBoundaries` (neighbouring fields).
+ * The outline is returned as GeoJSON in `onLocationSelect({ coordinates, address, boundary, areaM2 })`.
+ */
+const LocationPicker = ({
+  open,
+  onClose,
+  onLocationSelect,
+  initialLocation,
+  enableBoundary = false,
+  initialBoundary = null,
+  snapBoundaries = [],
+  boundaryDraftKey = null,
+}) => {
   // Custom hook to detect mobile screens
   const useIsMobile = () => {
     const [isMobile, setIsMobile] = useState(false);
@@ -46,6 +80,11 @@ const LocationPicker = ({ open, onClose, onLocationSelect, initialLocation }) =>
   const [loading, setLoading] = useState(false);
   const [userLocationLoaded, setUserLocationLoaded] = useState(false);
   const searchTimeoutRef = useRef(null);
+  const [pickMode, setPickMode] = useState('pin');
+  const [boundaryPoints, setBoundaryPoints] = useState([]);
+  // Unconfirmed outline from an earlier visit that differs from the saved one; offered, not applied
+  const [pendingDraft, setPendingDraft] = useState(null);
+  const boundaryHydratedRef = useRef(false);
   const [viewState, setViewState] = useState({
     longitude: -74.0060, // Default fallback
     latitude: 40.7128,   // Default fallback
@@ -130,9 +169,51 @@ const LocationPicker = ({ open, onClose, onLocationSelect, initialLocation }) =>
       setSearchQuery('');
       setSearchResults([]);
       setAddress('');
+      setPickMode('pin');
+      setPendingDraft(null);
+      boundaryHydratedRef.current = false;
     }
   }, [open]);
 
+  // Keep the in-progress outline on the device until it is confirmed. Declared before the loading effect so
+  // it first runs on the next render, with the loaded points, instead of overwriting the draft with [].
+  useEffect(() => {
+    if (!open || !enableBoundary || !boundaryHydratedRef.current) return;
+    const unchanged = sameVertices(boundaryPoints, boundaryVertices(initialBoundary));
+    if (pendingDraft) {
+      // Keep the offered draft until the farmer decides or starts a new edit
+      if (unchanged) return;
+      setPendingDraft(null);
+    }
+    if (unchanged) clearBoundaryDraft(boundaryDraftKey);
+    else saveBoundaryDraft(boundaryDraftKey, boundaryPoints);
+  }, [open, enableBoundary, boundaryPoints, initialBoundary, boundaryDraftKey, pendingDraft]);
+
+  // Load the saved outline (or an unsent local draft) once per open
+  useEffect(() => {
+    if (!open || !enableBoundary || boundaryHydratedRef.current) return;
+    boundaryHydratedRef.current = true;
+    const draft = loadBoundaryDraft(boundaryDraftKey);
+    const saved = boundaryVertices(initialBoundary);
+    // A saved outline wins; a differing draft is only restored when the farmer asks for it
+    const offerDraft = saved.length > 0 && draft.length > 0 && !sameVertices(draft, saved);
+    const points = saved.length ? saved : draft;
+    setPendingDraft(offerDraft ? draft : null);
+    setBoundaryPoints(points);
+    if (points.length) setPickMode('boundary');
+  }, [open, enableBoundary, initialBoundary, boundaryDraftKey]);
+
+  const restoreDraft = () => {
+    setBoundaryPoints(pendingDraft);
+    setPickMode('boundary');
+    setPendingDraft(null);
+  };
+
+  const discardDraft = () => {
+    clearBoundaryDraft(boundaryDraftKey);
+    setPendingDraft(null);
+  };
+
   const reverseGeocode = async (location) => {
     setLoading(true);
     try {
@@ -233,13 +314,27 @@ const LocationPicker = ({ open, onClose, onLocationSelect, initialLocation }) =>
     }
   };
 
+  const boundaryGeometry = enableBoundary ? verticesToBoundary(boundaryPoints) : null;
+  const boundaryArea = boundaryGeometry ? boundaryAreaM2(boundaryGeometry) : 0;
+  const boundaryInvalid = boundaryPoints.length >= 4 && ringSelfIntersects(boundaryPoints);
+  const boundaryIncomplete = boundaryPoints.length > 0 && boundaryPoints.length < MIN_BOUNDARY_VERTICES;
+
+  const snapCandidates = (excludeIndex = -1) => {
+    const own = boundaryPoints.filter((_, i) => i !== excludeIndex);
+    const neighbours = (snapBoundaries || []).flatMap((b) => boundaryVertices(b));
+    return [...own, ...neighbours];
+  };
+
   const handleConfirm = () => {
     if (onLocationSelect) {
+      const centroid = boundaryGeometry ? boundaryCentroid(boundaryPoints) : null;
       onLocationSelect({
-        coordinates: [selectedLocation.lng, selectedLocation.lat],
-        address: address
+        coordinates: centroid || [selectedLocation.lng, selectedLocation.lat],
+        address: address,
+        ...(enableBoundary ? { boundary: boundaryGeometry, areaM2: boundaryArea } : {})
       });
     }
+    if (enableBoundary) clearBoundaryDraft(boundaryDraftKey);
     onClose();
   };
 
@@ -251,9 +346,29 @@ const LocationPicker = ({ open, onClose, onLocationSelect, initialLocation }) =>
 
   const handleMapClick = (event) => {
     const { lng, lat } = event.lngLat;
+    if (enableBoundary && pickMode === 'boundary') {
+      const snapped = snapToVertex([lng, lat], snapCandidates(), viewState.zoom);
+      const first = boundaryPoints[0];
+      // Clicking back on the first vertex just closes the shape — no duplicate point
+      if (first && boundaryPoints.length >= MIN_BOUNDARY_VERTICES && snapped[0] === first[0] && snapped[1] === first[1]) {
+        return;
+      }
+      setBoundaryPoints(prev => [...prev, snapped]);
+      return;
+    }
     setSelectedLocation({ lat, lng });
   };
 
+  const handleVertexDrag = (index, event, snap = false) => {
+    const { lng, lat } = event.lngLat;
+    const next = snap ? snapToVertex([lng, lat], snapCandidates(index), viewState.zoom) : [lng, lat];
+    setBoundaryPoints(prev => prev.map((p, i) => (i === index ? next : p)));
+  };
+
+  const removeVertex = (index) => {
+    setBoundaryPoints(prev => prev.filter((_, i) => i !== index));
+  };
+
   return (
     <Dialog 
       open={open} 
@@ -278,7 +393,7 @@ const LocationPicker = ({ open, onClose, onLocationSelect, initialLocation }) =>
         fontWeight: isMobile ? 600 : 500,
         padding: isMobile ? '12px 16px' : '16px 24px'
       }}>
-        Select Farm Location
+        {enableBoundary ? 'Select Field Location & Boundary' : 'Select Farm Location'}
         <IconButton 
           onClick={handleClose} 
           size={isMobile ? "small" : "medium"}
@@ -338,6 +453,42 @@ const LocationPicker = ({ open, onClose, onLocationSelect, initialLocation }) =>
             }}
           />
           
+          {enableBoundary && (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1, flexWrap: 'wrap' }}>
+              <ToggleButtonGroup
+                size="small"
+                exclusive
+                value={pickMode}
+                onChange={(_, value) => { if (value) setPickMode(value); }}
+              >
+                <ToggleButton value="pin" sx={{ textTransform: 'none', fontSize: isMobile ? '11px' : '13px' }}>
+                  <Place sx={{ fontSize: 18, mr: 0.5 }} /> Pin
+                </ToggleButton>
+                <ToggleButton value="boundary" sx={{ textTransform: 'none', fontSize: isMobile ? '11px' : '13px' }}>
+                  <Timeline sx={{ fontSize: 18, mr: 0.5 }} /> Draw boundary
+                </ToggleButton>
+              </ToggleButtonGroup>
+              <Button
+                size="small"
+                startIcon={<Undo />}
+                disabled={!boundaryPoints.length}
+                onClick={() => setBoundaryPoints(prev => prev.slice(0, -1))}
+                sx={{ textTransform: 'none', color: '#4caf50' }}
+              >
+                Undo
+              </Button>
+              <Button
+                size="small"
+                startIcon={<DeleteOutline />}
+                disabled={!boundaryPoints.length}
+                onClick={() => setBoundaryPoints([])}
+                sx={{ textTransform: 'none', color: '#d32f2f' }}
+              >
+                Clear
+              </Button>
+            </Box>
+          )}
+
           {/* Search Results */}
           {searchResults.length > 0 && (
             <Paper 
@@ -424,13 +575,63 @@ const LocationPicker = ({ open, onClose, onLocationSelect, initialLocation }) =>
             {...viewState}
             onMove={evt => setViewState(evt.viewState)}
             onClick={handleMapClick}
+            doubleClickZoom={!(enableBoundary && pickMode === 'boundary')}
             mapboxAccessToken={process.env.REACT_APP_MAPBOX_ACCESS_TOKEN}
             attributionControl={false}
             style={{ width: '100%', height: '100%' }}
             mapStyle="mapbox://styles/superfroggy/cmfwppeyl00dl01r0287fe98o"
           >
             <NavigationControl position="top-right" />
-            
+
+            {enableBoundary && boundaryPoints.length >= 2 && (
+              <Source
+                id="picker-boundary"
+                type="geojson"
+                data={boundaryGeometry || { type: 'LineString', coordinates: boundaryPoints }}
+              >
+                <Layer
+                  id="picker-boundary-fill"
+                  type="fill"
+                  filter={['==', '$type', 'Polygon']}
+                  paint={{ 'fill-color': boundaryInvalid ? '#d32f2f' : '#4CAF50', 'fill-opacity': 0.25 }}
+                />
+                <Layer
+                  id="picker-boundary-line"
+                  type="line"
+                  paint={{ 'line-color': boundaryInvalid ? '#d32f2f' : '#2e7d32', 'line-width': 2 }}
+                />
+              </Source>
+            )}
+
+            {enableBoundary && boundaryPoints.map((point, index) => (
+              <Marker
+                key={`vertex-${index}`}
+                longitude={point[0]}
+                latitude={point[1]}
+                anchor="center"
+                draggable={pickMode === 'boundary'}
+                onClick={(e) => e.originalEvent.stopPropagation()}
+                onDrag={(e) => handleVertexDrag(index, e)}
+                onDragEnd={(e) => handleVertexDrag(index, e, true)}
+              >
+                <div
+                  title={pickMode === 'boundary' ? 'Drag to move, double-click to remove' : undefined}
+                  onDoubleClick={() => {
+                    if (pickMode === 'boundary') removeVertex(index);
+                  }}
+                  style={{
+                    width: index === 0 ? '14px' : '12px',
+                    height: index === 0 ? '14px' : '12px',
+                    borderRadius: '50%',
+                    background: index === 0 ? '#2e7d32' : 'white',
+                    border: '2px solid #2e7d32',
+                    boxShadow: '0 1px 4px rgba(0,0,0,0.3)',
+                    cursor: pickMode === 'boundary' ? 'move' : 'default'
+                  }}
+                />
+              </Marker>
+            ))}
+
             {selectedLocation && (
               <Marker
                 longitude={selectedLocation.lng}
@@ -500,6 +701,40 @@ const LocationPicker = ({ open, onClose, onLocationSelect, initialLocation }) =>
           >
             Coordinates: {selectedLocation?.lat?.toFixed(6) || 0}, {selectedLocation?.lng?.toFixed(6) || 0}
           </Typography>
+          {enableBoundary && (
+            <Box sx={{ mt: 1 }}>
+              {boundaryGeometry ? (
+                <Typography variant="body2" sx={{ fontSize: isMobile ? '11px' : '13px', color: '#2e7d32', fontWeight: 600 }}>
+                  Boundary: {boundaryPoints.length} points · {formatAreaFromM2(boundaryArea, 'm2')}
+                </Typography>
+              ) : (
+                <Typography variant="caption" color="text.secondary" sx={{ fontSize: isMobile ? '9px' : '11px' }}>
+                  {boundaryIncomplete
+                    ? `Add at least ${MIN_BOUNDARY_VERTICES - boundaryPoints.length} more point(s) to close the boundary.`
+                    : 'Optional: switch to "Draw boundary" and click the field corners to outline it.'}
+                </Typography>
+              )}
+              {pendingDraft && (
+                <Alert
+                  severity="info"
+                  sx={{ mt: 1, py: 0, fontSize: isMobile ? '11px' : '12px' }}
+                  action={(
+                    <>
+                      <Button color="inherit" size="small" onClick={restoreDraft}>Restore</Button>
+                      <Button color="inherit" size="small" onClick={discardDraft}>Discard</Button>
+                    </>
+                  )}
+                >
+                  An unsaved outline from an earlier edit ({pendingDraft.length} points) was found on this device.
+                </Alert>
+              )}
+              {boundaryInvalid && (
+                <Alert severity="error" sx={{ mt: 1, py: 0, fontSize: isMobile ? '11px' : '12px' }}>
+                  The boundary crosses itself. Drag or remove points so the edges do not overlap.
+                </Alert>
+              )}
+            </Box>
+          )}
         </Box>
       </DialogContent>
 
@@ -523,7 +758,7 @@ const LocationPicker = ({ open, onClose, onLocationSelect, initialLocation }) =>
           onClick={handleConfirm} 
           variant="contained" 
           color="primary"
-          disabled={!selectedLocation}
+          disabled={!selectedLocation || boundaryInvalid || boundaryIncomplete}
           fullWidth={isMobile}
           sx={{ 
             fontSize: isMobile ? '12px' : '14px',
@@ -64,6 +64,9 @@ import {
   CreditCard,
   Home,
   PersonAdd,
+  CalendarMonth,
+  PushPin,
+  NotificationsOff,
 } from '@mui/icons-material';
 import { useNavigate, useLocation } from 'react-router-dom';
 import coinService from '../../services/coinService';
@@ -72,6 +75,12 @@ import { getProductIcon } from '../../utils/productIcons';
 import { FIELD_CATEGORY_DATA } from '../../utils/fieldCategoryData';
 import supabase from '../../services/supabase';
 import { messagingService } from '../../services/messaging';
+import useOrderRealtime from '../../hooks/useOrderRealtime';
+import usePresence from '../../hooks/usePresence';
+import useAutoTopUp from '../../hooks/useAutoTopUp';
+import { isArchived, isMuted, isPinned, sortConversations, unreadTotal } from '../../utils/conversations';
+import { messagePreview } from '../../utils/messageAttachments';
+import { notificationLink } from '../../utils/notifications';
 
 // Custom hook to detect mobile screens
 const useIsMobile = () => {
@@ -126,6 +135,7 @@ const EnhancedHeader = forwardRef(({
   onMenuClick,
   backendNotifications = [],
   onMarkNotificationAsRead,
+  onMarkAllNotificationsAsRead,
   onRefreshNotifications,
   /** When true and user is not logged in: show guest header (no coins / notifications / profile menu). */
   publicBrowse = false,
@@ -148,9 +158,12 @@ const EnhancedHeader = forwardRef(({
   });
   const [expanded, setExpanded] = useState({});
   const [userCoins, setUserCoins] = useState(0);
+  const [coinsLoaded, setCoinsLoaded] = useState(false);
   const [pickupReadyCount, setPickupReadyCount] = useState(0);
   const [pickupPanelOpen, setPickupPanelOpen] = useState(false);
   const [pickupReadyList, setPickupReadyList] = useState([]);
+  // Bumped by order realtime events so the pickup badge recomputes without a reload
+  const [pickupRefreshKey, setPickupRefreshKey] = useState(0);
   const [userMenuAnchorEl, setUserMenuAnchorEl] = useState(null);
   const [coinsMenuAnchorEl, setCoinsMenuAnchorEl] = useState(null);
   const [unreadCount, setUnreadCount] = useState(0);
@@ -168,6 +181,7 @@ const EnhancedHeader = forwardRef(({
         const coins = await coinService.getUserCoins(user.id);
         // Handle 0 coins properly (0 is a valid value, not an error)
         setUserCoins(typeof coins === 'number' ? coins : 0);
+        setCoinsLoaded(true);
       } catch (error) {
         console.error('Error loading user coins:', error);
         setUserCoins(0);
@@ -187,22 +201,38 @@ const EnhancedHeader = forwardRef(({
     return () => window.removeEventListener('sharecrop-refresh-coins', handler);
   }, [loadUserCoins]);
 
+  // The header sees every balance change, so it starts low-balance auto top-ups
+  useAutoTopUp(coinsLoaded ? userCoins : undefined);
+
   // Handle Unread Count and Realtime Notifications
   const fetchUnreadStats = useCallback(async () => {
     if (!user || !user.id) return;
     try {
       const convs = await messagingService.getConversations();
       setRecentChats(convs);
-      const total = convs.reduce((sum, c) => sum + (c.unread_count || 0), 0);
-      setUnreadCount(total);
+      setUnreadCount(unreadTotal(convs));
+      return convs;
     } catch (err) {
       console.error('Error fetching unread stats:', err);
+      return [];
     }
   }, [user]);
 
+  // The header is on every page, so it marks the user online and acknowledges incoming messages as delivered
+  usePresence();
+
+  const markDelivered = useCallback((conversationId) => {
+    messagingService.markDelivered(conversationId).catch(() => {
+      // Delivery receipts are best-effort
+    });
+  }, []);
+
   useEffect(() => {
     if (user && user.id) {
-      fetchUnreadStats();
+      // Catch up on messages that arrived while offline
+      fetchUnreadStats().then((convs) => {
+        (convs || []).filter((c) => c.unread_count > 0).forEach((c) => markDelivered(c.id));
+      });
 
       if (supabase) {
         // Subscribe to messages to update unread count
@@ -217,6 +247,7 @@ const EnhancedHeader = forwardRef(({
             // If it's not from us, refresh stats
             if (newMsg.sender_id !== user.id) {
               fetchUnreadStats();
+              if (!newMsg.delivered_at) markDelivered(newMsg.conversation_id);
             }
           })
           .on('postgres_changes', {
@@ -234,7 +265,7 @@ const EnhancedHeader = forwardRef(({
         };
       }
     }
-  }, [user, fetchUnreadStats]);
+  }, [user, fetchUnreadStats, markDelivered]);
 
   // Expose refresh function to parent components
   useImperativeHandle(ref, () => ({
@@ -550,15 +581,20 @@ const EnhancedHeader = forwardRef(({
     };
 
     // Debounce the API call - only call if user.id or fields.length changes, and wait 5 seconds
+    // (realtime refreshes are already debounced by useOrderRealtime)
     timeoutId = setTimeout(() => {
       loadPickupReadyFromOrders();
-    }, 5000);
+    }, pickupRefreshKey > 0 ? 0 : 5000);
 
     return () => {
       mounted = false;
       if (timeoutId) clearTimeout(timeoutId);
     };
-  }, [user, fields]); // Only depend on user.id and fields.length, not entire objects
+  }, [user, fields, pickupRefreshKey]); // Only depend on user.id and fields.length, not entire objects
+
+  useOrderRealtime({
+    onRefresh: () => setPickupRefreshKey((k) => k + 1),
+  });
 
   const handleFilterClear = () => {
     setActiveFilters({ categories: [], subcategories: [], locations: [] });
@@ -588,6 +624,7 @@ const EnhancedHeader = forwardRef(({
         items: [
           { text: 'Rented Fields', icon: <Landscape />, path: isFarmer ? '/farmer/rented-fields' : '/buyer/rented-fields' },
           { text: 'My Orders', icon: <History />, path: isFarmer ? '/farmer/orders' : '/buyer/orders' },
+          { text: 'Harvest Calendar', icon: <CalendarMonth />, path: isFarmer ? '/farmer/harvest-calendar' : '/buyer/harvest-calendar' },
         ]
       },
       {
@@ -1419,7 +1456,11 @@ const EnhancedHeader = forwardRef(({
                       variant="text"
                       onClick={(e) => {
                         e.stopPropagation();
-                        (backendNotifications ?? []).filter(n => !n.read).forEach((n) => { if (typeof onMarkNotificationAsRead === 'function') onMarkNotificationAsRead(n.id); });
+                        if (typeof onMarkAllNotificationsAsRead === 'function') {
+                          onMarkAllNotificationsAsRead();
+                        } else {
+                          (backendNotifications ?? []).filter(n => !n.read).forEach((n) => { if (typeof onMarkNotificationAsRead === 'function') onMarkNotificationAsRead(n.id); });
+                        }
                       }}
                       sx={{ minWidth: 0, py: 0.25, px: 1, fontSize: '0.75rem', color: '#4caf50', fontWeight: 600 }}
                     >
@@ -1447,38 +1488,12 @@ const EnhancedHeader = forwardRef(({
                       </Box>
                     );
                   }
-                  const getNotificationNavigation = (message, userType) => {
-                    const msg = message?.toLowerCase() || '';
-                    if (msg.includes('new order received') || msg.includes('order received for')) {
-                      return userType === 'farmer' ? '/farmer/farm-orders' : '/buyer/orders';
-                    }
-                    if (msg.includes('order placed') || msg.includes('purchased')) {
-                      return '/buyer/orders';
-                    }
-                    if (msg.includes('accepted') || msg.includes('approved')) {
-                      return userType === 'farmer' ? '/farmer/rented-fields' : '/buyer/rented-fields';
-                    }
-                    if (msg.includes('harvest') || msg.includes('ready for pickup')) {
-                      return userType === 'farmer' ? '/farmer/rented-fields' : '/buyer/rented-fields';
-                    }
-                    if (msg.includes('chat unlocked') || msg.includes('message')) {
-                      return userType === 'farmer' ? '/farmer/messages' : '/buyer/messages';
-                    }
-                    if (msg.includes('payment') || msg.includes('coins')) {
-                      return userType === 'farmer' ? '/farmer/transaction' : '/buyer/transaction';
-                    }
-                    if (msg.includes('rented') || msg.includes('rental')) {
-                      return userType === 'farmer' ? '/farmer/rented-fields' : '/buyer/rented-fields';
-                    }
-                    return userType === 'farmer' ? '/farmer/notifications' : '/buyer/notifications';
-                  };
-
                   return notifItems.map((item) => {
                     const notif = item;
                     const isUnread = !notif.read;
                     const Icon = notif.type === 'success' ? CheckCircle : notif.type === 'warning' ? Warning : notif.type === 'error' ? ErrorIcon : notif.type === 'info' ? Info : NotificationsActive;
                     const iconColor = notif.type === 'success' ? '#22c55e' : notif.type === 'warning' ? '#eab308' : notif.type === 'error' ? '#ef4444' : '#3b82f6';
-                    const navPath = getNotificationNavigation(notif.message, userType);
+                    const navPath = notificationLink(notif, userType);
                     return (
                       <MenuItem
                         key={notif.id}
@@ -1558,10 +1573,9 @@ const EnhancedHeader = forwardRef(({
                 </Box>
                 <List sx={{ py: 0, maxHeight: 400, overflow: 'auto' }}>
                   {(() => {
-                    const messageItems = (recentChats || [])
-                      .filter(c => c.last_message != null && String(c.last_message).trim() !== '')
-                      .slice(0, 10)
-                      .sort((a, b) => new Date(b.last_message_at || 0) - new Date(a.last_message_at || 0));
+                    const messageItems = sortConversations(
+                      (recentChats || []).filter(c => !isArchived(c) && c.last_message != null && String(c.last_message).trim() !== '')
+                    ).slice(0, 10);
                     if (messageItems.length === 0) {
                       return (
                         <Box sx={{ py: 4, textAlign: 'center' }}>
@@ -1575,7 +1589,7 @@ const EnhancedHeader = forwardRef(({
                         key={chat.id}
                         onClick={() => {
                           setMessagesAnchorEl(null);
-                          navigate(userType === 'farmer' ? '/farmer/messages' : '/buyer/messages');
+                          navigate(userType === 'farmer' ? '/farmer/messages' : '/buyer/messages', { state: { openConversationId: chat.id } });
                         }}
                         sx={{
                           py: 1.25,
@@ -1592,7 +1606,11 @@ const EnhancedHeader = forwardRef(({
                         </ListItemIcon>
                         <Box sx={{ flex: 1, minWidth: 0 }}>
                           <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 0.25 }}>
-                            <Typography variant="caption" sx={{ color: '#64748b', fontWeight: 600, textTransform: 'uppercase', letterSpacing: '0.02em' }}>Message</Typography>
+                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                              <Typography variant="caption" sx={{ color: '#64748b', fontWeight: 600, textTransform: 'uppercase', letterSpacing: '0.02em' }}>Message</Typography>
+                              {isPinned(chat) && <PushPin sx={{ fontSize: 12, color: '#94a3b8' }} />}
+                              {isMuted(chat) && <NotificationsOff sx={{ fontSize: 12, color: '#94a3b8' }} />}
+                            </Box>
                             {chat.last_message_at && (
                               <Typography variant="caption" sx={{ color: '#94a3b8', flexShrink: 0 }}>
                                 {new Date(chat.last_message_at).toLocaleDateString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
@@ -1603,8 +1621,8 @@ const EnhancedHeader = forwardRef(({
                             {chat.participant_name}
                           </Typography>
                           <Typography variant="caption" sx={{ color: '#64748b', display: 'block', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
-                            {chat.last_message || 'No messages yet'}
-                            {chat.unread_count > 0 && <Typography component="span" variant="caption" sx={{ color: '#4caf50', fontWeight: 600, ml: 0.5 }}>· New</Typography>}
+                            {messagePreview(chat.last_message, chat.last_message_type) || 'No messages yet'}
+                            {chat.unread_count > 0 && !isMuted(chat) && <Typography component="span" variant="caption" sx={{ color: '#4caf50', fontWeight: 600, ml: 0.5 }}>· New</Typography>}
                           </Typography>
                         </Box>
                       </MenuItem>
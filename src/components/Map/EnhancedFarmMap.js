@@ -14,7 +14,7 @@ import { mockOrderService } from '../../services/mockServices';
 import rentedFieldsService from '../../services/rentedFields';
 import CustomScaleBar from './CustomScaleBar';
 import ProductSummaryBar from './ProductSummaryBar';
-import { Map as MapboxMap, Marker, NavigationControl, FullscreenControl } from 'react-map-gl';
+import { Map as MapboxMap, Marker, NavigationControl, FullscreenControl, Source, Layer } from 'react-map-gl';
 
 import { cachedReverseGeocode } from '../../utils/geocoding';
 import { getProductIcon, productCategories } from '../../utils/productIcons';
@@ -26,6 +26,7 @@ import { buildCoincidentMarkerPositionMap, getProductLngLat } from '../../utils/
 import './FarmMap.css';
 import weatherService from '../../services/weather';
 import WebcamPopup from '../Common/WebcamPopup';
+import FieldAllocationDialog from './FieldAllocationDialog';
 import { WEATHER_LEGEND_DATA } from './weatherLegendData';
 import { getHarvestProgressInfo as sharedGetHarvestProgressInfo, resolveHarvestDate as sharedResolveHarvestDate, formatHarvestDate as sharedFormatHarvestDate, parseHarvestDate as sharedParseHarvestDate, hasUpcomingHarvestOnRecord } from '../../utils/harvestProgress';
 import { getEstimatedDeliveryLeadDays, formatShippingLeadAfterHarvest } from '../../utils/fieldEstimatedDelivery';
@@ -36,6 +37,7 @@ import {
 } from '../../utils/shippingDestinations';
 import { displayProductionRateUnit } from '../../utils/fieldProductionUnits';
 import { fieldBlocksDeletion } from '../../utils/fieldEditRestrictions';
+import { buildBoundaryFeatureCollection } from '../../utils/fieldBoundary';
 
 const OWM_LAYERS = [
   { id: 'none', label: 'None', Icon: Block },
@@ -504,7 +506,8 @@ const EnhancedFarmMap = forwardRef(({
             await notificationsService.create({
               user_id: currentUser.id,
               message: `${status.icon} ${field.name || 'Field'}: ${status.label}! Check your map.`,
-              type: 'harvest_alert'
+              type: 'harvest_alert',
+              event_type: 'harvest_approaching'
             });
             if (onNotificationRefresh) onNotificationRefresh();
           } catch (err) {
@@ -544,6 +547,8 @@ const EnhancedFarmMap = forwardRef(({
   const [rentDuration, setRentDuration] = useState('monthly'); // 'monthly' | 'quarterly' | 'yearly' – used when rent is selected
   const [rentInProgress, setRentInProgress] = useState(false);
   const [webcamPopupOpen, setWebcamPopupOpen] = useState(false);
+  /** Field whose sub-plot allocation dialog is open (from the popup "Plot map" link). */
+  const [allocationField, setAllocationField] = useState(null);
   const [selectedFarmForWebcam, setSelectedFarmForWebcam] = useState(null);
   const popupContentScrollRef = useRef(null);
 
@@ -2399,6 +2404,16 @@ const EnhancedFarmMap = forwardRef(({
     [filteredFarms, mapZoomForSpread]
   );
 
+  /** Drawn field outlines (GeoJSON `boundary`); fields without one keep just their marker. */
+  const fieldBoundaryCollection = React.useMemo(
+    () =>
+      buildBoundaryFeatureCollection(filteredFarms, (f) => ({
+        purchased: isProductPurchased(f),
+        own: f.is_own_field === true || f.isOwnField === true,
+      })),
+    [filteredFarms, isProductPurchased]
+  );
+
   const minimalMapPoints = React.useMemo(() => {
     const src = Array.isArray(filteredFarms) && filteredFarms.length > 0 ? filteredFarms : farms;
     return Array.isArray(src) ? src.filter((f) => getProductLngLat(f)) : [];
@@ -2872,7 +2887,8 @@ const EnhancedFarmMap = forwardRef(({
               const notificationData = {
                 user_id: farmerId,
                 message: `New order received! ${currentUser.name || 'A buyer'} purchased ${quantity}m² of your field "${product.name}" for $${totalCostInDollars.toFixed(2)}`,
-                type: 'success'
+                type: 'success',
+                event_type: 'new_order'
               };
 
               try {
@@ -3084,7 +3100,8 @@ const EnhancedFarmMap = forwardRef(({
               await notificationsService.create({
                 user_id: currentUser.id,
                 message: `Chat unlocked with ${ownerName} for your order on "${product.name}". Open Messages to start chatting.`,
-                type: 'info'
+                type: 'info',
+                event_type: 'new_message'
               });
             } catch (notifError) {
               console.error('Failed to create buyer chat notification:', notifError);
@@ -3196,7 +3213,8 @@ const EnhancedFarmMap = forwardRef(({
             await notificationsService.create({
               user_id: currentUser.id,
               message: `Chat unlocked with ${ownerName} for your rental of "${product.name || 'field'}". Open Messages to start chatting.`,
-              type: 'info'
+              type: 'info',
+              event_type: 'new_message'
             });
           } catch (notifError) {
             console.error('Failed to create buyer rental chat notification:', notifError);
@@ -4269,6 +4287,30 @@ const EnhancedFarmMap = forwardRef(({
             </Marker>
           )}
 
+          {/* Field boundary outlines (drawn in LocationPicker) */}
+          {fieldBoundaryCollection.features.length > 0 && (
+            <Source id="field-boundaries" type="geojson" data={fieldBoundaryCollection}>
+              <Layer
+                id="field-boundaries-fill"
+                type="fill"
+                minzoom={11}
+                paint={{
+                  'fill-color': ['case', ['get', 'own'], '#2196F3', ['get', 'purchased'], '#FF9800', '#4CAF50'],
+                  'fill-opacity': 0.18,
+                }}
+              />
+              <Layer
+                id="field-boundaries-line"
+                type="line"
+                minzoom={11}
+                paint={{
+                  'line-color': ['case', ['get', 'own'], '#1565C0', ['get', 'purchased'], '#E65100', '#2E7D32'],
+                  'line-width': ['interpolate', ['linear'], ['zoom'], 11, 1, 16, 3],
+                }}
+              />
+            </Source>
+          )}
+
           {/* Farm Markers */}
           {(() => {
             return filteredFarms.map((product, mapIndex) => {
@@ -5776,6 +5818,29 @@ const EnhancedFarmMap = forwardRef(({
                       <div title="Others" style={{ width: `${rawOther}%`, height: '100%', backgroundColor: '#4b5563', flexShrink: 0 }} />
                       <div title="Available" style={{ width: `${barAvailPct}%`, height: '100%', backgroundColor: '#e8eaed', flexShrink: 0 }} />
                     </div>
+                    {occTotal > 0 && (
+                      <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: -2, marginBottom: 4 }}>
+                        <button
+                          type="button"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            setAllocationField(selectedProduct);
+                          }}
+                          style={{
+                            background: 'none',
+                            border: 'none',
+                            padding: 0,
+                            fontSize: fs,
+                            fontWeight: 600,
+                            color: '#7c3aed',
+                            cursor: 'pointer',
+                            textDecoration: 'underline'
+                          }}
+                        >
+                          {isOwnFieldPopup ? 'Plot map · who holds what' : 'Plot map · where is my area'}
+                        </button>
+                      </div>
+                    )}
                     <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 2 }}>
                       <span style={{ fontSize: fs, color: '#64748b', fontWeight: 600 }}>Harvest progress</span>
                       <span style={{ fontSize: fs, color: '#0f172a', fontWeight: 600 }}>
@@ -7028,6 +7093,14 @@ const EnhancedFarmMap = forwardRef(({
         farmName={selectedFarmForWebcam?.name}
       />
 
+      <FieldAllocationDialog
+        open={Boolean(allocationField)}
+        onClose={() => setAllocationField(null)}
+        field={allocationField}
+        currentUserId={currentUser?.id}
+        viewerRole={isViewerOwnedFieldForGallery(currentUser, allocationField) ? 'farmer' : 'buyer'}
+      />
+
     </div >
   );
 });
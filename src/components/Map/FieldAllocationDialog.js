@@ -0,0 +1,295 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  IconButton,
+  CircularProgress,
+  Chip,
+  Stack,
+  Tooltip,
+} from '@mui/material';
+import { Close, GridView } from '@mui/icons-material';
+import { Map as MapboxMap, Source, Layer, NavigationControl } from 'react-map-gl';
+import 'mapbox-gl/dist/mapbox-gl.css';
+import fieldsService from '../../services/fields';
+import { getFieldBoundary, boundaryVertices } from '../../utils/fieldBoundary';
+import {
+  ALLOCATION_STATUS_META,
+  AVAILABLE_PARCEL_COLOR,
+  buildAllocationParcels,
+  layoutParcelFractions,
+  parcelsFromOccupancy,
+  splitBoundaryIntoParcels,
+} from '../../utils/fieldAllocation';
+import { formatAreaFromM2, toM2 } from '../../utils/rentedFieldModels';
+
+const MINE_OUTLINE_COLOR = '#f43f5e';
+
+// `total_area` / `field_size` are in the field's own unit; without a unit they are not trusted as m²
+const fieldTotalAreaM2 = (field, allocation) => {
+  const rawM2 = allocation?.total_area_m2 ?? field?.total_area_m2 ?? field?.area_m2;
+  const unit = field?.field_size_unit || field?.area_unit || field?.unit;
+  const n = rawM2 != null
+    ? (typeof rawM2 === 'string' ? parseFloat(rawM2) : Number(rawM2))
+    : unit ? toM2(field?.total_area ?? field?.field_size, unit) : 0;
+  return Number.isFinite(n) && n > 0 ? n : 0;
+};
+
+/**
+ * Sub-plot allocation for one field: the field divided into leased parcels, coloured by order status.
+ * Farmers see every buyer's parcel; buyers see their own parcel(s) highlighted and others anonymised.
+ * `orders` are the viewer's already-loaded order rows for this field (fallback when /allocation is unavailable).
+ */
+const FieldAllocationDialog = ({ open, onClose, field, orders = [], currentUserId, viewerRole = 'buyer' }) => {
+  const [loading, setLoading] = useState(false);
+  const [parcels, setParcels] = useState([]);
+  const [boundary, setBoundary] = useState(null);
+  const [totalAreaM2, setTotalAreaM2] = useState(0);
+  const [usingFallback, setUsingFallback] = useState(false);
+
+  useEffect(() => {
+    if (!open || !field?.id) return undefined;
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      setUsingFallback(false);
+      let allocation = null;
+      let fieldRecord = field;
+      try {
+        const res = await fieldsService.getAllocation(field.id);
+        allocation = res.data || null;
+      } catch {
+        allocation = null;
+      }
+      if (!getFieldBoundary(fieldRecord) && !getFieldBoundary(allocation)) {
+        try {
+          const res = await fieldsService.getById(field.id);
+          if (res.data) fieldRecord = { ...field, ...res.data };
+        } catch {
+          // Schematic view still works without the outline
+        }
+      }
+
+      let nextParcels;
+      if (allocation) {
+        const rows = Array.isArray(allocation) ? allocation : (allocation.parcels || allocation.orders || []);
+        nextParcels = buildAllocationParcels(rows, currentUserId);
+      } else if (viewerRole === 'farmer' && orders.length > 0) {
+        // Farmer already holds every order on their own field
+        nextParcels = buildAllocationParcels(orders, currentUserId);
+      } else {
+        let occupancy = null;
+        try {
+          const res = await fieldsService.getOccupancy(field.id);
+          occupancy = res.data || null;
+        } catch {
+          occupancy = null;
+        }
+        nextParcels = parcelsFromOccupancy(occupancy, orders, currentUserId);
+        if (!cancelled) setUsingFallback(true);
+        if (occupancy && !allocation) allocation = { total_area_m2: occupancy.total_area_m2 };
+      }
+
+      if (cancelled) return;
+      setParcels(nextParcels);
+      setBoundary(getFieldBoundary(allocation && !Array.isArray(allocation) ? allocation : null) || getFieldBoundary(fieldRecord));
+      setTotalAreaM2(fieldTotalAreaM2(fieldRecord, Array.isArray(allocation) ? null : allocation));
+      setLoading(false);
+    })();
+    return () => { cancelled = true; };
+    // eslint-disable-next-line react-hooks/exhaustive-deps -- reload per opened field, not on every parent re-render of `orders`
+  }, [open, field?.id, currentUserId, viewerRole]);
+
+  const layout = useMemo(() => layoutParcelFractions(parcels, totalAreaM2), [parcels, totalAreaM2]);
+  const parcelCollection = useMemo(
+    () => (boundary ? splitBoundaryIntoParcels(boundary, parcels, totalAreaM2) : null),
+    [boundary, parcels, totalAreaM2]
+  );
+  const mapBounds = useMemo(() => {
+    const pts = boundaryVertices(boundary);
+    if (!pts.length) return null;
+    const lngs = pts.map((p) => p[0]);
+    const lats = pts.map((p) => p[1]);
+    return [[Math.min(...lngs), Math.min(...lats)], [Math.max(...lngs), Math.max(...lats)]];
+  }, [boundary]);
+
+  const mapboxToken = process.env.REACT_APP_MAPBOX_ACCESS_TOKEN;
+  const myM2 = parcels.filter((p) => p.isMine).reduce((s, p) => s + p.areaM2, 0);
+
+  const parcelLabel = (p) => {
+    if (p.aggregate) return 'Other buyers';
+    if (p.isMine) return viewerRole === 'farmer' ? (p.buyerName || 'Your order') : 'Your plot';
+    if (viewerRole === 'farmer') return p.buyerName || `Order #${p.orderId}`;
+    return 'Other buyer';
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth PaperProps={{ sx: { borderRadius: 3 } }}>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', pb: 1 }}>
+        <Stack direction="row" spacing={1} alignItems="center">
+          <GridView sx={{ color: '#4caf50' }} />
+          <Box>
+            <Typography variant="h6" sx={{ fontWeight: 700, fontSize: '1.1rem', lineHeight: 1.2 }}>
+              Plot allocation
+            </Typography>
+            <Typography variant="caption" color="text.secondary">
+              {field?.name || field?.field_name || 'Field'}
+              {totalAreaM2 > 0 ? ` · ${formatAreaFromM2(totalAreaM2, 'm2')}` : ''}
+            </Typography>
+          </Box>
+        </Stack>
+        <IconButton onClick={onClose} size="small">
+          <Close />
+        </IconButton>
+      </DialogTitle>
+      <DialogContent dividers>
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+            <CircularProgress sx={{ color: '#4caf50' }} />
+          </Box>
+        ) : (
+          <>
+            {viewerRole !== 'farmer' && myM2 > 0 && (
+              <Typography variant="body2" sx={{ mb: 1.5, color: '#0f172a' }}>
+                Your square metres on this field: <strong>{formatAreaFromM2(myM2, 'm2')}</strong>, outlined in red.
+              </Typography>
+            )}
+
+            {parcelCollection && mapBounds && mapboxToken ? (
+              <Box sx={{ height: 340, borderRadius: 2, overflow: 'hidden', border: '1px solid #e2e8f0', mb: 2 }}>
+                <MapboxMap
+                  initialViewState={{ bounds: mapBounds, fitBoundsOptions: { padding: 40 } }}
+                  mapboxAccessToken={mapboxToken}
+                  attributionControl={false}
+                  style={{ width: '100%', height: '100%' }}
+                  mapStyle="mapbox://styles/superfroggy/cmfwppeyl00dl01r0287fe98o"
+                >
+                  <NavigationControl position="top-right" />
+                  <Source id="allocation-parcels" type="geojson" data={parcelCollection}>
+                    <Layer
+                      id="allocation-parcels-fill"
+                      type="fill"
+                      paint={{ 'fill-color': ['get', 'color'], 'fill-opacity': 0.55 }}
+                    />
+                    <Layer
+                      id="allocation-parcels-line"
+                      type="line"
+                      paint={{
+                        'line-color': ['case', ['get', 'isMine'], MINE_OUTLINE_COLOR, '#ffffff'],
+                        'line-width': ['case', ['get', 'isMine'], 3, 1],
+                      }}
+                    />
+                  </Source>
+                </MapboxMap>
+              </Box>
+            ) : (
+              <Box
+                sx={{
+                  display: 'flex',
+                  height: 120,
+                  borderRadius: 2,
+                  overflow: 'hidden',
+                  border: '1px solid #e2e8f0',
+                  mb: 1,
+                }}
+              >
+                {layout.parcels.filter((p) => p.fraction > 0).map((p) => (
+                  <Tooltip key={p.id} title={`${parcelLabel(p)} · ${formatAreaFromM2(p.areaM2, 'm2')} · ${ALLOCATION_STATUS_META[p.status]?.label}`}>
+                    <Box
+                      sx={{
+                        width: `${p.fraction * 100}%`,
+                        bgcolor: ALLOCATION_STATUS_META[p.status]?.color,
+                        opacity: 0.8,
+                        borderRight: '1px solid #fff',
+                        boxShadow: p.isMine ? `inset 0 0 0 3px ${MINE_OUTLINE_COLOR}` : 'none',
+                      }}
+                    />
+                  </Tooltip>
+                ))}
+                {layout.availableFraction > 0 && (
+                  <Tooltip title="Available">
+                    <Box sx={{ flex: 1, bgcolor: AVAILABLE_PARCEL_COLOR }} />
+                  </Tooltip>
+                )}
+              </Box>
+            )}
+            {!parcelCollection && (
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2 }}>
+                This field has no drawn boundary yet, so parcels are shown as strips of the total area.
+              </Typography>
+            )}
+
+            <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap sx={{ mb: 2 }}>
+              {Object.entries(ALLOCATION_STATUS_META).map(([key, meta]) => (
+                <Chip
+                  key={key}
+                  size="small"
+                  label={meta.label}
+                  sx={{ bgcolor: meta.color, color: '#fff', fontWeight: 600 }}
+                />
+              ))}
+              <Chip size="small" label="Available" sx={{ bgcolor: AVAILABLE_PARCEL_COLOR, fontWeight: 600 }} />
+            </Stack>
+
+            {parcels.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                No area on this field has been leased yet.
+              </Typography>
+            ) : (
+              <Stack spacing={0.75}>
+                {parcels.map((p) => (
+                  <Box
+                    key={p.id}
+                    sx={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'space-between',
+                      px: 1.5,
+                      py: 1,
+                      borderRadius: 1.5,
+                      border: `1px solid ${p.isMine ? MINE_OUTLINE_COLOR : '#e2e8f0'}`,
+                      bgcolor: p.isMine ? '#fff1f2' : '#fff',
+                    }}
+                  >
+                    <Stack direction="row" spacing={1} alignItems="center">
+                      <Box sx={{ width: 12, height: 12, borderRadius: '3px', bgcolor: ALLOCATION_STATUS_META[p.status]?.color }} />
+                      <Typography variant="body2" sx={{ fontWeight: 600, fontSize: '0.85rem' }}>
+                        {parcelLabel(p)}
+                      </Typography>
+                      {p.orderId != null && (viewerRole === 'farmer' || p.isMine) && (
+                        <Typography variant="caption" color="text.secondary">#{p.orderId}</Typography>
+                      )}
+                    </Stack>
+                    <Stack direction="row" spacing={1} alignItems="center">
+                      <Typography variant="body2" sx={{ fontSize: '0.85rem' }}>
+                        {formatAreaFromM2(p.areaM2, 'm2')}
+                      </Typography>
+                      <Chip size="small" label={ALLOCATION_STATUS_META[p.status]?.label} variant="outlined" />
+                    </Stack>
+                  </Box>
+                ))}
+              </Stack>
+            )}
+            {usingFallback && (
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1.5 }}>
+                Parcel detail per buyer is not available from the server yet; other buyers are grouped together.
+              </Typography>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} sx={{ color: '#4caf50', fontWeight: 600 }}>
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default FieldAllocationDialog;
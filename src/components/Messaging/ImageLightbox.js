@@ -0,0 +1,85 @@
+import React, { useEffect } from 'react';
+import { Box, Dialog, IconButton, Stack, Typography } from '@mui/material';
+import { ChevronLeft, ChevronRight, Close, Download } from '@mui/icons-material';
+
+/**
+ * Full-size viewer for the images of a conversation. Arrow keys / buttons step through `images`.
+ * @param {{ url: string, name?: string }[]} images
+ */
+const ImageLightbox = ({ images, index, onIndexChange, onClose }) => {
+  const open = index != null && index >= 0 && index < images.length;
+  const image = open ? images[index] : null;
+  const hasPrev = open && index > 0;
+  const hasNext = open && index < images.length - 1;
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const onKey = (e) => {
+      if (e.key === 'ArrowLeft' && hasPrev) onIndexChange(index - 1);
+      if (e.key === 'ArrowRight' && hasNext) onIndexChange(index + 1);
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [open, index, hasPrev, hasNext, onIndexChange]);
+
+  const navSx = {
+    position: 'absolute',
+    top: '50%',
+    transform: 'translateY(-50%)',
+    color: 'white',
+    bgcolor: 'rgba(0,0,0,0.4)',
+    '&:hover': { bgcolor: 'rgba(0,0,0,0.6)' }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="lg"
+      PaperProps={{ sx: { bgcolor: '#0f172a', color: 'white', borderRadius: 2, overflow: 'hidden' } }}
+    >
+      {image && (
+        <>
+          <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ px: 2, py: 1 }}>
+            <Typography noWrap sx={{ fontSize: '0.85rem', fontWeight: 600, mr: 2 }}>
+              {image.name || 'Photo'}
+              {images.length > 1 && (
+                <Box component="span" sx={{ ml: 1, opacity: 0.6, fontWeight: 400 }}>
+                  {index + 1} / {images.length}
+                </Box>
+              )}
+            </Typography>
+            <Stack direction="row" spacing={0.5}>
+              <IconButton size="small" component="a" href={image.url} target="_blank" rel="noopener noreferrer" download sx={{ color: 'white' }}>
+                <Download fontSize="small" />
+              </IconButton>
+              <IconButton size="small" onClick={onClose} sx={{ color: 'white' }}>
+                <Close fontSize="small" />
+              </IconButton>
+            </Stack>
+          </Stack>
+          <Box sx={{ position: 'relative', lineHeight: 0, bgcolor: 'black' }}>
+            <Box
+              component="img"
+              src={image.url}
+              alt={image.name || 'Photo'}
+              sx={{ display: 'block', maxWidth: '100%', maxHeight: '80vh', mx: 'auto', objectFit: 'contain' }}
+            />
+            {hasPrev && (
+              <IconButton onClick={() => onIndexChange(index - 1)} sx={{ ...navSx, left: 8 }}>
+                <ChevronLeft />
+              </IconButton>
+            )}
+            {hasNext && (
+              <IconButton onClick={() => onIndexChange(index + 1)} sx={{ ...navSx, right: 8 }}>
+                <ChevronRight />
+              </IconButton>
+            )}
+          </Box>
+        </>
+      )}
+    </Dialog>
+  );
+};
+
+export default ImageLightbox;
@@ -0,0 +1,77 @@
+import React from 'react';
+import { Box, CircularProgress, Stack, Typography } from '@mui/material';
+import { PictureAsPdf, OpenInNew } from '@mui/icons-material';
+import { formatFileSize } from '../../utils/messageAttachments';
+
+/**
+ * Body of an image / PDF message bubble. Images render as a thumbnail that opens the lightbox;
+ * PDFs as a file card linking to the stored document. `uploading` shows the local preview dimmed.
+ */
+const MessageAttachment = ({ attachment, isMe, uploading = false, onOpenImage }) => {
+  if (attachment.type === 'image') {
+    return (
+      <Box
+        onClick={uploading ? undefined : () => onOpenImage && onOpenImage(attachment)}
+        sx={{
+          position: 'relative',
+          cursor: uploading ? 'default' : 'zoom-in',
+          borderRadius: 2,
+          overflow: 'hidden',
+          lineHeight: 0,
+          mx: -0.8,
+          mt: -0.4
+        }}
+      >
+        <Box
+          component="img"
+          src={attachment.url}
+          alt={attachment.name || 'Photo'}
+          loading="lazy"
+          sx={{ width: 220, maxWidth: '100%', maxHeight: 220, objectFit: 'cover', opacity: uploading ? 0.5 : 1 }}
+        />
+        {uploading && (
+          <CircularProgress size={22} sx={{ position: 'absolute', top: 'calc(50% - 11px)', left: 'calc(50% - 11px)', color: 'white' }} />
+        )}
+      </Box>
+    );
+  }
+
+  return (
+    <Stack
+      component={uploading ? 'div' : 'a'}
+      href={uploading ? undefined : attachment.url}
+      target="_blank"
+      rel="noopener noreferrer"
+      direction="row"
+      alignItems="center"
+      spacing={1.2}
+      sx={{
+        minWidth: 200,
+        p: 1,
+        mx: -0.6,
+        borderRadius: 1.5,
+        textDecoration: 'none',
+        color: 'inherit',
+        backgroundColor: isMe ? 'rgba(255,255,255,0.15)' : '#f8fafc',
+        border: isMe ? '1px solid rgba(255,255,255,0.3)' : '1px solid #e2e8f0'
+      }}
+    >
+      {uploading ? (
+        <CircularProgress size={22} sx={{ color: isMe ? 'white' : '#4caf50' }} />
+      ) : (
+        <PictureAsPdf sx={{ fontSize: 28, color: isMe ? 'white' : '#dc2626' }} />
+      )}
+      <Box sx={{ minWidth: 0, flex: 1 }}>
+        <Typography noWrap sx={{ fontSize: '0.8125rem', fontWeight: 600 }}>
+          {attachment.name || 'Document'}
+        </Typography>
+        <Typography variant="caption" sx={{ fontSize: '0.68rem', opacity: 0.8 }}>
+          {uploading ? 'Uploading…' : `PDF · ${formatFileSize(attachment.size)}`}
+        </Typography>
+      </Box>
+      {!uploading && <OpenInNew sx={{ fontSize: 16, opacity: 0.7 }} />}
+    </Stack>
+  );
+};
+
+export default MessageAttachment;
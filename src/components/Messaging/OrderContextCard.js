@@ -0,0 +1,75 @@
+import React from 'react';
+import { Box, Button, Chip, CircularProgress, Stack, Typography } from '@mui/material';
+import { Agriculture, OpenInNew } from '@mui/icons-material';
+
+const STATUS_COLORS = {
+  pending: 'warning',
+  active: 'info',
+  shipped: 'primary',
+  completed: 'success',
+  cancelled: 'error',
+};
+
+const formatDate = (value) => {
+  if (!value) return 'Not set';
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? String(value) : d.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+/**
+ * Order summary pinned above an order-linked thread.
+ * @param {object|null} context see utils/orderConversation.orderContext; null while loading
+ */
+const OrderContextCard = ({ orderId, context, onOpenOrder }) => (
+  <Stack
+    direction="row"
+    alignItems="center"
+    spacing={1.5}
+    sx={{
+      px: 2,
+      py: 1,
+      borderBottom: '1px solid #e2e8f0',
+      backgroundColor: '#f0fdf4',
+      flexShrink: 0
+    }}
+  >
+    <Agriculture sx={{ color: '#059669', fontSize: 22 }} />
+    {context ? (
+      <>
+        <Box sx={{ flex: 1, minWidth: 0 }}>
+          <Stack direction="row" alignItems="center" spacing={1}>
+            <Typography noWrap sx={{ fontSize: '0.8125rem', fontWeight: 600, color: '#1e293b' }}>
+              Order #{context.order_id} · {context.field_name}
+            </Typography>
+            <Chip
+              label={context.status}
+              size="small"
+              color={STATUS_COLORS[context.status] || 'default'}
+              sx={{ height: 18, fontSize: '0.65rem', textTransform: 'capitalize' }}
+            />
+          </Stack>
+          <Typography noWrap sx={{ fontSize: '0.72rem', color: '#64748b' }}>
+            {context.quantity.toLocaleString()} m² · Harvest {formatDate(context.harvest_date)}
+          </Typography>
+        </Box>
+        {onOpenOrder && (
+          <Button
+            size="small"
+            endIcon={<OpenInNew sx={{ fontSize: 14 }} />}
+            onClick={onOpenOrder}
+            sx={{ textTransform: 'none', color: '#059669', fontSize: '0.75rem', flexShrink: 0 }}
+          >
+            View order
+          </Button>
+        )}
+      </>
+    ) : (
+      <Stack direction="row" alignItems="center" spacing={1} sx={{ flex: 1 }}>
+        <Typography sx={{ fontSize: '0.8125rem', fontWeight: 600, color: '#1e293b' }}>Order #{orderId}</Typography>
+        <CircularProgress size={12} />
+      </Stack>
+    )}
+  </Stack>
+);
+
+export default OrderContextCard;
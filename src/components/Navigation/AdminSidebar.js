@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { Drawer, List, ListItem, ListItemIcon, ListItemText, Box, Typography, Chip, Avatar, IconButton, Divider } from '@mui/material';
-import { Dashboard, People, MonetizationOn, Payment, Assessment, Analytics, Close, QuestionAnswer, ExitToApp, Person, AccountBalanceWallet, ShoppingBag, CurrencyExchange, Home, Image } from '@mui/icons-material';
+import { Dashboard, People, MonetizationOn, Payment, Assessment, Analytics, Close, QuestionAnswer, ExitToApp, Person, AccountBalanceWallet, ShoppingBag, CurrencyExchange, Home, Image, Quickreply } from '@mui/icons-material';
 import { useNavigate, useLocation } from 'react-router-dom';
 
 const useIsMobile = () => {
@@ -25,6 +25,7 @@ const AdminSidebar = ({ user, onLogout, open, onClose }) => {
     { text: 'Profile', icon: <Person />, path: '/admin/profile' },
     { text: 'Users', icon: <People />, path: '/admin/users' },
     { text: 'QA', icon: <QuestionAnswer />, path: '/admin/qa' },
+    { text: 'Response templates', icon: <Quickreply />, path: '/admin/response-templates' },
     { text: 'Analytics', icon: <Analytics />, path: '/admin/analytics' },
     { text: 'Coins', icon: <MonetizationOn />, path: '/admin/coins' },
     { text: 'Packages', icon: <ShoppingBag />, path: '/admin/packages' },
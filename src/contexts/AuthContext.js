@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import axios from 'axios'; // Import axios
 import { setAuthTokenProvider } from '../services/api';
+import pushNotificationsService from '../services/pushNotifications';
 const getBaseUrl = () => {
   if (process.env.REACT_APP_API_BASE_URL) return process.env.REACT_APP_API_BASE_URL;
   if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
@@ -70,7 +71,8 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const signup = async (name, email, password, userType, profile_image_url = null, documents = [], preferred_currency = null) => {
+  // referral_code: from a `/signup?ref=` link; the server links the accounts (see utils/promotions)
+  const signup = async (name, email, password, userType, profile_image_url = null, documents = [], preferred_currency = null, referral_code = null) => {
     setLoading(true);
     try {
       const response = await axios.post(`${API_BASE_URL}/api/auth/signup`, {
@@ -80,7 +82,8 @@ export const AuthProvider = ({ children }) => {
         user_type: userType,
         profile_image_url,
         documents,
-        preferred_currency
+        preferred_currency,
+        referral_code
       });
       const { user: newUser, token } = response.data;
       setUser(newUser);
@@ -96,7 +99,14 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = useCallback(() => {
+  const logout = useCallback(async () => {
+    // Still signed in here, so the server-side subscription can be deleted; the next person on this
+    // browser must not receive this account's pushes
+    try {
+      await pushNotificationsService.unsubscribe(user?.id);
+    } catch (err) {
+      console.warn('Could not remove push subscription on logout:', err);
+    }
     setUser(null);
     setToken(null);
     localStorage.removeItem('authToken');
@@ -105,7 +115,7 @@ export const AuthProvider = ({ children }) => {
     if (window.location.pathname !== '/login') {
       window.location.href = '/login';
     }
-  }, []);
+  }, [user?.id]);
 
   const updateUser = useCallback((updatedUserData) => {
     setUser((prevUser) => {
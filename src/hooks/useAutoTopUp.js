@@ -0,0 +1,72 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import coinService from '../services/coinService';
+import { AUTO_TOP_UP_COOLDOWN_MINUTES, autoTopUpDecision, sortedRuns } from '../utils/autoTopUp';
+
+// One run at a time across hook instances (header + BuyCoins)
+let runInFlight = false;
+// A failed request may leave no run behind, so the cooldown is also applied to it locally
+let lastFailureAt = 0;
+
+const inFailureCooldown = () => Date.now() - lastFailureAt < AUTO_TOP_UP_COOLDOWN_MINUTES * 60 * 1000;
+
+/**
+ * Auto top-up settings and run history for the signed-in user (see utils/autoTopUp).
+ * Pass the available coin balance to have a top-up started when it drops below the threshold;
+ * the balance is re-read with getUserBalance before asking the server to charge.
+ */
+const useAutoTopUp = (balance) => {
+  const { user } = useAuth();
+  const enabled = Boolean(user?.id) && String(user?.user_type || '').toLowerCase() !== 'admin';
+  const [settings, setSettings] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const reload = useCallback(async () => {
+    if (!enabled) {
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    try {
+      const [current, history] = await Promise.all([
+        coinService.getAutoTopUp().catch(() => null),
+        coinService.getAutoTopUpHistory(),
+      ]);
+      setSettings(current);
+      setRuns(sortedRuns(history));
+    } finally {
+      setLoading(false);
+    }
+  }, [enabled]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  useEffect(() => {
+    if (loading || typeof balance !== 'number' || runInFlight || inFailureCooldown()) return;
+    if (!autoTopUpDecision(settings, balance, runs).due) return;
+    runInFlight = true;
+    (async () => {
+      try {
+        const { coins } = await coinService.getUserBalance(user.id);
+        if (!autoTopUpDecision(settings, coins, runs).due) return;
+        const { run } = await coinService.runAutoTopUp(coins);
+        if (run) setRuns((prev) => sortedRuns([run, ...prev]));
+        window.dispatchEvent(new CustomEvent('sharecrop-refresh-coins'));
+      } catch (err) {
+        // 409: the server decided the top-up is not due; reload to pick up its view of the runs
+        if (err.response?.status !== 409) console.error('Auto top-up failed:', err);
+        lastFailureAt = Date.now();
+        reload();
+      } finally {
+        runInFlight = false;
+      }
+    })();
+  }, [balance, loading, settings, runs, user?.id, reload]);
+
+  return { settings, setSettings, runs, loading, reload };
+};
+
+export default useAutoTopUp;
@@ -0,0 +1,42 @@
+import { useCallback, useEffect, useState } from 'react';
+import coinService from '../services/coinService';
+import profileService from '../services/profile';
+import { useAuth } from '../contexts/AuthContext';
+import { findCurrencyRate } from '../utils/statementExport';
+
+/**
+ * Coin currency rates plus the signed-in user's preferred currency.
+ * `rate` is the preferred currency's row from /api/coins/currency-rates (null until loaded or when missing).
+ * `reload()` fetches the rates again, e.g. when a checkout rate lock expires.
+ */
+const useCurrencyRates = () => {
+  const { user } = useAuth();
+  const [rates, setRates] = useState([]);
+  const [currency, setCurrency] = useState('USD');
+  const [loading, setLoading] = useState(true);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      const [ratesData, preferred] = await Promise.all([
+        coinService.getCurrencyRates(),
+        user?.id
+          ? profileService.getPreferredCurrency(user.id).then((res) => res.data?.preferred_currency).catch(() => null)
+          : Promise.resolve(null),
+      ]);
+      if (cancelled) return;
+      setRates(Array.isArray(ratesData?.rates) ? ratesData.rates : []);
+      setCurrency((preferred || 'USD').toUpperCase());
+      setLoading(false);
+    })();
+    return () => { cancelled = true; };
+  }, [user?.id, version]);
+
+  const reload = useCallback(() => setVersion((v) => v + 1), []);
+
+  return { rates, currency, rate: findCurrencyRate(rates, currency), loading, reload };
+};
+
+export default useCurrencyRates;
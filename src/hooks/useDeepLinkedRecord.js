@@ -0,0 +1,28 @@
+import { useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+/**
+ * Open the record named in the URL (e.g. `?order=42` from a notification) once it is loaded,
+ * then drop the parameter so closing the dialog or refreshing the list does not reopen it.
+ * `records` may still be loading; `open(record)` runs at most once per parameter value.
+ */
+const useDeepLinkedRecord = (param, records, open) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const wanted = searchParams.get(param);
+  const openRef = useRef(open);
+  openRef.current = open;
+
+  useEffect(() => {
+    if (!wanted || !Array.isArray(records) || records.length === 0) return;
+    const record = records.find((r) => String(r.id) === wanted);
+    if (!record) return;
+    openRef.current(record);
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      next.delete(param);
+      return next;
+    }, { replace: true });
+  }, [param, wanted, records, setSearchParams]);
+};
+
+export default useDeepLinkedRecord;
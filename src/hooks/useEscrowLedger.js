@@ -0,0 +1,23 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import coinService from '../services/coinService';
+import { escrowEntriesByOrder } from '../utils/coinEscrow';
+
+/** Escrow ledger rows for the signed-in user, grouped by order id (see utils/coinEscrow). */
+const useEscrowLedger = () => {
+  const { user } = useAuth();
+  const [entriesByOrder, setEntriesByOrder] = useState(() => new Map());
+
+  const reload = useCallback(async () => {
+    if (!user?.id) return;
+    setEntriesByOrder(escrowEntriesByOrder(await coinService.getEscrowLedger()));
+  }, [user?.id]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { entriesByOrder, reload };
+};
+
+export default useEscrowLedger;
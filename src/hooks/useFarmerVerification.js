@@ -0,0 +1,57 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { userDocumentsService } from '../services/userDocuments';
+import { checklistStatus, isNeedsInfo } from '../utils/farmerVerification';
+
+/**
+ * The signed-in farmer's verification documents and checklist (see utils/farmerVerification).
+ * Expiry reminders are sent by the backend's scheduled document check, which stamps `expiry_reminded_at`;
+ * the client only displays the expiring state.
+ */
+const useFarmerVerification = () => {
+  const { user } = useAuth();
+  const isFarmer = String(user?.user_type || '').toLowerCase() === 'farmer';
+  const [documents, setDocuments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    if (!user?.id || !isFarmer) {
+      setLoading(false);
+      return;
+    }
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await userDocumentsService.getUserDocuments(user.id);
+      setDocuments(Array.isArray(response.data) ? response.data : []);
+    } catch (err) {
+      console.error('Failed to load verification documents', err);
+      setError('Failed to load license information');
+    } finally {
+      setLoading(false);
+    }
+  }, [user?.id, isFarmer]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const country = user?.country || user?.country_code || null;
+  const status = useMemo(() => checklistStatus(documents, country), [documents, country]);
+
+  return {
+    documents,
+    loading,
+    error,
+    reload,
+    country,
+    status,
+    // An admin asked for more information before approving (user.info_request)
+    needsInfo: isFarmer && isNeedsInfo(user),
+    // The backend also flags the account once a required document lapses
+    listingsSuspended: isFarmer && (Boolean(user?.listings_suspended) || status.lapsed.length > 0),
+  };
+};
+
+export default useFarmerVerification;
@@ -1,13 +1,58 @@
-import { useState, useCallback, useEffect, useRef } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import notificationsService from '../services/notifications';
+import profileService from '../services/profile';
 import { useAuth } from '../contexts/AuthContext';
+import { isNotificationRead } from '../utils/notifications';
+import {
+  DEFAULT_NOTIFICATION_PREFERENCES,
+  isChannelEnabled,
+  normalizeNotificationPreferences,
+  notificationEventType,
+} from '../utils/notificationPreferences';
+
+/**
+ * Read-state changes are broadcast so every useNotifications instance (each role view, BrowseFields)
+ * and every open tab shows the same unread count without waiting for the next poll.
+ */
+const SYNC_CHANNEL = 'sharecrop-notifications';
+const SYNC_STORAGE_KEY = 'sharecrop-notifications-sync';
+
+function openSyncChannel(onMessage) {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(SYNC_CHANNEL);
+    channel.onmessage = (e) => onMessage(e.data);
+    return { post: (msg) => channel.postMessage(msg), close: () => channel.close() };
+  }
+  // Fallback: the storage event reaches other tabs only
+  const onStorage = (e) => {
+    if (e.key !== SYNC_STORAGE_KEY || !e.newValue) return;
+    try {
+      onMessage(JSON.parse(e.newValue));
+    } catch {
+      // Ignore malformed payloads
+    }
+  };
+  window.addEventListener('storage', onStorage);
+  return {
+    post: (msg) => {
+      try {
+        localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify({ ...msg, at: Date.now() }));
+      } catch {
+        // Storage may be unavailable (private mode); other tabs catch up on the next poll
+      }
+    },
+    close: () => window.removeEventListener('storage', onStorage),
+  };
+}
+
+const normalizeNotification = (n) => ({ ...n, read: isNotificationRead(n) });
 
 const useNotifications = () => {
   const [notifications, setNotifications] = useState([]);
   const [backendNotifications, setBackendNotifications] = useState([]);
+  const [notificationPreferences, setNotificationPreferences] = useState(DEFAULT_NOTIFICATION_PREFERENCES);
   const { user } = useAuth();
-  // Track which notifications we've already dismissed locally
-  const dismissedNotificationIds = useRef(new Set());
+  const syncRef = useRef(null);
 
   const removeNotification = useCallback((id) => {
     setNotifications(prev => prev.filter(notification => notification.id !== id));
@@ -39,11 +84,7 @@ const useNotifications = () => {
     if (user && user.id) {
       try {
         const userNotifications = await notificationsService.getUserNotifications(user.id);
-        // Filter out notifications that have been dismissed locally
-        const filteredNotifications = Array.isArray(userNotifications)
-          ? userNotifications.filter(notif => !dismissedNotificationIds.current.has(notif.id))
-          : [];
-        setBackendNotifications(filteredNotifications);
+        setBackendNotifications(Array.isArray(userNotifications) ? userNotifications.map(normalizeNotification) : []);
       } catch (error) {
         console.error('Failed to fetch notifications:', error);
       }
@@ -51,40 +92,110 @@ const useNotifications = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [user?.id]); // Only depend on user.id to prevent infinite loops
 
-  // Mark backend notification as read
-  // Note: We only update local state since the backend endpoint may not exist
-  const markNotificationAsRead = useCallback(async (notificationId) => {
-    // Mark as dismissed locally so it won't reappear on next fetch
-    dismissedNotificationIds.current.add(notificationId);
+  // Per-event in-app preferences; Settings broadcasts changes after saving
+  useEffect(() => {
+    if (!user?.id) return undefined;
+    let cancelled = false;
+    profileService.getNotificationPreferences(user.id)
+      .then((res) => {
+        if (!cancelled) setNotificationPreferences(normalizeNotificationPreferences(res.data?.notification_preferences));
+      })
+      .catch(() => {
+        // Keep defaults when the profile has no preferences yet
+      });
+    const onSettingsUpdated = (e) => {
+      if (e.detail?.notificationPreferences) {
+        setNotificationPreferences(normalizeNotificationPreferences(e.detail.notificationPreferences));
+      }
+    };
+    window.addEventListener('sharecrop-settings-updated', onSettingsUpdated);
+    return () => {
+      cancelled = true;
+      window.removeEventListener('sharecrop-settings-updated', onSettingsUpdated);
+    };
+  }, [user?.id]);
+
+  // Events the user turned off in-app are hidden here (and from the unread count)
+  const visibleNotifications = useMemo(
+    () => backendNotifications.filter(n => isChannelEnabled(notificationPreferences, notificationEventType(n), 'in_app')),
+    [backendNotifications, notificationPreferences]
+  );
 
-    // Update local state to mark as read
+  const applyRead = useCallback((ids, read = true) => {
+    const idSet = new Set(ids.map(String));
     setBackendNotifications(prev =>
-      prev.map(notif =>
-        notif.id === notificationId ? { ...notif, read: true } : notif
-      )
+      prev.map(notif => (idSet.has(String(notif.id)) ? { ...notif, read } : notif))
     );
+  }, []);
+
+  // Other instances and tabs of the same user
+  useEffect(() => {
+    if (!user?.id) return undefined;
+    const sync = openSyncChannel((msg) => {
+      if (!msg || String(msg.userId) !== String(user.id)) return;
+      if (msg.type === 'read') applyRead(msg.ids);
+      else if (msg.type === 'read-all') setBackendNotifications(prev => prev.map(n => ({ ...n, read: true })));
+    });
+    syncRef.current = sync;
+    return () => {
+      sync.close();
+      syncRef.current = null;
+    };
+  }, [user?.id, applyRead]);
 
-    // Optionally try to call API, but don't fail if it doesn't exist
+  const broadcast = useCallback((msg) => {
+    if (syncRef.current && user?.id) syncRef.current.post({ ...msg, userId: user.id });
+  }, [user?.id]);
+
+  // Mark backend notification as read (optimistic; reverted if the server rejects it)
+  const markNotificationAsRead = useCallback(async (notificationId) => {
+    applyRead([notificationId]);
     try {
       await notificationsService.markAsRead(notificationId);
+      broadcast({ type: 'read', ids: [notificationId] });
     } catch (error) {
-      // Silently ignore - we've already updated local state
-      // The notification is already marked as read in UI and won't reappear
+      console.error('Failed to mark notification as read:', error);
+      applyRead([notificationId], false);
     }
-  }, []);
+  }, [applyRead, broadcast]);
+
+  const markAllNotificationsAsRead = useCallback(async () => {
+    if (!user?.id) return;
+    const unreadIds = visibleNotifications.filter(n => !n.read).map(n => n.id);
+    if (unreadIds.length === 0) return;
+    applyRead(unreadIds);
+    try {
+      await notificationsService.markAllAsRead(user.id);
+      broadcast({ type: 'read-all' });
+    } catch {
+      // Older backends only expose the per-notification route
+      const results = await Promise.allSettled(unreadIds.map(id => notificationsService.markAsRead(id)));
+      const failed = unreadIds.filter((_, i) => results[i].status === 'rejected');
+      const done = unreadIds.filter((_, i) => results[i].status === 'fulfilled');
+      if (failed.length) applyRead(failed, false);
+      if (done.length) broadcast({ type: 'read', ids: done });
+    }
+  }, [user?.id, visibleNotifications, applyRead, broadcast]);
 
   // Fetch notifications when user changes
   useEffect(() => {
     fetchBackendNotifications();
   }, [fetchBackendNotifications]);
 
-  // Poll for new notifications every 30 seconds for real-time updates
+  // Poll for new notifications every 30 seconds, and catch up as soon as a background tab is shown again
   useEffect(() => {
     if (user && user.id) {
       const interval = setInterval(() => {
         fetchBackendNotifications();
       }, 30000);
-      return () => clearInterval(interval);
+      const onVisible = () => {
+        if (document.visibilityState === 'visible') fetchBackendNotifications();
+      };
+      document.addEventListener('visibilitychange', onVisible);
+      return () => {
+        clearInterval(interval);
+        document.removeEventListener('visibilitychange', onVisible);
+      };
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [user?.id, fetchBackendNotifications]);
@@ -93,13 +204,16 @@ const useNotifications = () => {
 
   return {
     notifications,
-    backendNotifications,
+    backendNotifications: visibleNotifications,
+    unreadCount: visibleNotifications.filter(n => !n.read).length,
+    notificationPreferences,
     addNotification,
     removeNotification,
     clearNotifications,
     fetchBackendNotifications,
-    markNotificationAsRead
+    markNotificationAsRead,
+    markAllNotificationsAsRead,
   };
 };
 
-export default useNotifications;
\ No newline at end of file
+export default useNotifications;
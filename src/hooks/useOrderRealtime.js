@@ -0,0 +1,34 @@
+import { useEffect, useRef } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { subscribeToOrderEvents } from '../services/orderRealtime';
+
+/**
+ * Subscribe the current user to live order events (see services/orderRealtime).
+ * `onEvent` runs for every event; `onRefresh` runs once after a burst of events settles,
+ * for callers that re-fetch instead of patching rows (a status change often touches several rows).
+ */
+const useOrderRealtime = ({ onEvent, onRefresh, refreshDelayMs = 800 } = {}) => {
+  const { user } = useAuth();
+  const onEventRef = useRef(onEvent);
+  const onRefreshRef = useRef(onRefresh);
+  onEventRef.current = onEvent;
+  onRefreshRef.current = onRefresh;
+
+  useEffect(() => {
+    if (!user?.id) return undefined;
+    let timeoutId = null;
+    const unsubscribe = subscribeToOrderEvents(user.id, (event) => {
+      if (onEventRef.current) onEventRef.current(event);
+      if (onRefreshRef.current) {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => onRefreshRef.current && onRefreshRef.current(), refreshDelayMs);
+      }
+    });
+    return () => {
+      clearTimeout(timeoutId);
+      unsubscribe();
+    };
+  }, [user?.id, refreshDelayMs]);
+};
+
+export default useOrderRealtime;
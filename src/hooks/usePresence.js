@@ -0,0 +1,18 @@
+import { useEffect, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { subscribeToPresence } from '../services/presence';
+
+/** Marks the current user online in their conversations and returns the online ids of the people in them (see services/presence). */
+const usePresence = () => {
+  const { user } = useAuth();
+  const [onlineUserIds, setOnlineUserIds] = useState(() => new Set());
+
+  useEffect(() => {
+    if (!user?.id) return undefined;
+    return subscribeToPresence(user.id, (online) => setOnlineUserIds(new Set(online)));
+  }, [user?.id]);
+
+  return onlineUserIds;
+};
+
+export default usePresence;
@@ -23,6 +23,7 @@ const BrowseFields = () => {
     removeNotification,
     backendNotifications,
     markNotificationAsRead,
+    markAllNotificationsAsRead,
     fetchBackendNotifications,
   } = useNotifications();
 
@@ -104,6 +105,7 @@ const BrowseFields = () => {
         onLogout={isAuthenticated ? logout : undefined}
         backendNotifications={backendNotifications}
         onMarkNotificationAsRead={markNotificationAsRead}
+        onMarkAllNotificationsAsRead={markAllNotificationsAsRead}
         onRefreshNotifications={fetchBackendNotifications}
       />
 
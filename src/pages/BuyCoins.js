@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import {
   Box,
   Typography,
@@ -13,6 +13,10 @@ import {
   Stack,
   Divider,
   TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
 } from '@mui/material';
 import {
   MonetizationOn,
@@ -25,19 +29,29 @@ import {
   ArrowBack,
   ShoppingCart,
   Verified,
+  Lock,
+  Refresh,
+  LocalOffer,
 } from '@mui/icons-material';
 import { useSearchParams, useLocation, useNavigate } from 'react-router-dom';
 import coinService, { MAX_CUSTOM_COINS_PURCHASE } from '../services/coinService';
+import useCurrencyRates from '../hooks/useCurrencyRates';
+import AutoTopUpCard from '../components/Common/AutoTopUpCard';
+import ReferralCard from '../components/Common/ReferralCard';
+import {
+  COIN_PURCHASE_APP_FEE_PERCENT,
+  checkoutCurrencies,
+  coinCheckoutFeeBreakdown,
+  coinsToCheckoutAmount,
+  createRateLock,
+  formatCheckoutAmount,
+  isRateLockExpired,
+  resolveCheckoutCurrency,
+  usdToCheckoutAmount,
+} from '../utils/coinCheckout';
+import { describePromo, normalizePromoCode, promoPreview } from '../utils/promotions';
 
-/** Must match backend coin purchase fee in `routes/coins.js`. */
-const COIN_PURCHASE_APP_FEE_PERCENT = 5;
-
-function coinCheckoutFeeBreakdown(subtotal) {
-  const s = Number(subtotal) || 0;
-  const fee = Math.round(s * 100 * (COIN_PURCHASE_APP_FEE_PERCENT / 100)) / 100;
-  const total = Math.round((s + fee) * 100) / 100;
-  return { subtotal: s, fee, total };
-}
+const formatLockTime = (iso) => new Date(iso).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
 
 const BuyCoins = ({ onSuccess }) => {
   const navigate = useNavigate();
@@ -48,13 +62,19 @@ const BuyCoins = ({ onSuccess }) => {
   const successUrl = `${origin}${basePath}?success=1`;
   const cancelUrl = `${origin}${basePath}?cancel=1`;
   const [packs, setPacks] = useState([]);
-  const [currencyRates, setCurrencyRates] = useState([]);
+  const { rates: currencyRates, currency: preferredCurrency, loading: ratesLoading, reload: reloadRates } = useCurrencyRates();
   const [loading, setLoading] = useState(true);
   const [purchasing, setPurchasing] = useState(null);
   const [error, setError] = useState(null);
   const [customCoins, setCustomCoins] = useState('');
-  /** Checkout currency: USD-only for now (product decision). Keep state for easy restore with commented currency UI below. */
-  const [selectedCurrency, setSelectedCurrency] = useState('USD');
+  /** Checkout currency: the preferred one when an admin enabled it for payments (see utils/coinCheckout), else USD. */
+  const [selectedCurrency, setSelectedCurrency] = useState(null);
+  const [rateLock, setRateLock] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const [promoInput, setPromoInput] = useState('');
+  /** Promo accepted by coinService.validatePromoCode; the server applies it again at checkout. */
+  const [appliedPromo, setAppliedPromo] = useState(null);
+  const [checkingPromo, setCheckingPromo] = useState(false);
   const purchaseInProgressRef = useRef(false);
   const success = searchParams.get('success');
   const cancel = searchParams.get('cancel');
@@ -67,15 +87,10 @@ const BuyCoins = ({ onSuccess }) => {
 
   useEffect(() => {
     let mounted = true;
-    Promise.all([
-      coinService.getCoinPacks(),
-      coinService.getCurrencyRates(),
-    ])
-      .then(([packsData, ratesData]) => {
+    coinService.getCoinPacks()
+      .then((packsData) => {
         if (!mounted) return;
         if (packsData.packs) setPacks(packsData.packs);
-        if (ratesData.rates) setCurrencyRates(ratesData.rates);
-        setSelectedCurrency('USD');
       })
       .catch((err) => {
         console.error('Error loading coin packs:', err);
@@ -92,25 +107,73 @@ const BuyCoins = ({ onSuccess }) => {
     };
   }, []);
 
-  /*
-   * Multi-currency (restore when product allows non-USD checkout again):
-   * - Re-add `import api from '../services/api'` if using preferred-currency below.
-   * - Replace the effect above with logic that loads preferred currency and sets
-   *   `selectedCurrency` from user preference / first pack / first rate, and re-fetch
-   *   when `user?.id` or `selectedCurrency` changes as needed.
-   * - Uncomment the Currency <Select> block in the Custom Coin card and re-add MUI imports:
-   *   FormControl, InputLabel, Select, MenuItem from '@mui/material'.
-   */
+  const enabledCurrencies = useMemo(() => checkoutCurrencies(currencyRates), [currencyRates]);
+  const checkoutRate = enabledCurrencies.find((r) => r.currency === selectedCurrency) || enabledCurrencies[0];
+
+  useEffect(() => {
+    if (ratesLoading) return;
+    setSelectedCurrency((current) => (
+      enabledCurrencies.some((r) => r.currency === current) ? current : resolveCheckoutCurrency(currencyRates, preferredCurrency)
+    ));
+  }, [ratesLoading, enabledCurrencies, currencyRates, preferredCurrency]);
+
+  // Lock the quote whenever the currency changes or the rates are refreshed
+  useEffect(() => {
+    if (ratesLoading || !selectedCurrency) return;
+    setRateLock(createRateLock(checkoutRate));
+    setNow(Date.now());
+  }, [ratesLoading, selectedCurrency, checkoutRate]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 15000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const rateLockExpired = isRateLockExpired(rateLock, now);
+
+  /** Refuses to start checkout on an expired quote so the buyer sees the new price first. */
+  const lockedQuote = () => {
+    if (isRateLockExpired(rateLock)) {
+      setNow(Date.now());
+      setError('The exchange rate lock has expired. Refresh the rate to see the current price.');
+      return null;
+    }
+    return rateLock;
+  };
+
+  const handleApplyPromo = async () => {
+    const code = normalizePromoCode(promoInput);
+    if (!code) return;
+    setCheckingPromo(true);
+    setError(null);
+    try {
+      const { promo } = await coinService.validatePromoCode(code);
+      setAppliedPromo(promo);
+      setPromoInput('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'That promo code cannot be used');
+    } finally {
+      setCheckingPromo(false);
+    }
+  };
+
+  /** Fee breakdown for a subtotal after the applied promo's discount. */
+  const checkoutBreakdown = (subtotal) =>
+    coinCheckoutFeeBreakdown(promoPreview(appliedPromo, subtotal).subtotal, checkoutRate);
 
   const handleBuy = async (packId) => {
     if (purchaseInProgressRef.current) return;
     setError(null);
+    const quote = lockedQuote();
+    if (!quote) return;
     purchaseInProgressRef.current = true;
     setPurchasing(packId);
     try {
       const { url } = await coinService.createPurchaseIntent(packId, {
         successUrl,
         cancelUrl,
+        rateLock: quote,
+        promoCode: appliedPromo?.code,
       });
       if (url) {
         window.location.href = url;
@@ -137,6 +200,8 @@ const BuyCoins = ({ onSuccess }) => {
       return;
     }
     setError(null);
+    const quote = lockedQuote();
+    if (!quote) return;
     purchaseInProgressRef.current = true;
     setPurchasing('custom');
     try {
@@ -144,7 +209,8 @@ const BuyCoins = ({ onSuccess }) => {
         successUrl,
         cancelUrl,
         customCoins: n,
-        currency: 'USD',
+        rateLock: quote,
+        promoCode: appliedPromo?.code,
       });
       if (url) {
         window.location.href = url;
@@ -164,19 +230,10 @@ const BuyCoins = ({ onSuccess }) => {
     const coins = parseFloat(customCoins);
     if (isNaN(coins) || coins < 1) return null;
 
-    const rate = currencyRates.find((r) => r.currency === selectedCurrency);
-    if (rate?.coins_per_unit) {
-      const coinsPerUnit = parseFloat(rate.coins_per_unit);
-      const price = coins / coinsPerUnit;
-      const symbol = rate.symbol || '$';
-      return { price, symbol, currency: selectedCurrency, coinsPerUnit };
-    }
-    // USD-only: 1 coin = US$1.00 when rates omit USD row
     return {
-      price: coins,
-      symbol: '$',
-      currency: 'USD',
-      coinsPerUnit: 1,
+      price: coinsToCheckoutAmount(coins, checkoutRate),
+      currency: checkoutRate.currency,
+      coinsPerUnit: parseFloat(checkoutRate.coins_per_unit) || 1,
     };
   };
 
@@ -309,12 +366,13 @@ const BuyCoins = ({ onSuccess }) => {
       savings: parseFloat(savings), 
       isPopular, 
       isBestValue,
-      finalPrice: finalPrice,
-      currencySymbol: pack.currencySymbol || pack.currency || '$',
+      // Pack prices are USD; shown and charged in the checkout currency
+      price: usdToCheckoutAmount(pack.price || 0, currencyRates, checkoutRate),
+      finalPrice: usdToCheckoutAmount(finalPrice, currencyRates, checkoutRate),
     };
   });
 
-  if (loading) {
+  if (loading || ratesLoading) {
     return (
       <Container maxWidth="lg">
         <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '60vh' }}>
@@ -342,13 +400,30 @@ const BuyCoins = ({ onSuccess }) => {
         <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block', mt: 1.5, px: 2 }}>
           A <strong>{COIN_PURCHASE_APP_FEE_PERCENT}% platform fee</strong> is added to your payment (you still receive the full coin amount).
         </Typography>
-        {/*
-        <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block', mt: 0.75, px: 2 }}>
-          Non-USD prices use our fixed rates, not live bank exchange rates — choose USD if you prefer to pay in dollars.
-        </Typography>
-        */}
+        {checkoutRate.currency !== 'USD' && (
+          <Typography variant="caption" sx={{ color: 'text.secondary', display: 'block', mt: 0.75, px: 2 }}>
+            Non-USD prices use our fixed rates, not live bank exchange rates — choose USD if you prefer to pay in dollars.
+          </Typography>
+        )}
       </Box>
 
+      {rateLock && (
+        <Alert
+          severity={rateLockExpired ? 'warning' : 'info'}
+          icon={<Lock />}
+          sx={{ mb: 4, borderRadius: 2 }}
+          action={rateLockExpired && (
+            <Button color="inherit" size="small" startIcon={<Refresh />} onClick={reloadRates} sx={{ textTransform: 'none' }}>
+              Refresh rate
+            </Button>
+          )}
+        >
+          {rateLockExpired
+            ? `The rate locked at ${formatLockTime(rateLock.locked_at)} has expired. Refresh to see the current price before paying.`
+            : `Prices below use ${rateLock.coins_per_unit} coins = ${formatCheckoutAmount(1, checkoutRate)} ${rateLock.currency}, locked at ${formatLockTime(rateLock.locked_at)} and guaranteed until ${formatLockTime(rateLock.expires_at)}.`}
+        </Alert>
+      )}
+
       {error && (
         <Alert
           severity="error"
@@ -359,6 +434,39 @@ const BuyCoins = ({ onSuccess }) => {
         </Alert>
       )}
 
+      {/* Promo Code */}
+      <Box sx={{ mb: 4, display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 1.5, flexWrap: 'wrap' }}>
+        {appliedPromo ? (
+          <Chip
+            icon={<LocalOffer />}
+            color="success"
+            label={`${appliedPromo.code} applied: ${describePromo(appliedPromo)}`}
+            onDelete={() => setAppliedPromo(null)}
+            sx={{ fontWeight: 600 }}
+          />
+        ) : (
+          <>
+            <TextField
+              size="small"
+              label="Promo code"
+              value={promoInput}
+              onChange={(e) => setPromoInput(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleApplyPromo()}
+              sx={{ width: 220 }}
+            />
+            <Button
+              variant="outlined"
+              onClick={handleApplyPromo}
+              disabled={checkingPromo || !promoInput.trim()}
+              startIcon={checkingPromo ? <CircularProgress size={18} color="inherit" /> : <LocalOffer />}
+              sx={{ textTransform: 'none' }}
+            >
+              Apply
+            </Button>
+          </>
+        )}
+      </Box>
+
       {/* Custom Coin Input Card */}
       <Card sx={{ mb: 4, borderRadius: 3, boxShadow: 3 }}>
         <CardContent sx={{ p: 4 }}>
@@ -366,29 +474,28 @@ const BuyCoins = ({ onSuccess }) => {
             Buy Custom Amount
           </Typography>
           <Grid container spacing={3} alignItems="stretch">
-            {/*
-             * Multi-currency dropdown — commented out per product (USD-only checkout). Restore with effect block above.
-            <Grid item xs={12} md={3}>
-              <FormControl fullWidth>
-                <InputLabel>Currency *</InputLabel>
-                <Select
-                  value={selectedCurrency}
-                  label="Currency *"
-                  onChange={(e) => setSelectedCurrency(e.target.value)}
-                  sx={{ height: '56px' }}
-                >
-                  {currencyRates.map((rate) => (
-                    <MenuItem key={rate.currency} value={rate.currency}>
-                      {rate.currency} - {rate.display_name} ({rate.symbol})
-                    </MenuItem>
-                  ))}
-                </Select>
-              </FormControl>
-            </Grid>
-            */}
+            {enabledCurrencies.length > 1 && (
+              <Grid item xs={12} md={3}>
+                <FormControl fullWidth>
+                  <InputLabel>Currency *</InputLabel>
+                  <Select
+                    value={checkoutRate.currency}
+                    label="Currency *"
+                    onChange={(e) => setSelectedCurrency(e.target.value)}
+                    sx={{ height: '56px' }}
+                  >
+                    {enabledCurrencies.map((rate) => (
+                      <MenuItem key={rate.currency} value={rate.currency}>
+                        {rate.currency} - {rate.display_name} ({rate.symbol})
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+            )}
 
             {/* Coins Input */}
-            <Grid item xs={12} md={4}>
+            <Grid item xs={12} md={enabledCurrencies.length > 1 ? 3 : 4}>
               <TextField
                 fullWidth
                 label="Number of Coins *"
@@ -397,26 +504,21 @@ const BuyCoins = ({ onSuccess }) => {
                 onChange={(e) => setCustomCoins(e.target.value)}
                 inputProps={{ min: 1, max: MAX_CUSTOM_COINS_PURCHASE }}
                 placeholder="e.g., 500"
-                helperText={currencyRates.find((r) => r.currency === selectedCurrency)
-                  ? (() => {
-                      const r = currencyRates.find((x) => x.currency === selectedCurrency);
-                      return `${r.coins_per_unit} coins = ${r.symbol}1.00`;
-                    })()
-                  : '1 coin = US$1.00'}
+                helperText={`${checkoutRate.coins_per_unit} coin${Number(checkoutRate.coins_per_unit) === 1 ? '' : 's'} = ${formatCheckoutAmount(1, checkoutRate)}`}
                 sx={{ '& .MuiInputBase-root': { height: '56px' } }}
               />
             </Grid>
 
             {/* Price Display */}
-            <Grid item xs={12} md={4}>
+            <Grid item xs={12} md={enabledCurrencies.length > 1 ? 3 : 4}>
               <TextField
                 fullWidth
                 label="Total at checkout"
                 value={calculateCustomPrice()
                   ? (() => {
                       const cp = calculateCustomPrice();
-                      const b = coinCheckoutFeeBreakdown(cp.price);
-                      return `${cp.symbol}${b.total.toFixed(2)}`;
+                      const b = checkoutBreakdown(cp.price);
+                      return formatCheckoutAmount(b.total, checkoutRate);
                     })()
                   : ''}
                 InputProps={{
@@ -438,12 +540,13 @@ const BuyCoins = ({ onSuccess }) => {
                 helperText={calculateCustomPrice()
                   ? (() => {
                       const cp = calculateCustomPrice();
-                      const b = coinCheckoutFeeBreakdown(cp.price);
+                      const b = checkoutBreakdown(cp.price);
                       const rateLine =
                         cp.coinsPerUnit === 1
-                          ? `${customCoins} coins × ${cp.symbol}1.00 = ${cp.symbol}${b.subtotal.toFixed(2)} subtotal`
-                          : `${customCoins} coins ÷ ${cp.coinsPerUnit} = ${cp.symbol}${b.subtotal.toFixed(2)} subtotal`;
-                      return `${rateLine}. + ${COIN_PURCHASE_APP_FEE_PERCENT}% fee: total ${cp.symbol}${b.total.toFixed(2)}.`;
+                          ? `${customCoins} coins × ${formatCheckoutAmount(1, checkoutRate)} = ${formatCheckoutAmount(cp.price, checkoutRate)} subtotal`
+                          : `${customCoins} coins ÷ ${cp.coinsPerUnit} = ${formatCheckoutAmount(cp.price, checkoutRate)} subtotal`;
+                      const promoLine = appliedPromo ? ` ${appliedPromo.code}: ${describePromo(appliedPromo)}.` : '';
+                      return `${rateLine}.${promoLine} + ${COIN_PURCHASE_APP_FEE_PERCENT}% fee: total ${formatCheckoutAmount(b.total, checkoutRate)}.`;
                     })()
                   : 'Enter coin amount'}
                 placeholder="Enter details to see price"
@@ -481,7 +584,7 @@ const BuyCoins = ({ onSuccess }) => {
             </Grid>
 
             {/* Buy Button */}
-            <Grid item xs={12} md={4}>
+            <Grid item xs={12} md={enabledCurrencies.length > 1 ? 3 : 4}>
               <Button
                 fullWidth
                 variant="contained"
@@ -489,6 +592,7 @@ const BuyCoins = ({ onSuccess }) => {
                 onClick={handleCustomBuy}
                 disabled={
                   purchasing !== null ||
+                  rateLockExpired ||
                   !customCoins ||
                   !Number.isInteger(Number(customCoins)) ||
                   Number(customCoins) < 1 ||
@@ -509,6 +613,10 @@ const BuyCoins = ({ onSuccess }) => {
         </CardContent>
       </Card>
 
+      <AutoTopUpCard packs={packsWithSavings} checkoutRate={checkoutRate} returnUrl={`${origin}${basePath}`} />
+
+      <ReferralCard />
+
       {/* Package Cards */}
       <Grid container spacing={3} justifyContent="center">
         {packsWithSavings.map((pack, index) => {
@@ -613,10 +721,10 @@ const BuyCoins = ({ onSuccess }) => {
                             mb: 0.5
                           }}
                         >
-                          {pack.currencySymbol}{pack.price?.toFixed(2)}
+                          {formatCheckoutAmount(pack.price, checkoutRate)}
                         </Typography>
                         <Typography variant="h4" sx={{ fontWeight: 700, color: 'success.main', mb: 0.5 }}>
-                          {pack.currencySymbol}{pack.finalPrice?.toFixed(2)}
+                          {formatCheckoutAmount(pack.finalPrice, checkoutRate)}
                         </Typography>
                         <Typography variant="caption" sx={{ color: 'success.main', fontWeight: 600 }}>
                           Save {pack.discountPercent}%
@@ -624,7 +732,7 @@ const BuyCoins = ({ onSuccess }) => {
                       </>
                     ) : (
                       <Typography variant="h4" sx={{ fontWeight: 700, color: 'text.primary', mb: 0.5 }}>
-                        {pack.currencySymbol}{pack.finalPrice?.toFixed(2)}
+                        {formatCheckoutAmount(pack.finalPrice, checkoutRate)}
                       </Typography>
                     )}
                     {pack.savings > 0 && pack.discountPercent === 0 && (
@@ -633,18 +741,27 @@ const BuyCoins = ({ onSuccess }) => {
                       </Typography>
                     )}
                     {(() => {
-                      const b = coinCheckoutFeeBreakdown(pack.finalPrice);
+                      const promo = promoPreview(appliedPromo, pack.finalPrice);
+                      const b = checkoutBreakdown(pack.finalPrice);
                       return (
                         <Typography
                           variant="caption"
                           component="div"
                           sx={{ color: 'text.secondary', mt: 1, lineHeight: 1.5, px: 0.5 }}
                         >
-                          + {COIN_PURCHASE_APP_FEE_PERCENT}% app fee ({pack.currencySymbol}
-                          {b.fee.toFixed(2)}) ·{' '}
+                          {promo.discount > 0 && (
+                            <Box component="span" sx={{ display: 'block', color: 'success.main', fontWeight: 600 }}>
+                              {appliedPromo.code}: −{formatCheckoutAmount(pack.finalPrice - b.subtotal, checkoutRate)}
+                            </Box>
+                          )}
+                          {promo.bonusCoins > 0 && (
+                            <Box component="span" sx={{ display: 'block', color: 'success.main', fontWeight: 600 }}>
+                              +{promo.bonusCoins.toLocaleString()} bonus coins
+                            </Box>
+                          )}
+                          + {COIN_PURCHASE_APP_FEE_PERCENT}% app fee ({formatCheckoutAmount(b.fee, checkoutRate)}) ·{' '}
                           <Box component="span" sx={{ fontWeight: 700, color: 'text.primary' }}>
-                            Total {pack.currencySymbol}
-                            {b.total.toFixed(2)}
+                            Total {formatCheckoutAmount(b.total, checkoutRate)}
                           </Box>
                           {' '}at payment
                         </Typography>
@@ -654,7 +771,7 @@ const BuyCoins = ({ onSuccess }) => {
 
                   {/* Value */}
                   <Typography variant="body2" sx={{ color: 'text.secondary', mb: 3 }}>
-                    {pack.currencySymbol}{(pack.coins * 1).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} USD value
+                    US${(pack.coins * 1).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} value
                   </Typography>
 
                   {/* Buy Button */}
@@ -663,7 +780,7 @@ const BuyCoins = ({ onSuccess }) => {
                     variant="contained"
                     size="large"
                     color={pack.isBestValue ? 'warning' : 'primary'}
-                    disabled={purchasing !== null}
+                    disabled={purchasing !== null || rateLockExpired}
                     onClick={(e) => {
                       e.stopPropagation();
                       handleBuy(pack.id);
@@ -20,6 +20,7 @@ import ChangeCurrency from './ChangeCurrency';
 import Settings from './Settings';
 import Notifications from './Notifications';
 import Complaints from './Complaints';
+import HarvestCalendar from './HarvestCalendar';
 import FarmerPublicProfile from './FarmerPublicProfile';
 import { useAuth } from '../contexts/AuthContext';
 import fieldsService from '../services/fields';
@@ -45,7 +46,10 @@ const BuyerView = () => {
     addNotification,
     removeNotification,
     markNotificationAsRead,
-    fetchBackendNotifications
+    markAllNotificationsAsRead,
+    fetchBackendNotifications,
+    unreadCount,
+    notificationPreferences
   } = useNotifications();
   const isMapPage = location.pathname === '/buyer' || location.pathname === '/buyer/';
   const isMessagesPage = location.pathname === '/buyer/messages';
@@ -213,6 +217,7 @@ const BuyerView = () => {
         onLogout={logout}
         backendNotifications={backendNotifications}
         onMarkNotificationAsRead={markNotificationAsRead}
+        onMarkAllNotificationsAsRead={markAllNotificationsAsRead}
         onRefreshNotifications={fetchBackendNotifications}
       />
 
@@ -244,6 +249,7 @@ const BuyerView = () => {
           } />
           <Route path="/rented-fields" element={<RentedFields />} />
           <Route path="/orders" element={<Orders />} />
+          <Route path="/harvest-calendar" element={<HarvestCalendar />} />
           <Route path="/transaction" element={<Transaction />} />
           <Route path="/buy-coins" element={<BuyCoins />} />
           <Route path="/redeem-coins" element={<RedeemCoins />} />
@@ -253,7 +259,17 @@ const BuyerView = () => {
           <Route path="/messages" element={<Messages />} />
           <Route path="/currency" element={<ChangeCurrency />} />
           <Route path="/settings" element={<Settings />} />
-          <Route path="/notifications" element={<Notifications />} />
+          <Route
+            path="/notifications"
+            element={
+              <Notifications
+                unreadCount={unreadCount}
+                notificationPreferences={notificationPreferences}
+                markNotificationAsRead={markNotificationAsRead}
+                markAllNotificationsAsRead={markAllNotificationsAsRead}
+              />
+            }
+          />
           <Route path="/complaints" element={<Complaints />} />
           <Route path="/farmers/:farmerId" element={<FarmerPublicProfile userType="buyer" />} />
         </Routes>
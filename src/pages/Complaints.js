@@ -33,6 +33,8 @@ import { ReportProblem, Add, Visibility, Refresh, Close, AttachFile, Send, Verif
 import { useAuth } from '../contexts/AuthContext';
 import { complaintService } from '../services/complaints';
 import ComplaintForm from '../components/Forms/ComplaintForm';
+import useDeepLinkedRecord from '../hooks/useDeepLinkedRecord';
+import { publicRemarks } from '../utils/complaintAssignment';
 import supabase from '../services/supabase';
 import { v4 as uuidv4 } from 'uuid';
 
@@ -117,6 +119,9 @@ const Complaints = () => {
     setViewDialogOpen(true);
   };
 
+  // Notification deep links (?complaint=<id>)
+  useDeepLinkedRecord('complaint', complaints, handleViewComplaint);
+
   const handleSendReply = async () => {
     if (!selectedComplaint?.id || !replyDraft.trim()) return;
     setReplyLoading(true);
@@ -612,10 +617,11 @@ const Complaints = () => {
               )}
 
               {(() => {
-                const hasConversation = (selectedComplaint.remarks && selectedComplaint.remarks.length > 0) || selectedComplaint.admin_remarks;
+                const remarks = publicRemarks(selectedComplaint.remarks);
+                const hasConversation = remarks.length > 0 || selectedComplaint.admin_remarks;
                 const adminHasRemarked = !!(
                   selectedComplaint.admin_remarks ||
-                  (selectedComplaint.remarks && selectedComplaint.remarks.some((r) => r.author_type === 'admin'))
+                  remarks.some((r) => r.author_type === 'admin')
                 );
                 const isResolved = String(selectedComplaint.status || '').toLowerCase() === 'resolved';
                 const canReply = adminHasRemarked && !isResolved;
@@ -627,7 +633,7 @@ const Complaints = () => {
                         Conversation
                       </Typography>
                       <Stack spacing={1} sx={{ mt: 0.5 }}>
-                        {selectedComplaint.admin_remarks && (!selectedComplaint.remarks || selectedComplaint.remarks.length === 0) && (
+                        {selectedComplaint.admin_remarks && remarks.length === 0 && (
                           <Alert severity="info" sx={{ borderRadius: 2 }}>
                             <Stack direction="row" alignItems="center" spacing={0.5} sx={{ mb: 0.5 }}>
                               <VerifiedUser sx={{ fontSize: 16, color: '#0d9488' }} />
@@ -636,7 +642,7 @@ const Complaints = () => {
                             <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>{selectedComplaint.admin_remarks}</Typography>
                           </Alert>
                         )}
-                        {(selectedComplaint.remarks || []).map((r) => (
+                        {remarks.map((r) => (
                           <Paper key={r.id} variant="outlined" sx={{ p: 1.5, borderRadius: 2, bgcolor: r.author_type === 'admin' ? 'rgba(76, 175, 80, 0.06)' : 'grey.50' }}>
                             <Stack direction="row" alignItems="center" spacing={0.5} sx={{ flexWrap: 'wrap' }}>
                               {r.author_type === 'admin' && <VerifiedUser sx={{ fontSize: 16, color: '#0d9488' }} />}
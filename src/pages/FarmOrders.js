@@ -28,6 +28,8 @@ import {
   FormControl,
   InputLabel,
   TextField,
+  Checkbox,
+  Snackbar,
 } from '@mui/material';
 import {
   ShoppingCart,
@@ -50,6 +52,9 @@ import {
   Info,
   HighlightOff,
   Inventory2,
+  GridView,
+  DoneAll,
+  ChatBubbleOutline,
 } from '@mui/icons-material';
 import { Alert, AlertTitle } from '@mui/material';
 import StatCard from '../components/Common/StatCard';
@@ -59,13 +64,59 @@ import Loader from '../components/Common/Loader';
 import ErrorMessage from '../components/Common/ErrorMessage';
 import { getProductIcon } from '../utils/productIcons';
 import HarvestProgressBar from '../components/Common/HarvestProgressBar';
+import FieldAllocationDialog from '../components/Map/FieldAllocationDialog';
 import fieldsService from '../services/fields';
-import { canSelectShippedOrCompletedStatus, getOrderHarvestYmd } from '../utils/orderHarvestGate';
+import {
+  canSelectShippedOrCompletedStatus,
+  getOrderHarvestYmd,
+  partitionOrdersForStatus,
+} from '../utils/orderHarvestGate';
+import { distributeHarvestByArea, ordersSharingHarvest } from '../utils/harvestDistribution';
 import { getEstimatedDeliveryLeadDays, formatShippingLeadAfterHarvest } from '../utils/fieldEstimatedDelivery';
+import ExportMenu from '../components/Common/ExportMenu';
+import useOrderRealtime from '../hooks/useOrderRealtime';
+import useDeepLinkedRecord from '../hooks/useDeepLinkedRecord';
+import { orderConversationRoute } from '../utils/orderConversation';
 
 const orderProductIconSrc = (order) =>
   getProductIcon(order.subcategory || order.crop_type || order.category);
 
+const orderDate = (order) => order.order_created_at || order.created_at;
+
+const farmOrderExportColumns = (ctx) => {
+  const converted = (o) => ctx.toCurrency(ctx.usdToCoins(o.total_cost));
+  return [
+    { label: 'Order ID', value: (o) => o.id },
+    { label: 'Order date', value: (o) => (orderDate(o) ? new Date(orderDate(o)).toLocaleDateString() : '') },
+    { label: 'Field', value: (o) => o.field_name },
+    { label: 'Buyer', value: (o) => o.buyer_name },
+    { label: 'Buyer email', value: (o) => o.buyer_email },
+    { label: 'Deliver to', value: (o) => o.delivery_address || '' },
+    { label: 'Area (m²)', value: (o) => o.quantity, numeric: true },
+    { label: 'Status', value: (o) => o.status },
+    { label: 'Harvest date', value: (o) => o.order_selected_harvest_date || '' },
+    { label: 'Order value (USD)', value: (o) => Number(o.total_cost).toFixed(2), display: (o) => `$${Number(o.total_cost).toFixed(2)}`, numeric: true },
+    { label: 'Coins', value: (o) => ctx.usdToCoins(o.total_cost), numeric: true },
+    {
+      label: `Order value (${ctx.currency})`,
+      value: (o) => (converted(o) == null ? '' : converted(o).toFixed(2)),
+      display: (o) => ctx.money(converted(o)),
+      numeric: true,
+    },
+  ];
+};
+
+const farmOrderExportSummary = (records, ctx) => {
+  const earning = records.filter((o) => ['active', 'shipped', 'completed'].includes(o.status));
+  const coins = earning.reduce((sum, o) => sum + ctx.usdToCoins(o.total_cost), 0);
+  return [
+    { label: 'Orders', value: records.length },
+    { label: 'Confirmed orders', value: earning.length },
+    { label: 'Confirmed coins', value: coins.toLocaleString() },
+    { label: `Confirmed value (${ctx.currency})`, value: ctx.money(ctx.toCurrency(coins)) },
+  ];
+};
+
 /**
  * Extract delivery address from order notes (map checkout: `Shipping: Delivery | Address: ...`
  * or `| Deliver to: ...`; also splits on `|` and scans segments).
@@ -124,7 +175,6 @@ const FarmOrders = () => {
   const [detailsOpen, setDetailsOpen] = useState(false);
   const [filter, setFilter] = useState('all');
   const [updatingStatus, setUpdatingStatus] = useState(false);
-  const [reportOpen, setReportOpen] = useState(false);
   const [rejectRefundOpen, setRejectRefundOpen] = useState(false);
   const [rejectRefundContext, setRejectRefundContext] = useState({ requestId: null, fieldName: '' });
   const [rejectFarmerNote, setRejectFarmerNote] = useState('');
@@ -135,15 +185,29 @@ const FarmOrders = () => {
   const [harvestUnit, setHarvestUnit] = useState('kg');
   const [harvestNote, setHarvestNote] = useState('');
   const [harvestFormError, setHarvestFormError] = useState(null);
+  const [allocationField, setAllocationField] = useState(null);
+  const [selectedOrderIds, setSelectedOrderIds] = useState([]);
+  /** Target status of the open bulk dialog (`shipped` | `completed`), or null */
+  const [bulkStatus, setBulkStatus] = useState(null);
+  const [bulkRunning, setBulkRunning] = useState(false);
+  const [bulkResult, setBulkResult] = useState(null);
+  /** Batch harvest declaration per field id: { amount, unit } */
+  const [batchHarvest, setBatchHarvest] = useState({});
+  const [batchHarvestNote, setBatchHarvestNote] = useState('');
+  const [batchHarvestError, setBatchHarvestError] = useState(null);
+  const [liveNotice, setLiveNotice] = useState('');
 
-  const loadOrders = useCallback(async () => {
+  // `silent` keeps the current list on screen (realtime refreshes)
+  const loadOrders = useCallback(async ({ silent = false } = {}) => {
     if (!user?.id) {
       setLoading(false);
       return;
     }
     try {
-      setLoading(true);
-      setError(null);
+      if (!silent) {
+        setLoading(true);
+        setError(null);
+      }
       const [response, fieldsResponse] = await Promise.all([
         orderService.getFarmerOrdersWithFields(user.id),
         fieldsService.getAll(),
@@ -168,6 +232,7 @@ const FarmOrders = () => {
         ...mergedField,
         id: order.id,
         field_name: order.field_name || 'Unknown Field',
+        buyer_id: order.buyer_id || null,
         buyer_name: order.buyer_name || 'Unknown Buyer',
         buyer_email: order.buyer_email || '',
         area_rented: `${order.quantity || 0} m²`,
@@ -238,13 +303,37 @@ const FarmOrders = () => {
       setOrders(formattedOrders);
     } catch (err) {
       console.error('Error loading farmer orders:', err);
+      if (silent) return;
       setError('Failed to load orders received. Please try again.');
       setOrders([]);
     } finally {
-      setLoading(false);
+      if (!silent) setLoading(false);
     }
   }, [user?.id]);
 
+  useOrderRealtime({
+    onEvent: (event) => {
+      if (event.role !== 'farmer') return;
+      if (event.type === 'order_created') {
+        setLiveNotice(`New order #${event.orderId} received`);
+      } else if (event.type === 'refund_requested') {
+        // Only refunds on orders listed here
+        if (!orders.some((o) => String(o.id) === String(event.orderId))) return;
+        setLiveNotice(`New refund request${event.orderId ? ` on order #${event.orderId}` : ''}`);
+      } else if (event.type === 'order_updated') {
+        const { id, status } = event.order;
+        const current = orders.find((o) => o.id === id);
+        // Our own updates are already applied locally
+        if (!current || !status || current.status === status) return;
+        const patch = (o) => (o.id === id ? { ...o, status } : o);
+        setOrders((prev) => prev.map(patch));
+        setSelectedOrder((prev) => (prev ? patch(prev) : prev));
+        setLiveNotice(`Order #${id} is now ${status}`);
+      }
+    },
+    onRefresh: () => loadOrders({ silent: true }),
+  });
+
   useEffect(() => {
     if (user) {
       loadOrders();
@@ -258,6 +347,13 @@ const FarmOrders = () => {
     setDetailsOpen(true);
   };
 
+  // Notification deep links (?order=<id>)
+  useDeepLinkedRecord('order', orders, handleViewDetails);
+
+  const handleMessageBuyer = (order) => {
+    navigate(...orderConversationRoute('farmer', order.buyer_id, order.buyer_name, { ...order, farmer_id: user?.id }));
+  };
+
   const handleViewOnMap = (order) => {
     if (order.field_id) {
       // Navigate to farmer homepage with field_id parameter
@@ -326,6 +422,120 @@ const FarmOrders = () => {
     }
   };
 
+  const toggleOrderSelected = (orderId) => {
+    setSelectedOrderIds((prev) =>
+      prev.includes(orderId) ? prev.filter((id) => id !== orderId) : [...prev, orderId]
+    );
+  };
+
+  const selectAllOnField = (fieldId) => {
+    const ids = orders
+      .filter((o) => String(o.field_id) === String(fieldId) && o.status !== 'cancelled')
+      .map((o) => o.id);
+    setSelectedOrderIds((prev) => [...new Set([...prev, ...ids])]);
+  };
+
+  /** Eligible orders grouped by field, with the orders renting area on that field as the basis for area shares. */
+  const harvestGroupsFor = (eligibleOrders) => {
+    const groups = new Map();
+    eligibleOrders.forEach((order) => {
+      const key = String(order.field_id);
+      if (!groups.has(key)) {
+        groups.set(key, {
+          fieldId: key,
+          fieldName: order.field_name,
+          selected: [],
+        });
+      }
+      groups.get(key).selected.push(order);
+    });
+    return [...groups.values()].map((group) => ({
+      ...group,
+      fieldOrders: ordersSharingHarvest(orders, group.fieldId, group.selected.map((o) => o.id)),
+    }));
+  };
+
+  const openBulkStatus = (status) => {
+    setBulkResult(null);
+    setBatchHarvestError(null);
+    if (status === 'completed') {
+      const next = {};
+      orders
+        .filter((o) => selectedOrderIds.includes(o.id))
+        .forEach((o) => {
+          const key = String(o.field_id);
+          if (!next[key]) {
+            next[key] = {
+              amount: '',
+              unit: (o.total_production_unit && String(o.total_production_unit).trim()) || 'kg',
+            };
+          }
+        });
+      setBatchHarvest(next);
+      setBatchHarvestNote('');
+    }
+    setBulkStatus(status);
+  };
+
+  const submitBulkStatus = async () => {
+    const status = bulkStatus;
+    const { eligible } = partitionOrdersForStatus(
+      orders.filter((o) => selectedOrderIds.includes(o.id)),
+      status
+    );
+    if (!status || eligible.length === 0) return;
+
+    const extraByOrderId = new Map();
+    if (status === 'completed' && String(user?.user_type || '') !== 'admin') {
+      for (const group of harvestGroupsFor(eligible)) {
+        const entry = batchHarvest[group.fieldId] || {};
+        const n = parseFloat(String(entry.amount ?? '').replace(/,/g, ''));
+        if (Number.isNaN(n) || n <= 0) {
+          setBatchHarvestError(`Enter a positive number for the total harvested on ${group.fieldName}.`);
+          return;
+        }
+        const unit = (entry.unit || 'kg').trim() || 'kg';
+        distributeHarvestByArea(group.fieldOrders, n).forEach((share) => {
+          extraByOrderId.set(share.orderId, {
+            // `amount` is the whole field's harvest, as in a single-order declaration; the share is separate
+            declared_harvest: {
+              amount: n,
+              unit,
+              notes: batchHarvestNote.trim() || undefined,
+              allocated_amount: share.amount,
+              allocated_area_m2: share.areaM2,
+              allocation_basis: 'area',
+            },
+          });
+        });
+      }
+    }
+
+    setBatchHarvestError(null);
+    setBulkRunning(true);
+    const updated = [];
+    const failed = [];
+    // One at a time: each status change can move coins, so keep the server-side order of operations simple
+    for (const order of eligible) {
+      try {
+        await orderService.updateOrderStatus(order.id, status, extraByOrderId.get(order.id) || {});
+        updated.push(order.id);
+      } catch (err) {
+        console.error('Bulk update order status error:', err);
+        failed.push(`${order.field_name} · ${order.buyer_name}: ${err.response?.data?.error || err.message}`);
+      }
+    }
+    setOrders((prev) => prev.map((o) => (updated.includes(o.id) ? { ...o, status } : o)));
+    setSelectedOrderIds((prev) => prev.filter((id) => !updated.includes(id)));
+    setBulkRunning(false);
+    setBulkStatus(null);
+    setBulkResult({
+      severity: failed.length === 0 ? 'success' : updated.length > 0 ? 'warning' : 'error',
+      message: `${updated.length} of ${eligible.length} orders marked ${status}.`,
+      failed,
+    });
+  };
+
   const handleApproveRefund = async (requestId) => {
     if (!requestId) return;
     if (
@@ -392,144 +602,6 @@ const FarmOrders = () => {
     }
   };
 
-  const handleReportClick = () => {
-    setReportOpen(true);
-  };
-
-  const handleCloseReport = () => {
-    setReportOpen(false);
-  };
-
-  const handleDownloadReport = (format = 'pdf') => {
-    const reportData = {
-      generatedAt: new Date().toLocaleString(),
-      totalOrders: filteredOrders.length,
-      revenue: filteredOrders.reduce((sum, o) => sum + (Number(o.total_cost) || 0), 0),
-      orders: filteredOrders.map(order => ({
-        id: order.id,
-        field: order.field_name,
-        buyer: order.buyer_name,
-        area: order.area_rented,
-        cost: order.total_cost,
-        status: order.status,
-        date: new Date(order.order_created_at || order.created_at).toLocaleDateString(),
-        deliverTo: order.delivery_address || '',
-      }))
-    };
-
-    if (format === 'csv') {
-      const headers = ['Order ID', 'Field Name', 'Buyer Name', 'Deliver to', 'Area', 'Total Cost', 'Status', 'Date'];
-      const csvEscape = (cell) => `"${String(cell ?? '').replace(/"/g, '""')}"`;
-      const rows = reportData.orders.map(o => [
-        o.id,
-        o.field,
-        o.buyer,
-        o.deliverTo,
-        o.area,
-        `$${Number(o.cost).toFixed(2)}`,
-        o.status,
-        o.date
-      ]);
-
-      const csvContent = [
-        headers.join(','),
-        ...rows.map((row) => row.map(csvEscape).join(','))
-      ].join('\n');
-
-      const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-      const link = document.createElement('a');
-      const url = URL.createObjectURL(blob);
-      link.setAttribute('href', url);
-      link.setAttribute('download', `orders-report-${new Date().toISOString().split('T')[0]}.csv`);
-      link.style.visibility = 'hidden';
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-    } else {
-      const printWindow = window.open('', '_blank');
-      const reportHTML = `
-        <!DOCTYPE html>
-        <html>
-          <head>
-            <title>Orders Report</title>
-            <style>
-              body { font-family: Arial, sans-serif; padding: 20px; color: #333; }
-              h1 { color: #1e293b; border-bottom: 2px solid #4caf50; padding-bottom: 10px; }
-              h2 { color: #059669; margin-top: 30px; }
-              .summary { display: grid; grid-template-columns: repeat(2, 1fr); gap: 15px; margin: 20px 0; }
-              .summary-card { background: #f8fafc; padding: 15px; border-radius: 8px; text-align: center; border: 1px solid #e2e8f0; }
-              .summary-value { font-size: 24px; font-weight: bold; color: #1e293b; margin-bottom: 5px; }
-              .summary-label { font-size: 12px; color: #64748b; }
-              table { width: 100%; border-collapse: collapse; margin-top: 20px; }
-              th { background-color: #4caf50; color: white; padding: 12px; text-align: left; font-weight: bold; }
-              td { padding: 10px; border-bottom: 1px solid #e2e8f0; }
-              tr:nth-child(even) { background-color: #f8fafc; }
-              .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #e2e8f0; font-size: 12px; color: #64748b; text-align: center; }
-              @media print { body { margin: 0; padding: 15px; } .no-print { display: none; } }
-            </style>
-          </head>
-          <body>
-            <h1>Orders Report</h1>
-            <p><strong>Generated:</strong> ${reportData.generatedAt}</p>
-            <div class="summary">
-              <div class="summary-card">
-                <div class="summary-value">${reportData.totalOrders}</div>
-                <div class="summary-label">Total Orders</div>
-              </div>
-              <div class="summary-card">
-                <div class="summary-value">$${reportData.revenue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</div>
-                <div class="summary-label">Total Revenue</div>
-              </div>
-            </div>
-            <h2>Order Details</h2>
-            <table>
-              <thead>
-                <tr>
-                  <th>Order ID</th>
-                  <th>Field</th>
-                  <th>Buyer</th>
-                  <th>Deliver to</th>
-                  <th>Area</th>
-                  <th>Cost</th>
-                  <th>Status</th>
-                  <th>Date</th>
-                </tr>
-              </thead>
-              <tbody>
-                ${reportData.orders.map(order => `
-                  <tr>
-                    <td>#${order.id}</td>
-                    <td>${order.field}</td>
-                    <td>${order.buyer}</td>
-                    <td>${order.deliverTo || '—'}</td>
-                    <td>${order.area}</td>
-                    <td>$${Number(order.cost).toFixed(2)}</td>
-                    <td>${order.status}</td>
-                    <td>${order.date}</td>
-                  </tr>
-                `).join('')}
-              </tbody>
-            </table>
-            <div class="footer">
-              <p>This report was generated on ${reportData.generatedAt}</p>
-            </div>
-            <script>
-              window.onload = function() {
-                window.print();
-                window.onafterprint = function() {
-                  window.close();
-                };
-              };
-            </script>
-          </body>
-        </html>
-      `;
-
-      printWindow.document.write(reportHTML);
-      printWindow.document.close();
-    }
-  };
-
   const filteredOrders = orders.filter((order) => {
     if (filter === 'all') return true;
     return order.status === filter;
@@ -547,6 +619,23 @@ const FarmOrders = () => {
     orders.length > 0 ? (completedOrders / orders.length) * 100 : 0;
   const pendingRefundCount = orders.filter((o) => o.pending_refund_request_id).length;
 
+  const selectableOrders = filteredOrders.filter((o) => o.status !== 'cancelled');
+  const allFilteredSelected =
+    selectableOrders.length > 0 && selectableOrders.every((o) => selectedOrderIds.includes(o.id));
+  const someFilteredSelected = selectableOrders.some((o) => selectedOrderIds.includes(o.id));
+  const fieldsWithOpenOrders = [
+    ...new Map(
+      orders
+        .filter((o) => o.field_id && o.status !== 'cancelled')
+        .map((o) => [String(o.field_id), o.field_name])
+    ).entries(),
+  ];
+  const bulkPartition = bulkStatus
+    ? partitionOrdersForStatus(orders.filter((o) => selectedOrderIds.includes(o.id)), bulkStatus)
+    : null;
+  const bulkNeedsHarvest = bulkStatus === 'completed' && String(user?.user_type || '') !== 'admin';
+  const bulkHarvestGroups = bulkPartition && bulkNeedsHarvest ? harvestGroupsFor(bulkPartition.eligible) : [];
+
   return (
     <Box
       sx={{
@@ -573,7 +662,15 @@ const FarmOrders = () => {
               Orders placed by buyers on your fields — manage and update status
             </Typography>
           </Box>
-
+          <ExportMenu
+            title="Orders received statement"
+            filename="orders-received"
+            records={filteredOrders}
+            dateOf={orderDate}
+            columns={farmOrderExportColumns}
+            summary={farmOrderExportSummary}
+            disabled={filteredOrders.length === 0}
+          />
         </Stack>
 
         {/* Payment Logic Info Alert */}
@@ -716,17 +813,84 @@ const FarmOrders = () => {
                   {filteredOrders.length} {filter === 'all' ? 'total' : filter} orders
                 </Typography>
               </Box>
-              <Button
-                variant="outlined"
-                onClick={handleReportClick}
-                startIcon={<Download sx={{ fontSize: 18 }} />}
-                sx={{ borderRadius: 2, px: 2, py: 1, fontSize: '0.8rem' }}
-              >
-                Export
-              </Button>
+              <Stack direction="row" spacing={1} alignItems="center">
+                {fieldsWithOpenOrders.length > 0 && (
+                  <FormControl size="small" sx={{ minWidth: 180 }}>
+                    <InputLabel sx={{ fontSize: '0.8rem' }}>Select all on field</InputLabel>
+                    <Select
+                      label="Select all on field"
+                      value=""
+                      onChange={(e) => selectAllOnField(e.target.value)}
+                      sx={{ borderRadius: 2, fontSize: '0.8rem' }}
+                    >
+                      {fieldsWithOpenOrders.map(([fieldId, fieldName]) => (
+                        <MenuItem key={fieldId} value={fieldId} sx={{ fontSize: '0.8rem' }}>
+                          {fieldName}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                )}
+              </Stack>
             </Stack>
           </Box>
 
+          {selectedOrderIds.length > 0 && (
+            <Stack
+              direction={{ xs: 'column', sm: 'row' }}
+              alignItems={{ xs: 'flex-start', sm: 'center' }}
+              justifyContent="space-between"
+              sx={{ px: 2, py: 1.25, gap: 1, backgroundColor: '#f0fdf4', borderBottom: '1px solid #bbf7d0' }}
+            >
+              <Typography variant="body2" sx={{ fontWeight: 600, color: '#166534', fontSize: '0.85rem' }}>
+                {selectedOrderIds.length} order{selectedOrderIds.length === 1 ? '' : 's'} selected
+              </Typography>
+              <Stack direction="row" spacing={1}>
+                <Button
+                  size="small"
+                  variant="outlined"
+                  startIcon={<LocalShipping sx={{ fontSize: 16 }} />}
+                  onClick={() => openBulkStatus('shipped')}
+                  disabled={bulkRunning}
+                  sx={{ borderRadius: 2, fontSize: '0.75rem', color: '#0369a1', borderColor: '#7dd3fc' }}
+                >
+                  Mark shipped
+                </Button>
+                <Button
+                  size="small"
+                  variant="contained"
+                  startIcon={<DoneAll sx={{ fontSize: 16 }} />}
+                  onClick={() => openBulkStatus('completed')}
+                  disabled={bulkRunning}
+                  sx={{ borderRadius: 2, fontSize: '0.75rem', bgcolor: '#059669', '&:hover': { bgcolor: '#047857' } }}
+                >
+                  Mark completed
+                </Button>
+                <Button
+                  size="small"
+                  onClick={() => setSelectedOrderIds([])}
+                  disabled={bulkRunning}
+                  sx={{ borderRadius: 2, fontSize: '0.75rem', color: '#64748b' }}
+                >
+                  Clear
+                </Button>
+              </Stack>
+            </Stack>
+          )}
+
+          {bulkResult && (
+            <Alert severity={bulkResult.severity} sx={{ m: 2, borderRadius: 2 }} onClose={() => setBulkResult(null)}>
+              {bulkResult.message}
+              {bulkResult.failed.length > 0 && (
+                <Box component="ul" sx={{ m: 0, mt: 0.5, pl: 2.5 }}>
+                  {bulkResult.failed.map((line) => (
+                    <li key={line}>{line}</li>
+                  ))}
+                </Box>
+              )}
+            </Alert>
+          )}
+
           {filteredOrders.length === 0 ? (
             <Box sx={{ textAlign: 'center', py: 6 }}>
               <ShoppingCart sx={{ fontSize: 48, color: '#cbd5e1', mb: 1.5 }} />
@@ -742,7 +906,23 @@ const FarmOrders = () => {
               <Table>
                 <TableHead>
                   <TableRow sx={{ backgroundColor: '#f8fafc' }}>
-
+                    <TableCell padding="checkbox">
+                      <Checkbox
+                        size="small"
+                        checked={allFilteredSelected}
+                        indeterminate={someFilteredSelected && !allFilteredSelected}
+                        disabled={selectableOrders.length === 0}
+                        onChange={() => {
+                          const ids = selectableOrders.map((o) => o.id);
+                          setSelectedOrderIds((prev) =>
+                            allFilteredSelected
+                              ? prev.filter((id) => !ids.includes(id))
+                              : [...new Set([...prev, ...ids])]
+                          );
+                        }}
+                        inputProps={{ 'aria-label': 'Select all orders' }}
+                      />
+                    </TableCell>
                     <TableCell sx={{ fontWeight: 600, color: '#475569', fontSize: '0.8rem', py: 1.5 }}>Field / Product</TableCell>
                     <TableCell sx={{ fontWeight: 600, color: '#475569', fontSize: '0.8rem', py: 1.5 }}>Buyer</TableCell>
                     <TableCell sx={{ fontWeight: 600, color: '#475569', fontSize: '0.8rem', py: 1.5 }}>Harvest date</TableCell>
@@ -763,9 +943,18 @@ const FarmOrders = () => {
                         cursor: order.field_id ? 'pointer' : 'default',
                         '&:hover': { backgroundColor: '#f8fafc' },
                         borderBottom: index === filteredOrders.length - 1 ? 'none' : '1px solid #e2e8f0',
+                        ...(selectedOrderIds.includes(order.id) && { backgroundColor: '#f0fdf4' }),
                       }}
                     >
-
+                      <TableCell padding="checkbox" onClick={(e) => e.stopPropagation()}>
+                        <Checkbox
+                          size="small"
+                          checked={selectedOrderIds.includes(order.id)}
+                          disabled={order.status === 'cancelled'}
+                          onChange={() => toggleOrderSelected(order.id)}
+                          inputProps={{ 'aria-label': `Select order ${order.id}` }}
+                        />
+                      </TableCell>
                       <TableCell sx={{ py: 1.5 }}>
                         <Stack direction="row" alignItems="center" spacing={1.5}>
                           <Box
@@ -953,6 +1142,24 @@ const FarmOrders = () => {
                               </IconButton>
                             </Tooltip>
                           )}
+                          {order.field_id && (
+                            <Tooltip title="Plot allocation">
+                              <IconButton
+                                size="small"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  setAllocationField({ ...order, id: order.field_id, name: order.field_name });
+                                }}
+                                sx={{
+                                  color: '#7c3aed',
+                                  '&:hover': { backgroundColor: '#f3e8ff' },
+                                  p: 0.5,
+                                }}
+                              >
+                                <GridView sx={{ fontSize: 16 }} />
+                              </IconButton>
+                            </Tooltip>
+                          )}
                           <Tooltip title="View details & update status">
                             <IconButton
                               size="small"
@@ -969,6 +1176,23 @@ const FarmOrders = () => {
                               <Visibility sx={{ fontSize: 16 }} />
                             </IconButton>
                           </Tooltip>
+                          {order.buyer_id && (
+                            <Tooltip title="Message buyer about this order">
+                              <IconButton
+                                size="small"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  handleMessageBuyer(order);
+                                }}
+                                sx={{
+                                  color: '#2563eb',
+                                  p: 0.5,
+                                }}
+                              >
+                                <ChatBubbleOutline sx={{ fontSize: 16 }} />
+                              </IconButton>
+                            </Tooltip>
+                          )}
                           {order.pending_refund_request_id && (
                             <>
                               <Tooltip
@@ -1365,6 +1589,16 @@ const FarmOrders = () => {
           <Button onClick={() => setDetailsOpen(false)} sx={{ borderRadius: 2 }}>
             Close
           </Button>
+          {selectedOrder?.buyer_id && (
+            <Button
+              variant="outlined"
+              startIcon={<ChatBubbleOutline />}
+              onClick={() => handleMessageBuyer(selectedOrder)}
+              sx={{ borderRadius: 2 }}
+            >
+              Message buyer
+            </Button>
+          )}
           <Button
             variant="contained"
             startIcon={<Download />}
@@ -1380,128 +1614,6 @@ const FarmOrders = () => {
         </DialogActions>
       </Dialog>
 
-      {/* Report Dialog */}
-      <Dialog
-        open={reportOpen}
-        onClose={handleCloseReport}
-        maxWidth="md"
-        fullWidth
-        PaperProps={{
-          sx: {
-            borderRadius: 3,
-            maxHeight: '90vh'
-          }
-        }}
-      >
-        <DialogTitle sx={{ pb: 1 }}>
-          <Stack direction="row" justifyContent="space-between" alignItems="center">
-            <Box>
-              <Typography variant="h5" sx={{ fontWeight: 700, color: '#1e293b' }}>
-                Orders Report
-              </Typography>
-              <Typography variant="body2" color="text.secondary">
-                Overview of {filter === 'all' ? 'all' : filter} orders
-              </Typography>
-            </Box>
-            <IconButton onClick={handleCloseReport} sx={{ color: '#64748b' }}>
-              <Close />
-            </IconButton>
-          </Stack>
-        </DialogTitle>
-        <DialogContent>
-          <Box>
-            {/* Summary Statistics */}
-            <Grid container spacing={2} sx={{ mb: 3 }}>
-              <Grid item xs={12} sm={6}>
-                <Paper sx={{ p: 2, backgroundColor: '#f8fafc', borderRadius: 2, textAlign: 'center' }}>
-                  <Typography variant="h4" sx={{ fontWeight: 700, color: '#1e293b', mb: 0.5 }}>
-                    {filteredOrders.length}
-                  </Typography>
-                  <Typography variant="body2" color="text.secondary">
-                    Total Orders
-                  </Typography>
-                </Paper>
-              </Grid>
-              <Grid item xs={12} sm={6}>
-                <Paper sx={{ p: 2, backgroundColor: '#f0fdf4', borderRadius: 2, textAlign: 'center' }}>
-                  <Typography variant="h4" sx={{ fontWeight: 700, color: '#059669', mb: 0.5 }}>
-                    ${filteredOrders.reduce((sum, o) => sum + (Number(o.total_cost) || 0), 0).toFixed(2)}
-                  </Typography>
-                  <Typography variant="body2" color="text.secondary">
-                    Total Revenue
-                  </Typography>
-                </Paper>
-              </Grid>
-            </Grid>
-
-            {/* Orders Summary Table */}
-            <Paper sx={{ p: 2, backgroundColor: '#f8fafc', borderRadius: 2 }}>
-              <Typography variant="h6" sx={{ fontWeight: 600, mb: 2, color: '#1e293b' }}>
-                Orders List
-              </Typography>
-              <TableContainer>
-                <Table size="small">
-                  <TableHead>
-                    <TableRow>
-                      <TableCell sx={{ fontWeight: 700 }}>Order ID</TableCell>
-                      <TableCell sx={{ fontWeight: 700 }}>Field</TableCell>
-                      <TableCell sx={{ fontWeight: 700 }}>Buyer</TableCell>
-                      <TableCell sx={{ fontWeight: 700 }}>Area</TableCell>
-                      <TableCell sx={{ fontWeight: 700 }}>Cost</TableCell>
-                      <TableCell sx={{ fontWeight: 700 }}>Status</TableCell>
-                    </TableRow>
-                  </TableHead>
-                  <TableBody>
-                    {filteredOrders.map((order) => (
-                      <TableRow key={order.id}>
-                        <TableCell>#{order.id}</TableCell>
-                        <TableCell>{order.field_name}</TableCell>
-                        <TableCell>{order.buyer_name}</TableCell>
-                        <TableCell>{order.area_rented}</TableCell>
-                        <TableCell>${Number(order.total_cost).toFixed(2)}</TableCell>
-                        <TableCell>
-                          <Chip
-                            label={order.status}
-                            color={getStatusColor(order.status)}
-                            size="small"
-                            sx={{ fontWeight: 600, height: 24 }}
-                          />
-                        </TableCell>
-                      </TableRow>
-                    ))}
-                  </TableBody>
-                </Table>
-              </TableContainer>
-            </Paper>
-
-            <Typography variant="caption" color="text.secondary" sx={{ mt: 2, display: 'block' }}>
-              Report generated on {new Date().toLocaleString()}
-            </Typography>
-          </Box>
-        </DialogContent>
-        <DialogActions sx={{ p: 2, pt: 1, gap: 1 }}>
-          <Button
-            onClick={() => handleDownloadReport('csv')}
-            variant="outlined"
-            startIcon={<Download />}
-            sx={{ borderRadius: 1.5 }}
-          >
-            Download CSV
-          </Button>
-          <Button
-            onClick={() => handleDownloadReport('pdf')}
-            variant="outlined"
-            startIcon={<Description />}
-            sx={{ borderRadius: 1.5 }}
-          >
-            Download PDF
-          </Button>
-          <Button onClick={handleCloseReport} variant="contained" sx={{ borderRadius: 1.5, bgcolor: '#4caf50', color: '#ffffff', '&:hover': { bgcolor: '#059669' } }}>
-            Close
-          </Button>
-        </DialogActions>
-      </Dialog>
-
       <Dialog open={rejectRefundOpen} onClose={() => !refundActionLoading && setRejectRefundOpen(false)} maxWidth="sm" fullWidth>
         <DialogTitle>Decline refund request</DialogTitle>
         <DialogContent>
@@ -1610,6 +1722,166 @@ const FarmOrders = () => {
           </Button>
         </DialogActions>
       </Dialog>
+
+      <Dialog
+        open={Boolean(bulkStatus)}
+        onClose={() => !bulkRunning && setBulkStatus(null)}
+        maxWidth="sm"
+        fullWidth
+        PaperProps={{ sx: { borderRadius: 2 } }}
+      >
+        <DialogTitle sx={{ fontWeight: 700 }}>
+          {bulkNeedsHarvest ? 'Declare harvest & mark completed' : `Mark orders ${bulkStatus || ''}`}
+        </DialogTitle>
+        <DialogContent>
+          {bulkPartition && (
+            <>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                <strong>{bulkPartition.eligible.length}</strong> of {bulkPartition.eligible.length + bulkPartition.blocked.length}{' '}
+                selected orders will be marked <strong>{bulkStatus}</strong>.
+              </Typography>
+              {bulkPartition.blocked.length > 0 && (
+                <Alert severity="warning" sx={{ mb: 2, borderRadius: 2 }}>
+                  <AlertTitle sx={{ fontWeight: 700, fontSize: '0.85rem' }}>
+                    Skipped ({bulkPartition.blocked.length})
+                  </AlertTitle>
+                  <Box component="ul" sx={{ m: 0, pl: 2.5, maxHeight: 140, overflowY: 'auto' }}>
+                    {bulkPartition.blocked.map(({ order, reason }) => (
+                      <li key={order.id}>
+                        <Typography variant="caption">
+                          {order.field_name} · {order.buyer_name}: {reason}
+                        </Typography>
+                      </li>
+                    ))}
+                  </Box>
+                </Alert>
+              )}
+              {bulkNeedsHarvest && bulkHarvestGroups.length > 0 && (
+                <>
+                  <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                    Enter the <strong>actual total</strong> you harvested on each field. It is shared between the
+                    accepted orders on that field in proportion to the area each buyer rents, and each buyer&apos;s share is
+                    recorded on their order.
+                  </Typography>
+                  {batchHarvestError && (
+                    <Alert severity="error" sx={{ mb: 2 }} onClose={() => setBatchHarvestError(null)}>
+                      {batchHarvestError}
+                    </Alert>
+                  )}
+                  <Stack spacing={2} sx={{ mb: 2 }}>
+                    {bulkHarvestGroups.map((group) => {
+                      const entry = batchHarvest[group.fieldId] || { amount: '', unit: 'kg' };
+                      const amount = parseFloat(String(entry.amount).replace(/,/g, ''));
+                      const shares = distributeHarvestByArea(group.fieldOrders, amount);
+                      const selectedIds = group.selected.map((o) => o.id);
+                      const setEntry = (patch) =>
+                        setBatchHarvest((prev) => ({ ...prev, [group.fieldId]: { ...entry, ...patch } }));
+                      return (
+                        <Paper key={group.fieldId} variant="outlined" sx={{ p: 2, borderRadius: 2 }}>
+                          <Typography variant="subtitle2" sx={{ fontWeight: 700, mb: 1.5 }}>
+                            {group.fieldName}
+                            <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                              {group.fieldOrders.length} order{group.fieldOrders.length === 1 ? '' : 's'} ·{' '}
+                              {group.fieldOrders.reduce((sum, o) => sum + (Number(o.quantity) || 0), 0).toLocaleString()} m²
+                            </Typography>
+                          </Typography>
+                          <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2}>
+                            <TextField
+                              label="Total harvested"
+                              size="small"
+                              value={entry.amount}
+                              onChange={(e) => setEntry({ amount: e.target.value })}
+                              inputMode="decimal"
+                              fullWidth
+                              required
+                            />
+                            <TextField
+                              label="Unit"
+                              size="small"
+                              value={entry.unit}
+                              onChange={(e) => setEntry({ unit: e.target.value })}
+                              select
+                              sx={{ minWidth: 120 }}
+                            >
+                              {['kg', 'lb', 'g', 't', 'units', 'L', 'bushels'].map((u) => (
+                                <MenuItem key={u} value={u}>
+                                  {u}
+                                </MenuItem>
+                              ))}
+                            </TextField>
+                          </Stack>
+                          {shares.length > 0 && (
+                            <Table size="small" sx={{ mt: 1.5 }}>
+                              <TableBody>
+                                {shares.map((share) => {
+                                  const order = group.fieldOrders.find((o) => o.id === share.orderId);
+                                  const inBatch = selectedIds.includes(share.orderId);
+                                  return (
+                                    <TableRow key={share.orderId} sx={{ opacity: inBatch ? 1 : 0.55 }}>
+                                      <TableCell sx={{ fontSize: '0.75rem', py: 0.5 }}>
+                                        {order?.buyer_name}
+                                        {!inBatch && ' (not in this batch)'}
+                                      </TableCell>
+                                      <TableCell sx={{ fontSize: '0.75rem', py: 0.5 }}>{order?.area_rented}</TableCell>
+                                      <TableCell align="right" sx={{ fontSize: '0.75rem', py: 0.5, fontWeight: 600 }}>
+                                        {share.amount.toLocaleString()} {entry.unit}
+                                      </TableCell>
+                                    </TableRow>
+                                  );
+                                })}
+                              </TableBody>
+                            </Table>
+                          )}
+                        </Paper>
+                      );
+                    })}
+                  </Stack>
+                  <TextField
+                    label="Note (optional)"
+                    value={batchHarvestNote}
+                    onChange={(e) => setBatchHarvestNote(e.target.value)}
+                    fullWidth
+                    multiline
+                    minRows={2}
+                    placeholder="E.g. variety, weather, or how the crop was shared between buyers"
+                  />
+                </>
+              )}
+            </>
+          )}
+        </DialogContent>
+        <DialogActions sx={{ px: 3, pb: 2 }}>
+          <Button onClick={() => setBulkStatus(null)} disabled={bulkRunning}>
+            Cancel
+          </Button>
+          <Button
+            variant="contained"
+            onClick={submitBulkStatus}
+            disabled={bulkRunning || !bulkPartition || bulkPartition.eligible.length === 0}
+            sx={{ bgcolor: bulkStatus === 'shipped' ? '#0369a1' : '#059669' }}
+          >
+            {bulkRunning
+              ? 'Updating…'
+              : `Mark ${bulkPartition?.eligible.length || 0} ${bulkStatus || ''}`}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <FieldAllocationDialog
+        open={Boolean(allocationField)}
+        onClose={() => setAllocationField(null)}
+        field={allocationField}
+        orders={allocationField ? orders.filter((o) => String(o.field_id) === String(allocationField.id)) : []}
+        currentUserId={user?.id}
+        viewerRole="farmer"
+      />
+      <Snackbar
+        open={Boolean(liveNotice)}
+        autoHideDuration={5000}
+        onClose={() => setLiveNotice('')}
+        message={liveNotice}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      />
     </Box>
   );
 };
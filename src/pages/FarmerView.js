@@ -1,7 +1,9 @@
 import React, { useState, useRef, useEffect, useCallback } from 'react';
-import { Routes, Route, useLocation, useSearchParams } from 'react-router-dom';
+import { Routes, Route, useLocation, useNavigate, useSearchParams } from 'react-router-dom';
 import {
+  Alert,
   Box,
+  Button,
   // Tabs,
   // Tab,
 } from '@mui/material';
@@ -13,6 +15,7 @@ import NotificationSystem from '../components/Notification/NotificationSystem';
 import CreateFieldForm from '../components/Forms/CreateFieldForm';
 import AddFarmForm from '../components/Forms/AddFarmForm';
 import useNotifications from '../hooks/useNotifications';
+import useFarmerVerification from '../hooks/useFarmerVerification';
 import { cachedReverseGeocode } from '../utils/geocoding';
 import { useAuth } from '../contexts/AuthContext';
 import RentedFields from './RentedFields';
@@ -32,6 +35,7 @@ import ChangeCurrency from './ChangeCurrency';
 import Settings from './Settings';
 import Notifications from './Notifications';
 import Complaints from './Complaints';
+import HarvestCalendar from './HarvestCalendar';
 import api from '../services/api'; // Changed to default import
 import coinService from '../services/coinService';
 import supabase from '../services/supabase';
@@ -44,15 +48,22 @@ import { fieldToFormInitialData } from '../utils/rentedFieldModels';
 
 const FarmerView = () => {
   const location = useLocation();
+  const navigate = useNavigate();
   const [searchParams, setSearchParams] = useSearchParams();
   const { user, logout } = useAuth();
+  // Also sends document expiry reminders while the farmer is signed in
+  const { listingsSuspended, needsInfo } = useFarmerVerification();
+  const [infoPromptDismissed, setInfoPromptDismissed] = useState(false);
   const {
     addNotification,
     notifications,
     backendNotifications,
     removeNotification,
     markNotificationAsRead,
-    fetchBackendNotifications
+    markAllNotificationsAsRead,
+    fetchBackendNotifications,
+    unreadCount,
+    notificationPreferences
   } = useNotifications();
 
   const [searchQuery, setSearchQuery] = useState('');
@@ -243,6 +254,11 @@ const FarmerView = () => {
   };
 
   const handleCreateField = () => {
+    if (listingsSuspended) {
+      addNotification('New listings are paused until your expired verification documents are renewed.', 'warning');
+      navigate('/farmer/license-info');
+      return;
+    }
     setCreateFieldOpen(true);
   };
 
@@ -381,8 +397,10 @@ const FarmerView = () => {
     }
   };
 
+  // Resolves to false when saving failed (CreateFieldForm keeps the boundary draft then)
   const handleFieldSubmit = async (formData) => {
     let fieldToZoom = null;
+    let saved = true;
     try {
       if (editingField) {
         if (formData.restrictedFieldUpdate) {
@@ -521,6 +539,7 @@ const FarmerView = () => {
     } catch (error) {
       console.error('Error submitting field:', error);
       addNotification('Error submitting field', 'error');
+      saved = false;
     }
 
     setCreateFieldOpen(false);
@@ -529,6 +548,7 @@ const FarmerView = () => {
     if (mapRef.current && mapRef.current.zoomToFarm && fieldToZoom) {
       mapRef.current.zoomToFarm(fieldToZoom, true);
     }
+    return saved;
   };
 
   return (
@@ -554,6 +574,7 @@ const FarmerView = () => {
         onCreateFarm={handleCreateFarm}
         backendNotifications={backendNotifications}
         onMarkNotificationAsRead={markNotificationAsRead}
+        onMarkAllNotificationsAsRead={markAllNotificationsAsRead}
         onRefreshNotifications={fetchBackendNotifications}
       />
 
@@ -569,29 +590,51 @@ const FarmerView = () => {
       }}>
         <Routes>
           <Route path="/" element={
-            <EnhancedFarmMap
-              ref={mapRef}
-              onProductSelect={handleFarmSelect}
-              userType="farmer"
-              searchQuery={searchQuery}
-              onNotification={addNotification}
-              onNotificationRefresh={fetchBackendNotifications}
-              onCoinRefresh={handleCoinRefresh}
-              farms={farmsList}
-              fields={fields}
-              products={products}
-              onEditField={handleEditField}
-              onDeleteField={handleDeleteField}
-              onFieldCreate={handleCreateField}
-              filters={mapFilters}
-            />
+            <>
+              {needsInfo && !infoPromptDismissed && (
+                <Alert
+                  severity="warning"
+                  onClose={() => setInfoPromptDismissed(true)}
+                  action={
+                    <Button color="inherit" size="small" onClick={() => navigate('/farmer/license-info')} sx={{ textTransform: 'none', fontWeight: 600 }}>
+                      Review request
+                    </Button>
+                  }
+                  sx={{ position: 'absolute', top: 12, left: '50%', transform: 'translateX(-50%)', zIndex: 10, width: 'min(640px, calc(100% - 24px))', boxShadow: 3 }}
+                >
+                  ShareCrop needs more information before approving your account. Upload the requested items and resubmit.
+                </Alert>
+              )}
+              <EnhancedFarmMap
+                ref={mapRef}
+                onProductSelect={handleFarmSelect}
+                userType="farmer"
+                searchQuery={searchQuery}
+                onNotification={addNotification}
+                onNotificationRefresh={fetchBackendNotifications}
+                onCoinRefresh={handleCoinRefresh}
+                farms={farmsList}
+                fields={fields}
+                products={products}
+                onEditField={handleEditField}
+                onDeleteField={handleDeleteField}
+                onFieldCreate={handleCreateField}
+                filters={mapFilters}
+              />
+            </>
           } />
           <Route path="/add-field" element={
             <Box sx={{ p: 3 }}>
-              <AddFieldForm
-                onClose={() => window.history.back()}
-                farms={farmsList}
-              />
+              {listingsSuspended ? (
+                <Alert severity="warning">
+                  New listings are paused until your expired verification documents are renewed in License Info.
+                </Alert>
+              ) : (
+                <AddFieldForm
+                  onClose={() => window.history.back()}
+                  farms={farmsList}
+                />
+              )}
             </Box>
           } />
           <Route path="/my-fields" element={
@@ -665,6 +708,7 @@ const FarmerView = () => {
           <Route path="/rented-fields" element={<RentedFields />} />
           <Route path="/my-farms" element={<MyFarms />} />
           <Route path="/orders" element={<Orders />} />
+          <Route path="/harvest-calendar" element={<HarvestCalendar />} />
           <Route path="/farm-orders" element={<FarmOrders />} />
           <Route path="/license-info" element={<LicenseInfo />} />
           <Route path="/transaction" element={<Transaction />} />
@@ -676,7 +720,17 @@ const FarmerView = () => {
           <Route path="/messages" element={<Messages />} />
           <Route path="/currency" element={<ChangeCurrency />} />
           <Route path="/settings" element={<Settings />} />
-          <Route path="/notifications" element={<Notifications />} />
+          <Route
+            path="/notifications"
+            element={
+              <Notifications
+                unreadCount={unreadCount}
+                notificationPreferences={notificationPreferences}
+                markNotificationAsRead={markNotificationAsRead}
+                markAllNotificationsAsRead={markAllNotificationsAsRead}
+              />
+            }
+          />
           <Route path="/complaints" element={<Complaints />} />
           <Route path="/farmers/:farmerId" element={<FarmerPublicProfile userType="farmer" />} />
         </Routes>
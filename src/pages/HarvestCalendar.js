@@ -0,0 +1,425 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  Paper,
+  Stack,
+  Chip,
+  ToggleButton,
+  ToggleButtonGroup,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Tooltip,
+} from '@mui/material';
+import {
+  ChevronLeft,
+  ChevronRight,
+  Today,
+  EventAvailable,
+  CalendarMonth,
+  ViewWeek,
+  Close,
+} from '@mui/icons-material';
+import { useAuth } from '../contexts/AuthContext';
+import { orderService } from '../services/orders';
+import fieldsService from '../services/fields';
+import Loader from '../components/Common/Loader';
+import ErrorMessage from '../components/Common/ErrorMessage';
+import {
+  CALENDAR_EVENT_KINDS,
+  addDays,
+  buildHarvestCalendarEvents,
+  buildIcsCalendar,
+  eventsOnDay,
+  startOfDay,
+  toDayKey,
+} from '../utils/harvestCalendar';
+import { formatShippingLeadAfterHarvest } from '../utils/fieldEstimatedDelivery';
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_CELL_MAX_EVENTS = 3;
+
+const startOfWeek = (date) => addDays(startOfDay(date), -date.getDay());
+
+const formatDay = (date) => date.toLocaleDateString('en-US', { day: 'numeric', month: 'short', year: 'numeric' });
+
+/** Order rows with the linked field's harvest schedule and shipping lead, as Orders / FarmOrders format them. */
+const withLinkedField = (order, field = {}) => ({
+  id: order.id,
+  status: order.status || 'pending',
+  field_id: order.field_id,
+  field_name: order.field_name || field.name || 'Unknown Field',
+  order_selected_harvest_date: order.selected_harvest_date || null,
+  selected_harvests: field.selected_harvests || field.harvest_dates || order.selected_harvests || [],
+  harvest_dates: field.harvest_dates || order.harvest_dates || [],
+  harvest_date: field.harvest_date || order.harvest_date || null,
+  estimated_delivery_days: field.estimated_delivery_days ?? order.estimated_delivery_days ?? null,
+});
+
+/**
+ * Month / week calendar of upcoming harvests, shipping lead windows and order delivery days.
+ * Farmers see their own fields and incoming orders; buyers see the fields they rent and their orders.
+ */
+const HarvestCalendar = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const isFarmer = user?.user_type === 'farmer';
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [fields, setFields] = useState([]);
+  const [orders, setOrders] = useState([]);
+  const [view, setView] = useState('month');
+  const [cursor, setCursor] = useState(() => startOfDay(new Date()));
+  const [visibleKinds, setVisibleKinds] = useState(() => Object.keys(CALENDAR_EVENT_KINDS));
+  const [selectedEvent, setSelectedEvent] = useState(null);
+
+  const loadData = useCallback(async () => {
+    if (!user?.id) {
+      setLoading(false);
+      return;
+    }
+    try {
+      setLoading(true);
+      setError(null);
+      if (isFarmer) {
+        const [fieldsRes, ordersRes] = await Promise.all([
+          fieldsService.getAll(),
+          orderService.getFarmerOrdersWithFields(user.id),
+        ]);
+        const ownFields = Array.isArray(fieldsRes.data) ? fieldsRes.data : [];
+        const fieldById = new Map(ownFields.map((f) => [String(f.id), f]));
+        const apiOrders = Array.isArray(ordersRes.data) ? ordersRes.data : [];
+        setFields(ownFields);
+        setOrders(apiOrders.map((o) => withLinkedField(o, fieldById.get(String(o.field_id)))));
+      } else {
+        const [ordersRes, fieldsRes] = await Promise.all([
+          orderService.getBuyerOrdersWithFields(user.id),
+          fieldsService.getAllForMap(),
+        ]);
+        const allFields = Array.isArray(fieldsRes.data) ? fieldsRes.data : [];
+        const fieldById = new Map(allFields.map((f) => [String(f.id), f]));
+        const apiOrders = Array.isArray(ordersRes.data) ? ordersRes.data : [];
+        const rented = new Map();
+        apiOrders.forEach((o) => {
+          if (o.status === 'cancelled' || rented.has(String(o.field_id))) return;
+          const field = fieldById.get(String(o.field_id));
+          rented.set(String(o.field_id), field || { ...withLinkedField(o), id: o.field_id, name: o.field_name });
+        });
+        setFields([...rented.values()]);
+        setOrders(apiOrders.map((o) => withLinkedField(o, fieldById.get(String(o.field_id)))));
+      }
+    } catch (err) {
+      console.error('Error loading harvest calendar:', err);
+      setError('Failed to load your harvest calendar. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [user?.id, isFarmer]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const events = useMemo(
+    () => buildHarvestCalendarEvents({ fields, orders }).filter((e) => visibleKinds.includes(e.kind)),
+    [fields, orders, visibleKinds]
+  );
+
+  const days = useMemo(() => {
+    if (view === 'week') {
+      const first = startOfWeek(cursor);
+      return Array.from({ length: 7 }, (_, i) => addDays(first, i));
+    }
+    const first = startOfWeek(new Date(cursor.getFullYear(), cursor.getMonth(), 1));
+    return Array.from({ length: 42 }, (_, i) => addDays(first, i));
+  }, [view, cursor]);
+
+  const todayKey = toDayKey(new Date());
+
+  const shift = (direction) => {
+    setCursor((c) => (view === 'week'
+      ? addDays(c, 7 * direction)
+      : new Date(c.getFullYear(), c.getMonth() + direction, 1)));
+  };
+
+  const periodLabel = view === 'week'
+    ? `${formatDay(days[0])} – ${formatDay(days[6])}`
+    : cursor.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+  const toggleKind = (kind) => {
+    setVisibleKinds((prev) => (prev.includes(kind) ? prev.filter((k) => k !== kind) : [...prev, kind]));
+  };
+
+  const handleExportIcs = () => {
+    const today = startOfDay(new Date());
+    const upcoming = events.filter((e) => e.end.getTime() >= today.getTime());
+    const ics = buildIcsCalendar(upcoming, {
+      calendarName: isFarmer ? 'ShareCrop – my fields' : 'ShareCrop – my rented fields',
+    });
+    const blob = new Blob([ics], { type: 'text/calendar;charset=utf-8;' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', `harvest-calendar-${todayKey}.ics`);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const openDayInWeekView = (day) => {
+    setCursor(day);
+    setView('week');
+  };
+
+  const renderEventChip = (event, day) => {
+    const meta = CALENDAR_EVENT_KINDS[event.kind];
+    const continues = event.kind === 'shipping' && toDayKey(event.start) !== toDayKey(day);
+    return (
+      <Box
+        key={event.id}
+        onClick={() => setSelectedEvent(event)}
+        sx={{
+          px: 0.75,
+          py: 0.25,
+          borderRadius: 1,
+          fontSize: '0.72rem',
+          fontWeight: 600,
+          cursor: 'pointer',
+          whiteSpace: 'nowrap',
+          overflow: 'hidden',
+          textOverflow: 'ellipsis',
+          color: event.kind === 'shipping' ? meta.color : '#fff',
+          bgcolor: event.kind === 'shipping' ? '#e0f2fe' : meta.color,
+          borderLeft: `3px solid ${meta.color}`,
+          opacity: continues ? 0.75 : 1,
+          '&:hover': { filter: 'brightness(0.95)' },
+        }}
+      >
+        {continues ? `↳ ${event.title}` : event.title}
+      </Box>
+    );
+  };
+
+  if (loading) return <Loader message="Loading harvest calendar..." />;
+  if (error) return <ErrorMessage message={error} onRetry={loadData} />;
+
+  return (
+    <Box sx={{ minHeight: '100vh', backgroundColor: '#f8fafc', p: 3 }}>
+      <Box sx={{ maxWidth: '1400px', mx: 'auto' }}>
+        <Stack
+          direction={{ xs: 'column', sm: 'row' }}
+          alignItems={{ xs: 'flex-start', sm: 'center' }}
+          justifyContent="space-between"
+          sx={{ mb: 2.5, gap: { xs: 1.5, sm: 0 } }}
+        >
+          <Box>
+            <Typography variant="h5" sx={{ fontWeight: 700, color: '#1e293b', mb: 0.5, fontSize: '1.75rem' }}>
+              Harvest Calendar
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.9rem' }}>
+              {isFarmer
+                ? 'Harvests on your fields, shipping windows and buyer deliveries'
+                : 'Harvests on the fields you rent and when your orders arrive'}
+            </Typography>
+          </Box>
+          <Button
+            variant="contained"
+            startIcon={<EventAvailable />}
+            onClick={handleExportIcs}
+            disabled={events.length === 0}
+            sx={{ backgroundColor: '#4caf50', '&:hover': { backgroundColor: '#43a047' }, borderRadius: 2 }}
+          >
+            Export .ics
+          </Button>
+        </Stack>
+
+        <Paper elevation={0} sx={{ p: 2, mb: 2, border: '1px solid #e2e8f0', borderRadius: 2, backgroundColor: 'white' }}>
+          <Stack
+            direction={{ xs: 'column', md: 'row' }}
+            alignItems={{ xs: 'flex-start', md: 'center' }}
+            justifyContent="space-between"
+            sx={{ gap: 1.5 }}
+          >
+            <Stack direction="row" alignItems="center" spacing={1}>
+              <IconButton size="small" onClick={() => shift(-1)} aria-label="Previous">
+                <ChevronLeft />
+              </IconButton>
+              <IconButton size="small" onClick={() => shift(1)} aria-label="Next">
+                <ChevronRight />
+              </IconButton>
+              <Button size="small" startIcon={<Today />} onClick={() => setCursor(startOfDay(new Date()))}>
+                Today
+              </Button>
+              <Typography variant="subtitle1" sx={{ fontWeight: 600, color: '#1e293b', ml: 1 }}>
+                {periodLabel}
+              </Typography>
+            </Stack>
+            <Stack direction="row" alignItems="center" spacing={1} flexWrap="wrap" useFlexGap>
+              {Object.entries(CALENDAR_EVENT_KINDS).map(([kind, meta]) => {
+                const active = visibleKinds.includes(kind);
+                return (
+                  <Chip
+                    key={kind}
+                    size="small"
+                    label={meta.label}
+                    onClick={() => toggleKind(kind)}
+                    variant={active ? 'filled' : 'outlined'}
+                    sx={{
+                      fontWeight: 600,
+                      bgcolor: active ? meta.color : 'transparent',
+                      color: active ? '#fff' : meta.color,
+                      borderColor: meta.color,
+                      '&:hover': { bgcolor: active ? meta.color : 'transparent' },
+                    }}
+                  />
+                );
+              })}
+              <ToggleButtonGroup
+                size="small"
+                exclusive
+                value={view}
+                onChange={(_, next) => next && setView(next)}
+              >
+                <ToggleButton value="month">
+                  <CalendarMonth sx={{ fontSize: 18, mr: 0.5 }} /> Month
+                </ToggleButton>
+                <ToggleButton value="week">
+                  <ViewWeek sx={{ fontSize: 18, mr: 0.5 }} /> Week
+                </ToggleButton>
+              </ToggleButtonGroup>
+            </Stack>
+          </Stack>
+        </Paper>
+
+        <Paper elevation={0} sx={{ border: '1px solid #e2e8f0', borderRadius: 2, overflow: 'hidden', backgroundColor: 'white' }}>
+          <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(7, minmax(0, 1fr))', borderBottom: '1px solid #e2e8f0' }}>
+            {WEEKDAY_LABELS.map((label) => (
+              <Typography
+                key={label}
+                variant="caption"
+                sx={{ py: 1, textAlign: 'center', fontWeight: 700, color: '#64748b', textTransform: 'uppercase' }}
+              >
+                {label}
+              </Typography>
+            ))}
+          </Box>
+          <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(7, minmax(0, 1fr))' }}>
+            {days.map((day) => {
+              const dayKey = toDayKey(day);
+              const dayEvents = eventsOnDay(events, day);
+              const outsideMonth = view === 'month' && day.getMonth() !== cursor.getMonth();
+              const limit = view === 'month' ? MONTH_CELL_MAX_EVENTS : dayEvents.length;
+              const hidden = dayEvents.length - limit;
+              return (
+                <Box
+                  key={dayKey}
+                  sx={{
+                    minHeight: view === 'month' ? 112 : 320,
+                    p: 0.75,
+                    borderRight: '1px solid #f1f5f9',
+                    borderBottom: '1px solid #f1f5f9',
+                    bgcolor: outsideMonth ? '#f8fafc' : 'white',
+                    display: 'flex',
+                    flexDirection: 'column',
+                    gap: 0.5,
+                    minWidth: 0,
+                  }}
+                >
+                  <Typography
+                    variant="caption"
+                    sx={{
+                      alignSelf: 'flex-start',
+                      fontWeight: 700,
+                      px: 0.75,
+                      borderRadius: 10,
+                      color: dayKey === todayKey ? '#fff' : outsideMonth ? '#cbd5e1' : '#334155',
+                      bgcolor: dayKey === todayKey ? '#4caf50' : 'transparent',
+                    }}
+                  >
+                    {view === 'week' ? day.toLocaleDateString('en-US', { day: 'numeric', month: 'short' }) : day.getDate()}
+                  </Typography>
+                  {dayEvents.slice(0, limit).map((event) => renderEventChip(event, day))}
+                  {hidden > 0 && (
+                    <Tooltip title="Show this week">
+                      <Typography
+                        variant="caption"
+                        onClick={() => openDayInWeekView(day)}
+                        sx={{ color: '#64748b', cursor: 'pointer', fontWeight: 600, px: 0.75 }}
+                      >
+                        +{hidden} more
+                      </Typography>
+                    </Tooltip>
+                  )}
+                </Box>
+              );
+            })}
+          </Box>
+        </Paper>
+
+        {events.length === 0 && (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 2, textAlign: 'center' }}>
+            {isFarmer
+              ? 'No harvest dates on your fields yet. Add harvest dates to a field to see them here.'
+              : 'No upcoming harvests on the fields you rent.'}
+          </Typography>
+        )}
+      </Box>
+
+      <Dialog open={Boolean(selectedEvent)} onClose={() => setSelectedEvent(null)} maxWidth="xs" fullWidth>
+        {selectedEvent && (
+          <>
+            <DialogTitle sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', pb: 1 }}>
+              <Typography variant="h6" sx={{ fontWeight: 700, fontSize: '1.05rem' }}>
+                {selectedEvent.title}
+              </Typography>
+              <IconButton size="small" onClick={() => setSelectedEvent(null)}>
+                <Close />
+              </IconButton>
+            </DialogTitle>
+            <DialogContent dividers>
+              <Stack spacing={1}>
+                <Chip
+                  size="small"
+                  label={CALENDAR_EVENT_KINDS[selectedEvent.kind]?.label}
+                  sx={{ alignSelf: 'flex-start', bgcolor: CALENDAR_EVENT_KINDS[selectedEvent.kind]?.color, color: '#fff', fontWeight: 600 }}
+                />
+                <Typography variant="body2">
+                  {toDayKey(selectedEvent.start) === toDayKey(selectedEvent.end)
+                    ? formatDay(selectedEvent.start)
+                    : `${formatDay(selectedEvent.start)} – ${formatDay(selectedEvent.end)}`}
+                </Typography>
+                {selectedEvent.kind !== 'harvest' && formatShippingLeadAfterHarvest(selectedEvent.leadDays) && (
+                  <Typography variant="body2" color="text.secondary">
+                    Shipping lead: {formatShippingLeadAfterHarvest(selectedEvent.leadDays)}
+                  </Typography>
+                )}
+                {selectedEvent.orderIds.length > 0 && (
+                  <Typography variant="body2" color="text.secondary">
+                    Order{selectedEvent.orderIds.length === 1 ? '' : 's'}: {selectedEvent.orderIds.map((id) => `#${id}`).join(', ')}
+                  </Typography>
+                )}
+              </Stack>
+            </DialogContent>
+            <DialogActions>
+              <Button
+                onClick={() => navigate(isFarmer ? '/farmer/farm-orders' : '/buyer/orders')}
+                sx={{ color: '#4caf50', fontWeight: 600 }}
+              >
+                {isFarmer ? 'Go to farm orders' : 'Go to my orders'}
+              </Button>
+            </DialogActions>
+          </>
+        )}
+      </Dialog>
+    </Box>
+  );
+};
+
+export default HarvestCalendar;
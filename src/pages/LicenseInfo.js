@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import {
   Box,
   Typography,
@@ -14,7 +14,9 @@ import {
   Dialog,
   DialogContent,
   DialogTitle,
-  DialogActions
+  DialogActions,
+  TextField,
+  MenuItem
 } from '@mui/material';
 import {
   MoreVert,
@@ -32,45 +34,93 @@ import {
   Visibility,
   Close,
   PictureAsPdf,
-  Image as ImageIcon
+  Image as ImageIcon,
+  EventBusy,
+  HelpOutline,
+  Send
 } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
 import { userDocumentsService } from '../services/userDocuments';
+import profileService from '../services/profile';
+import useFarmerVerification from '../hooks/useFarmerVerification';
+import { APPLICATION_FIELDS, DOCUMENT_TYPES, daysUntilExpiry, outstandingInfoRequest } from '../utils/farmerVerification';
+import { ISO2_COUNTRY_OPTIONS } from '../data/isoCountryOptions';
 import StatCard from '../components/Common/StatCard';
 import supabase from '../services/supabase';
 import { v4 as uuidv4 } from 'uuid';
 
+const CHECKLIST_STATUS = {
+  missing: { label: 'Not uploaded', bg: '#f1f5f9', color: '#475569' },
+  pending: { label: 'In review', bg: '#fef3c7', color: '#b45309' },
+  approved: { label: 'Approved', bg: '#dcfce7', color: '#047857' },
+  rejected: { label: 'Rejected', bg: '#fee2e2', color: '#b91c1c' },
+  expiring: { label: 'Expiring soon', bg: '#ffedd5', color: '#c2410c' },
+  expired: { label: 'Expired', bg: '#fee2e2', color: '#b91c1c' },
+};
+
 const LicenseInfo = () => {
-  const { user } = useAuth();
-  const [licenses, setLicenses] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const { user, updateUser } = useAuth();
+  const {
+    documents: licenses,
+    loading,
+    error: loadError,
+    reload: loadLicenses,
+    country,
+    status: checklist,
+    listingsSuspended,
+    needsInfo,
+  } = useFarmerVerification();
   const [uploading, setUploading] = useState(false);
   const [error, setError] = useState(null);
   const [viewerOpen, setViewerOpen] = useState(false);
   const [selectedDocument, setSelectedDocument] = useState(null);
+  // Checklist item being uploaded: { type, label, expires }
+  const [uploadItem, setUploadItem] = useState(null);
+  const [uploadFile, setUploadFile] = useState(null);
+  const [uploadExpiry, setUploadExpiry] = useState('');
+  const [savingCountry, setSavingCountry] = useState(false);
+  // Answers to the fields an admin asked for; country is picked with the checklist's country select
+  const [infoValues, setInfoValues] = useState({});
+  const [resubmitNote, setResubmitNote] = useState('');
+  const [resubmitting, setResubmitting] = useState(false);
 
   // Determine approval status (fallback to false if not present, allowing edits by default unless explicitly approved)
   // Logic: If user is approved, they CANNOT delete/upload.
   const isApproved = user?.approval_status === 'approved';
 
-  useEffect(() => {
-    if (user?.id) {
-      loadLicenses();
-    }
-  // eslint-disable-next-line react-hooks/exhaustive-deps -- run only when user is set
-  }, [user]);
+  const infoRequest = needsInfo ? user?.info_request : null;
+  const requestedFields = (infoRequest?.fields || []).filter((key) => key !== 'country');
+  const fieldValue = (key) => infoValues[key] ?? user?.[key] ?? '';
+  const outstanding = outstandingInfoRequest(
+    infoRequest,
+    licenses,
+    { ...Object.fromEntries(requestedFields.map((key) => [key, fieldValue(key)])), country },
+    country
+  );
 
-  const loadLicenses = async () => {
-    try {
-      setLoading(true);
-      const response = await userDocumentsService.getUserDocuments(user.id);
-      // Ensure we get an array
-      setLicenses(Array.isArray(response.data) ? response.data : []);
-    } catch (err) {
-      console.error("Failed to load licenses", err);
-      setError("Failed to load license information.");
-    } finally {
-      setLoading(false);
+  const uploadFiles = async (files, extra = {}) => {
+    for (const file of files) {
+      const fileExt = file.name.split('.').pop();
+      const fileName = `${uuidv4()}-${file.name}`;
+      const filePath = `documents/${fileName}`;
+
+      const { error: uploadError } = await supabase.storage
+        .from('user-documents')
+        .upload(filePath, file);
+
+      if (uploadError) throw uploadError;
+
+      const { data: { publicUrl } } = supabase.storage
+        .from('user-documents')
+        .getPublicUrl(filePath);
+
+      await userDocumentsService.addDocument({
+        user_id: user.id,
+        file_name: file.name,
+        file_url: publicUrl,
+        file_type: fileExt,
+        ...extra
+      });
     }
   };
 
@@ -82,28 +132,7 @@ const LicenseInfo = () => {
     setError(null);
 
     try {
-      for (const file of files) {
-        const fileExt = file.name.split('.').pop();
-        const fileName = `${uuidv4()}-${file.name}`;
-        const filePath = `documents/${fileName}`;
-
-        const { error: uploadError } = await supabase.storage
-          .from('user-documents')
-          .upload(filePath, file);
-
-        if (uploadError) throw uploadError;
-
-        const { data: { publicUrl } } = supabase.storage
-          .from('user-documents')
-          .getPublicUrl(filePath);
-
-        await userDocumentsService.addDocument({
-          user_id: user.id,
-          file_name: file.name,
-          file_url: publicUrl,
-          file_type: fileExt
-        });
-      }
+      await uploadFiles(files);
       await loadLicenses();
     } catch (err) {
       console.error('Error uploading license:', err);
@@ -113,11 +142,75 @@ const LicenseInfo = () => {
     }
   };
 
+  const openChecklistUpload = (item) => {
+    setUploadItem(item);
+    setUploadFile(null);
+    setUploadExpiry('');
+  };
+
+  const handleChecklistUpload = async () => {
+    if (!uploadItem || !uploadFile) return;
+    if (uploadItem.expires && !uploadExpiry) {
+      setError(`Please enter the expiry date of your ${uploadItem.label.toLowerCase()}.`);
+      return;
+    }
+    setUploading(true);
+    setError(null);
+    try {
+      await uploadFiles([uploadFile], {
+        document_type: uploadItem.type,
+        expires_at: uploadItem.expires ? uploadExpiry : null,
+      });
+      setUploadItem(null);
+      await loadLicenses();
+    } catch (err) {
+      console.error('Error uploading verification document:', err);
+      setError(`Failed to upload ${uploadItem.label.toLowerCase()}.`);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleCountryChange = async (code) => {
+    setSavingCountry(true);
+    try {
+      const response = await profileService.updateProfile({ country: code });
+      updateUser(response.data?.user || { country: code });
+    } catch (err) {
+      console.error('Error saving country:', err);
+      setError('Failed to save your country.');
+    } finally {
+      setSavingCountry(false);
+    }
+  };
+
+  const handleResubmit = async () => {
+    setResubmitting(true);
+    setError(null);
+    try {
+      const fields = Object.fromEntries(requestedFields.map((key) => [key, String(fieldValue(key)).trim()]));
+      const response = await profileService.resubmitApplication({ fields, note: resubmitNote.trim() || undefined });
+      updateUser(response.data?.user || {
+        ...fields,
+        approval_status: 'pending',
+        info_request: null,
+        resubmitted_at: new Date().toISOString(),
+      });
+      setInfoValues({});
+      setResubmitNote('');
+    } catch (err) {
+      console.error('Error resubmitting application:', err);
+      setError(err.response?.data?.error || 'Failed to resubmit your application.');
+    } finally {
+      setResubmitting(false);
+    }
+  };
+
   const handleDelete = async (id) => {
     if (window.confirm('Are you sure you want to delete this document?')) {
       try {
         await userDocumentsService.deleteDocument(id);
-        setLicenses(prev => prev.filter(l => l.id !== id));
+        await loadLicenses();
       } catch (err) {
         console.error('Error deleting license:', err);
         setError('Failed to delete license.');
@@ -201,13 +294,92 @@ const LicenseInfo = () => {
           </Alert>
         )}
 
+        {loadError && (
+          <Alert
+            severity="error"
+            sx={{ mb: 3 }}
+            action={<Button color="inherit" size="small" onClick={loadLicenses}>Retry</Button>}
+          >
+            {loadError}
+          </Alert>
+        )}
+
         {/* Approval Status Alert */}
         {isApproved ? (
           <Alert severity="success" sx={{ mb: 3 }}>
             <Typography variant="body2" sx={{ fontWeight: 600 }}>
-              Your account is approved! You can view your licenses but changes are now restricted.
+              Your account is approved! Keep the documents in your verification checklist up to date; other changes are restricted.
             </Typography>
           </Alert>
+        ) : infoRequest ? (
+          <Alert severity="warning" icon={<HelpOutline />} sx={{ mb: 3 }}>
+            <Typography variant="body2" sx={{ fontWeight: 600 }}>
+              ShareCrop needs more information before approving your account.
+            </Typography>
+            {infoRequest.message && (
+              <Typography variant="body2" sx={{ mt: 0.5, whiteSpace: 'pre-wrap' }}>
+                {infoRequest.message}
+              </Typography>
+            )}
+            <Stack spacing={1} sx={{ mt: 1.5 }}>
+              {(infoRequest.document_types || []).map((type) => {
+                const item = checklist.items.find((i) => i.type === type);
+                const done = !outstanding.documents.some((d) => d.type === type);
+                return (
+                  <Box key={type} sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                    {done ? <CheckCircle sx={{ fontSize: 18, color: '#059669' }} /> : <Pending sx={{ fontSize: 18, color: '#d97706' }} />}
+                    <Typography variant="body2">{item?.label || DOCUMENT_TYPES[type]?.label || type}</Typography>
+                    {item && (
+                      <Button size="small" startIcon={<Upload />} onClick={() => openChecklistUpload(item)} sx={{ textTransform: 'none', color: '#059669' }}>
+                        {done ? 'Replace' : 'Upload'}
+                      </Button>
+                    )}
+                  </Box>
+                );
+              })}
+              {(infoRequest.fields || []).includes('country') && (
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  {country ? <CheckCircle sx={{ fontSize: 18, color: '#059669' }} /> : <Pending sx={{ fontSize: 18, color: '#d97706' }} />}
+                  <Typography variant="body2">{APPLICATION_FIELDS.country}: choose it next to the verification checklist below</Typography>
+                </Box>
+              )}
+              {requestedFields.map((key) => (
+                <TextField
+                  key={key}
+                  size="small"
+                  label={APPLICATION_FIELDS[key] || key}
+                  value={fieldValue(key)}
+                  onChange={(e) => setInfoValues((prev) => ({ ...prev, [key]: e.target.value }))}
+                  sx={{ maxWidth: 420, backgroundColor: 'white' }}
+                />
+              ))}
+              <TextField
+                size="small"
+                label="Note for the reviewer (optional)"
+                multiline
+                minRows={2}
+                value={resubmitNote}
+                onChange={(e) => setResubmitNote(e.target.value)}
+                sx={{ maxWidth: 420, backgroundColor: 'white' }}
+              />
+              <Box>
+                <Button
+                  variant="contained"
+                  startIcon={resubmitting ? <CircularProgress size={18} color="inherit" /> : <Send />}
+                  disabled={!outstanding.ready || resubmitting}
+                  onClick={handleResubmit}
+                  sx={{ textTransform: 'none', backgroundColor: '#4CAF50', '&:hover': { backgroundColor: '#4CAF50' } }}
+                >
+                  Resubmit for review
+                </Button>
+                {!outstanding.ready && (
+                  <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+                    Complete every item above to resubmit.
+                  </Typography>
+                )}
+              </Box>
+            </Stack>
+          </Alert>
         ) : (
           <Alert severity="info" sx={{ mb: 3 }}>
             <Typography variant="body2">
@@ -229,11 +401,106 @@ const LicenseInfo = () => {
             icon={isApproved ? <CheckCircle sx={{ fontSize: 20 }} /> : <Pending sx={{ fontSize: 20 }} />}
             iconBg={isApproved ? '#dcfce7' : '#fef3c7'}
             iconColor={isApproved ? '#059669' : '#d97706'}
-            value={isApproved ? 'Approved' : 'Pending'}
+            value={isApproved ? 'Approved' : infoRequest ? 'Needs info' : 'Pending'}
             label="Account Status"
           />
         </div>
 
+        {listingsSuspended && (
+          <Alert severity="error" icon={<EventBusy />} sx={{ mb: 3 }}>
+            <Typography variant="body2" sx={{ fontWeight: 600 }}>
+              New listings are paused because a required document has expired
+              {checklist.lapsed.length > 0 ? ` (${checklist.lapsed.map((i) => i.label).join(', ')})` : ''}.
+            </Typography>
+            <Typography variant="body2">
+              Upload a renewed copy below. Your existing fields and orders are not affected.
+            </Typography>
+          </Alert>
+        )}
+
+        {/* Verification Checklist */}
+        <Box sx={{ mb: 4 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+            <Box>
+              <Typography variant="h5" sx={{ fontWeight: 600, color: '#1e293b', fontSize: '1.25rem' }}>
+                Verification Checklist
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                {checklist.complete ? 'All required documents are approved.' : 'Upload each document below. ShareCrop reviews them one by one.'}
+              </Typography>
+            </Box>
+            <TextField
+              select
+              size="small"
+              label="Country"
+              value={country || ''}
+              onChange={(e) => handleCountryChange(e.target.value)}
+              disabled={savingCountry}
+              helperText="Document names follow your country"
+              sx={{ minWidth: 220 }}
+            >
+              {ISO2_COUNTRY_OPTIONS.map((c) => (
+                <MenuItem key={c.code} value={c.code}>{c.name}</MenuItem>
+              ))}
+            </TextField>
+          </Box>
+
+          <Grid container spacing={2}>
+            {checklist.items.map((item) => {
+              const st = CHECKLIST_STATUS[item.status];
+              const days = daysUntilExpiry(item.document);
+              const canUpload = !isApproved || ['missing', 'rejected', 'expiring', 'expired'].includes(item.status);
+              return (
+                <Grid item xs={12} md={6} key={item.type}>
+                  <Paper elevation={0} sx={{ p: 2, border: '1px solid #e2e8f0', borderRadius: 2, backgroundColor: 'white', height: '100%' }}>
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 1 }}>
+                      <Box sx={{ minWidth: 0 }}>
+                        <Typography sx={{ fontWeight: 600, color: '#1e293b' }}>{item.label}</Typography>
+                        <Typography variant="caption" color="text.secondary">{item.hint}</Typography>
+                      </Box>
+                      <Chip label={st.label} size="small" sx={{ backgroundColor: st.bg, color: st.color, fontWeight: 600, flexShrink: 0 }} />
+                    </Box>
+                    {item.document && (
+                      <Box sx={{ mt: 1.5 }}>
+                        <Button size="small" startIcon={<Visibility />} onClick={() => handleViewDocument(item.document)} sx={{ textTransform: 'none', color: '#059669', p: 0 }}>
+                          {cleanFileName(item.document.file_name) || 'View document'}
+                        </Button>
+                        {item.document.expires_at && (
+                          <Typography variant="caption" sx={{ display: 'block', color: days != null && days < 0 ? '#b91c1c' : 'text.secondary' }}>
+                            {days != null && days < 0 ? 'Expired' : 'Expires'} {formatDate(item.document.expires_at)}
+                          </Typography>
+                        )}
+                        {item.document.review_comment && (
+                          <Alert severity={item.status === 'rejected' ? 'error' : 'info'} sx={{ mt: 1, py: 0 }}>
+                            <Typography variant="caption">{item.document.review_comment}</Typography>
+                          </Alert>
+                        )}
+                      </Box>
+                    )}
+                    {canUpload && (
+                      <Button
+                        size="small"
+                        variant={item.status === 'missing' ? 'contained' : 'outlined'}
+                        startIcon={<Upload />}
+                        onClick={() => openChecklistUpload(item)}
+                        sx={{
+                          mt: 1.5,
+                          textTransform: 'none',
+                          ...(item.status === 'missing'
+                            ? { backgroundColor: '#4CAF50', '&:hover': { backgroundColor: '#4CAF50' } }
+                            : { borderColor: '#059669', color: '#059669' })
+                        }}
+                      >
+                        {item.status === 'missing' ? 'Upload' : 'Upload new copy'}
+                      </Button>
+                    )}
+                  </Paper>
+                </Grid>
+              );
+            })}
+          </Grid>
+        </Box>
+
         {/* Licenses List Section */}
         <Box sx={{ mb: 4 }}>
           <Box sx={{
@@ -444,6 +711,42 @@ const LicenseInfo = () => {
           )}
         </Box>
 
+        {/* Checklist Upload Dialog */}
+        <Dialog open={Boolean(uploadItem)} onClose={() => !uploading && setUploadItem(null)} maxWidth="xs" fullWidth>
+          <DialogTitle>Upload {uploadItem?.label}</DialogTitle>
+          <DialogContent>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>{uploadItem?.hint}</Typography>
+            <Stack spacing={2}>
+              <Button variant="outlined" component="label" startIcon={<CloudUpload />} sx={{ textTransform: 'none', borderColor: '#059669', color: '#059669' }}>
+                {uploadFile ? uploadFile.name : 'Choose file'}
+                <input type="file" hidden accept=".pdf,.jpg,.jpeg,.png" onChange={(e) => setUploadFile(e.target.files?.[0] || null)} />
+              </Button>
+              {uploadItem?.expires && (
+                <TextField
+                  type="date"
+                  size="small"
+                  label="Expiry date"
+                  value={uploadExpiry}
+                  onChange={(e) => setUploadExpiry(e.target.value)}
+                  InputLabelProps={{ shrink: true }}
+                  helperText="We remind you before it expires"
+                />
+              )}
+            </Stack>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setUploadItem(null)} disabled={uploading}>Cancel</Button>
+            <Button
+              variant="contained"
+              onClick={handleChecklistUpload}
+              disabled={uploading || !uploadFile}
+              sx={{ backgroundColor: '#059669', '&:hover': { backgroundColor: '#047857' } }}
+            >
+              {uploading ? <CircularProgress size={20} color="inherit" /> : 'Upload'}
+            </Button>
+          </DialogActions>
+        </Dialog>
+
         {/* Document Viewer Modal */}
         <Dialog
           open={viewerOpen}
@@ -18,6 +18,11 @@ import {
   ListItemAvatar,
   ListItemText,
   CircularProgress,
+  MenuItem,
+  Menu,
+  ListItemIcon,
+  Chip,
+  Tooltip,
   useMediaQuery,
   useTheme
 } from '@mui/material';
@@ -28,13 +33,104 @@ import {
   ChatBubbleOutline,
   Add,
   ArrowBack,
+  Done,
   DoneAll,
-  VerifiedUser
+  VerifiedUser,
+  AttachFile,
+  Close,
+  PictureAsPdf,
+  MoreVert,
+  PushPin,
+  NotificationsOff,
+  NotificationsActive,
+  Archive,
+  Unarchive
 } from '@mui/icons-material';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { messagingService } from '../services/messaging';
+import { orderService } from '../services/orders';
+import useOrderRealtime from '../hooks/useOrderRealtime';
+import usePresence from '../hooks/usePresence';
+import { syncPresenceConversations } from '../services/presence';
+import OrderContextCard from '../components/Messaging/OrderContextCard';
+import { orderContext, orderConversationLabel } from '../utils/orderConversation';
+import { isArchived, isMuted, isPinned, sortConversations } from '../utils/conversations';
 import supabase from '../services/supabase';
+import MessageAttachment from '../components/Messaging/MessageAttachment';
+import ImageLightbox from '../components/Messaging/ImageLightbox';
+import {
+  ATTACHMENT_ACCEPT,
+  MAX_ATTACHMENTS_PER_SEND,
+  attachmentMessageType,
+  encodeAttachment,
+  messagePreview,
+  parseAttachment,
+  validateAttachment
+} from '../utils/messageAttachments';
+
+// Typing broadcasts are throttled while the user types and expire on the receiving side
+const TYPING_SEND_INTERVAL_MS = 2500;
+const TYPING_EXPIRE_MS = 4000;
+
+const formatReceiptTime = (timestamp) =>
+  timestamp ? new Date(timestamp).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) : '';
+
+/** Sending (clock), sent (one tick), delivered (two ticks), read (two highlighted ticks). */
+const MessageReceipt = ({ msg }) => {
+  if (msg.is_temp) return <Schedule sx={{ fontSize: 10 }} />;
+  if (msg.is_read) {
+    return (
+      <Tooltip title={msg.read_at ? `Read ${formatReceiptTime(msg.read_at)}` : 'Read'}>
+        <DoneAll sx={{ fontSize: 13, color: '#bfdbfe' }} />
+      </Tooltip>
+    );
+  }
+  if (msg.delivered_at) {
+    return (
+      <Tooltip title={`Delivered ${formatReceiptTime(msg.delivered_at)}`}>
+        <DoneAll sx={{ fontSize: 13, color: 'rgba(255,255,255,0.7)' }} />
+      </Tooltip>
+    );
+  }
+  return (
+    <Tooltip title="Sent">
+      <Done sx={{ fontSize: 13, color: 'rgba(255,255,255,0.7)' }} />
+    </Tooltip>
+  );
+};
+
+const onlineDotSx = {
+  '& .MuiBadge-dot': {
+    backgroundColor: '#22c55e',
+    width: 10,
+    height: 10,
+    borderRadius: '50%',
+    border: '2px solid white'
+  }
+};
+
+const SNIPPET_RADIUS = 40;
+
+/** Text around the first match of `term`, with the match wrapped in <mark>. */
+const SearchSnippet = ({ text, term }) => {
+  const content = String(text || '');
+  const index = content.toLowerCase().indexOf(term.toLowerCase());
+  if (index < 0) return content.slice(0, SNIPPET_RADIUS * 2);
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(content.length, index + term.length + SNIPPET_RADIUS);
+  return (
+    <>
+      {start > 0 && '…'}
+      {content.slice(start, index)}
+      <Box component="mark" sx={{ bgcolor: '#fef08a', color: 'inherit', px: 0.2 }}>
+        {content.slice(index, index + term.length)}
+      </Box>
+      {content.slice(index + term.length, end)}
+      {end < content.length && '…'}
+    </>
+  );
+};
 
 const Messages = () => {
   const { user } = useAuth();
@@ -49,6 +145,25 @@ const Messages = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [loading, setLoading] = useState(true);
   const [msgLoading, setMsgLoading] = useState(false);
+  // Files picked for the next send: { id, file, type, previewUrl }
+  const [pendingFiles, setPendingFiles] = useState([]);
+  const [attachError, setAttachError] = useState('');
+  const [lightboxIndex, setLightboxIndex] = useState(null);
+  const fileInputRef = useRef(null);
+  // Order summaries for order-linked threads, keyed by order id
+  const [orderContexts, setOrderContexts] = useState({});
+  const [orderFilter, setOrderFilter] = useState('all');
+  const onlineUserIds = usePresence();
+  const [peerTyping, setPeerTyping] = useState(false);
+  const conversationChannelRef = useRef(null);
+  const lastTypingSentRef = useRef(0);
+  const [showArchived, setShowArchived] = useState(false);
+  const [messageResults, setMessageResults] = useState([]);
+  const [messageSearching, setMessageSearching] = useState(false);
+  // Message to scroll to once its conversation has loaded (search results)
+  const [jumpTarget, setJumpTarget] = useState(null);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [conversationMenuAnchor, setConversationMenuAnchor] = useState(null);
 
   // Realtime Configuration Check
   useEffect(() => {
@@ -69,6 +184,17 @@ const Messages = () => {
   const displayName = (name, userType) =>
     userType === 'admin' ? 'Share-Crop' : (name || 'User');
   const isAdmin = (userType) => userType === 'admin';
+  const participantIdOf = (conv) =>
+    conv?.participant_id ?? (String(conv?.user1_id) === String(user?.id) ? conv?.user2_id : conv?.user1_id);
+  const isOnline = (conv) => {
+    const id = participantIdOf(conv);
+    return id != null && onlineUserIds.has(String(id));
+  };
+
+  // Presence is shared per conversation; join the channels of threads started or loaded here
+  useEffect(() => {
+    syncPresenceConversations(conversations);
+  }, [conversations]);
 
   const fetchConversations = useCallback(async (showSpinner = false) => {
     try {
@@ -119,18 +245,30 @@ const Messages = () => {
   }, [user, fetchConversations]);
 
   // Open chat with specific user when navigated from field popup (e.g. "Chat to owner")
+  // or from an order ("Message farmer about this order"), which tags the thread with the order
   useEffect(() => {
     const openWithUserId = location.state?.openWithUserId;
+    const openWithOrder = location.state?.openWithOrder;
     if (!user?.id || !openWithUserId || openWithUserId === user.id) return;
     let cancelled = false;
     const openWith = async () => {
       try {
-        const conv = await messagingService.startConversation(openWithUserId);
+        const conv = await messagingService.startConversation(
+          openWithUserId,
+          openWithOrder ? { orderId: openWithOrder.order_id, fieldId: openWithOrder.field_id } : undefined
+        );
         if (cancelled) return;
         const freshList = await messagingService.getConversations();
+        // Backends that do not return the tag still get the card for the thread opened here
+        const tag = (c) => (openWithOrder && c.id === conv.id && !c.order_id
+          ? { ...c, order_id: openWithOrder.order_id, field_id: openWithOrder.field_id }
+          : c);
         const found = freshList.find(c => c.id === conv.id);
-        setConversations(freshList);
-        setSelectedConversation(found || conv);
+        setConversations(freshList.map(tag));
+        setSelectedConversation(tag(found || conv));
+        if (openWithOrder) {
+          setOrderContexts(prev => ({ ...prev, [openWithOrder.order_id]: prev[openWithOrder.order_id] || openWithOrder }));
+        }
       } catch (err) {
         console.error('Error opening chat with owner:', err);
       }
@@ -138,7 +276,100 @@ const Messages = () => {
     };
     openWith();
     return () => { cancelled = true; };
-  }, [user?.id, location.state?.openWithUserId, location.pathname, navigate]);
+  }, [user?.id, location.state?.openWithUserId, location.state?.openWithOrder, location.pathname, navigate]);
+
+  // Open a specific conversation (header recent-chats dropdown)
+  useEffect(() => {
+    const openConversationId = location.state?.openConversationId;
+    if (!openConversationId || loading) return;
+    const found = conversations.find(c => String(c.id) === String(openConversationId));
+    if (found) {
+      setSelectedConversation(found);
+      if (isArchived(found)) setShowArchived(true);
+    }
+    navigate(location.pathname, { replace: true, state: {} });
+  }, [location.state?.openConversationId, location.pathname, loading, conversations, navigate]);
+
+  // Search message contents across all conversations
+  useEffect(() => {
+    const term = searchTerm.trim();
+    if (term.length < 2) {
+      setMessageResults([]);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        setMessageSearching(true);
+        const data = await messagingService.searchMessages(term);
+        if (!cancelled) setMessageResults(Array.isArray(data) ? data : []);
+      } catch (err) {
+        console.error('Error searching messages:', err);
+        if (!cancelled) setMessageResults([]);
+      } finally {
+        if (!cancelled) setMessageSearching(false);
+      }
+    }, 400);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchTerm]);
+
+  const handleOpenSearchResult = (result) => {
+    const conv = conversations.find(c => String(c.id) === String(result.conversation_id));
+    if (!conv) return;
+    if (isArchived(conv) !== showArchived) setShowArchived(isArchived(conv));
+    setJumpTarget(String(result.id));
+    if (selectedConversation?.id !== conv.id) setSelectedConversation(conv);
+  };
+
+  // Pin / mute / archive: optimistic, reverted if the server rejects it
+  const updateConversationSetting = async (conv, key, value) => {
+    const patch = (c) => (c.id === conv.id ? { ...c, [key]: value } : c);
+    setConversations(prev => prev.map(patch));
+    setSelectedConversation(prev => (prev ? patch(prev) : prev));
+    try {
+      await messagingService.updateConversationSettings(conv.id, { [key]: value });
+    } catch (err) {
+      console.error('Error updating conversation:', err);
+      const revert = (c) => (c.id === conv.id ? { ...c, [key]: !value } : c);
+      setConversations(prev => prev.map(revert));
+      setSelectedConversation(prev => (prev ? revert(prev) : prev));
+    }
+  };
+
+  // Live order summary for the open thread
+  const selectedOrderId = selectedConversation?.order_id;
+  useEffect(() => {
+    if (!selectedOrderId) return undefined;
+    let cancelled = false;
+    orderService.getOrder(selectedOrderId)
+      .then(res => {
+        if (!cancelled && res.data) {
+          setOrderContexts(prev => ({ ...prev, [selectedOrderId]: orderContext({ ...res.data, id: selectedOrderId }) }));
+        }
+      })
+      .catch(err => console.warn('Could not load order for conversation:', err));
+    return () => { cancelled = true; };
+  }, [selectedOrderId]);
+
+  useOrderRealtime({
+    onEvent: (event) => {
+      if (event.type !== 'order_updated' || !orderContexts[event.orderId]) return;
+      setOrderContexts(prev => ({
+        ...prev,
+        [event.orderId]: { ...prev[event.orderId], status: event.order.status || prev[event.orderId].status }
+      }));
+    }
+  });
+
+  const openOrderFromThread = (context) => {
+    const base = user?.user_type === 'farmer' ? '/farmer' : '/buyer';
+    // Farmers may also buy: the farm-orders page only lists orders on their own fields
+    const page = context.farmer_id && String(context.farmer_id) === String(user.id) ? 'farm-orders' : 'orders';
+    navigate(`${base}/${page}?order=${encodeURIComponent(context.order_id)}`);
+  };
 
   // 2. Fetch Messages when selecting conversation
   useEffect(() => {
@@ -147,6 +378,7 @@ const Messages = () => {
 
       // Setup Realtime Subscription for this conversation
       if (supabase) {
+        let typingTimeout = null;
         const channel = supabase
           .channel(`messages-${selectedConversation.id}`)
           .on('postgres_changes', {
@@ -177,12 +409,13 @@ const Messages = () => {
             // Update sidebar preview
             setConversations(prev => prev.map(c =>
               c.id === selectedConversation.id
-                ? { ...c, last_message: newMsg.content, last_message_at: newMsg.created_at }
+                ? { ...c, last_message: newMsg.content, last_message_type: newMsg.message_type, last_message_at: newMsg.created_at }
                 : c
             ));
 
             // If we are currently viewing this conversation, mark the message as read
             if (newMsg.sender_id !== user.id) {
+              setPeerTyping(false);
               messagingService.markAsRead(selectedConversation.id);
             }
           })
@@ -195,10 +428,20 @@ const Messages = () => {
             const updatedMsg = payload.new;
             setMessages(prev => prev.map(m => m.id === updatedMsg.id ? updatedMsg : m));
           })
+          .on('broadcast', { event: 'typing' }, ({ payload }) => {
+            if (!payload || String(payload.user_id) === String(user?.id)) return;
+            clearTimeout(typingTimeout);
+            setPeerTyping(Boolean(payload.typing));
+            if (payload.typing) typingTimeout = setTimeout(() => setPeerTyping(false), TYPING_EXPIRE_MS);
+          })
           .subscribe((status) => {
           });
+        conversationChannelRef.current = channel;
 
         return () => {
+          clearTimeout(typingTimeout);
+          setPeerTyping(false);
+          conversationChannelRef.current = null;
           supabase.removeChannel(channel);
         };
       }
@@ -281,60 +524,172 @@ const Messages = () => {
 
   // Scroll to bottom on initial message load (instant)
   useEffect(() => {
-    if (messages.length > 0 && msgLoading === false) {
+    if (messages.length > 0 && msgLoading === false && !jumpTarget) {
       scrollToBottom('auto');
     }
+    // eslint-disable-next-line react-hooks/exhaustive-deps -- a pending jump handles its own scrolling
   }, [selectedConversation?.id, msgLoading, messages.length]);
 
   // Scroll to bottom on new messages (smooth)
   useEffect(() => {
-    if (messages.length > 0) {
+    if (messages.length > 0 && !jumpTarget) {
       scrollToBottom('smooth');
     }
+    // eslint-disable-next-line react-hooks/exhaustive-deps -- a pending jump handles its own scrolling
   }, [messages.length]);
 
-  const handleSendMessage = async () => {
-    if (newMessage.trim() && selectedConversation) {
-      const content = newMessage;
-      const tempId = `temp-${Date.now()}`;
-
-      // 1. Optimistic Update (Immediate Feedback)
-      const optimisticMsg = {
-        id: tempId,
-        sender_id: user.id,
-        content: content,
-        created_at: new Date().toISOString(),
-        is_temp: true
-      };
+  // Jump to a search result once its conversation's messages are on screen
+  useEffect(() => {
+    if (!jumpTarget || msgLoading || !messagesContainerRef.current) return undefined;
+    const el = messagesContainerRef.current.querySelector(`[data-message-id="${CSS.escape(jumpTarget)}"]`);
+    if (!el) return undefined;
+    el.scrollIntoView({ block: 'center' });
+    setHighlightedMessageId(jumpTarget);
+    setJumpTarget(null);
+    const timer = setTimeout(() => setHighlightedMessageId(null), 2500);
+    return () => clearTimeout(timer);
+  }, [jumpTarget, msgLoading, messages]);
 
-      setMessages(prev => [...prev, optimisticMsg]);
-      setNewMessage('');
+  // Drop picked files when switching conversation (previews are object URLs)
+  useEffect(() => {
+    setPendingFiles(prev => {
+      prev.forEach(p => p.previewUrl && URL.revokeObjectURL(p.previewUrl));
+      return [];
+    });
+    setAttachError('');
+    setLightboxIndex(null);
+  }, [selectedConversation?.id]);
 
-      try {
-        const sentMsg = await messagingService.sendMessage(selectedConversation.id, content);
+  const handleFilesSelected = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    const errors = [];
+    const accepted = [];
+    files.forEach(file => {
+      const error = validateAttachment(file);
+      if (error) errors.push(error);
+      else accepted.push(file);
+    });
+    const room = MAX_ATTACHMENTS_PER_SEND - pendingFiles.length;
+    if (accepted.length > room) {
+      errors.push(`You can attach up to ${MAX_ATTACHMENTS_PER_SEND} files per message`);
+      accepted.splice(Math.max(room, 0));
+    }
+    setAttachError(errors.join(' · '));
+    setPendingFiles(prev => [
+      ...prev,
+      ...accepted.map(file => {
+        const type = attachmentMessageType(file);
+        return {
+          id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+          file,
+          type,
+          previewUrl: type === 'image' ? URL.createObjectURL(file) : null
+        };
+      })
+    ]);
+  };
 
-        // 2. Replace optimistic message with actual server message
-        // Check if realtime already added the message to avoid duplication
-        setMessages(prev => {
-          if (prev.some(m => m.id === sentMsg.id)) {
-            return prev.filter(m => m.id !== tempId);
-          }
-          return prev.map(m => m.id === tempId ? sentMsg : m);
-        });
+  const removePendingFile = (id) => {
+    setPendingFiles(prev => {
+      const target = prev.find(p => p.id === id);
+      if (target?.previewUrl) URL.revokeObjectURL(target.previewUrl);
+      return prev.filter(p => p.id !== id);
+    });
+  };
 
-        // 3. Update conversation last message preview
-        setConversations(prev => prev.map(c =>
-          c.id === selectedConversation.id
-            ? { ...c, last_message: content, last_message_at: sentMsg.created_at }
-            : c
-        ));
-      } catch (err) {
-        console.error('Error sending message:', err);
-        // Remove the optimistic message on failure
-        setMessages(prev => prev.filter(m => m.id !== tempId));
-        setNewMessage(content); // Restore content so user doesn't lose it
+  /**
+   * Optimistic send shared by text and attachment messages. `prepare` resolves the final content
+   * (the upload for attachments); the temp message shows `draft` until then.
+   */
+  const sendOptimistic = async (conversationId, messageType, draft, prepare) => {
+    const tempId = `temp-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+    // 1. Optimistic Update (Immediate Feedback)
+    setMessages(prev => [...prev, {
+      id: tempId,
+      sender_id: user.id,
+      content: draft,
+      message_type: messageType,
+      created_at: new Date().toISOString(),
+      is_temp: true
+    }]);
+
+    try {
+      const content = prepare ? await prepare() : draft;
+      // Final content on the temp message lets the realtime echo replace it
+      setMessages(prev => prev.map(m => m.id === tempId ? { ...m, content } : m));
+      const sentMsg = await messagingService.sendMessage(conversationId, content, messageType);
+
+      // 2. Replace optimistic message with actual server message
+      // Check if realtime already added the message to avoid duplication
+      setMessages(prev => {
+        if (prev.some(m => m.id === sentMsg.id)) {
+          return prev.filter(m => m.id !== tempId);
+        }
+        return prev.map(m => m.id === tempId ? sentMsg : m);
+      });
+
+      // 3. Update conversation last message preview
+      setConversations(prev => prev.map(c =>
+        c.id === conversationId
+          ? { ...c, last_message: content, last_message_type: messageType, last_message_at: sentMsg.created_at }
+          : c
+      ));
+      return true;
+    } catch (err) {
+      console.error('Error sending message:', err);
+      // Remove the optimistic message on failure
+      setMessages(prev => prev.filter(m => m.id !== tempId));
+      return false;
+    }
+  };
+
+  const handleSendMessage = async () => {
+    if (!selectedConversation || (!newMessage.trim() && pendingFiles.length === 0)) return;
+    const conversationId = selectedConversation.id;
+    const content = newMessage;
+    const files = pendingFiles;
+    setNewMessage('');
+    setPendingFiles([]);
+    setAttachError('');
+    sendTyping(false);
+
+    const failedFiles = [];
+    for (const pending of files) {
+      const { file, type, previewUrl } = pending;
+      const draft = encodeAttachment({ url: previewUrl || '', name: file.name, size: file.size, mime: file.type });
+      const ok = await sendOptimistic(conversationId, type, draft, () => messagingService.uploadAttachment(conversationId, file));
+      if (ok) {
+        if (previewUrl) URL.revokeObjectURL(previewUrl);
+      } else {
+        failedFiles.push(pending);
       }
     }
+    if (failedFiles.length > 0) {
+      // Keep failed files picked so the user can retry
+      setPendingFiles(prev => [...failedFiles, ...prev]);
+      setAttachError(`Could not send ${failedFiles.map(p => p.file.name).join(', ')}. Please try again.`);
+    }
+
+    if (content.trim()) {
+      const ok = await sendOptimistic(conversationId, 'text', content);
+      if (!ok) setNewMessage(content); // Restore content so user doesn't lose it
+    }
+  };
+
+  const sendTyping = (typing) => {
+    const channel = conversationChannelRef.current;
+    if (!channel) return;
+    const now = Date.now();
+    if (typing && now - lastTypingSentRef.current < TYPING_SEND_INTERVAL_MS) return;
+    lastTypingSentRef.current = typing ? now : 0;
+    channel.send({ type: 'broadcast', event: 'typing', payload: { user_id: user.id, typing } });
+  };
+
+  const handleMessageChange = (e) => {
+    setNewMessage(e.target.value);
+    sendTyping(e.target.value.trim().length > 0);
   };
 
   const handleKeyPress = (e) => {
@@ -344,9 +699,27 @@ const Messages = () => {
     }
   };
 
-  const filteredConversations = conversations.filter(conv =>
-    conv.participant_name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    (conv.last_message && conv.last_message.toLowerCase().includes(searchTerm.toLowerCase()))
+  const conversationImages = messages
+    .filter(m => !m.is_temp)
+    .map(parseAttachment)
+    .filter(a => a && a.type === 'image');
+
+  const openImage = (attachment) => {
+    const index = conversationImages.findIndex(img => img.url === attachment.url);
+    if (index >= 0) setLightboxIndex(index);
+  };
+
+  const orderThreads = conversations.filter(conv => conv.order_id);
+
+  const archivedCount = conversations.filter(isArchived).length;
+
+  const filteredConversations = sortConversations(conversations).filter(conv =>
+    isArchived(conv) === showArchived &&
+    (orderFilter === 'all' ||
+      (orderFilter === 'orders' ? Boolean(conv.order_id) : String(conv.order_id) === orderFilter)) &&
+    (conv.participant_name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      (conv.last_message && conv.last_message.toLowerCase().includes(searchTerm.toLowerCase())) ||
+      (conv.order_id && orderConversationLabel(conv, orderContexts[conv.order_id]).toLowerCase().includes(searchTerm.toLowerCase())))
   );
 
   const formatTime = (timestamp) => {
@@ -368,6 +741,50 @@ const Messages = () => {
     </Box>
   );
 
+  const conversationById = new Map(conversations.map(c => [String(c.id), c]));
+  const searchResultsSection = searchTerm.trim().length >= 2 && (
+    <Box>
+      <Stack direction="row" alignItems="center" spacing={1} sx={{ px: 1.5, py: 1, bgcolor: '#fafbfc', borderTop: '1px solid #e2e8f0', borderBottom: '1px solid #e2e8f0' }}>
+        <Typography variant="caption" sx={{ fontWeight: 700, color: '#64748b', textTransform: 'uppercase', letterSpacing: '0.04em' }}>
+          Messages
+        </Typography>
+        {messageSearching && <CircularProgress size={12} />}
+      </Stack>
+      {!messageSearching && messageResults.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ p: 2, fontSize: '0.8rem', textAlign: 'center' }}>
+          No messages match "{searchTerm.trim()}".
+        </Typography>
+      ) : (
+        messageResults.map(result => {
+          const conv = conversationById.get(String(result.conversation_id));
+          if (!conv) return null;
+          return (
+            <Box
+              key={result.id}
+              onClick={() => handleOpenSearchResult(result)}
+              sx={{ p: 1.5, cursor: 'pointer', borderBottom: '1px solid #f8fafc', '&:hover': { backgroundColor: '#f8fafc' } }}
+            >
+              <Stack direction="row" alignItems="center" justifyContent="space-between">
+                <Typography variant="body2" noWrap sx={{ fontWeight: 600, color: '#1e293b', fontSize: '0.8rem' }}>
+                  {String(result.sender_id) === String(user.id) ? 'You' : displayName(conv.participant_name, conv.participant_type)}
+                  {String(result.sender_id) === String(user.id) && (
+                    <Box component="span" sx={{ fontWeight: 400, color: '#94a3b8' }}> → {displayName(conv.participant_name, conv.participant_type)}</Box>
+                  )}
+                </Typography>
+                <Typography variant="caption" sx={{ color: '#94a3b8', fontSize: '0.7rem', flexShrink: 0, ml: 1 }}>
+                  {formatTime(result.created_at)}
+                </Typography>
+              </Stack>
+              <Typography variant="body2" sx={{ fontSize: '0.75rem', color: '#64748b', wordBreak: 'break-word' }}>
+                <SearchSnippet text={messagePreview(result.content, result.message_type)} term={searchTerm.trim()} />
+              </Typography>
+            </Box>
+          );
+        })
+      )}
+    </Box>
+  );
+
   return (
     <Box sx={{
       height: 'calc(100vh - var(--app-header-height, 64px))',
@@ -462,9 +879,28 @@ const Messages = () => {
               backgroundColor: '#fafbfc',
               flexShrink: 0
             }}>
+              <Stack direction="row" spacing={1} sx={{ mb: 1 }}>
+                <Chip
+                  label="Chats"
+                  size="small"
+                  onClick={() => setShowArchived(false)}
+                  color={showArchived ? 'default' : 'primary'}
+                  variant={showArchived ? 'outlined' : 'filled'}
+                  sx={{ fontSize: '0.72rem' }}
+                />
+                <Chip
+                  icon={<Archive sx={{ fontSize: 14 }} />}
+                  label={`Archived${archivedCount ? ` (${archivedCount})` : ''}`}
+                  size="small"
+                  onClick={() => setShowArchived(true)}
+                  color={showArchived ? 'primary' : 'default'}
+                  variant={showArchived ? 'filled' : 'outlined'}
+                  sx={{ fontSize: '0.72rem' }}
+                />
+              </Stack>
               <TextField
                 fullWidth
-                placeholder="Search chats..."
+                placeholder="Search chats and messages..."
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
                 InputProps={{
@@ -484,6 +920,32 @@ const Messages = () => {
                   }
                 }}
               />
+              {orderThreads.length > 0 && (
+                <TextField
+                  select
+                  fullWidth
+                  size="small"
+                  value={orderFilter}
+                  onChange={(e) => setOrderFilter(e.target.value)}
+                  sx={{
+                    mt: 1,
+                    '& .MuiOutlinedInput-root': {
+                      borderRadius: 1.5,
+                      backgroundColor: 'white',
+                      fontSize: '0.8rem',
+                      height: '36px'
+                    }
+                  }}
+                >
+                  <MenuItem value="all" sx={{ fontSize: '0.8rem' }}>All conversations</MenuItem>
+                  <MenuItem value="orders" sx={{ fontSize: '0.8rem' }}>About an order</MenuItem>
+                  {[...new Map(orderThreads.map(c => [String(c.order_id), c])).values()].map(c => (
+                    <MenuItem key={c.order_id} value={String(c.order_id)} sx={{ fontSize: '0.8rem' }}>
+                      {orderConversationLabel(c, orderContexts[c.order_id])}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              )}
             </Box>
 
             <Box sx={{ flex: 1, overflow: 'auto' }}>
@@ -505,35 +967,58 @@ const Messages = () => {
                     }}
                   >
                     <Stack direction="row" spacing={1.5} alignItems="center">
-                      <Avatar
-                        src={conv.participant_avatar}
-                        sx={{
-                          width: 38,
-                          height: 38,
-                          fontSize: '0.9rem',
-                          bgcolor: isAdmin(conv.participant_type) ? '#0d9488' : conv.participant_type === 'farmer' ? '#dcfce7' : '#dbeafe',
-                          color: isAdmin(conv.participant_type) ? '#fff' : conv.participant_type === 'farmer' ? '#059669' : '#1d4ed8',
-                        }}
+                      <Badge
+                        overlap="circular"
+                        variant="dot"
+                        invisible={!isOnline(conv)}
+                        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+                        sx={onlineDotSx}
                       >
-                        {isAdmin(conv.participant_type) ? 'S' : conv.participant_name.charAt(0)}
-                      </Avatar>
+                        <Avatar
+                          src={conv.participant_avatar}
+                          sx={{
+                            width: 38,
+                            height: 38,
+                            fontSize: '0.9rem',
+                            bgcolor: isAdmin(conv.participant_type) ? '#0d9488' : conv.participant_type === 'farmer' ? '#dcfce7' : '#dbeafe',
+                            color: isAdmin(conv.participant_type) ? '#fff' : conv.participant_type === 'farmer' ? '#059669' : '#1d4ed8',
+                          }}
+                        >
+                          {isAdmin(conv.participant_type) ? 'S' : conv.participant_name.charAt(0)}
+                        </Avatar>
+                      </Badge>
 
                       <Box sx={{ flex: 1, minWidth: 0 }}>
                         <Stack direction="row" alignItems="center" justifyContent="space-between">
                           <Typography variant="body2" noWrap sx={{ fontWeight: 600, color: '#1e293b', fontSize: '0.875rem' }}>
                             {displayName(conv.participant_name, conv.participant_type)}
                           </Typography>
-                          <Typography variant="caption" sx={{ color: '#94a3b8', fontSize: '0.7rem' }}>
-                            {formatTime(conv.last_message_at)}
-                          </Typography>
+                          <Stack direction="row" alignItems="center" spacing={0.4} sx={{ flexShrink: 0 }}>
+                            {isMuted(conv) && <NotificationsOff sx={{ fontSize: 12, color: '#94a3b8' }} />}
+                            {isPinned(conv) && <PushPin sx={{ fontSize: 12, color: '#94a3b8' }} />}
+                            <Typography variant="caption" sx={{ color: '#94a3b8', fontSize: '0.7rem' }}>
+                              {formatTime(conv.last_message_at)}
+                            </Typography>
+                          </Stack>
                         </Stack>
+                        {conv.order_id && (
+                          <Chip
+                            size="small"
+                            label={orderConversationLabel(conv, orderContexts[conv.order_id])}
+                            sx={{ height: 18, maxWidth: '100%', fontSize: '0.65rem', bgcolor: '#f0fdf4', color: '#059669', my: 0.2 }}
+                          />
+                        )}
 
                         <Stack direction="row" alignItems="center" justifyContent="space-between" spacing={1}>
                           <Typography variant="body2" noWrap sx={{ fontSize: '0.75rem', color: '#64748b', flex: 1, opacity: conv.unread_count > 0 ? 1 : 0.8, fontWeight: conv.unread_count > 0 ? 500 : 400 }}>
-                            {conv.last_message || 'No messages yet'}
+                            {peerTyping && selectedConversation?.id === conv.id ? (
+                              <Box component="span" sx={{ color: '#059669', fontStyle: 'italic' }}>typing…</Box>
+                            ) : (
+                              messagePreview(conv.last_message, conv.last_message_type) || 'No messages yet'
+                            )}
                           </Typography>
                           {conv.unread_count > 0 && (
-                            <Box sx={{ bgcolor: '#4caf50', color: 'white', borderRadius: '10px', px: 0.8, py: 0.1, fontSize: '0.7rem', fontWeight: 700 }}>
+                            <Box sx={{ bgcolor: isMuted(conv) ? '#cbd5e1' : '#4caf50', color: 'white', borderRadius: '10px', px: 0.8, py: 0.1, fontSize: '0.7rem', fontWeight: 700 }}>
                               {conv.unread_count}
                             </Box>
                           )}
@@ -544,9 +1029,12 @@ const Messages = () => {
                 ))
               ) : (
                 <Box p={4} textAlign="center">
-                  <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.8rem' }}>No conversations.</Typography>
+                  <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.8rem' }}>
+                    {showArchived ? 'No archived conversations.' : 'No conversations.'}
+                  </Typography>
                 </Box>
               )}
+              {!loading && searchResultsSection}
             </Box>
           </Box>
 
@@ -581,18 +1069,26 @@ const Messages = () => {
                           <ArrowBack sx={{ fontSize: 20 }} />
                         </IconButton>
                       )}
-                      <Avatar
-                        src={selectedConversation.participant_avatar}
-                        sx={{
-                          width: 36,
-                          height: 36,
-                          fontSize: '0.9rem',
-                          bgcolor: isAdmin(selectedConversation.participant_type) ? '#0d9488' : selectedConversation.participant_type === 'farmer' ? '#dcfce7' : '#dbeafe',
-                          color: isAdmin(selectedConversation.participant_type) ? '#fff' : selectedConversation.participant_type === 'farmer' ? '#059669' : '#1d4ed8'
-                        }}
+                      <Badge
+                        overlap="circular"
+                        variant="dot"
+                        invisible={!isOnline(selectedConversation)}
+                        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+                        sx={onlineDotSx}
                       >
-                        {isAdmin(selectedConversation.participant_type) ? 'S' : selectedConversation.participant_name.charAt(0)}
-                      </Avatar>
+                        <Avatar
+                          src={selectedConversation.participant_avatar}
+                          sx={{
+                            width: 36,
+                            height: 36,
+                            fontSize: '0.9rem',
+                            bgcolor: isAdmin(selectedConversation.participant_type) ? '#0d9488' : selectedConversation.participant_type === 'farmer' ? '#dcfce7' : '#dbeafe',
+                            color: isAdmin(selectedConversation.participant_type) ? '#fff' : selectedConversation.participant_type === 'farmer' ? '#059669' : '#1d4ed8'
+                          }}
+                        >
+                          {isAdmin(selectedConversation.participant_type) ? 'S' : selectedConversation.participant_name.charAt(0)}
+                        </Avatar>
+                      </Badge>
                       <Box>
                         <Stack direction="row" alignItems="center" spacing={0.5}>
                           <Typography variant="body1" sx={{ fontWeight: 600, fontSize: '0.9rem', color: '#1e293b' }}>
@@ -600,14 +1096,80 @@ const Messages = () => {
                           </Typography>
                           {isAdmin(selectedConversation.participant_type) && <VerifiedUser sx={{ fontSize: 16, color: '#0d9488' }} />}
                         </Stack>
-                        <Typography variant="caption" color="text.secondary" sx={{ fontSize: '0.7rem' }}>
-                          {isAdmin(selectedConversation.participant_type) ? 'Verified Support' : selectedConversation.participant_type.charAt(0).toUpperCase() + selectedConversation.participant_type.slice(1)}
-                        </Typography>
+                        {peerTyping ? (
+                          <Typography variant="caption" sx={{ fontSize: '0.7rem', color: '#059669', fontStyle: 'italic' }}>
+                            typing…
+                          </Typography>
+                        ) : (
+                          <Typography variant="caption" color="text.secondary" sx={{ fontSize: '0.7rem' }}>
+                            {isAdmin(selectedConversation.participant_type) ? 'Verified Support' : selectedConversation.participant_type.charAt(0).toUpperCase() + selectedConversation.participant_type.slice(1)}
+                            {isOnline(selectedConversation) && ' · Online'}
+                          </Typography>
+                        )}
                       </Box>
                     </Stack>
+                    <IconButton size="small" onClick={(e) => setConversationMenuAnchor(e.currentTarget)}>
+                      <MoreVert sx={{ fontSize: 20 }} />
+                    </IconButton>
                   </Stack>
+                  <Menu
+                    anchorEl={conversationMenuAnchor}
+                    open={Boolean(conversationMenuAnchor)}
+                    onClose={() => setConversationMenuAnchor(null)}
+                    anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+                    transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+                  >
+                    <MenuItem
+                      dense
+                      onClick={() => {
+                        setConversationMenuAnchor(null);
+                        updateConversationSetting(selectedConversation, 'is_pinned', !isPinned(selectedConversation));
+                      }}
+                    >
+                      <ListItemIcon><PushPin fontSize="small" /></ListItemIcon>
+                      {isPinned(selectedConversation) ? 'Unpin' : 'Pin to top'}
+                    </MenuItem>
+                    <MenuItem
+                      dense
+                      onClick={() => {
+                        setConversationMenuAnchor(null);
+                        updateConversationSetting(selectedConversation, 'is_muted', !isMuted(selectedConversation));
+                      }}
+                    >
+                      <ListItemIcon>
+                        {isMuted(selectedConversation) ? <NotificationsActive fontSize="small" /> : <NotificationsOff fontSize="small" />}
+                      </ListItemIcon>
+                      {isMuted(selectedConversation) ? 'Unmute' : 'Mute notifications'}
+                    </MenuItem>
+                    <MenuItem
+                      dense
+                      onClick={() => {
+                        setConversationMenuAnchor(null);
+                        const archiving = !isArchived(selectedConversation);
+                        updateConversationSetting(selectedConversation, 'is_archived', archiving);
+                        if (archiving) setSelectedConversation(null);
+                      }}
+                    >
+                      <ListItemIcon>
+                        {isArchived(selectedConversation) ? <Unarchive fontSize="small" /> : <Archive fontSize="small" />}
+                      </ListItemIcon>
+                      {isArchived(selectedConversation) ? 'Unarchive' : 'Archive'}
+                    </MenuItem>
+                  </Menu>
                 </Box>
 
+                {selectedConversation.order_id && (
+                  <OrderContextCard
+                    orderId={selectedConversation.order_id}
+                    context={orderContexts[selectedConversation.order_id] || null}
+                    onOpenOrder={
+                      user.user_type !== 'admin' && orderContexts[selectedConversation.order_id]
+                        ? () => openOrderFromThread(orderContexts[selectedConversation.order_id])
+                        : undefined
+                    }
+                  />
+                )}
+
                 <Box
                   ref={messagesContainerRef}
                   sx={{
@@ -628,9 +1190,11 @@ const Messages = () => {
                     messages.map((msg, idx) => {
                       const isMe = msg.sender_id === user.id;
                       const fromAdmin = !isMe && isAdmin(selectedConversation.participant_type);
+                      const attachment = parseAttachment(msg);
                       return (
                         <Box
                           key={msg.id}
+                          data-message-id={msg.id}
                           sx={{
                             display: 'flex',
                             flexDirection: 'column',
@@ -652,20 +1216,32 @@ const Messages = () => {
                               backgroundColor: isMe ? '#4caf50' : 'white',
                               color: isMe ? 'white' : '#1e293b',
                               border: isMe ? 'none' : '1px solid #e2e8f0',
-                              boxShadow: '0 1px 2px rgba(0,0,0,0.05)',
+                              boxShadow: String(msg.id) === highlightedMessageId
+                                ? '0 0 0 3px #fde047'
+                                : '0 1px 2px rgba(0,0,0,0.05)',
+                              transition: 'box-shadow 0.3s ease',
                               position: 'relative'
                             }}
                           >
-                            <Typography sx={{ fontSize: '0.8125rem', lineHeight: 1.45 }}>
-                              {msg.content}
-                            </Typography>
+                            {attachment ? (
+                              <MessageAttachment
+                                attachment={attachment}
+                                isMe={isMe}
+                                uploading={msg.is_temp}
+                                onOpenImage={openImage}
+                              />
+                            ) : (
+                              <Typography sx={{ fontSize: '0.8125rem', lineHeight: 1.45 }}>
+                                {msg.content}
+                              </Typography>
+                            )}
                             <Stack direction="row" justifyContent="flex-end" alignItems="center" spacing={0.5} sx={{ mt: 0.2 }}>
                               <Typography variant="caption" sx={{ fontSize: '0.65rem', opacity: 0.7 }}>
                                 {formatTime(msg.created_at)}
                               </Typography>
                               {isMe && (
                                 <Box sx={{ opacity: 0.9, height: 14 }}>
-                                  {msg.is_temp ? <Schedule sx={{ fontSize: 10 }} /> : <DoneAll sx={{ fontSize: 13, color: msg.is_read ? '#fff' : 'rgba(255,255,255,0.6)' }} />}
+                                  <MessageReceipt msg={msg} />
                                 </Box>
                               )}
                             </Stack>
@@ -674,19 +1250,94 @@ const Messages = () => {
                       );
                     })
                   )}
+                  {peerTyping && (
+                    <Box
+                      sx={{
+                        alignSelf: 'flex-start',
+                        px: 1.8,
+                        py: 0.8,
+                        mb: 1,
+                        borderRadius: '16px 16px 16px 4px',
+                        backgroundColor: 'white',
+                        border: '1px solid #e2e8f0',
+                        color: '#64748b',
+                        fontSize: '0.75rem',
+                        fontStyle: 'italic'
+                      }}
+                    >
+                      {displayName(selectedConversation.participant_name, selectedConversation.participant_type)} is typing…
+                    </Box>
+                  )}
                   <div ref={messagesEndRef} />
                 </Box>
 
                 {/* Message Input - Compact */}
                 <Box sx={{ p: 1.5, px: 2, borderTop: '1px solid #e2e8f0', backgroundColor: 'white' }}>
+                  {pendingFiles.length > 0 && (
+                    <Stack direction="row" spacing={1} sx={{ mb: 1, overflowX: 'auto', pb: 0.5 }}>
+                      {pendingFiles.map(p => (
+                        <Box
+                          key={p.id}
+                          sx={{
+                            position: 'relative',
+                            flexShrink: 0,
+                            width: p.type === 'image' ? 64 : 150,
+                            height: 64,
+                            borderRadius: 1.5,
+                            border: '1px solid #e2e8f0',
+                            overflow: 'hidden',
+                            backgroundColor: '#f8fafc'
+                          }}
+                        >
+                          {p.type === 'image' ? (
+                            <Box component="img" src={p.previewUrl} alt={p.file.name} sx={{ width: '100%', height: '100%', objectFit: 'cover' }} />
+                          ) : (
+                            <Stack direction="row" alignItems="center" spacing={0.5} sx={{ height: '100%', px: 1 }}>
+                              <PictureAsPdf sx={{ fontSize: 22, color: '#dc2626' }} />
+                              <Typography noWrap sx={{ fontSize: '0.72rem', color: '#1e293b', pr: 2 }}>{p.file.name}</Typography>
+                            </Stack>
+                          )}
+                          <IconButton
+                            size="small"
+                            onClick={() => removePendingFile(p.id)}
+                            sx={{ position: 'absolute', top: 2, right: 2, p: 0.2, bgcolor: 'rgba(15,23,42,0.6)', color: 'white', '&:hover': { bgcolor: 'rgba(15,23,42,0.8)' } }}
+                          >
+                            <Close sx={{ fontSize: 12 }} />
+                          </IconButton>
+                        </Box>
+                      ))}
+                    </Stack>
+                  )}
+                  {attachError && (
+                    <Typography variant="caption" color="error" sx={{ display: 'block', mb: 0.8, fontSize: '0.72rem' }}>
+                      {attachError}
+                    </Typography>
+                  )}
                   <Stack direction="row" spacing={1} alignItems="flex-end">
+                    <input
+                      ref={fileInputRef}
+                      type="file"
+                      accept={ATTACHMENT_ACCEPT}
+                      multiple
+                      hidden
+                      onChange={handleFilesSelected}
+                    />
+                    <IconButton
+                      onClick={() => fileInputRef.current?.click()}
+                      disabled={!supabase || pendingFiles.length >= MAX_ATTACHMENTS_PER_SEND}
+                      title="Attach photos or PDFs"
+                      sx={{ color: '#64748b', width: 38, height: 38 }}
+                    >
+                      <AttachFile sx={{ fontSize: 20 }} />
+                    </IconButton>
                     <TextField
                       fullWidth
                       multiline
                       maxRows={4}
                       placeholder="Write message..."
                       value={newMessage}
-                      onChange={(e) => setNewMessage(e.target.value)}
+                      onChange={handleMessageChange}
+                      onBlur={() => sendTyping(false)}
                       onKeyPress={handleKeyPress}
                       size="small"
                       sx={{
@@ -698,7 +1349,7 @@ const Messages = () => {
                       }}
                     />
                     <IconButton
-                      disabled={!newMessage.trim()}
+                      disabled={!newMessage.trim() && pendingFiles.length === 0}
                       onClick={handleSendMessage}
                       sx={{
                         bgcolor: '#4caf50',
@@ -726,6 +1377,13 @@ const Messages = () => {
         </Paper>
       </Box>
 
+      <ImageLightbox
+        images={conversationImages}
+        index={lightboxIndex}
+        onIndexChange={setLightboxIndex}
+        onClose={() => setLightboxIndex(null)}
+      />
+
       {/* New Chat Dialog - Slightly smaller */}
       <Dialog open={isSearchOpen} onClose={() => setIsSearchOpen(false)} maxWidth="xs" fullWidth>
         <DialogTitle sx={{ fontWeight: 700, fontSize: '1.1rem' }}>New Conversation</DialogTitle>
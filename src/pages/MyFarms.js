@@ -26,6 +26,7 @@ import {
   TableHead,
   TableRow,
   TableContainer,
+  Tooltip,
 } from '@mui/material';
 import {
   LocationOn,
@@ -46,13 +47,16 @@ import {
   Description,
   Edit as EditIcon,
   DeleteOutline,
+  UploadFile,
 } from '@mui/icons-material';
 import storageService from '../services/storage';
 import fieldsService from '../services/fields';
 import farmsService from '../services/farms';
 import { orderService } from '../services/orders';
 import { useAuth } from '../contexts/AuthContext';
+import useFarmerVerification from '../hooks/useFarmerVerification';
 import AddFarmForm from '../components/Forms/AddFarmForm';
+import FieldImportWizard from '../components/Forms/FieldImportWizard';
 import StatCard from '../components/Common/StatCard';
 import supabase from '../services/supabase';
 import { v4 as uuidv4 } from 'uuid';
@@ -96,6 +100,7 @@ const MyFarms = () => {
   const [selectedFarm, setSelectedFarm] = useState(null);
   const [farmDetailOpen, setFarmDetailOpen] = useState(false);
   const [addFarmOpen, setAddFarmOpen] = useState(false);
+  const [importOpen, setImportOpen] = useState(false);
   const [editingFarm, setEditingFarm] = useState(null);
   const [currentPage, setCurrentPage] = useState(1);
   const [itemsPerPage] = useState(6);
@@ -105,6 +110,7 @@ const MyFarms = () => {
   const [farmerOrdersList, setFarmerOrdersList] = useState([]);
   const [pageTab, setPageTab] = useState(MY_FARMS_TAB);
   const { user } = useAuth();
+  const { listingsSuspended } = useFarmerVerification();
 
   const fieldIdToFarmIdMap = useMemo(() => buildFieldIdToFarmIdMap(myFields), [myFields]);
 
@@ -732,6 +738,27 @@ const MyFarms = () => {
                 >
                   Add New Farm
                 </Button>
+                {/* Importing creates listings, so it follows the same suspension as Add Field */}
+                <Tooltip title={listingsSuspended ? 'New listings are paused until your expired verification documents are renewed in License Info.' : ''}>
+                  <span>
+                    <Button
+                      variant="outlined"
+                      startIcon={<UploadFile />}
+                      onClick={() => setImportOpen(true)}
+                      disabled={listingsSuspended}
+                      sx={{
+                        color: '#4caf50',
+                        borderColor: 'rgba(76, 175, 80, 0.4)',
+                        '&:hover': { borderColor: '#4caf50', backgroundColor: 'rgba(76, 175, 80, 0.08)' },
+                        borderRadius: 2,
+                        px: 2,
+                        py: 1
+                      }}
+                    >
+                      Import Sheet
+                    </Button>
+                  </span>
+                </Tooltip>
                 <Button
                   variant="contained"
                   startIcon={<Assessment />}
@@ -1470,6 +1497,13 @@ const MyFarms = () => {
         editMode={!!editingFarm}
         initialData={editingFarm}
       />
+      <FieldImportWizard
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+        onImported={fetchFarms}
+        existingFarms={myFarms}
+        user={user}
+      />
     </Box>
   );
 };
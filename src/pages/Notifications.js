@@ -1,4 +1,5 @@
-import React, { useEffect } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import {
     Box,
     Typography,
@@ -14,6 +15,10 @@ import {
     Avatar,
     Stack,
     Tooltip,
+    Pagination,
+    FormControlLabel,
+    Switch,
+    CircularProgress,
 } from '@mui/material';
 import {
     Notifications as NotificationsIcon,
@@ -26,20 +31,90 @@ import {
     AccessTime,
     DoneAll,
 } from '@mui/icons-material';
-import useNotifications from '../hooks/useNotifications';
 import { useAuth } from '../contexts/AuthContext';
+import notificationsService from '../services/notifications';
+import {
+    NOTIFICATION_CATEGORIES,
+    isNotificationRead,
+    notificationCategory,
+    notificationLink,
+} from '../utils/notifications';
+import { isChannelEnabled, mutedEventTypes, notificationEventType } from '../utils/notificationPreferences';
+
+const PAGE_SIZE = 20;
+const CATEGORY_LABELS = Object.fromEntries(NOTIFICATION_CATEGORIES.map((c) => [c.key, c.label]));
 
-const NotificationsPage = () => {
+/**
+ * Full notification history. Unread count, preferences and read actions come from the parent view's
+ * useNotifications so the page does not start a second poller.
+ */
+const NotificationsPage = ({
+    unreadCount = 0,
+    notificationPreferences,
+    markNotificationAsRead,
+    markAllNotificationsAsRead,
+}) => {
     const { user } = useAuth();
-    const {
-        backendNotifications,
-        markNotificationAsRead,
-        fetchBackendNotifications,
-    } = useNotifications();
+    const navigate = useNavigate();
+    const [items, setItems] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [page, setPage] = useState(1);
+    const [category, setCategory] = useState('all');
+    const [unreadOnly, setUnreadOnly] = useState(false);
+    const [loading, setLoading] = useState(true);
+
+    const loadPage = useCallback(async ({ quiet = false } = {}) => {
+        if (!user?.id) return;
+        if (!quiet) setLoading(true);
+        // Same in-app preference filter as useNotifications, applied before paging so pages and total stay full
+        const enabledInApp = (n) => isChannelEnabled(notificationPreferences, notificationEventType(n), 'in_app');
+        try {
+            const result = await notificationsService.getUserNotificationsPage(user.id, {
+                page,
+                limit: PAGE_SIZE,
+                category: category === 'all' ? undefined : category,
+                unreadOnly,
+                mutedEvents: mutedEventTypes(notificationPreferences, 'in_app'),
+                filter: (n) =>
+                    enabledInApp(n) &&
+                    (category === 'all' || notificationCategory(n) === category) &&
+                    (!unreadOnly || !isNotificationRead(n)),
+            });
+            setItems(result.items.map((n) => ({ ...n, read: isNotificationRead(n) })));
+            setTotal(result.total);
+        } catch (error) {
+            console.error('Failed to load notifications:', error);
+        } finally {
+            setLoading(false);
+        }
+    }, [user?.id, page, category, unreadOnly, notificationPreferences]);
+
+    useEffect(() => {
+        loadPage();
+    }, [loadPage]);
 
+    // Read state changed elsewhere (header menu, another tab) or new notifications arrived
     useEffect(() => {
-        fetchBackendNotifications();
-    }, [fetchBackendNotifications]);
+        loadPage({ quiet: true });
+        // eslint-disable-next-line react-hooks/exhaustive-deps -- only react to the shared unread count
+    }, [unreadCount]);
+
+    const changeFilter = (nextCategory, nextUnreadOnly) => {
+        setCategory(nextCategory);
+        setUnreadOnly(nextUnreadOnly);
+        setPage(1);
+    };
+
+    const handleMarkAsRead = (id) => {
+        setItems((prev) => prev.map((n) => (n.id === id ? { ...n, read: true } : n)));
+        markNotificationAsRead(id);
+    };
+
+    const handleOpen = (notification) => {
+        if (!notification.read) handleMarkAsRead(notification.id);
+        const link = notificationLink(notification, user?.user_type);
+        if (!link.endsWith('/notifications')) navigate(link);
+    };
 
     const getIcon = (type, read) => {
         const color = read ? 'action' : type || 'info';
@@ -80,14 +155,14 @@ const NotificationsPage = () => {
         return date.toLocaleDateString();
     };
 
-    const handleMarkAllAsRead = () => {
-        backendNotifications.forEach((notif) => {
-            if (!notif.read) {
-                markNotificationAsRead(notif.id);
-            }
-        });
+    const handleMarkAllAsRead = async () => {
+        setItems((prev) => prev.map((n) => ({ ...n, read: true })));
+        await markAllNotificationsAsRead();
+        loadPage({ quiet: true });
     };
 
+    const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
     return (
         <Box sx={{
             minHeight: '100vh',
@@ -104,7 +179,7 @@ const NotificationsPage = () => {
                             Stay updated with your latest activities and alerts
                         </Typography>
                     </Box>
-                    {backendNotifications.some(n => !n.read) && (
+                    {unreadCount > 0 && (
                         <Button
                             startIcon={<DoneAll />}
                             onClick={handleMarkAllAsRead}
@@ -115,11 +190,36 @@ const NotificationsPage = () => {
                                 '&:hover': { backgroundColor: 'rgba(76, 175, 80, 0.08)' }
                             }}
                         >
-                            Mark all as read
+                            Mark all as read ({unreadCount})
                         </Button>
                     )}
                 </Stack>
 
+                <Stack direction="row" alignItems="center" flexWrap="wrap" useFlexGap spacing={1} sx={{ mb: 2 }}>
+                    <Chip
+                        label="All"
+                        onClick={() => changeFilter('all', unreadOnly)}
+                        color={category === 'all' ? 'success' : 'default'}
+                        variant={category === 'all' ? 'filled' : 'outlined'}
+                        size="small"
+                    />
+                    {NOTIFICATION_CATEGORIES.map((c) => (
+                        <Chip
+                            key={c.key}
+                            label={c.label}
+                            onClick={() => changeFilter(c.key, unreadOnly)}
+                            color={category === c.key ? 'success' : 'default'}
+                            variant={category === c.key ? 'filled' : 'outlined'}
+                            size="small"
+                        />
+                    ))}
+                    <Box sx={{ flex: 1 }} />
+                    <FormControlLabel
+                        control={<Switch size="small" checked={unreadOnly} onChange={(e) => changeFilter(category, e.target.checked)} />}
+                        label={<Typography variant="body2">Unread only</Typography>}
+                    />
+                </Stack>
+
                 <Paper
                     elevation={0}
                     sx={{
@@ -129,7 +229,11 @@ const NotificationsPage = () => {
                         backgroundColor: 'white'
                     }}
                 >
-                    {backendNotifications.length === 0 ? (
+                    {loading ? (
+                        <Box sx={{ py: 12, textAlign: 'center' }}>
+                            <CircularProgress sx={{ color: '#4caf50' }} />
+                        </Box>
+                    ) : items.length === 0 ? (
                         <Box sx={{ py: 12, textAlign: 'center' }}>
                             <Avatar
                                 sx={{
@@ -147,15 +251,19 @@ const NotificationsPage = () => {
                                 All caught up!
                             </Typography>
                             <Typography variant="body2" color="text.secondary">
-                                You don't have any notifications at the moment.
+                                {category === 'all' && !unreadOnly
+                                    ? "You don't have any notifications at the moment."
+                                    : 'No notifications match this filter.'}
                             </Typography>
                         </Box>
                     ) : (
                         <List sx={{ p: 0 }}>
-                            {backendNotifications.map((notification, index) => (
+                            {items.map((notification, index) => (
                                 <React.Fragment key={notification.id}>
                                     <ListItem
+                                        onClick={() => handleOpen(notification)}
                                         sx={{
+                                            cursor: 'pointer',
                                             py: 3,
                                             px: 3,
                                             backgroundColor: getBackgroundColor(notification.type, notification.read),
@@ -198,6 +306,12 @@ const NotificationsPage = () => {
                                                     <Typography variant="caption" sx={{ color: '#94a3b8', fontWeight: 500 }}>
                                                         {formatTime(notification.created_at || notification.timestamp)}
                                                     </Typography>
+                                                    <Chip
+                                                        label={CATEGORY_LABELS[notificationCategory(notification)]}
+                                                        size="small"
+                                                        variant="outlined"
+                                                        sx={{ height: 20, fontSize: '10px', fontWeight: 600 }}
+                                                    />
                                                     {!notification.read && (
                                                         <Chip
                                                             label="New"
@@ -218,7 +332,10 @@ const NotificationsPage = () => {
                                             <Tooltip title="Mark as read">
                                                 <IconButton
                                                     size="small"
-                                                    onClick={() => markNotificationAsRead(notification.id)}
+                                                    onClick={(e) => {
+                                                        e.stopPropagation();
+                                                        handleMarkAsRead(notification.id);
+                                                    }}
                                                     sx={{
                                                         color: '#94a3b8',
                                                         '&:hover': { color: '#4caf50', backgroundColor: 'rgba(76, 175, 80, 0.08)' }
@@ -229,12 +346,23 @@ const NotificationsPage = () => {
                                             </Tooltip>
                                         )}
                                     </ListItem>
-                                    {index < backendNotifications.length - 1 && <Divider sx={{ opacity: 0.6 }} />}
+                                    {index < items.length - 1 && <Divider sx={{ opacity: 0.6 }} />}
                                 </React.Fragment>
                             ))}
                         </List>
                     )}
                 </Paper>
+                {pageCount > 1 && (
+                    <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
+                        <Pagination
+                            count={pageCount}
+                            page={page}
+                            onChange={(_, value) => setPage(value)}
+                            color="primary"
+                            shape="rounded"
+                        />
+                    </Box>
+                )}
             </Box>
         </Box>
     );
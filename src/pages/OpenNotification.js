@@ -0,0 +1,35 @@
+import React, { useEffect } from 'react';
+import { Navigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import notificationsService from '../services/notifications';
+import { notificationLink } from '../utils/notifications';
+
+// Fields public/sw.js passes along. `link` is never read from the URL: anyone can craft this page's query.
+const NOTIFICATION_PARAMS = ['id', 'message', 'title', 'category', 'event_type', 'order_id', 'complaint_id'];
+
+/**
+ * Landing route for clicked push notifications (public/sw.js). The service worker only has the
+ * notification fields, so the role-specific page is resolved here and the notification marked read.
+ */
+const OpenNotification = () => {
+  const { user } = useAuth();
+  const [searchParams] = useSearchParams();
+  const notification = Object.fromEntries(
+    NOTIFICATION_PARAMS.filter((key) => searchParams.has(key)).map((key) => [key, searchParams.get(key)])
+  );
+
+  useEffect(() => {
+    if (notification.id) {
+      notificationsService.markAsRead(notification.id).catch((err) => {
+        console.warn('Could not mark notification as read:', err);
+      });
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps -- once per landing
+  }, []);
+
+  const role = user?.user_type?.toLowerCase();
+  if (role === 'admin') return <Navigate to="/admin" replace />;
+  return <Navigate to={notificationLink(notification, role)} replace />;
+};
+
+export default OpenNotification;
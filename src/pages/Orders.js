@@ -30,6 +30,7 @@ import {
   Tooltip,
   Badge,
   TextField,
+  Snackbar,
 } from '@mui/material';
 import {
   ShoppingCart,
@@ -51,6 +52,10 @@ import {
   Description,
   Close,
   Undo,
+  GridView,
+  ChatBubbleOutline,
+  Gavel,
+  Lock,
 } from '@mui/icons-material';
 import { orderService } from '../services/orders';
 import { useAuth } from '../contexts/AuthContext';
@@ -60,24 +65,85 @@ import StatCard from '../components/Common/StatCard';
 import { getProductIcon } from '../utils/productIcons';
 import HarvestProgressBar from '../components/Common/HarvestProgressBar';
 import fieldsService from '../services/fields';
+import FieldAllocationDialog from '../components/Map/FieldAllocationDialog';
+import ExportMenu from '../components/Common/ExportMenu';
+import useOrderRealtime from '../hooks/useOrderRealtime';
+import useDeepLinkedRecord from '../hooks/useDeepLinkedRecord';
+import { orderConversationRoute } from '../utils/orderConversation';
+import { complaintService } from '../services/complaints';
+import useCurrencyRates from '../hooks/useCurrencyRates';
+import useEscrowLedger from '../hooks/useEscrowLedger';
+import EscrowTimeline from '../components/Common/EscrowTimeline';
+import { usdToCoins } from '../utils/statementExport';
+import { coinsStillLocked, escrowTimeline } from '../utils/coinEscrow';
+import {
+  buildRefundEscalation,
+  escalationComplaintId,
+  escalationsByRefundRequest,
+  isRefundDeclined,
+  isRefundEscalated,
+  latestRefundByOrder,
+  withEscalation,
+} from '../utils/refundDispute';
 
 const orderProductIconSrc = (order) =>
   getProductIcon(order.subcategory || order.crop_type || order.category);
 
+const orderDate = (order) => order.order_created_at || order.created_at;
+
+const orderExportColumns = (ctx) => {
+  const converted = (o) => ctx.toCurrency(ctx.usdToCoins(o.total_cost));
+  return [
+    { label: 'Order ID', value: (o) => o.id },
+    { label: 'Order date', value: (o) => (orderDate(o) ? new Date(orderDate(o)).toLocaleDateString() : '') },
+    { label: 'Field', value: (o) => o.product_name },
+    { label: 'Farmer', value: (o) => o.farmer_name },
+    { label: 'Area (m²)', value: (o) => o.quantity, numeric: true },
+    { label: 'Status', value: (o) => o.status },
+    { label: 'Harvest date', value: (o) => o.order_selected_harvest_date || '' },
+    { label: 'Cost (USD)', value: (o) => Number(o.total_cost).toFixed(2), display: (o) => `$${Number(o.total_cost).toFixed(2)}`, numeric: true },
+    { label: 'Coins', value: (o) => ctx.usdToCoins(o.total_cost), numeric: true },
+    {
+      label: `Amount (${ctx.currency})`,
+      value: (o) => (converted(o) == null ? '' : converted(o).toFixed(2)),
+      display: (o) => ctx.money(converted(o)),
+      numeric: true,
+    },
+  ];
+};
+
+const orderExportSummary = (records, ctx) => {
+  const active = records.filter((o) => o.status !== 'cancelled');
+  const coins = active.reduce((sum, o) => sum + ctx.usdToCoins(o.total_cost), 0);
+  return [
+    { label: 'Orders', value: records.length },
+    { label: 'Spent (excl. cancelled, USD)', value: `$${active.reduce((sum, o) => sum + (Number(o.total_cost) || 0), 0).toFixed(2)}` },
+    { label: 'Coins', value: coins.toLocaleString() },
+    { label: `Spent (${ctx.currency})`, value: ctx.money(ctx.toCurrency(coins)) },
+  ];
+};
+
 const Orders = () => {
   const { user } = useAuth();
   const navigate = useNavigate();
+  const { rates } = useCurrencyRates();
+  const { entriesByOrder: escrowEntries, reload: reloadEscrow } = useEscrowLedger();
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [detailsOpen, setDetailsOpen] = useState(false);
   const [filter, setFilter] = useState('all');
-  const [reportOpen, setReportOpen] = useState(false);
   const [refundDialogOpen, setRefundDialogOpen] = useState(false);
   const [refundTargetOrder, setRefundTargetOrder] = useState(null);
   const [refundReason, setRefundReason] = useState('');
   const [refundSubmitting, setRefundSubmitting] = useState(false);
+  const [allocationField, setAllocationField] = useState(null);
+  const [liveNotice, setLiveNotice] = useState('');
+  const [escalateOrder, setEscalateOrder] = useState(null);
+  const [escalateDetails, setEscalateDetails] = useState('');
+  const [escalating, setEscalating] = useState(false);
+  const [escalateError, setEscalateError] = useState(null);
 
   useEffect(() => {
     if (user) {
@@ -88,21 +154,30 @@ const Orders = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps -- run only when user is set
   }, [user]);
 
-  const loadOrders = async () => {
+  // `silent` keeps the current list on screen (realtime refreshes)
+  const loadOrders = async ({ silent = false } = {}) => {
     if (!user || !user.id) {
       setLoading(false);
       return;
     }
 
     try {
-      setLoading(true);
-      setError(null);
+      if (!silent) {
+        setLoading(true);
+        setError(null);
+      }
 
       // Use buyer ID-based endpoint so orders are returned for the current user
-      const [response, fieldsResponse] = await Promise.all([
+      const [response, fieldsResponse, refundsResponse, complaintsResponse] = await Promise.all([
         orderService.getBuyerOrdersWithFields(user.id),
         fieldsService.getAllForMap(),
+        // Declined requests can be escalated; an older backend without this route just hides that option
+        orderService.getMyRefundRequests().catch(() => ({ data: [] })),
+        // Disputes already opened from a refund request, so the escalate action is not offered twice
+        complaintService.getComplaints({ user_id: user.id }).catch(() => ({ data: [] })),
       ]);
+      const refundByOrder = latestRefundByOrder(refundsResponse.data);
+      const escalations = escalationsByRefundRequest(complaintsResponse.data);
       const apiOrders = Array.isArray(response.data) ? response.data : [];
       const allFields = Array.isArray(fieldsResponse.data) ? fieldsResponse.data : [];
       const fieldById = new Map(allFields.map((f) => [String(f.id), f]));
@@ -115,6 +190,7 @@ const Orders = () => {
         product_name: order.field_name || 'Unknown Field',
         buyer_name: user.name || 'You',
         area_rented: `${order.quantity || 0} m²`,
+        quantity: Number(order.quantity) || 0,
         total_cost: Number(order.total_price) || 0,
         status: order.status || 'pending',
         created_at: linkedField.created_at || linkedField.createdAt || order.created_at,
@@ -132,6 +208,7 @@ const Orders = () => {
         subcategory: order.subcategory || order.sub_category || linkedField.subcategory || null,
         price_per_unit: Number(order.price_per_m2) || 0,
         location: order.location || linkedField.location || 'Unknown',
+        farmer_id: order.farmer_id || null,
         farmer_name: order.farmer_name || 'Unknown Farmer',
         farmer_email: order.farmer_email || '',
         delivery_date: order.selected_harvest_date || null,
@@ -176,25 +253,56 @@ const Orders = () => {
         notes: order.notes || '',
         pending_refund_request_id: order.pending_refund_request_id || null,
         pending_refund_request_reason: order.pending_refund_request_reason || null,
+        latest_refund_request: withEscalation(refundByOrder.get(String(order.id)), escalations),
       });
       });
 
       setOrders(formattedOrders);
     } catch (err) {
       console.error('Error loading orders:', err);
+      if (silent) return;
       setError('Failed to load orders. Please try again.');
       setOrders([]);
     } finally {
-      setLoading(false);
+      if (!silent) setLoading(false);
     }
   };
 
+  useOrderRealtime({
+    onEvent: (event) => {
+      if (event.role !== 'buyer') return;
+      if (event.type === 'order_updated') {
+        const { id, status } = event.order;
+        const current = orders.find((o) => o.id === id);
+        if (!current || !status || current.status === status) return;
+        const patch = (o) => (o.id === id ? { ...o, status } : o);
+        setOrders((prev) => prev.map(patch));
+        setSelectedOrder((prev) => (prev ? patch(prev) : prev));
+        setLiveNotice(`Order #${id} is now ${status}`);
+        // Status changes move coins in or out of escrow
+        reloadEscrow();
+      } else if (event.type === 'refund_resolved') {
+        // Only refunds on orders listed here
+        if (!orders.some((o) => String(o.id) === String(event.orderId))) return;
+        const approved = String(event.refund.status).toLowerCase() === 'approved';
+        setLiveNotice(`Your refund request${event.orderId ? ` for order #${event.orderId}` : ''} was ${approved ? 'approved' : 'declined'}`);
+      }
+    },
+    onRefresh: () => {
+      loadOrders({ silent: true });
+      reloadEscrow();
+    },
+  });
+
 
   const handleViewDetails = (order) => {
     setSelectedOrder(order);
     setDetailsOpen(true);
   };
 
+  // Notification deep links (?order=<id>)
+  useDeepLinkedRecord('order', orders, handleViewDetails);
+
   const handleViewOnMap = (order) => {
     if (order.field_id) {
       // Navigate to correct dashboard based on user role
@@ -204,6 +312,10 @@ const Orders = () => {
     }
   };
 
+  const handleMessageFarmer = (order) => {
+    navigate(...orderConversationRoute(user?.user_type?.toLowerCase(), order.farmer_id, order.farmer_name, order));
+  };
+
   const openRefundDialog = (order) => {
     setRefundTargetOrder(order);
     setRefundReason('');
@@ -229,6 +341,44 @@ const Orders = () => {
     }
   };
 
+  const openEscalateDialog = (order) => {
+    setEscalateOrder(order);
+    setEscalateDetails('');
+    setEscalateError(null);
+  };
+
+  const submitEscalation = async () => {
+    const request = escalateOrder?.latest_refund_request;
+    if (!request) return;
+    setEscalating(true);
+    setEscalateError(null);
+    try {
+      // Another tab or an earlier session may already have opened the dispute
+      const existing = await complaintService.getComplaints({ user_id: user.id })
+        .then((res) => escalationsByRefundRequest(res.data))
+        .catch(() => new Map());
+      const alreadyEscalated = existing.has(String(request.id));
+      const complaintId = alreadyEscalated
+        ? existing.get(String(request.id))
+        : (await complaintService.createComplaint(
+          buildRefundEscalation({ userId: user.id, order: escalateOrder, request, details: escalateDetails })
+        )).data?.id ?? null;
+      setOrders((prev) => prev.map((o) => (
+        o.id === escalateOrder.id
+          ? { ...o, latest_refund_request: { ...request, escalated: true, complaint_id: complaintId } }
+          : o
+      )));
+      setEscalateOrder(null);
+      setLiveNotice(alreadyEscalated
+        ? `Order #${escalateOrder.id} is already with ShareCrop support`
+        : `Order #${escalateOrder.id} was escalated to ShareCrop support`);
+    } catch (err) {
+      setEscalateError(err.response?.data?.error || err.message || 'Could not escalate this refund');
+    } finally {
+      setEscalating(false);
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'completed':
@@ -257,135 +407,6 @@ const Orders = () => {
     return status || 'Awaiting Approval';
   };
 
-  const handleReportClick = () => {
-    setReportOpen(true);
-  };
-
-  const handleCloseReport = () => {
-    setReportOpen(false);
-  };
-
-  const handleDownloadReport = (format = 'pdf') => {
-    const reportData = {
-      generatedAt: new Date().toLocaleString(),
-      totalOrders: filteredOrders.length,
-      totalSpent: filteredOrders.reduce((sum, o) => sum + (Number(o.total_cost) || 0), 0),
-      orders: filteredOrders.map(order => ({
-        id: order.id,
-        product: order.product_name,
-        area: order.area_rented,
-        cost: order.total_cost,
-        status: order.status,
-        date: new Date(order.order_created_at || order.created_at).toLocaleDateString()
-      }))
-    };
-
-    if (format === 'csv') {
-      const headers = ['Order ID', 'Product Name', 'Area', 'Total Cost', 'Status', 'Date'];
-      const rows = reportData.orders.map(o => [
-        o.id,
-        o.product,
-        o.area,
-        `$${Number(o.cost).toFixed(2)}`,
-        o.status,
-        o.date
-      ]);
-
-      const csvContent = [
-        headers.join(','),
-        ...rows.map(row => row.map(cell => `"${cell}"`).join(','))
-      ].join('\n');
-
-      const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-      const link = document.createElement('a');
-      const url = URL.createObjectURL(blob);
-      link.setAttribute('href', url);
-      link.setAttribute('download', `my-orders-report-${new Date().toISOString().split('T')[0]}.csv`);
-      link.style.visibility = 'hidden';
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-    } else {
-      const printWindow = window.open('', '_blank');
-      const reportHTML = `
-        <!DOCTYPE html>
-        <html>
-          <head>
-            <title>My Orders Report</title>
-            <style>
-              body { font-family: Arial, sans-serif; padding: 20px; color: #333; }
-              h1 { color: #1e293b; border-bottom: 2px solid #4caf50; padding-bottom: 10px; }
-              h2 { color: #059669; margin-top: 30px; }
-              .summary { display: grid; grid-template-columns: repeat(2, 1fr); gap: 15px; margin: 20px 0; }
-              .summary-card { background: #f8fafc; padding: 15px; border-radius: 8px; text-align: center; border: 1px solid #e2e8f0; }
-              .summary-value { font-size: 24px; font-weight: bold; color: #1e293b; margin-bottom: 5px; }
-              .summary-label { font-size: 12px; color: #64748b; }
-              table { width: 100%; border-collapse: collapse; margin-top: 20px; }
-              th { background-color: #4caf50; color: white; padding: 12px; text-align: left; font-weight: bold; }
-              td { padding: 10px; border-bottom: 1px solid #e2e8f0; }
-              tr:nth-child(even) { background-color: #f8fafc; }
-              .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #e2e8f0; font-size: 12px; color: #64748b; text-align: center; }
-              @media print { body { margin: 0; padding: 15px; } .no-print { display: none; } }
-            </style>
-          </head>
-          <body>
-            <h1>My Orders Report</h1>
-            <p><strong>Generated:</strong> ${reportData.generatedAt}</p>
-            <div class="summary">
-              <div class="summary-card">
-                <div class="summary-value">${reportData.totalOrders}</div>
-                <div class="summary-label">Total Orders</div>
-              </div>
-              <div class="summary-card">
-                <div class="summary-value">$${reportData.totalSpent.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</div>
-                <div class="summary-label">Total Spent</div>
-              </div>
-            </div>
-            <h2>Order History</h2>
-            <table>
-              <thead>
-                <tr>
-                  <th>Order ID</th>
-                  <th>Product</th>
-                  <th>Area</th>
-                  <th>Cost</th>
-                  <th>Status</th>
-                  <th>Date</th>
-                </tr>
-              </thead>
-              <tbody>
-                ${reportData.orders.map(order => `
-                  <tr>
-                    <td>#${order.id}</td>
-                    <td>${order.product}</td>
-                    <td>${order.area}</td>
-                    <td>$${Number(order.cost).toFixed(2)}</td>
-                    <td>${order.status}</td>
-                    <td>${order.date}</td>
-                  </tr>
-                `).join('')}
-              </tbody>
-            </table>
-            <div class="footer">
-              <p>This report was generated on ${reportData.generatedAt}</p>
-            </div>
-            <script>
-              window.onload = function() {
-                window.print();
-                window.onafterprint = function() {
-                  window.close();
-                };
-              };
-            </script>
-          </body>
-        </html>
-      `;
-
-      printWindow.document.write(reportHTML);
-      printWindow.document.close();
-    }
-  };
-
   const filteredOrders = orders.filter(order => {
     if (filter === 'all') return true;
     return order.status === filter;
@@ -434,6 +455,15 @@ const Orders = () => {
               Track and manage your agricultural orders and purchases
             </Typography>
           </Box>
+          <ExportMenu
+            title="Order statement"
+            filename="orders"
+            records={filteredOrders}
+            dateOf={orderDate}
+            columns={orderExportColumns}
+            summary={orderExportSummary}
+            disabled={filteredOrders.length === 0}
+          />
         </Stack>
 
         {/* Stats Overview */}
@@ -539,14 +569,6 @@ const Orders = () => {
                   {filteredOrders.length} {filter === 'all' ? 'total' : filter} orders
                 </Typography>
               </Box>
-              <Button
-                variant="outlined"
-                onClick={handleReportClick}
-                startIcon={<Download sx={{ fontSize: 18 }} />}
-                sx={{ borderRadius: 2, px: 2, py: 1, fontSize: '0.8rem' }}
-              >
-                Export
-              </Button>
             </Stack>
 
             <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
@@ -666,6 +688,24 @@ const Orders = () => {
                               </IconButton>
                             </Tooltip>
                           )}
+                          {order.field_id && (
+                            <Tooltip title="Where is my plot?">
+                              <IconButton
+                                size="small"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  setAllocationField({ id: order.field_id, name: order.product_name });
+                                }}
+                                sx={{
+                                  color: '#7c3aed',
+                                  '&:hover': { backgroundColor: '#f3e8ff' },
+                                  p: 0.5
+                                }}
+                              >
+                                <GridView sx={{ fontSize: 16 }} />
+                              </IconButton>
+                            </Tooltip>
+                          )}
                           <Tooltip title="View Details">
                             <IconButton
                               size="small"
@@ -682,6 +722,60 @@ const Orders = () => {
                               <Visibility sx={{ fontSize: 16 }} />
                             </IconButton>
                           </Tooltip>
+                          {order.farmer_id && (
+                            <Tooltip title="Message farmer about this order">
+                              <IconButton
+                                size="small"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  handleMessageFarmer(order);
+                                }}
+                                sx={{
+                                  color: '#2563eb',
+                                  '&:hover': { backgroundColor: '#dbeafe' },
+                                  p: 0.5
+                                }}
+                              >
+                                <ChatBubbleOutline sx={{ fontSize: 16 }} />
+                              </IconButton>
+                            </Tooltip>
+                          )}
+                          {!order.pending_refund_request_id && isRefundDeclined(order.latest_refund_request) && (
+                            isRefundEscalated(order.latest_refund_request) ? (
+                              <Tooltip title="Refund dispute is with ShareCrop support">
+                                <Chip
+                                  size="small"
+                                  label="Escalated"
+                                  color="info"
+                                  variant="outlined"
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    const complaintId = escalationComplaintId(order.latest_refund_request);
+                                    const base = user?.user_type?.toLowerCase() === 'farmer' ? '/farmer' : '/buyer';
+                                    navigate(complaintId ? `${base}/complaints?complaint=${complaintId}` : `${base}/complaints`);
+                                  }}
+                                  sx={{ height: 26, fontSize: '0.65rem' }}
+                                />
+                              </Tooltip>
+                            ) : (
+                              <Tooltip title="The farmer declined your refund. Escalate to ShareCrop to review it.">
+                                <IconButton
+                                  size="small"
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    openEscalateDialog(order);
+                                  }}
+                                  sx={{
+                                    color: '#dc2626',
+                                    '&:hover': { backgroundColor: '#fef2f2' },
+                                    p: 0.5,
+                                  }}
+                                >
+                                  <Gavel sx={{ fontSize: 16 }} />
+                                </IconButton>
+                              </Tooltip>
+                            )
+                          )}
                           {order.status !== 'cancelled' && (
                             <>
                               {order.pending_refund_request_id ? (
@@ -884,6 +978,36 @@ const Orders = () => {
                   </Stack>
                 </Paper>
               </Grid>
+              {(() => {
+                const steps = escrowTimeline(
+                  { status: selectedOrder.status, created_at: orderDate(selectedOrder) },
+                  usdToCoins(selectedOrder.total_cost, rates),
+                  escrowEntries.get(String(selectedOrder.id)),
+                );
+                return (
+                  <Grid item xs={12}>
+                    <Paper
+                      elevation={0}
+                      sx={{
+                        p: 3,
+                        border: '1px solid #e2e8f0',
+                        borderRadius: 2,
+                        backgroundColor: '#f8fafc'
+                      }}
+                    >
+                      <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 1 }}>
+                        <Typography variant="h6" sx={{ fontWeight: 600, color: '#1e293b', display: 'flex', alignItems: 'center', gap: 1 }}>
+                          <Lock fontSize="small" /> Coin Escrow
+                        </Typography>
+                        <Typography variant="body2" sx={{ fontWeight: 600, color: '#64748b' }}>
+                          {coinsStillLocked(steps).toLocaleString()} coins still locked
+                        </Typography>
+                      </Stack>
+                      <EscrowTimeline steps={steps} />
+                    </Paper>
+                  </Grid>
+                );
+              })()}
               {selectedOrder.notes && (
                 <Grid item xs={12}>
                   <Paper
@@ -940,6 +1064,16 @@ const Orders = () => {
           >
             Close
           </Button>
+          {selectedOrder?.farmer_id && (
+            <Button
+              variant="outlined"
+              startIcon={<ChatBubbleOutline />}
+              onClick={() => handleMessageFarmer(selectedOrder)}
+              sx={{ borderRadius: 2 }}
+            >
+              Message farmer
+            </Button>
+          )}
           <Button
             variant="contained"
             startIcon={<Download />}
@@ -987,125 +1121,66 @@ const Orders = () => {
         </DialogActions>
       </Dialog>
 
-      {/* Report Dialog */}
-      <Dialog
-        open={reportOpen}
-        onClose={handleCloseReport}
-        maxWidth="md"
-        fullWidth
-        PaperProps={{
-          sx: {
-            borderRadius: 3,
-            maxHeight: '90vh'
-          }
-        }}
-      >
-        <DialogTitle sx={{ pb: 1 }}>
-          <Stack direction="row" justifyContent="space-between" alignItems="center">
-            <Box>
-              <Typography variant="h5" sx={{ fontWeight: 700, color: '#1e293b' }}>
-                My Orders Report
-              </Typography>
-              <Typography variant="body2" color="text.secondary">
-                Overview of {filter === 'all' ? 'all' : filter} orders
-              </Typography>
-            </Box>
-            <IconButton onClick={handleCloseReport} sx={{ color: '#64748b' }}>
-              <Close />
-            </IconButton>
-          </Stack>
-        </DialogTitle>
+      <Dialog open={Boolean(escalateOrder)} onClose={() => !escalating && setEscalateOrder(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Escalate to ShareCrop</DialogTitle>
         <DialogContent>
-          <Box>
-            {/* Summary Statistics */}
-            <Grid container spacing={2} sx={{ mb: 3 }}>
-              <Grid item xs={12} sm={6}>
-                <Paper sx={{ p: 2, backgroundColor: '#f8fafc', borderRadius: 2, textAlign: 'center' }}>
-                  <Typography variant="h4" sx={{ fontWeight: 700, color: '#1e293b', mb: 0.5 }}>
-                    {filteredOrders.length}
-                  </Typography>
-                  <Typography variant="body2" color="text.secondary">
-                    Total Orders
-                  </Typography>
-                </Paper>
-              </Grid>
-              <Grid item xs={12} sm={6}>
-                <Paper sx={{ p: 2, backgroundColor: '#f0fdf4', borderRadius: 2, textAlign: 'center' }}>
-                  <Typography variant="h4" sx={{ fontWeight: 700, color: '#059669', mb: 0.5 }}>
-                    ${filteredOrders.reduce((sum, o) => sum + (Number(o.total_cost) || 0), 0).toFixed(2)}
-                  </Typography>
-                  <Typography variant="body2" color="text.secondary">
-                    Total Spent
-                  </Typography>
-                </Paper>
-              </Grid>
-            </Grid>
-
-            {/* Orders Summary Table */}
-            <Paper sx={{ p: 2, backgroundColor: '#f8fafc', borderRadius: 2 }}>
-              <Typography variant="h6" sx={{ fontWeight: 600, mb: 2, color: '#1e293b' }}>
-                Orders List
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            The farmer declined your refund request. ShareCrop support will review the order, your reason and the farmer's note, and can refund coins to your wallet.
+          </Typography>
+          {escalateOrder && (
+            <>
+              <Typography variant="subtitle2" sx={{ mb: 1 }}>
+                {escalateOrder.product_name} · #{escalateOrder.id}
               </Typography>
-              <TableContainer>
-                <Table size="small">
-                  <TableHead>
-                    <TableRow>
-                      <TableCell sx={{ fontWeight: 700 }}>Order ID</TableCell>
-                      <TableCell sx={{ fontWeight: 700 }}>Product</TableCell>
-                      <TableCell sx={{ fontWeight: 700 }}>Area</TableCell>
-                      <TableCell sx={{ fontWeight: 700 }}>Cost</TableCell>
-                      <TableCell sx={{ fontWeight: 700 }}>Status</TableCell>
-                    </TableRow>
-                  </TableHead>
-                  <TableBody>
-                    {filteredOrders.map((order) => (
-                      <TableRow key={order.id}>
-                        <TableCell>#{order.id}</TableCell>
-                        <TableCell>{order.product_name}</TableCell>
-                        <TableCell>{order.area_rented}</TableCell>
-                        <TableCell>${Number(order.total_cost).toFixed(2)}</TableCell>
-                        <TableCell>
-                          <Chip
-                            label={order.status}
-                            color={getStatusColor(order.status)}
-                            size="small"
-                            sx={{ fontWeight: 600, height: 24 }}
-                          />
-                        </TableCell>
-                      </TableRow>
-                    ))}
-                  </TableBody>
-                </Table>
-              </TableContainer>
-            </Paper>
-
-            <Typography variant="caption" color="text.secondary" sx={{ mt: 2, display: 'block' }}>
-              Report generated on {new Date().toLocaleString()}
-            </Typography>
-          </Box>
+              <Paper variant="outlined" sx={{ p: 1.5, mb: 2, borderRadius: 2, bgcolor: '#f8fafc' }}>
+                <Typography variant="caption" color="text.secondary">Your reason</Typography>
+                <Typography variant="body2" sx={{ mb: 1, whiteSpace: 'pre-wrap' }}>
+                  {escalateOrder.latest_refund_request?.reason || 'No reason given'}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">Farmer's note</Typography>
+                <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
+                  {escalateOrder.latest_refund_request?.farmer_note || 'No note given'}
+                </Typography>
+              </Paper>
+            </>
+          )}
+          <TextField
+            label="Anything else support should know (optional)"
+            fullWidth
+            multiline
+            minRows={3}
+            value={escalateDetails}
+            onChange={(e) => setEscalateDetails(e.target.value)}
+          />
+          {escalateError && (
+            <Alert severity="error" sx={{ mt: 2 }}>{escalateError}</Alert>
+          )}
         </DialogContent>
-        <DialogActions sx={{ p: 2, pt: 1, gap: 1 }}>
-          <Button
-            onClick={() => handleDownloadReport('csv')}
-            variant="outlined"
-            startIcon={<Download />}
-            sx={{ borderRadius: 1.5 }}
-          >
-            Download CSV
-          </Button>
-          <Button
-            onClick={() => handleDownloadReport('pdf')}
-            variant="outlined"
-            startIcon={<Description />}
-            sx={{ borderRadius: 1.5 }}
-          >
-            Download PDF
+        <DialogActions sx={{ px: 3, pb: 2 }}>
+          <Button onClick={() => setEscalateOrder(null)} disabled={escalating}>
+            Back
           </Button>
-          <Button onClick={handleCloseReport} variant="contained" sx={{ borderRadius: 1.5, bgcolor: '#4caf50', color: '#ffffff', '&:hover': { bgcolor: '#059669' } }}>
-            Close
+          <Button variant="contained" color="error" onClick={submitEscalation} disabled={escalating} startIcon={<Gavel />}>
+            {escalating ? 'Escalating…' : 'Escalate'}
           </Button>
         </DialogActions>
       </Dialog>
+
+      <FieldAllocationDialog
+        open={Boolean(allocationField)}
+        onClose={() => setAllocationField(null)}
+        field={allocationField}
+        orders={allocationField ? orders.filter((o) => String(o.field_id) === String(allocationField.id)) : []}
+        currentUserId={user?.id}
+        viewerRole="buyer"
+      />
+      <Snackbar
+        open={Boolean(liveNotice)}
+        autoHideDuration={5000}
+        onClose={() => setLiveNotice('')}
+        message={liveNotice}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      />
     </Box>
   );
 };
@@ -30,6 +30,39 @@ import { useNavigate } from 'react-router-dom';
 import redemptionService from '../services/redemptionService';
 import { useAuth } from '../contexts/AuthContext';
 import api from '../services/api';
+import ExportMenu from '../components/Common/ExportMenu';
+
+const redemptionExportColumns = (ctx) => {
+  const converted = (r) => ctx.toCurrency(r.coins_requested);
+  return [
+    { label: 'Request ID', value: (r) => r.id },
+    { label: 'Request date', value: (r) => (r.created_at ? new Date(r.created_at).toLocaleString() : '') },
+    { label: 'Coins', value: (r) => r.coins_requested, display: (r) => Number(r.coins_requested || 0).toLocaleString(), numeric: true },
+    { label: 'Payout', value: (r) => ((r.payout_amount_cents || 0) / 100).toFixed(2), numeric: true },
+    { label: 'Payout currency', value: (r) => String(r.currency || '').toUpperCase() },
+    {
+      label: `Value (${ctx.currency})`,
+      value: (r) => (converted(r) == null ? '' : converted(r).toFixed(2)),
+      display: (r) => ctx.money(converted(r)),
+      numeric: true,
+    },
+    { label: 'Payout method', value: (r) => r.payout_method_label || r.payout_method_type || '' },
+    { label: 'Status', value: (r) => r.status },
+    { label: 'Reviewed', value: (r) => (r.reviewed_at ? new Date(r.reviewed_at).toLocaleString() : '') },
+    { label: 'Notes', value: (r) => r.admin_notes || '' },
+  ];
+};
+
+const redemptionExportSummary = (records, ctx) => {
+  const paid = records.filter((r) => r.status === 'paid');
+  const paidCoins = paid.reduce((sum, r) => sum + (Number(r.coins_requested) || 0), 0);
+  return [
+    { label: 'Requests', value: records.length },
+    { label: 'Paid requests', value: paid.length },
+    { label: 'Coins paid out', value: paidCoins.toLocaleString() },
+    { label: `Paid out (${ctx.currency})`, value: ctx.money(ctx.toCurrency(paidCoins)) },
+  ];
+};
 
 const RedemptionHistory = () => {
   const navigate = useNavigate();
@@ -135,9 +168,20 @@ const RedemptionHistory = () => {
         Back
       </Button>
 
-      <Typography variant="h4" gutterBottom>
-        Redemption History
-      </Typography>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
+        <Typography variant="h4" gutterBottom>
+          Redemption History
+        </Typography>
+        <ExportMenu
+          title="Coin redemption statement"
+          filename="redemptions"
+          records={data.redemptions || []}
+          dateOf={(r) => r.created_at}
+          columns={redemptionExportColumns}
+          summary={redemptionExportSummary}
+          disabled={!data.redemptions?.length}
+        />
+      </Box>
 
       <Alert severity="info" sx={{ mb: 3 }}>
         <Typography variant="body2" fontWeight={600} gutterBottom>
@@ -7,10 +7,18 @@ import {
   Security,
   Badge,
   CalendarToday,
+  NotificationsActive,
 } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
 import { profileService } from '../services/profile';
 import coinService from '../services/coinService';
+import pushNotificationsService from '../services/pushNotifications';
+import {
+  NOTIFICATION_CHANNELS,
+  DEFAULT_NOTIFICATION_PREFERENCES,
+  normalizeNotificationPreferences,
+  notificationEventsFor,
+} from '../utils/notificationPreferences';
 
 const Settings = () => {
   const { user } = useAuth();
@@ -22,6 +30,13 @@ const Settings = () => {
   const [preferences, setPreferences] = useState({
     currency: 'USD',
   });
+  const [notificationPrefs, setNotificationPrefs] = useState(DEFAULT_NOTIFICATION_PREFERENCES);
+  const [pushStatus, setPushStatus] = useState('unsupported');
+  const [pushBusy, setPushBusy] = useState(false);
+
+  useEffect(() => {
+    pushNotificationsService.getStatus(user?.id).then(setPushStatus).catch(() => setPushStatus('unsupported'));
+  }, [user?.id]);
 
   useEffect(() => {
     if (user?.id) {
@@ -47,6 +62,14 @@ const Settings = () => {
           currency: response.data.preferred_currency
         });
       }
+
+      // 3. Notification preferences (defaults when the profile has none yet)
+      try {
+        const prefsResponse = await profileService.getNotificationPreferences(user.id);
+        setNotificationPrefs(normalizeNotificationPreferences(prefsResponse.data?.notification_preferences));
+      } catch (prefsErr) {
+        console.warn('Could not load notification preferences:', prefsErr);
+      }
     } catch (err) {
       console.error('Error loading preferences:', err);
     } finally {
@@ -54,6 +77,48 @@ const Settings = () => {
     }
   };
 
+  const toggleNotificationPref = (eventKey, channel) => {
+    setNotificationPrefs(prev => ({
+      ...prev,
+      [eventKey]: { ...prev[eventKey], [channel]: !prev[eventKey][channel] },
+    }));
+  };
+
+  const handleTogglePush = async () => {
+    setPushBusy(true);
+    setError('');
+    try {
+      if (pushStatus === 'subscribed') {
+        await pushNotificationsService.unsubscribe(user.id);
+        setSuccess('Browser push notifications turned off for this device.');
+      } else {
+        await pushNotificationsService.subscribe(user.id);
+        // First opt-in: start with the events that need a quick reaction
+        if (!Object.values(notificationPrefs).some(row => row.push)) {
+          setNotificationPrefs(prev => ({
+            ...prev,
+            new_order: { ...prev.new_order, push: true },
+            refund_request: { ...prev.refund_request, push: true },
+          }));
+        }
+        setSuccess('Browser push enabled. Pick the events below and save.');
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Could not update push notifications.');
+    } finally {
+      setPushStatus(await pushNotificationsService.getStatus(user.id).catch(() => 'unsupported'));
+      setPushBusy(false);
+    }
+  };
+
+  const pushStatusText = {
+    unsupported: 'This browser does not support push notifications.',
+    unconfigured: 'Push notifications are not available yet.',
+    denied: 'Notifications are blocked for this site. Allow them in your browser settings to enable push.',
+    subscribed: 'Push is on for this browser. Events ticked under Push arrive even when ShareCrop is closed.',
+    unsubscribed: 'Turn on push to get alerts in this browser while ShareCrop is closed.',
+  }[pushStatus];
+
   const handleSelectChange = (name, value) => {
     setPreferences(prev => ({ ...prev, [name]: value }));
   };
@@ -63,13 +128,16 @@ const Settings = () => {
       setLoading(true);
       setError('');
 
-      // Save currency to backend
+      // Save currency and notification preferences to backend
       await profileService.updatePreferredCurrency(user.id, preferences.currency);
+      await profileService.updateNotificationPreferences(user.id, notificationPrefs);
 
-      setSuccess('Currency preference updated successfully!');
+      setSuccess('Settings updated successfully!');
 
-      // Notify other components about currency changes
-      window.dispatchEvent(new CustomEvent('sharecrop-settings-updated', { detail: preferences }));
+      // Notify other components about currency / notification changes
+      window.dispatchEvent(new CustomEvent('sharecrop-settings-updated', {
+        detail: { ...preferences, notificationPreferences: notificationPrefs },
+      }));
 
     } catch (err) {
       console.error('Error saving settings:', err);
@@ -202,6 +270,63 @@ const Settings = () => {
             </div>
           </div>
 
+          {/* Notification Preferences Section */}
+          <div className="rounded-2xl border border-slate-200 bg-white p-4 md:p-5">
+            <div className="mb-1 flex items-center gap-2 text-sm font-semibold text-slate-900">
+              <NotificationsActive color="primary" />
+              <span>Notifications</span>
+            </div>
+            <p className="mb-3 text-xs text-slate-500">
+              Choose how you hear about each event. Account and security notices are always sent.
+            </p>
+            <div className="overflow-x-auto">
+              <table className="w-full text-left text-xs">
+                <thead>
+                  <tr className="border-b border-slate-200 text-slate-500">
+                    <th className="py-2 pr-2 font-semibold">Event</th>
+                    {NOTIFICATION_CHANNELS.map((channel) => (
+                      <th key={channel.key} className="w-16 py-2 text-center font-semibold">{channel.label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                  {notificationEventsFor(user?.user_type).map((event) => (
+                    <tr key={event.key}>
+                      <td className="py-2.5 pr-2">
+                        <div className="text-sm font-semibold text-slate-900">{event.label}</div>
+                        <div className="text-[11px] text-slate-500">{event.description}</div>
+                      </td>
+                      {NOTIFICATION_CHANNELS.map((channel) => (
+                        <td key={channel.key} className="py-2.5 text-center">
+                          <input
+                            type="checkbox"
+                            aria-label={`${event.label}: ${channel.label}`}
+                            checked={Boolean(notificationPrefs[event.key]?.[channel.key])}
+                            onChange={() => toggleNotificationPref(event.key, channel.key)}
+                            className="h-4 w-4 cursor-pointer accent-emerald-500"
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="mt-3 flex flex-col gap-2 rounded-xl bg-slate-50 px-3 py-2 md:flex-row md:items-center md:justify-between">
+              <span className="text-xs text-slate-600">{pushStatusText}</span>
+              {(pushStatus === 'subscribed' || pushStatus === 'unsubscribed') && (
+                <button
+                  type="button"
+                  onClick={handleTogglePush}
+                  disabled={pushBusy}
+                  className="rounded-xl border border-slate-300 px-3 py-1 text-xs font-semibold text-slate-700 hover:border-emerald-500 hover:bg-emerald-50 disabled:cursor-not-allowed disabled:opacity-60"
+                >
+                  {pushStatus === 'subscribed' ? 'Turn off push' : 'Turn on push'}
+                </button>
+              )}
+            </div>
+          </div>
+
           {/* Account Security Info Section */}
           <div className="rounded-2xl border border-slate-200 bg-white p-4 md:p-5">
             <div className="mb-3 flex items-center gap-2 text-sm font-semibold text-slate-900">
@@ -1,5 +1,5 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, Link, useSearchParams } from 'react-router-dom';
 import {
   Box,
   TextField,
@@ -30,10 +30,13 @@ import {
 import supabase from '../services/supabase';
 import { v4 as uuidv4 } from 'uuid';
 import coinService from '../services/coinService';
+import { REFERRAL_QUERY_PARAM } from '../utils/promotions';
 
 const Signup = () => {
   const navigate = useNavigate();
   const { signup } = useAuth();
+  const [searchParams] = useSearchParams();
+  const referralCode = searchParams.get(REFERRAL_QUERY_PARAM)?.trim() || null;
   const videoRef = useRef(null);
   const [name, setName] = useState('');
   const [email, setEmail] = useState('');
@@ -177,7 +180,7 @@ const Signup = () => {
         }
       }
 
-      await signup(name, email, password, userType, profile_image_url, uploadedDocuments, preferredCurrency);
+      await signup(name, email, password, userType, profile_image_url, uploadedDocuments, preferredCurrency, referralCode);
 
       // Redirect based on user type
       if (userType === 'farmer') {
@@ -354,6 +357,12 @@ const Signup = () => {
             </Typography>
           </Box>
 
+          {referralCode && (
+            <Alert severity="success" sx={{ mb: 3, borderRadius: 2 }}>
+              You were invited to ShareCrop. You and your friend both get bonus coins after your first order.
+            </Alert>
+          )}
+
           {/* Error Alert */}
           {error && (
             <Alert severity="error" sx={{ mb: 3, borderRadius: 2 }}>
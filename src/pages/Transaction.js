@@ -22,6 +22,9 @@ import {
   Tab,
   TextField,
   InputAdornment,
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
 } from '@mui/material';
 import {
   TrendingUp,
@@ -33,22 +36,79 @@ import {
   ArrowUpward,
   ArrowDownward,
   SwapHoriz,
+  Autorenew,
+  Send,
+  Lock,
+  ExpandMore,
 } from '@mui/icons-material';
+import { useLocation, useNavigate } from 'react-router-dom';
 import { transactionsService } from '../services/transactions';
 import { useAuth } from '../contexts/AuthContext';
 import StatCard from '../components/Common/StatCard';
 import { orderService } from '../services/orders';
 import { CircularProgress, Alert } from '@mui/material';
 import api from '../services/api';
+import ExportMenu from '../components/Common/ExportMenu';
+import useAutoTopUp from '../hooks/useAutoTopUp';
+import coinService from '../services/coinService';
+import SendCoinsDialog from '../components/Common/SendCoinsDialog';
+import { describeTransferTransaction, transfersById } from '../utils/coinTransfers';
+import { AUTO_TOP_UP_RUN_STATUS, isAutoTopUpActive, monthToDateCoins } from '../utils/autoTopUp';
+import useCurrencyRates from '../hooks/useCurrencyRates';
+import useEscrowLedger from '../hooks/useEscrowLedger';
+import EscrowTimeline from '../components/Common/EscrowTimeline';
+import { usdToCoins } from '../utils/statementExport';
+import { coinsStillLocked, escrowTimeline } from '../utils/coinEscrow';
+
+const transactionDate = (t) => t.created_at || t.date;
+const signedCoins = (t) => (t.type === 'Expense' ? -t.amount : t.amount);
+
+const transactionExportColumns = (ctx) => [
+  { label: 'Transaction ID', value: (t) => t.id },
+  { label: 'Date', value: (t) => (transactionDate(t) ? new Date(transactionDate(t)).toLocaleString() : '') },
+  { label: 'Type', value: (t) => t.type },
+  { label: 'Description', value: (t) => t.description },
+  { label: 'Reference', value: (t) => [t.ref_type, t.reference].filter(Boolean).join(' ') },
+  { label: 'Field', value: (t) => (t.farmName === 'N/A' ? '' : t.farmName) },
+  { label: 'Coins', value: signedCoins, display: (t) => signedCoins(t).toLocaleString(), numeric: true },
+  { label: 'Balance after (coins)', value: (t) => t.balanceAfter, display: (t) => t.balanceAfter.toLocaleString(), numeric: true },
+  {
+    label: `Amount (${ctx.currency})`,
+    value: (t) => {
+      const v = ctx.toCurrency(signedCoins(t));
+      return v == null ? '' : v.toFixed(2);
+    },
+    display: (t) => ctx.money(ctx.toCurrency(signedCoins(t))),
+    numeric: true,
+  },
+];
+
+const transactionExportSummary = (records, ctx) => {
+  const income = records.filter((t) => t.type === 'Income').reduce((sum, t) => sum + t.amount, 0);
+  const expenses = records.filter((t) => t.type === 'Expense').reduce((sum, t) => sum + t.amount, 0);
+  return [
+    { label: 'Coins in', value: `${income.toLocaleString()} · ${ctx.money(ctx.toCurrency(income))}` },
+    { label: 'Coins out', value: `${expenses.toLocaleString()} · ${ctx.money(ctx.toCurrency(expenses))}` },
+    { label: 'Net', value: `${(income - expenses).toLocaleString()} · ${ctx.money(ctx.toCurrency(income - expenses))}` },
+  ];
+};
 
 const Transaction = () => {
   const { user } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { settings: autoTopUp, runs: autoTopUpRuns } = useAutoTopUp();
   const [transactions, setTransactions] = useState([]);
   const [userCurrency, setUserCurrency] = useState('USD');
   const [tabValue, setTabValue] = useState(0);
   const [searchQuery, setSearchQuery] = useState('');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [sendOpen, setSendOpen] = useState(false);
+  const { rates } = useCurrencyRates();
+  const { entriesByOrder: escrowEntries } = useEscrowLedger();
+  const [escrowOrders, setEscrowOrders] = useState([]);
+  const [lockedCoins, setLockedCoins] = useState(0);
 
   // Currency symbols mapping
   const currencySymbols = {
@@ -94,16 +154,25 @@ const Transaction = () => {
       setLoading(true);
       setError(null);
 
-      // Fetch coin transactions
-      const coinTransactionsResponse = await transactionsService.getMyTransactions();
+      // Fetch coin transactions, and transfers to name the other side of each transfer
+      const [coinTransactionsResponse, transfers] = await Promise.all([
+        transactionsService.getMyTransactions(),
+        coinService.getCoinTransfers(),
+      ]);
       const coinTransactions = coinTransactionsResponse.data || [];
+      const transferIndex = transfersById(transfers);
 
       // Fetch orders to map to transactions
       let orders = [];
       try {
         if (user.user_type === 'buyer') {
-          const ordersResponse = await orderService.getBuyerOrders();
+          const [ordersResponse, balance] = await Promise.all([
+            orderService.getBuyerOrders(),
+            coinService.getUserBalance(user.id),
+          ]);
           orders = ordersResponse.data || [];
+          setEscrowOrders(orders);
+          setLockedCoins(balance.locked_coins);
         } else if (user.user_type === 'farmer') {
           const ordersResponse = await orderService.getFarmerOrders(user.id);
           orders = ordersResponse.data || [];
@@ -118,16 +187,19 @@ const Transaction = () => {
           ? orders.find(o => o.id === tx.ref_id)
           : null;
 
+        const isAutoTopUp = tx.ref_type === 'auto_top_up';
+        const transfer = describeTransferTransaction(tx, transferIndex.get(String(tx.ref_id)), user.id);
+
         return {
           id: tx.id || `TXN-${String(index + 1).padStart(3, '0')}`,
           type: tx.type === 'credit' ? 'Income' : 'Expense',
-          category: tx.reason || (tx.type === 'credit' ? 'Coin Credit' : 'Coin Debit'),
-          description: tx.reason || (tx.type === 'credit' ? 'Coins credited' : 'Coins debited'),
+          category: transfer?.category || (isAutoTopUp ? 'Auto top-up' : tx.reason || (tx.type === 'credit' ? 'Coin Credit' : 'Coin Debit')),
+          description: transfer?.description || tx.reason || (tx.type === 'credit' ? 'Coins credited' : 'Coins debited'),
           amount: Number(tx.amount) || 0,
           created_at: tx.created_at || null,
           date: tx.created_at ? new Date(tx.created_at).toISOString().split('T')[0] : new Date().toISOString().split('T')[0],
           status: 'Completed',
-          paymentMethod: 'Coins',
+          paymentMethod: isAutoTopUp ? 'Card (auto top-up)' : 'Coins',
           reference: tx.ref_id || '',
           balanceAfter: Number(tx.balance_after) || 0,
           ref_type: tx.ref_type || '',
@@ -241,6 +313,14 @@ const Transaction = () => {
 
   const summary = getFinancialSummary();
 
+  // Orders holding coins first, then newest
+  const escrowRows = escrowOrders
+    .map((order) => {
+      const steps = escrowTimeline(order, usdToCoins(order.total_price, rates), escrowEntries.get(String(order.id)));
+      return { order, steps, stillLocked: coinsStillLocked(steps) };
+    })
+    .sort((a, b) => (b.stillLocked > 0) - (a.stillLocked > 0) || new Date(b.order.created_at) - new Date(a.order.created_at));
+
   if (loading) {
     return (
       <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '100vh' }}>
@@ -269,15 +349,27 @@ const Transaction = () => {
         mx: 'auto',
         mb: 4
       }}>
-        <Box sx={{ mb: 4 }}>
-          <Typography variant="h4" component="h1" gutterBottom sx={{ fontWeight: 700, color: '#1e293b', mb: 1 }}>
-            Transaction History
-          </Typography>
-          <Typography variant="body1" sx={{ color: '#64748b', fontSize: '1.1rem' }}>
-            Track your farm income, expenses, and financial transactions
-          </Typography>
+        <Box sx={{ mb: 4, display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', flexWrap: 'wrap', gap: 2 }}>
+          <Box>
+            <Typography variant="h4" component="h1" gutterBottom sx={{ fontWeight: 700, color: '#1e293b', mb: 1 }}>
+              Transaction History
+            </Typography>
+            <Typography variant="body1" sx={{ color: '#64748b', fontSize: '1.1rem' }}>
+              Track your farm income, expenses, and financial transactions
+            </Typography>
+          </Box>
+          <Button
+            variant="contained"
+            startIcon={<Send />}
+            onClick={() => setSendOpen(true)}
+            sx={{ textTransform: 'none', fontWeight: 600, backgroundColor: '#059669', '&:hover': { backgroundColor: '#047857' } }}
+          >
+            Send coins
+          </Button>
         </Box>
 
+        <SendCoinsDialog open={sendOpen} onClose={() => setSendOpen(false)} onSent={loadTransactions} onRefresh={loadTransactions} />
+
         {/* Financial Summary Cards */}
         <div className="mb-4 grid max-w-[480px] grid-cols-2 gap-3 md:max-w-none md:grid-cols-4">
           <StatCard
@@ -322,6 +414,15 @@ const Transaction = () => {
               <Typography variant="h6" sx={{ fontWeight: 700, color: '#1e293b' }}>
                 Transaction Details
               </Typography>
+              <ExportMenu
+                title="Coin transaction statement"
+                filename="transactions"
+                records={transactions}
+                dateOf={transactionDate}
+                columns={transactionExportColumns}
+                summary={transactionExportSummary}
+                disabled={transactions.length === 0}
+              />
             </Box>
 
             <TextField
@@ -490,6 +591,114 @@ const Transaction = () => {
             </Box>
           )}
         </Paper>
+
+        {escrowRows.length > 0 && (
+          <Paper sx={{
+            mt: 4,
+            backgroundColor: '#ffffff',
+            border: '1px solid #e2e8f0',
+            borderRadius: 2,
+            overflow: 'hidden',
+            boxShadow: '0 1px 3px 0 rgba(0, 0, 0, 0.1)'
+          }}>
+            <Box sx={{ p: 3, borderBottom: '1px solid #e2e8f0' }}>
+              <Typography variant="h6" sx={{ fontWeight: 700, color: '#1e293b', display: 'flex', alignItems: 'center', gap: 1 }}>
+                <Lock sx={{ color: '#059669' }} /> Coins in escrow
+              </Typography>
+              <Typography variant="body2" sx={{ color: '#64748b' }}>
+                {lockedCoins.toLocaleString()} coins locked. Each order's coins are released to the farmer as it ships and completes, or returned to you if it is cancelled or refunded.
+              </Typography>
+            </Box>
+            {escrowRows.map(({ order, steps, stillLocked }) => (
+              <Accordion key={order.id} disableGutters elevation={0} sx={{ borderBottom: '1px solid #e2e8f0', '&:before': { display: 'none' } }}>
+                <AccordionSummary expandIcon={<ExpandMore />}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap', width: '100%', pr: 1 }}>
+                    <Typography variant="body2" sx={{ fontWeight: 600, color: '#1e293b', flex: 1, minWidth: 160 }}>
+                      {order.field_name || 'Order'} · #{order.id}
+                    </Typography>
+                    <Chip label={order.status || 'pending'} size="small" sx={{ textTransform: 'capitalize' }} />
+                    <Typography variant="body2" sx={{ fontWeight: 600, color: stillLocked > 0 ? '#d97706' : '#64748b', minWidth: 140, textAlign: 'right' }}>
+                      {stillLocked > 0 ? `${stillLocked.toLocaleString()} coins locked` : 'Settled'}
+                    </Typography>
+                  </Box>
+                </AccordionSummary>
+                <AccordionDetails>
+                  <EscrowTimeline steps={steps} />
+                </AccordionDetails>
+              </Accordion>
+            ))}
+          </Paper>
+        )}
+
+        {(autoTopUp || autoTopUpRuns.length > 0) && (
+          <Paper sx={{
+            mt: 4,
+            backgroundColor: '#ffffff',
+            border: '1px solid #e2e8f0',
+            borderRadius: 2,
+            boxShadow: '0 1px 3px 0 rgba(0, 0, 0, 0.1)'
+          }}>
+            <Box sx={{ p: 3, borderBottom: '1px solid #e2e8f0', display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2 }}>
+              <Box>
+                <Typography variant="h6" sx={{ fontWeight: 700, color: '#1e293b', display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <Autorenew sx={{ color: '#059669' }} /> Auto top-up history
+                </Typography>
+                <Typography variant="body2" sx={{ color: '#64748b' }}>
+                  {autoTopUp
+                    ? `${isAutoTopUpActive(autoTopUp) ? 'Active' : 'Paused'} · below ${Number(autoTopUp.threshold_coins).toLocaleString()} coins · ${monthToDateCoins(autoTopUpRuns).toLocaleString()} of ${Number(autoTopUp.monthly_cap_coins).toLocaleString()} coins this month`
+                    : 'Auto top-up is off'}
+                </Typography>
+              </Box>
+              <Button
+                variant="outlined"
+                onClick={() => navigate(location.pathname.replace(/\/transaction.*/, '/buy-coins'))}
+                sx={{ textTransform: 'none', borderColor: '#059669', color: '#059669' }}
+              >
+                Manage auto top-up
+              </Button>
+            </Box>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell sx={{ fontWeight: 600, color: '#374151' }}>Date & time</TableCell>
+                    <TableCell sx={{ fontWeight: 600, color: '#374151' }}>Coins</TableCell>
+                    <TableCell sx={{ fontWeight: 600, color: '#374151' }}>Charged</TableCell>
+                    <TableCell sx={{ fontWeight: 600, color: '#374151' }}>Balance before</TableCell>
+                    <TableCell sx={{ fontWeight: 600, color: '#374151' }}>Status</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {autoTopUpRuns.length === 0 ? (
+                    <TableRow>
+                      <TableCell colSpan={5} align="center" sx={{ color: '#64748b', py: 3 }}>
+                        No auto top-ups yet
+                      </TableCell>
+                    </TableRow>
+                  ) : autoTopUpRuns.map((run) => {
+                    const status = AUTO_TOP_UP_RUN_STATUS[run.status] || AUTO_TOP_UP_RUN_STATUS.pending;
+                    return (
+                      <TableRow key={run.id} hover>
+                        <TableCell sx={{ color: '#64748b' }}>{formatTransactionTime(run.created_at)}</TableCell>
+                        <TableCell sx={{ fontWeight: 600 }}>{Number(run.coins || 0).toLocaleString()}</TableCell>
+                        <TableCell>{run.amount != null ? formatCurrency(run.amount, run.currency) : '—'}</TableCell>
+                        <TableCell>{run.balance_before != null ? `${Number(run.balance_before).toLocaleString()} coins` : '—'}</TableCell>
+                        <TableCell>
+                          <Chip label={status.label} color={status.color} size="small" />
+                          {run.failure_reason && (
+                            <Typography variant="caption" sx={{ display: 'block', color: '#dc2626', mt: 0.5 }}>
+                              {run.failure_reason}
+                            </Typography>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Paper>
+        )}
       </Box>
     </Box>
   );
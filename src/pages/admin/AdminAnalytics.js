@@ -3,6 +3,7 @@ import { Box, Card, CardContent, Typography, Stack, Button, TableContainer, Pape
 import dayjs from 'dayjs';
 import { adminService } from '../../services/admin';
 import { useLocation } from 'react-router-dom';
+import { PROMO_TYPES } from '../../utils/promotions';
 
 const Header = ({ title, onExportCSV, onExportJSON }) => (
   <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems={{ xs: 'flex-start', sm: 'center' }} justifyContent="space-between">
@@ -57,6 +58,10 @@ const AdminAnalytics = () => {
   const [profitRows, setProfitRows] = useState([]);
   const [farmerRows, setFarmerRows] = useState([]);
   const [reviewRows, setReviewRows] = useState([]);
+  const [loadingPromos, setLoadingPromos] = useState(true);
+  const [loadingReferrals, setLoadingReferrals] = useState(true);
+  const [promoRows, setPromoRows] = useState([]);
+  const [referralRows, setReferralRows] = useState([]);
   const [profitQuery, setProfitQuery] = useState('');
   const [farmerQuery, setFarmerQuery] = useState('');
   const [reviewQuery, setReviewQuery] = useState('');
@@ -65,6 +70,8 @@ const AdminAnalytics = () => {
   const profitSort = useSort('category');
   const farmerSort = useSort('farmer_name');
   const reviewSort = useSort('item');
+  const promoSort = useSort('redemptions', 'desc');
+  const referralSort = useSort('signups', 'desc');
 
   useEffect(() => {
     let mounted = true;
@@ -99,7 +106,27 @@ const AdminAnalytics = () => {
         if (e?.response?.status === 401 && mounted) setAuthError(true);
       } finally { if (mounted) setLoadingReviews(false); }
     };
-    loadProfit(); loadFarmers(); loadReviews();
+    const loadPromos = async () => {
+      try {
+        setLoadingPromos(true);
+        const r = await adminService.getPromoCodeStats(params);
+        const rows = Array.isArray(r.data) ? r.data : (Array.isArray(r.data?.rows) ? r.data.rows : []);
+        if (mounted) setPromoRows(rows);
+      } catch (e) {
+        if (e?.response?.status === 401 && mounted) setAuthError(true);
+      } finally { if (mounted) setLoadingPromos(false); }
+    };
+    const loadReferrals = async () => {
+      try {
+        setLoadingReferrals(true);
+        const r = await adminService.getReferralStats(params);
+        const rows = Array.isArray(r.data) ? r.data : (Array.isArray(r.data?.rows) ? r.data.rows : []);
+        if (mounted) setReferralRows(rows);
+      } catch (e) {
+        if (e?.response?.status === 401 && mounted) setAuthError(true);
+      } finally { if (mounted) setLoadingReferrals(false); }
+    };
+    loadProfit(); loadFarmers(); loadReviews(); loadPromos(); loadReferrals();
     return () => { mounted = false; };
   }, [from, to]);
 
@@ -121,6 +148,9 @@ const AdminAnalytics = () => {
     return [...rows].sort(reviewSort.sortFn);
   }, [reviewRows, reviewQuery, reviewSort.sortFn]);
 
+  const sortedPromos = useMemo(() => [...promoRows].sort(promoSort.sortFn), [promoRows, promoSort.sortFn]);
+  const sortedReferrals = useMemo(() => [...referralRows].sort(referralSort.sortFn), [referralRows, referralSort.sortFn]);
+
   return (
     <Box sx={{ width: '100%', display: 'grid', gap: { xs: 2, sm: 3 }, mt: { xs: 1.5, sm: 2 } }}>
       {authError && !(process.env.REACT_APP_AUTH_DISABLED === 'true' || location.pathname.startsWith('/admin')) && (
@@ -295,6 +325,106 @@ const AdminAnalytics = () => {
           </TableContainer>
         </CardContent>
       </Card>
+
+      <Card sx={{ borderRadius: 3, boxShadow: '0 2px 12px rgba(0,0,0,0.08)' }}>
+        <CardContent>
+          <Header
+            title="Promo Code Redemptions"
+            onExportCSV={() => exportCSV(sortedPromos, ['code','type','redemptions','unique_users','discount_total','bonus_coins'], 'promo_code_redemptions.csv')}
+            onExportJSON={() => exportJSON(sortedPromos, 'promo_code_redemptions.json')}
+          />
+          <TableContainer component={Paper} sx={{ mt: 2 }}>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell onClick={() => promoSort.toggleSort('code')} sx={{ fontWeight: 600, cursor: 'pointer' }}>Code</TableCell>
+                  <TableCell onClick={() => promoSort.toggleSort('type')} sx={{ fontWeight: 600, cursor: 'pointer' }}>Type</TableCell>
+                  <TableCell onClick={() => promoSort.toggleSort('redemptions')} sx={{ fontWeight: 600, cursor: 'pointer' }}>Redemptions</TableCell>
+                  <TableCell onClick={() => promoSort.toggleSort('unique_users')} sx={{ fontWeight: 600, cursor: 'pointer' }}>Users</TableCell>
+                  <TableCell onClick={() => promoSort.toggleSort('discount_total')} sx={{ fontWeight: 600, cursor: 'pointer' }}>Discount Given (USD)</TableCell>
+                  <TableCell onClick={() => promoSort.toggleSort('bonus_coins')} sx={{ fontWeight: 600, cursor: 'pointer' }}>Bonus Coins</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {loadingPromos ? (
+                  [...Array(3)].map((_, i) => (
+                    <TableRow key={i}>
+                      <TableCell><Skeleton width={120} /></TableCell>
+                      <TableCell><Skeleton width={80} /></TableCell>
+                      <TableCell><Skeleton width={80} /></TableCell>
+                      <TableCell><Skeleton width={80} /></TableCell>
+                      <TableCell><Skeleton width={100} /></TableCell>
+                      <TableCell><Skeleton width={80} /></TableCell>
+                    </TableRow>
+                  ))
+                ) : sortedPromos.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={6}><Typography variant="body2" color="text.secondary">No data</Typography></TableCell>
+                  </TableRow>
+                ) : (
+                  sortedPromos.map((r, idx) => (
+                    <TableRow key={idx} hover>
+                      <TableCell>{r.code}</TableCell>
+                      <TableCell>{PROMO_TYPES[r.type] || r.type}</TableCell>
+                      <TableCell>{r.redemptions}</TableCell>
+                      <TableCell>{r.unique_users}</TableCell>
+                      <TableCell>{r.discount_total}</TableCell>
+                      <TableCell>{r.bonus_coins}</TableCell>
+                    </TableRow>
+                  ))
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </CardContent>
+      </Card>
+
+      <Card sx={{ borderRadius: 3, boxShadow: '0 2px 12px rgba(0,0,0,0.08)' }}>
+        <CardContent>
+          <Header
+            title="Referrals"
+            onExportCSV={() => exportCSV(sortedReferrals, ['referrer_name','signups','credited','coins_awarded'], 'referrals.csv')}
+            onExportJSON={() => exportJSON(sortedReferrals, 'referrals.json')}
+          />
+          <TableContainer component={Paper} sx={{ mt: 2 }}>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell onClick={() => referralSort.toggleSort('referrer_name')} sx={{ fontWeight: 600, cursor: 'pointer' }}>Referrer</TableCell>
+                  <TableCell onClick={() => referralSort.toggleSort('signups')} sx={{ fontWeight: 600, cursor: 'pointer' }}>Signups</TableCell>
+                  <TableCell onClick={() => referralSort.toggleSort('credited')} sx={{ fontWeight: 600, cursor: 'pointer' }}>First Orders</TableCell>
+                  <TableCell onClick={() => referralSort.toggleSort('coins_awarded')} sx={{ fontWeight: 600, cursor: 'pointer' }}>Coins Awarded</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {loadingReferrals ? (
+                  [...Array(3)].map((_, i) => (
+                    <TableRow key={i}>
+                      <TableCell><Skeleton width={160} /></TableCell>
+                      <TableCell><Skeleton width={80} /></TableCell>
+                      <TableCell><Skeleton width={80} /></TableCell>
+                      <TableCell><Skeleton width={80} /></TableCell>
+                    </TableRow>
+                  ))
+                ) : sortedReferrals.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={4}><Typography variant="body2" color="text.secondary">No data</Typography></TableCell>
+                  </TableRow>
+                ) : (
+                  sortedReferrals.map((r, idx) => (
+                    <TableRow key={idx} hover>
+                      <TableCell>{r.referrer_name}</TableCell>
+                      <TableCell>{r.signups}</TableCell>
+                      <TableCell>{r.credited}</TableCell>
+                      <TableCell>{r.coins_awarded}</TableCell>
+                    </TableRow>
+                  ))
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </CardContent>
+      </Card>
     </Box>
   );
 };
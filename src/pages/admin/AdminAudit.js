@@ -191,6 +191,7 @@ const AdminAudit = () => {
                 <MenuItem value="field">Field</MenuItem>
                 <MenuItem value="order">Order</MenuItem>
                 <MenuItem value="payment">Payment</MenuItem>
+                <MenuItem value="complaint">Complaint</MenuItem>
               </Select>
             </FormControl>
           </Stack>
@@ -1,9 +1,10 @@
 import { useEffect, useState } from 'react';
-import { Box, Card, CardContent, Typography, Stack, TextField, Select, MenuItem, FormControl, InputLabel, TableContainer, Paper, Table, TableHead, TableRow, TableCell, TableBody, Skeleton, Chip } from '@mui/material';
+import { Box, Card, CardContent, Typography, Stack, TextField, Select, MenuItem, FormControl, InputLabel, TableContainer, Paper, Table, TableHead, TableRow, TableCell, TableBody, Skeleton, Chip, Button, Dialog, DialogTitle, DialogContent, DialogActions, Alert } from '@mui/material';
 import { ArrowUpward, ArrowDownward } from '@mui/icons-material';
 import dayjs from 'dayjs';
 import { adminService } from '../../services/admin';
 import { useLocation } from 'react-router-dom';
+import { isTransferReversed } from '../../utils/coinTransfers';
 
 const StatusChip = ({ status }) => {
   const s = String(status || '').toLowerCase();
@@ -11,6 +12,7 @@ const StatusChip = ({ status }) => {
     pending: { bg: 'rgba(255,152,0,0.1)', border: 'rgba(255,152,0,0.2)', color: '#FB8C00' },
     completed: { bg: 'rgba(76,175,80,0.1)', border: 'rgba(76,175,80,0.2)', color: '#2E7D32' },
     failed: { bg: 'rgba(244,67,54,0.1)', border: 'rgba(244,67,54,0.2)', color: '#D32F2F' },
+    reversed: { bg: 'rgba(158,158,158,0.12)', border: 'rgba(158,158,158,0.3)', color: '#616161' },
   };
   const c = map[s] || map.pending;
   return <Chip label={status} size="small" sx={{ bgcolor: c.bg, border: `1px solid ${c.border}`, color: c.color, textTransform: 'capitalize', fontWeight: 600 }} />;
@@ -40,6 +42,12 @@ const AdminCoins = () => {
   const [payments, setPayments] = useState([]);
   const [authError, setAuthError] = useState(false);
   const [highlightedId, setHighlightedId] = useState(null);
+  const [loadingTransfers, setLoadingTransfers] = useState(true);
+  const [transfers, setTransfers] = useState([]);
+  const [reversing, setReversing] = useState(null);
+  const [reverseReason, setReverseReason] = useState('');
+  const [reverseSaving, setReverseSaving] = useState(false);
+  const [reverseError, setReverseError] = useState(null);
 
   const toNumber = (v) => {
     if (typeof v === 'number' && Number.isFinite(v)) return v;
@@ -61,6 +69,7 @@ const AdminCoins = () => {
     if (Array.isArray(d?.orders)) return d.orders;
     if (Array.isArray(d?.payments)) return d.payments;
     if (Array.isArray(d?.transactions)) return d.transactions;
+    if (Array.isArray(d?.transfers)) return d.transfers;
     if (Array.isArray(d?.approvals)) return d.approvals;
     if (Array.isArray(d?.users)) return d.users;
     if (Array.isArray(d?.results)) return d.results;
@@ -114,6 +123,49 @@ const AdminCoins = () => {
     return () => { mounted = false; };
   }, [from, to, user, purchaseStatus]);
 
+  useEffect(() => {
+    let mounted = true;
+    const loadTransfers = async () => {
+      try {
+        setLoadingTransfers(true);
+        const r = await adminService.getCoinTransfers({ from, to, user: user || undefined });
+        if (mounted) setTransfers(unwrapArray(r));
+      } catch (e) {
+        if (e?.response?.status === 401 && mounted) setAuthError(true);
+      } finally {
+        if (mounted) setLoadingTransfers(false);
+      }
+    };
+    loadTransfers();
+    return () => { mounted = false; };
+  }, [from, to, user]);
+
+  const openReverse = (transfer) => {
+    setReversing(transfer);
+    setReverseReason('');
+    setReverseError(null);
+  };
+
+  const handleReverse = async () => {
+    if (!reverseReason.trim()) {
+      setReverseError('Give a reason; it is kept in the audit log');
+      return;
+    }
+    setReverseSaving(true);
+    setReverseError(null);
+    try {
+      await adminService.reverseCoinTransfer(reversing.id, reverseReason.trim());
+      setTransfers((prev) => prev.map((t) => (
+        t.id === reversing.id ? { ...t, status: 'reversed', reversed_at: new Date().toISOString(), reversal_reason: reverseReason.trim() } : t
+      )));
+      setReversing(null);
+    } catch (e) {
+      setReverseError(e?.response?.data?.error || 'Failed to reverse transfer');
+    } finally {
+      setReverseSaving(false);
+    }
+  };
+
   useEffect(() => {
     let mounted = true;
     const loadData = async () => {
@@ -381,6 +433,83 @@ const AdminCoins = () => {
           </TableContainer>
         </CardContent>
       </Card>
+
+      <Card sx={{ borderRadius: 3, boxShadow: '0 2px 12px rgba(0,0,0,0.08)' }}>
+        <CardContent>
+          <Typography variant="h6" sx={{ fontWeight: 700, color: 'text.primary' }}>Coin Transfers</Typography>
+          <TableContainer component={Paper} sx={{ mt: 2 }}>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={{ fontWeight: 600 }}>Date</TableCell>
+                  <TableCell sx={{ fontWeight: 600 }}>From</TableCell>
+                  <TableCell sx={{ fontWeight: 600 }}>To</TableCell>
+                  <TableCell sx={{ fontWeight: 600 }}>Coins</TableCell>
+                  <TableCell sx={{ fontWeight: 600 }}>Note</TableCell>
+                  <TableCell sx={{ fontWeight: 600 }}>Status</TableCell>
+                  <TableCell sx={{ fontWeight: 600 }}>Action</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {loadingTransfers ? (
+                  [...Array(3)].map((_, i) => (
+                    <TableRow key={i}><TableCell><Skeleton width={140} /></TableCell><TableCell><Skeleton width={120} /></TableCell><TableCell><Skeleton width={120} /></TableCell><TableCell><Skeleton width={60} /></TableCell><TableCell><Skeleton width={160} /></TableCell><TableCell><Skeleton width={80} /></TableCell><TableCell><Skeleton width={80} /></TableCell></TableRow>
+                  ))
+                ) : transfers.length === 0 ? (
+                  <TableRow><TableCell colSpan={7}><Typography variant="body2" color="text.secondary">No transfers</Typography></TableCell></TableRow>
+                ) : (
+                  transfers.map(t => (
+                    <TableRow key={t.id} id={`row-${t.id}`} hover>
+                      <TableCell>{new Date(t.created_at).toLocaleString()}</TableCell>
+                      <TableCell>{t.sender_name || t.sender_id}</TableCell>
+                      <TableCell>{t.recipient_name || t.recipient_id}</TableCell>
+                      <TableCell>{t.coins}</TableCell>
+                      <TableCell sx={{ maxWidth: 240 }}>
+                        <Typography variant="body2" noWrap title={t.note || ''}>{t.note || '—'}</Typography>
+                      </TableCell>
+                      <TableCell>
+                        <StatusChip status={isTransferReversed(t) ? 'reversed' : t.status || 'completed'} />
+                        {t.reversal_reason && (
+                          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>{t.reversal_reason}</Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {!isTransferReversed(t) && (
+                          <Button size="small" color="error" onClick={() => openReverse(t)} sx={{ textTransform: 'none' }}>Reverse</Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </CardContent>
+      </Card>
+
+      <Dialog open={Boolean(reversing)} onClose={() => !reverseSaving && setReversing(null)} maxWidth="sm" fullWidth>
+        <DialogTitle sx={{ fontWeight: 700 }}>Reverse transfer</DialogTitle>
+        <DialogContent>
+          {reverseError && <Alert severity="error" sx={{ mb: 2 }}>{reverseError}</Alert>}
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Moves {reversing?.coins} coins from {reversing?.recipient_name || reversing?.recipient_id} back to {reversing?.sender_name || reversing?.sender_id}. Both users see the reversal in their transaction history.
+          </Typography>
+          <TextField
+            label="Reason *"
+            value={reverseReason}
+            onChange={(e) => setReverseReason(e.target.value)}
+            fullWidth
+            multiline
+            minRows={2}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setReversing(null)} disabled={reverseSaving}>Cancel</Button>
+          <Button color="error" variant="contained" onClick={handleReverse} disabled={reverseSaving}>
+            {reverseSaving ? 'Reversing...' : 'Reverse transfer'}
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
@@ -31,6 +31,7 @@ import {
   Delete,
 } from '@mui/icons-material';
 import { adminService } from '../../services/admin';
+import { formatCheckoutAmount, roundingIncrement } from '../../utils/coinCheckout';
 
 const AdminCurrencyRates = () => {
   const [rates, setRates] = useState([]);
@@ -44,6 +45,8 @@ const AdminCurrencyRates = () => {
     display_name: '',
     symbol: '',
     is_active: true,
+    checkout_enabled: false,
+    rounding_increment: '',
   });
   const [saving, setSaving] = useState(false);
 
@@ -73,6 +76,8 @@ const AdminCurrencyRates = () => {
         display_name: rate.display_name || '',
         symbol: rate.symbol || '',
         is_active: rate.is_active !== false,
+        checkout_enabled: Boolean(rate.checkout_enabled),
+        rounding_increment: rate.rounding_increment || '',
       });
     } else {
       setEditingRate(null);
@@ -82,6 +87,8 @@ const AdminCurrencyRates = () => {
         display_name: '',
         symbol: '',
         is_active: true,
+        checkout_enabled: false,
+        rounding_increment: '',
       });
     }
     setDialogOpen(true);
@@ -96,6 +103,8 @@ const AdminCurrencyRates = () => {
       display_name: '',
       symbol: '',
       is_active: true,
+      checkout_enabled: false,
+      rounding_increment: '',
     });
   };
 
@@ -119,6 +128,13 @@ const AdminCurrencyRates = () => {
       return;
     }
 
+    // Blank means the currency's default (1 for zero-decimal currencies, else 0.01)
+    const roundingIncrementValue = formData.rounding_increment === '' ? null : parseFloat(formData.rounding_increment);
+    if (roundingIncrementValue !== null && (isNaN(roundingIncrementValue) || roundingIncrementValue <= 0)) {
+      setError('Rounding increment must be a positive number');
+      return;
+    }
+
     setSaving(true);
     setError(null);
     try {
@@ -126,6 +142,7 @@ const AdminCurrencyRates = () => {
         ...formData,
         currency: currencyCode,
         coins_per_unit: coinsPerUnit,
+        rounding_increment: roundingIncrementValue,
       };
 
       if (editingRate) {
@@ -203,6 +220,7 @@ const AdminCurrencyRates = () => {
                     <TableCell sx={{ fontWeight: 600 }}>Symbol</TableCell>
                     <TableCell sx={{ fontWeight: 600 }}>Coins per Unit</TableCell>
                     <TableCell sx={{ fontWeight: 600 }}>Conversion</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>Checkout</TableCell>
                     <TableCell sx={{ fontWeight: 600 }}>Status</TableCell>
                     <TableCell sx={{ fontWeight: 600 }}>Actions</TableCell>
                   </TableRow>
@@ -210,7 +228,7 @@ const AdminCurrencyRates = () => {
                 <TableBody>
                   {rates.length === 0 ? (
                     <TableRow>
-                      <TableCell colSpan={7} align="center">
+                      <TableCell colSpan={8} align="center">
                         <Typography variant="body2" color="text.secondary">
                           No currency rates found. Add your first currency!
                         </Typography>
@@ -236,6 +254,17 @@ const AdminCurrencyRates = () => {
                             {rate.coins_per_unit} coins = {rate.symbol}1.00
                           </Typography>
                         </TableCell>
+                        <TableCell>
+                          <Chip
+                            label={rate.currency === 'USD' || rate.checkout_enabled ? 'Enabled' : 'Off'}
+                            color={rate.currency === 'USD' || rate.checkout_enabled ? 'primary' : 'default'}
+                            variant="outlined"
+                            size="small"
+                          />
+                          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+                            Rounds to {formatCheckoutAmount(roundingIncrement(rate), rate)}
+                          </Typography>
+                        </TableCell>
                         <TableCell>
                           <Chip
                             label={rate.is_active ? 'Active' : 'Inactive'}
@@ -311,6 +340,31 @@ const AdminCurrencyRates = () => {
                 helperText={getConversionExample()}
               />
             </Grid>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                label="Rounding Increment"
+                type="number"
+                value={formData.rounding_increment}
+                onChange={(e) => setFormData({ ...formData, rounding_increment: e.target.value })}
+                inputProps={{ min: 0.001, step: 0.001 }}
+                placeholder={String(roundingIncrement({ currency: formData.currency }))}
+                helperText="Checkout prices round to this amount, e.g. 0.05 for CHF or 1 for JPY. Leave blank for the currency default."
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                <Typography variant="body2">Available at coin checkout:</Typography>
+                <Switch
+                  checked={formData.currency === 'USD' || formData.checkout_enabled}
+                  disabled={formData.currency === 'USD'}
+                  onChange={(e) => setFormData({ ...formData, checkout_enabled: e.target.checked })}
+                />
+              </Box>
+              <Typography variant="caption" color="text.secondary">
+                Buyers whose preferred currency is enabled pay in it; everyone else pays in USD.
+              </Typography>
+            </Grid>
             <Grid item xs={12}>
               <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
                 <Typography variant="body2">Active:</Typography>
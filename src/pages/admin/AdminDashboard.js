@@ -10,7 +10,8 @@ import { useAuth } from '../../contexts/AuthContext';
 import dayjs from 'dayjs';
 import EnhancedFarmMap from '../../components/Map/EnhancedFarmMap';
 import { getProductIcon } from '../../utils/productIcons';
-import { DonutSmall, LocalFlorist, Public, NotificationsNone, ReportProblemOutlined, ReceiptLong, HowToReg, MapOutlined, ShowChart, PieChartOutline, ArrowUpward, ArrowDownward } from '@mui/icons-material';
+import { DEFAULT_SLA_SETTINGS, complaintSla, normalizeSlaSettings, slaCompliance } from '../../utils/complaintSla';
+import { DonutSmall, LocalFlorist, Public, NotificationsNone, ReportProblemOutlined, ReceiptLong, HowToReg, MapOutlined, ShowChart, PieChartOutline, ArrowUpward, ArrowDownward, TimerOutlined } from '@mui/icons-material';
 
 const sectionGap = { xs: 2, sm: 3 };
 const pageSizes = { complaints: 3, transactions: 7, approvals: 4 };
@@ -445,14 +446,14 @@ const BarChart = ({ bars }) => {
     </svg>
   );
 };
-const HorizontalBarChart = ({ bars }) => {
+const HorizontalBarChart = ({ bars, axisLabel = 'Count', maxValue, valueSuffix = '' }) => {
   const w = 360;
   const m = { top: 8, right: 24, bottom: 28, left: 110 };
   const barH = 18;
   const gap = 10;
   const innerW = w - m.left - m.right;
   const h = m.top + m.bottom + bars.length * (barH + gap);
-  const maxV = Math.max(...bars.map(b => b.value), 1);
+  const maxV = maxValue || Math.max(...bars.map(b => b.value), 1);
   const toW = (v) => Math.round((v / maxV) * innerW);
   const formatLabel = (s) => {
     const str = String(s || '');
@@ -468,11 +469,11 @@ const HorizontalBarChart = ({ bars }) => {
           <g key={i}>
             <text x={m.left - 6} y={y + barH / 2} fontSize="10" textAnchor="end" fill="#64748b" dominantBaseline="middle">{formatLabel(b.label)}</text>
             <rect x={m.left} y={y} width={bw} height={barH} rx="6" fill={b.color} />
-            <text x={m.left + bw + 6} y={y + barH / 2} fontSize="10" textAnchor="start" fill="#334155" dominantBaseline="middle">{b.value}</text>
+            <text x={m.left + bw + 6} y={y + barH / 2} fontSize="10" textAnchor="start" fill="#334155" dominantBaseline="middle">{b.value}{valueSuffix}</text>
           </g>
         );
       })}
-      <text x={m.left + innerW / 2} y={h - 8} fontSize="10" textAnchor="middle" fill="#64748b">Count</text>
+      <text x={m.left + innerW / 2} y={h - 8} fontSize="10" textAnchor="middle" fill="#64748b">{axisLabel}</text>
     </svg>
   );
 };
@@ -499,6 +500,7 @@ const AdminDashboard = () => {
   const [txRevenueByDay, setTxRevenueByDay] = useState({});
   const [userSeries, setUserSeries] = useState([]);
   const [complaintBars, setComplaintBars] = useState([]);
+  const [slaStats, setSlaStats] = useState({ overall: null, bars: [], atRisk: 0, breached: 0 });
   const [insights, setInsights] = useState({ topCrops: [], regions: [], alerts: [] });
   const [tables, setTables] = useState({ complaints: [], transactions: [], approvals: [] });
   const [pages, setPages] = useState({ complaints: 0, transactions: 0, approvals: 0 });
@@ -917,6 +919,21 @@ const AdminDashboard = () => {
           return '#fecf8f';
         };
         const complaintBarsData = Object.keys(complaintKinds).map((k) => ({ label: k, value: complaintKinds[k], color: complaintTone(k) }));
+        const slaSettings = normalizeSlaSettings(
+          await adminService.getComplaintSlaSettings().then((r) => r.data).catch(() => DEFAULT_SLA_SETTINGS)
+        );
+        const compliance = slaCompliance(complaints, slaSettings);
+        const slaStates = complaints.map((c) => complaintSla(c, slaSettings).state);
+        const slaStatsData = {
+          overall: compliance.overall,
+          bars: compliance.rows.map((r) => ({
+            label: r.category,
+            value: r.rate,
+            color: r.rate >= 90 ? '#2bb673' : r.rate >= 70 ? '#fdba74' : '#fca5a5',
+          })),
+          atRisk: slaStates.filter((st) => st === 'at_risk').length,
+          breached: slaStates.filter((st) => st === 'breached').length,
+        };
         const topCrops = cropSegs.sort((a,b)=>b.value-a.value).slice(0,5).map(s => ({ name: s.label, value: s.value }));
         const cityCounts = {};
         fieldRows.forEach(f => { const city = String(f.location || '').split(',')[0].trim(); if (city) cityCounts[city] = (cityCounts[city] || 0) + 1; });
@@ -940,6 +957,7 @@ const AdminDashboard = () => {
           setTxRevenueByDay(revByDay);
           setUserSeries(userPts);
           setComplaintBars(complaintBarsData);
+          setSlaStats(slaStatsData);
           setInsights({ topCrops, regions, alerts });
           setTables({ complaints: complaintsTable, transactions: transactionsTable, approvals: approvalsTable });
           hasLoadedRef.current = true;
@@ -1115,7 +1133,7 @@ const AdminDashboard = () => {
         sx={{
           display: 'grid',
           gap: sectionGap,
-          gridTemplateColumns: { xs: '1fr', md: 'repeat(2, 1fr)' },
+          gridTemplateColumns: { xs: '1fr', md: 'repeat(2, 1fr)', xl: 'repeat(3, 1fr)' },
           alignItems: 'stretch',
         }}
       >
@@ -1168,6 +1186,41 @@ const AdminDashboard = () => {
             )}
           </CardContent>
         </Card>
+        <Card sx={{ ...cardSx, display: 'flex', flexDirection: 'column' }}>
+          <CardContent sx={{ ...cardContentSx, display: 'flex', flexDirection: 'column', height: '100%' }}>
+            <CardHeader
+              title="SLA Compliance"
+              subtitle={slaStats.overall == null ? 'No complaints past their target yet' : `${slaStats.overall}% resolved within target`}
+            />
+            <Stack direction="row" spacing={1} sx={{ mt: 1 }}>
+              <Chip
+                size="small"
+                label={`${slaStats.breached} overdue`}
+                onClick={() => navigate('/admin/qa')}
+                sx={{ bgcolor: 'rgba(244,67,54,0.1)', color: '#D32F2F', fontWeight: 700 }}
+              />
+              <Chip
+                size="small"
+                label={`${slaStats.atRisk} at risk`}
+                onClick={() => navigate('/admin/qa')}
+                sx={{ bgcolor: 'rgba(255,152,0,0.12)', color: '#E65100', fontWeight: 700 }}
+              />
+            </Stack>
+            {slaStats.bars.length === 0 ? (
+              <EmptyState
+                icon={TimerOutlined}
+                title="No SLA data yet"
+                subtitle="Compliance per category appears once complaints are resolved or pass their target."
+                accent="rgba(34,197,94,0.14)"
+                iconColor="rgba(22,163,74,0.95)"
+              />
+            ) : (
+              <Box sx={{ mt: 2, display: 'flex', alignItems: 'center', justifyContent: 'center', overflow: 'hidden', px: 1 }}>
+                <HorizontalBarChart bars={slaStats.bars} axisLabel="Within target (%)" maxValue={100} valueSuffix="%" />
+              </Box>
+            )}
+          </CardContent>
+        </Card>
       </Box>
 
       <Box
@@ -41,6 +41,8 @@ import {
   Cancel,
 } from '@mui/icons-material';
 import { adminService } from '../../services/admin';
+import PromoCodesPanel from '../../components/Admin/PromoCodesPanel';
+import ReferralSettingsCard from '../../components/Admin/ReferralSettingsCard';
 
 const AdminPackages = () => {
   const [packages, setPackages] = useState([]);
@@ -371,6 +373,9 @@ const AdminPackages = () => {
         </CardContent>
       </Card>
 
+      <PromoCodesPanel />
+      <ReferralSettingsCard />
+
       {/* Create/Edit Dialog */}
       <Dialog open={dialogOpen} onClose={handleCloseDialog} maxWidth="md" fullWidth>
         <DialogTitle>
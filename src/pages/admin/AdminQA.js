@@ -58,12 +58,38 @@ import {
   AccountBalanceWallet,
   AttachFile,
   VerifiedUser,
+  Timer,
+  Tune,
+  AssignmentInd,
+  Lock,
+  Quickreply,
 } from '@mui/icons-material';
 import { adminService } from '../../services/admin';
 import { complaintService } from '../../services/complaints';
+import fieldsService from '../../services/fields';
+import { orderService } from '../../services/orders';
 import { useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
 import supabase from '../../services/supabase';
 import { v4 as uuidv4 } from 'uuid';
+import RefundDisputePanel from '../../components/Admin/RefundDisputePanel';
+import { isRefundDispute } from '../../utils/refundDispute';
+import {
+  DEFAULT_SLA_SETTINGS,
+  complaintSla,
+  formatSlaDuration,
+  normalizeSlaSettings,
+} from '../../utils/complaintSla';
+import { adminLabel, assigneeId, isAssignedTo, isInternalRemark, publicRemarks } from '../../utils/complaintAssignment';
+import { disputeOrderId } from '../../utils/refundDispute';
+import {
+  complaintTemplateValues,
+  fillTemplate,
+  rankTemplates,
+  templateTextPresent,
+  templatesOf,
+  unfilledPlaceholders,
+} from '../../utils/responseTemplates';
 
 const StatusChip = ({ status }) => {
   const s = String(status || '').toLowerCase();
@@ -76,6 +102,35 @@ const StatusChip = ({ status }) => {
   return <Chip label={status} size="small" sx={{ bgcolor: c.bg, border: `1px solid ${c.border}`, color: c.color, textTransform: 'capitalize', fontWeight: 600 }} />;
 };
 
+// Same list as the complaint form, so targets can be set before a category has any complaints
+const COMPLAINT_CATEGORIES = ['Service', 'Quality', 'Delivery', 'Payment', 'Refund', 'Field', 'Order', 'User'];
+
+const SLA_STYLES = {
+  on_track: { bg: 'rgba(76,175,80,0.1)', color: '#2E7D32', label: 'left' },
+  at_risk: { bg: 'rgba(255,152,0,0.12)', color: '#E65100', label: 'left' },
+  breached: { bg: 'rgba(244,67,54,0.12)', color: '#D32F2F', label: 'overdue' },
+  met: { bg: 'rgba(76,175,80,0.1)', color: '#2E7D32', label: 'Met' },
+  missed: { bg: 'rgba(244,67,54,0.08)', color: '#C62828', label: 'Missed' },
+};
+
+// escalatedAt: when the backend SLA job alerted admins about the breach (sla_escalated_at)
+const SlaBadge = ({ sla, escalatedAt }) => {
+  const c = SLA_STYLES[sla.state];
+  const resolved = sla.state === 'met' || sla.state === 'missed';
+  const label = resolved ? `${c.label} · ${formatSlaDuration(sla.ageMs)}` : `${formatSlaDuration(sla.remainingMs)} ${c.label}`;
+  const escalated = escalatedAt ? ` · admins alerted ${new Date(escalatedAt).toLocaleString()}` : '';
+  return (
+    <Tooltip title={`Age ${formatSlaDuration(sla.ageMs)} of ${formatSlaDuration(sla.targetMs)} target${escalated}`}>
+      <Chip
+        icon={<Timer sx={{ fontSize: 14, color: `${c.color} !important` }} />}
+        label={label}
+        size="small"
+        sx={{ bgcolor: c.bg, color: c.color, fontWeight: 600, fontSize: '0.7rem', height: 22, whiteSpace: 'nowrap' }}
+      />
+    </Tooltip>
+  );
+};
+
 const allowedTransitions = {
   open: ['in_review'],
   in_review: ['resolved', 'open'],
@@ -87,6 +142,7 @@ const AdminQA = () => {
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
   const location = useLocation();
   const navigate = useNavigate();
+  const { user } = useAuth();
   const [loading, setLoading] = useState(true);
   const [complaints, setComplaints] = useState([]);
   const [statusFilter, setStatusFilter] = useState('all');
@@ -110,6 +166,109 @@ const AdminQA = () => {
   const [refundError, setRefundError] = useState('');
   const [adminExtraProofFiles, setAdminExtraProofFiles] = useState([]);
   const [adminAddProofsLoading, setAdminAddProofsLoading] = useState(false);
+  const [slaSettings, setSlaSettings] = useState(() => normalizeSlaSettings(DEFAULT_SLA_SETTINGS));
+  const [slaFilter, setSlaFilter] = useState('all'); // 'all', 'at_risk', 'breached'
+  const [slaDialogOpen, setSlaDialogOpen] = useState(false);
+  const [slaDraft, setSlaDraft] = useState(null);
+  const [slaSaving, setSlaSaving] = useState(false);
+  const [slaError, setSlaError] = useState('');
+  const [now, setNow] = useState(() => Date.now());
+  const [admins, setAdmins] = useState([]);
+  const [assigneeFilter, setAssigneeFilter] = useState('all'); // 'all', 'me'
+  const [assigningId, setAssigningId] = useState(null);
+  const [internalNotes, setInternalNotes] = useState([]);
+  const [notesLoading, setNotesLoading] = useState(false);
+  const [noteDraft, setNoteDraft] = useState('');
+  const [noteSaving, setNoteSaving] = useState(false);
+  const [templates, setTemplates] = useState([]);
+  const [templateMenuAnchor, setTemplateMenuAnchor] = useState(null);
+  // Templates inserted into the current remarks draft ({ id, text }); a use is recorded only if the
+  // inserted text is still in the message when it is sent
+  const [draftTemplates, setDraftTemplates] = useState([]);
+  const [linkedFieldName, setLinkedFieldName] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    adminService.getResponseTemplates()
+      .then((res) => { if (!cancelled) setTemplates(templatesOf(res.data)); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    adminService.getAllUsers(false)
+      .then((res) => {
+        const list = Array.isArray(res.data) ? res.data : (Array.isArray(res.data?.items) ? res.data.items : []);
+        if (!cancelled) setAdmins(list.filter((u) => String(u.user_type || '').toLowerCase() === 'admin'));
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, []);
+
+  // Internal notes are admin-only and never part of the complainant's thread
+  useEffect(() => {
+    if (!detailId) return;
+    let cancelled = false;
+    setNotesLoading(true);
+    setInternalNotes([]);
+    adminService.getComplaintInternalNotes(detailId)
+      .then((res) => {
+        if (!cancelled) setInternalNotes(Array.isArray(res.data) ? res.data : (Array.isArray(res.data?.notes) ? res.data.notes : []));
+      })
+      .catch(() => {})
+      .finally(() => { if (!cancelled) setNotesLoading(false); });
+    return () => { cancelled = true; };
+  }, [detailId]);
+
+  // {{field_name}} source when the complaint row has no field name: the linked order's field, or the field itself
+  const detailOrderId = detailItem
+    ? disputeOrderId(detailItem) ?? detailItem.order_id ?? (detailItem.target_type === 'order' ? detailItem.target_id : null)
+    : null;
+  const fieldLookup = !detailItem || detailItem.field_name || detailItem.target_name
+    ? null
+    : detailOrderId
+      ? `order:${detailOrderId}`
+      : detailItem.target_type === 'field' && detailItem.target_id ? `field:${detailItem.target_id}` : null;
+
+  useEffect(() => {
+    setLinkedFieldName('');
+    if (!fieldLookup) return undefined;
+    let cancelled = false;
+    const [kind, id] = fieldLookup.split(':');
+    (kind === 'order' ? orderService.getOrder(id) : fieldsService.getById(id))
+      .then((res) => {
+        if (!cancelled) setLinkedFieldName(res.data?.field_name || res.data?.name || '');
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [fieldLookup]);
+
+  useEffect(() => {
+    let cancelled = false;
+    adminService.getComplaintSlaSettings()
+      .then((res) => { if (!cancelled && res.data) setSlaSettings(normalizeSlaSettings(res.data)); })
+      .catch(() => {});
+    // Keep ages and badges current while the page stays open
+    const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => { cancelled = true; clearInterval(timer); };
+  }, []);
+
+  const slaById = useMemo(() => {
+    const map = new Map();
+    complaints.forEach((c) => map.set(c.id, complaintSla(c, slaSettings, now)));
+    return map;
+  }, [complaints, slaSettings, now]);
+
+  const slaCounts = useMemo(() => {
+    let atRisk = 0;
+    let breached = 0;
+    slaById.forEach((sla) => {
+      if (sla.state === 'at_risk') atRisk += 1;
+      if (sla.state === 'breached') breached += 1;
+    });
+    return { atRisk, breached };
+  }, [slaById]);
 
   // When detail dialog opens, fetch full complaint (with proofs)
   useEffect(() => {
@@ -194,6 +353,18 @@ const AdminQA = () => {
       });
     }
 
+    if (assigneeFilter === 'me') {
+      result = result.filter(c => isAssignedTo(c, user?.id));
+    }
+
+    // SLA queue: at risk also includes complaints already past their target
+    if (slaFilter !== 'all') {
+      result = result.filter(c => {
+        const state = slaById.get(c.id)?.state;
+        return state === 'breached' || (slaFilter === 'at_risk' && state === 'at_risk');
+      });
+    }
+
     // Search filter
     if (searchQuery.trim()) {
       const query = searchQuery.toLowerCase();
@@ -212,7 +383,15 @@ const AdminQA = () => {
       let aVal = a[sortField];
       let bVal = b[sortField];
 
-      if (sortField === 'updated_at' || sortField === 'created_at') {
+      if (sortField === 'sla') {
+        // Time left to the SLA target; resolved complaints go last
+        const key = (c) => {
+          const sla = slaById.get(c.id);
+          return sla && (sla.state === 'met' || sla.state === 'missed') ? Infinity : (sla?.remainingMs ?? Infinity);
+        };
+        aVal = key(a);
+        bVal = key(b);
+      } else if (sortField === 'updated_at' || sortField === 'created_at') {
         aVal = new Date(aVal || 0).getTime();
         bVal = new Date(bVal || 0).getTime();
       } else {
@@ -228,14 +407,99 @@ const AdminQA = () => {
     });
 
     return result;
-  }, [complaints, statusFilter, categoryFilter, userTypeFilter, searchQuery, sortField, sortOrder]);
+  }, [complaints, statusFilter, categoryFilter, userTypeFilter, assigneeFilter, user?.id, slaFilter, slaById, searchQuery, sortField, sortOrder]);
 
   const handleSort = (field) => {
     if (sortField === field) {
       setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc');
     } else {
       setSortField(field);
-      setSortOrder('desc');
+      setSortOrder(field === 'sla' ? 'asc' : 'desc');
+    }
+  };
+
+  const showSlaQueue = (next) => {
+    setSlaFilter(next);
+    if (next !== 'all') {
+      setSortField('sla');
+      setSortOrder('asc');
+    }
+  };
+
+  const openSlaDialog = () => {
+    setSlaDraft({
+      default_hours: String(slaSettings.default_hours),
+      categories: Object.fromEntries(
+        Array.from(new Set([...COMPLAINT_CATEGORIES, ...categories])).map((cat) => [cat, slaSettings.categories[cat] ? String(slaSettings.categories[cat]) : ''])
+      ),
+    });
+    setSlaError('');
+    setSlaDialogOpen(true);
+  };
+
+  const saveSlaSettings = async () => {
+    const next = normalizeSlaSettings({
+      default_hours: slaDraft.default_hours,
+      at_risk_ratio: slaSettings.at_risk_ratio,
+      categories: slaDraft.categories,
+    });
+    setSlaSaving(true);
+    setSlaError('');
+    try {
+      await adminService.updateComplaintSlaSettings(next);
+      setSlaSettings(next);
+      setSlaDialogOpen(false);
+    } catch (e) {
+      setSlaError(e?.response?.data?.error || e?.message || 'Failed to save SLA targets');
+    } finally {
+      setSlaSaving(false);
+    }
+  };
+
+  const assigneeName = (item) => {
+    const id = assigneeId(item);
+    if (!id) return null;
+    const admin = admins.find((a) => String(a.id) === String(id));
+    return admin ? adminLabel(admin) : (item.assigned_to_name || 'Admin');
+  };
+
+  const assignComplaint = async (item, adminId) => {
+    const next = adminId || null;
+    const patch = (c) => (c.id === item.id ? { ...c, assigned_to: next } : c);
+    const previous = complaints;
+    setAssigningId(item.id);
+    setComplaints((prev) => prev.map(patch));
+    setDetailItem((d) => (d ? patch(d) : d));
+    try {
+      await adminService.assignComplaint(item.id, next);
+    } catch (e) {
+      console.error(e);
+      setComplaints(previous);
+      setDetailItem((d) => (d && d.id === item.id ? { ...d, assigned_to: assigneeId(item) } : d));
+    } finally {
+      setAssigningId(null);
+    }
+  };
+
+  const saveInternalNote = async () => {
+    const message = noteDraft.trim();
+    if (!detailItem?.id || !message) return;
+    setNoteSaving(true);
+    try {
+      const res = await adminService.addComplaintInternalNote(detailItem.id, message);
+      const note = res.data?.id ? res.data : {
+        id: `local-${Date.now()}`,
+        message,
+        author_id: user?.id,
+        author_name: user?.name || user?.email,
+        created_at: new Date().toISOString(),
+      };
+      setInternalNotes((prev) => [...prev, note]);
+      setNoteDraft('');
+    } catch (e) {
+      console.error(e);
+    } finally {
+      setNoteSaving(false);
     }
   };
 
@@ -248,6 +512,8 @@ const AdminQA = () => {
     setDetailId(null); 
     setDetailItem(null); 
     setRemarksDraft('');
+    setDraftTemplates([]);
+    setNoteDraft('');
     setRefundCoinsInput('');
     setRefundError('');
     setAdminExtraProofFiles([]);
@@ -265,7 +531,9 @@ const AdminQA = () => {
     const id = updateId; 
     const target = updateTargetStatus;
     cancelStatusUpdate();
-    const optimistic = complaints.map(c => c.id === id ? { ...c, status: target } : c);
+    const optimistic = complaints.map(c => c.id === id
+      ? { ...c, status: target, ...(target === 'resolved' ? { resolved_at: new Date().toISOString() } : {}) }
+      : c);
     setComplaints(optimistic);
     try {
       await adminService.updateComplaintStatus(id, target);
@@ -276,10 +544,16 @@ const AdminQA = () => {
   };
 
   const saveRemarks = async (id) => {
-    if (!remarksDraft.trim()) return;
+    if (!remarksDraft.trim() || unfilledPlaceholders(remarksDraft).length > 0) return;
     setRemarksSavingId(id);
     try {
-      await complaintService.addRemark(id, remarksDraft.trim());
+      const message = remarksDraft.trim();
+      await complaintService.addRemark(id, message);
+      const usedIds = new Set(draftTemplates.filter((t) => templateTextPresent(t.text, message)).map((t) => t.id));
+      usedIds.forEach((templateId) => {
+        adminService.recordResponseTemplateUse(templateId, id).catch(() => {});
+      });
+      setDraftTemplates([]);
       const res = await complaintService.getComplaint(id);
       setDetailItem(res.data);
       setComplaints(prev => prev.map(c => c.id === id ? { ...c, admin_remarks: remarksDraft } : c));
@@ -291,6 +565,25 @@ const AdminQA = () => {
     }
   };
 
+  // Templates for the complaint's category first, then the fastest-resolving ones
+  const templateOptions = useMemo(() => {
+    const category = detailItem?.category;
+    const ranked = rankTemplates(templates);
+    return [...ranked.filter((t) => category && t.category === category), ...ranked.filter((t) => !category || t.category !== category)];
+  }, [templates, detailItem?.category]);
+
+  const insertTemplate = (template) => {
+    setTemplateMenuAnchor(null);
+    if (!detailItem) return;
+    const text = fillTemplate(template.body, complaintTemplateValues(detailItem, {
+      orderId: disputeOrderId(detailItem),
+      refundCoins: refundCoinsInput || null,
+      fieldName: linkedFieldName,
+    }));
+    setRemarksDraft((prev) => (prev.trim() ? `${prev.trimEnd()}\n\n${text}` : text));
+    setDraftTemplates((prev) => [...prev, { id: template.id, text }]);
+  };
+
   const handleAdminAddProofs = async () => {
     if (!detailItem?.id || adminExtraProofFiles.length === 0 || !supabase) return;
     const current = (detailItem.proofs || []).length;
@@ -386,17 +679,59 @@ const AdminQA = () => {
                 Complaints Management
               </Typography>
             </Box>
-            <Chip 
-              label={`${filteredAndSorted.length} of ${complaints.length}`} 
-              size="small" 
-              sx={{ 
-                bgcolor: 'rgba(76, 175, 80, 0.1)', 
-                color: '#2E7D32', 
-                fontWeight: 600,
-                fontSize: '0.875rem',
-                px: 1
-              }} 
-            />
+            <Stack direction="row" spacing={1} alignItems="center" flexWrap="wrap" useFlexGap>
+              <Chip
+                icon={<AssignmentInd sx={{ fontSize: 16, color: `${assigneeFilter === 'me' ? '#fff' : '#1565C0'} !important` }} />}
+                label={`Assigned to me (${complaints.filter(c => isAssignedTo(c, user?.id)).length})`}
+                size="small"
+                onClick={() => setAssigneeFilter(assigneeFilter === 'me' ? 'all' : 'me')}
+                sx={{
+                  bgcolor: assigneeFilter === 'me' ? '#1565C0' : 'rgba(33,150,243,0.1)',
+                  color: assigneeFilter === 'me' ? '#fff' : '#1565C0',
+                  fontWeight: 600,
+                }}
+              />
+              <Chip
+                label={`${slaCounts.breached} overdue`}
+                size="small"
+                onClick={() => showSlaQueue(slaFilter === 'breached' ? 'all' : 'breached')}
+                sx={{
+                  bgcolor: slaFilter === 'breached' ? '#D32F2F' : 'rgba(244,67,54,0.1)',
+                  color: slaFilter === 'breached' ? '#fff' : '#D32F2F',
+                  fontWeight: 600,
+                }}
+              />
+              <Chip
+                label={`${slaCounts.atRisk} at risk`}
+                size="small"
+                onClick={() => showSlaQueue(slaFilter === 'at_risk' ? 'all' : 'at_risk')}
+                sx={{
+                  bgcolor: slaFilter === 'at_risk' ? '#FB8C00' : 'rgba(255,152,0,0.12)',
+                  color: slaFilter === 'at_risk' ? '#fff' : '#E65100',
+                  fontWeight: 600,
+                }}
+              />
+              <Button
+                size="small"
+                variant="outlined"
+                startIcon={<Tune fontSize="small" />}
+                onClick={openSlaDialog}
+                sx={{ borderRadius: 2, textTransform: 'none', borderColor: '#4CAF50', color: '#2E7D32' }}
+              >
+                SLA targets
+              </Button>
+              <Chip 
+                label={`${filteredAndSorted.length} of ${complaints.length}`} 
+                size="small" 
+                sx={{ 
+                  bgcolor: 'rgba(76, 175, 80, 0.1)', 
+                  color: '#2E7D32', 
+                  fontWeight: 600,
+                  fontSize: '0.875rem',
+                  px: 1
+                }} 
+              />
+            </Stack>
           </Box>
 
           {/* User Type Tabs */}
@@ -485,7 +820,7 @@ const AdminQA = () => {
 
           {/* Filters and Search */}
           <Grid container spacing={2}>
-            <Grid item xs={12} md={6}>
+            <Grid item xs={12} md={3}>
               <TextField
                 fullWidth
                 size="small"
@@ -557,6 +892,27 @@ const AdminQA = () => {
                 </Select>
               </FormControl>
             </Grid>
+            <Grid item xs={12} sm={6} md={3}>
+              <FormControl fullWidth size="small">
+                <InputLabel sx={{ fontSize: '0.8125rem' }}>SLA</InputLabel>
+                <Select
+                  value={slaFilter}
+                  label="SLA"
+                  onChange={(e) => showSlaQueue(e.target.value)}
+                  sx={{
+                    borderRadius: 2,
+                    fontSize: '0.8125rem',
+                    '& .MuiSelect-select': {
+                      fontSize: '0.8125rem'
+                    }
+                  }}
+                >
+                  <MenuItem value="all" sx={{ fontSize: '0.8125rem' }}>All complaints</MenuItem>
+                  <MenuItem value="at_risk" sx={{ fontSize: '0.8125rem' }}>At risk queue</MenuItem>
+                  <MenuItem value="breached" sx={{ fontSize: '0.8125rem' }}>Overdue only</MenuItem>
+                </Select>
+              </FormControl>
+            </Grid>
           </Grid>
         </CardContent>
       </Card>
@@ -617,6 +973,16 @@ const AdminQA = () => {
                       Status
                     </TableSortLabel>
                   </TableCell>
+                  <TableCell sx={{ fontWeight: 700, color: 'text.primary', py: 1.5, fontSize: '0.875rem', width: '130px' }}>
+                    <TableSortLabel
+                      active={sortField === 'sla'}
+                      direction={sortField === 'sla' ? sortOrder : 'asc'}
+                      onClick={() => handleSort('sla')}
+                      sx={{ fontSize: '0.875rem' }}
+                    >
+                      SLA
+                    </TableSortLabel>
+                  </TableCell>
                   <TableCell sx={{ fontWeight: 700, color: 'text.primary', py: 1.5, fontSize: '0.875rem', width: '120px' }}>
                     <TableSortLabel
                       active={sortField === 'updated_at'}
@@ -639,19 +1005,20 @@ const AdminQA = () => {
                       <TableCell><Skeleton width={80} height={24} /></TableCell>
                       <TableCell><Skeleton width={200} height={24} /></TableCell>
                       <TableCell><Skeleton width={80} height={24} /></TableCell>
+                      <TableCell><Skeleton width={90} height={24} /></TableCell>
                       <TableCell><Skeleton width={120} height={24} /></TableCell>
                       <TableCell><Skeleton width={150} height={24} /></TableCell>
                     </TableRow>
                   ))
                 ) : filteredAndSorted.length === 0 ? (
                   <TableRow>
-                    <TableCell colSpan={7} align="center" sx={{ py: 6 }}>
+                    <TableCell colSpan={8} align="center" sx={{ py: 6 }}>
                       <ReportProblem sx={{ fontSize: 48, color: 'text.secondary', mb: 2 }} />
                       <Typography variant="h6" color="text.secondary" gutterBottom>
                         No complaints found
                       </Typography>
                       <Typography variant="body2" color="text.secondary">
-                        {searchQuery || statusFilter !== 'all' || categoryFilter !== 'all'
+                        {searchQuery || statusFilter !== 'all' || categoryFilter !== 'all' || slaFilter !== 'all' || assigneeFilter !== 'all'
                           ? 'Try adjusting your filters or search query.'
                           : 'No complaints have been submitted yet.'}
                       </Typography>
@@ -702,12 +1069,12 @@ const AdminQA = () => {
                         </TableCell>
                         <TableCell sx={{ width: '100px' }}>
                           <Chip
-                            label={item.target_type || 'N/A'}
+                            label={isRefundDispute(item) ? 'refund dispute' : (item.target_type || 'N/A')}
                             size="small"
                             variant="outlined"
                             sx={{
-                              borderColor: '#2196F3',
-                              color: '#1565C0',
+                              borderColor: isRefundDispute(item) ? '#f59e0b' : '#2196F3',
+                              color: isRefundDispute(item) ? '#b45309' : '#1565C0',
                               fontSize: '0.75rem',
                               height: 24,
                             }}
@@ -730,6 +1097,12 @@ const AdminQA = () => {
                         </TableCell>
                         <TableCell sx={{ width: '100px' }}>
                           <StatusChip status={item.status} />
+                          <Typography variant="caption" color="text.secondary" noWrap sx={{ display: 'block', mt: 0.5, fontSize: '0.7rem' }}>
+                            {assigneeName(item) || 'Unassigned'}
+                          </Typography>
+                        </TableCell>
+                        <TableCell sx={{ width: '130px' }}>
+                          {slaById.get(item.id) && <SlaBadge sla={slaById.get(item.id)} escalatedAt={item.sla_escalated_at} />}
                         </TableCell>
                         <TableCell sx={{ width: '120px' }}>
                           <Typography variant="body2" color="text.secondary" sx={{ fontSize: '0.8125rem' }}>
@@ -1051,7 +1424,10 @@ const AdminQA = () => {
                 <Grid item xs={12} sm={6}>
                   <Box>
                     <Typography variant="subtitle2" color="text.secondary" gutterBottom>Status</Typography>
-                <StatusChip status={detailItem.status} />
+                    <Stack direction="row" spacing={1} alignItems="center">
+                      <StatusChip status={detailItem.status} />
+                      {detailItem.created_at && <SlaBadge sla={complaintSla(detailItem, slaSettings, now)} escalatedAt={detailItem.sla_escalated_at} />}
+                    </Stack>
                   </Box>
                 </Grid>
                 <Grid item xs={12} sm={6}>
@@ -1073,6 +1449,40 @@ const AdminQA = () => {
                     )}
                   </Box>
                 </Grid>
+                <Grid item xs={12}>
+                  <Typography variant="subtitle2" color="text.secondary" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                    <AssignmentInd sx={{ fontSize: 16 }} /> Assigned to
+                  </Typography>
+                  <Stack direction="row" spacing={1} alignItems="center">
+                    <FormControl size="small" sx={{ minWidth: 220 }}>
+                      <Select
+                        value={assigneeId(detailItem) ? String(assigneeId(detailItem)) : ''}
+                        displayEmpty
+                        disabled={assigningId === detailItem.id}
+                        onChange={(e) => assignComplaint(detailItem, e.target.value)}
+                        renderValue={(value) => (value ? assigneeName(detailItem) : 'Unassigned')}
+                        sx={{ borderRadius: 2, fontSize: '0.8125rem' }}
+                      >
+                        <MenuItem value="" sx={{ fontSize: '0.8125rem' }}>Unassigned</MenuItem>
+                        {admins.map((a) => (
+                          <MenuItem key={a.id} value={String(a.id)} sx={{ fontSize: '0.8125rem' }}>
+                            {adminLabel(a)}{String(a.id) === String(user?.id) ? ' (you)' : ''}
+                          </MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                    {user?.id && !isAssignedTo(detailItem, user.id) && (
+                      <Button
+                        size="small"
+                        disabled={assigningId === detailItem.id}
+                        onClick={() => assignComplaint(detailItem, user.id)}
+                        sx={{ textTransform: 'none' }}
+                      >
+                        Assign to me
+                      </Button>
+                    )}
+                  </Stack>
+                </Grid>
               </Grid>
 
               <Divider />
@@ -1082,9 +1492,9 @@ const AdminQA = () => {
                 <Typography variant="subtitle2" color="text.secondary" gutterBottom sx={{ fontWeight: 600 }}>
                   Conversation
                 </Typography>
-                {(detailItem.remarks && detailItem.remarks.length > 0) || detailItem.admin_remarks ? (
+                {publicRemarks(detailItem.remarks).length > 0 || detailItem.admin_remarks ? (
                   <Stack spacing={1} sx={{ mb: 2 }}>
-                    {detailItem.admin_remarks && (!detailItem.remarks || detailItem.remarks.length === 0) && (
+                    {detailItem.admin_remarks && publicRemarks(detailItem.remarks).length === 0 && (
                       <Paper variant="outlined" sx={{ p: 1.5, borderRadius: 2, bgcolor: 'rgba(76, 175, 80, 0.06)' }}>
                         <Stack direction="row" alignItems="center" spacing={0.5} sx={{ mb: 0.5 }}>
                           <VerifiedUser sx={{ fontSize: 16, color: '#0d9488' }} />
@@ -1093,7 +1503,7 @@ const AdminQA = () => {
                         <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', mt: 0.5 }}>{detailItem.admin_remarks}</Typography>
                       </Paper>
                     )}
-                    {(detailItem.remarks || []).map((r) => (
+                    {publicRemarks(detailItem.remarks).map((r) => (
                       <Paper key={r.id} variant="outlined" sx={{ p: 1.5, borderRadius: 2, bgcolor: r.author_type === 'admin' ? 'rgba(76, 175, 80, 0.06)' : 'grey.50' }}>
                         <Stack direction="row" alignItems="center" spacing={0.5} sx={{ flexWrap: 'wrap' }}>
                           {r.author_type === 'admin' && <VerifiedUser sx={{ fontSize: 16, color: '#0d9488' }} />}
@@ -1107,7 +1517,38 @@ const AdminQA = () => {
                     ))}
                   </Stack>
                 ) : null}
-                <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>Add a message (user will see this)</Typography>
+                <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 1 }}>
+                  <Typography variant="body2" color="text.secondary">Add a message (user will see this)</Typography>
+                  <Button
+                    size="small"
+                    startIcon={<Quickreply fontSize="small" />}
+                    onClick={(e) => setTemplateMenuAnchor(e.currentTarget)}
+                    disabled={templateOptions.length === 0}
+                    sx={{ textTransform: 'none', color: '#2E7D32' }}
+                  >
+                    Insert template
+                  </Button>
+                </Stack>
+                <Menu
+                  anchorEl={templateMenuAnchor}
+                  open={Boolean(templateMenuAnchor)}
+                  onClose={() => setTemplateMenuAnchor(null)}
+                  PaperProps={{ sx: { maxWidth: 360, maxHeight: 360 } }}
+                >
+                  {templateOptions.map((t) => (
+                    <MenuItem key={t.id} onClick={() => insertTemplate(t)} sx={{ display: 'block', whiteSpace: 'normal' }}>
+                      <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                        {t.name}
+                        {t.category && t.category === detailItem.category && (
+                          <Chip label={t.category} size="small" sx={{ ml: 1, height: 18, fontSize: '0.65rem' }} />
+                        )}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary" sx={{ display: '-webkit-box', WebkitLineClamp: 2, WebkitBoxOrient: 'vertical', overflow: 'hidden' }}>
+                        {t.body}
+                      </Typography>
+                    </MenuItem>
+                  ))}
+                </Menu>
                 <TextField
                   fullWidth
                   value={remarksDraft}
@@ -1117,12 +1558,16 @@ const AdminQA = () => {
                   placeholder="Ask for more details or reply to the user..."
                   variant="outlined"
                   sx={{ '& .MuiOutlinedInput-root': { borderRadius: 2 } }}
+                  error={unfilledPlaceholders(remarksDraft).length > 0}
+                  helperText={unfilledPlaceholders(remarksDraft).length > 0
+                    ? `Fill in before sending: ${unfilledPlaceholders(remarksDraft).map((k) => `{{${k}}}`).join(', ')}`
+                    : undefined}
                 />
                 <Stack direction="row" spacing={1} sx={{ mt: 2 }}>
                   <Button 
                     variant="contained" 
                     onClick={() => saveRemarks(detailItem.id)} 
-                    disabled={remarksSavingId === detailItem.id || !remarksDraft.trim()}
+                    disabled={remarksSavingId === detailItem.id || !remarksDraft.trim() || unfilledPlaceholders(remarksDraft).length > 0}
                     sx={{ borderRadius: 2, background: 'linear-gradient(135deg, #4CAF50 0%, #2E7D32 100%)', '&:hover': { background: 'linear-gradient(135deg, #2E7D32 0%, #4CAF50 100%)' } }}
                   >
                     {remarksSavingId === detailItem.id ? 'Sending...' : 'Send message'}
@@ -1131,6 +1576,51 @@ const AdminQA = () => {
                 </Stack>
               </Box>
 
+              {/* Internal notes (admins only) */}
+              <Box sx={{ mt: 1 }}>
+                <Typography variant="subtitle2" color="text.secondary" gutterBottom sx={{ fontWeight: 600, display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                  <Lock sx={{ fontSize: 16 }} /> Internal notes
+                </Typography>
+                <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1 }}>
+                  Only admins can see these. The complainant never does.
+                </Typography>
+                {notesLoading ? (
+                  <Skeleton height={48} />
+                ) : (
+                  <Stack spacing={1} sx={{ mb: 1.5 }}>
+                    {[...internalNotes, ...(detailItem.remarks || []).filter(isInternalRemark)].map((n) => (
+                      <Paper key={n.id} variant="outlined" sx={{ p: 1.5, borderRadius: 2, bgcolor: 'rgba(255, 193, 7, 0.08)', borderColor: 'rgba(255, 193, 7, 0.4)' }}>
+                        <Typography variant="caption" color="text.secondary" sx={{ fontWeight: 600 }}>
+                          {n.author_name || adminLabel(admins.find((a) => String(a.id) === String(n.author_id)))}
+                        </Typography>
+                        <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', mt: 0.5 }}>{n.message}</Typography>
+                        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>{formatDate(n.created_at)}</Typography>
+                      </Paper>
+                    ))}
+                  </Stack>
+                )}
+                <Stack direction="row" spacing={1} alignItems="flex-start">
+                  <TextField
+                    fullWidth
+                    size="small"
+                    multiline
+                    minRows={2}
+                    value={noteDraft}
+                    onChange={(e) => setNoteDraft(e.target.value)}
+                    placeholder="Add a note for other admins..."
+                    sx={{ '& .MuiOutlinedInput-root': { borderRadius: 2, bgcolor: 'rgba(255, 193, 7, 0.04)' } }}
+                  />
+                  <Button
+                    variant="outlined"
+                    onClick={saveInternalNote}
+                    disabled={noteSaving || !noteDraft.trim()}
+                    sx={{ borderRadius: 2, whiteSpace: 'nowrap', borderColor: '#F9A825', color: '#F57F17' }}
+                  >
+                    {noteSaving ? 'Saving...' : 'Add note'}
+                  </Button>
+                </Stack>
+              </Box>
+
               {/* Add more documents (max 5) */}
               {detailItem.proofs && detailItem.proofs.length < 5 && (
                 <Box sx={{ mt: 2 }}>
@@ -1152,6 +1642,17 @@ const AdminQA = () => {
                 </Box>
               )}
 
+              {/* Escalated refund: order and the buyer/farmer refund history */}
+              {isRefundDispute(detailItem) && (
+                <>
+                  <Divider />
+                  <RefundDisputePanel
+                    complaint={detailItem}
+                    onSuggestCoins={detailItem.refunded_at ? null : (coins) => { setRefundCoinsInput(String(coins)); setRefundError(''); }}
+                  />
+                </>
+              )}
+
               {/* Refund (credit coins to victim) */}
               <Divider />
               <Box>
@@ -1232,6 +1733,63 @@ const AdminQA = () => {
           </Button>
         </DialogActions>
       </Dialog>
+
+      {/* SLA targets per category */}
+      <Dialog open={slaDialogOpen} onClose={() => !slaSaving && setSlaDialogOpen(false)} maxWidth="xs" fullWidth PaperProps={{ sx: { borderRadius: 3 } }}>
+        <DialogTitle sx={{ fontWeight: 700 }}>SLA targets</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Hours a complaint may stay unresolved. Complaints count as at risk after {Math.round(slaSettings.at_risk_ratio * 100)}% of their target,
+            and admins are notified once one is overdue.
+          </Typography>
+          {slaDraft && (
+            <Stack spacing={1.5}>
+              <TextField
+                size="small"
+                type="number"
+                label="Default (hours)"
+                value={slaDraft.default_hours}
+                onChange={(e) => setSlaDraft((d) => ({ ...d, default_hours: e.target.value }))}
+                inputProps={{ min: 1, step: 1 }}
+              />
+              <Divider />
+              {Object.keys(slaDraft.categories).map((cat) => (
+                <TextField
+                  key={cat}
+                  size="small"
+                  type="number"
+                  label={`${cat} (hours)`}
+                  placeholder={`Default (${slaDraft.default_hours || slaSettings.default_hours})`}
+                  InputLabelProps={{ shrink: true }}
+                  value={slaDraft.categories[cat]}
+                  onChange={(e) => setSlaDraft((d) => ({ ...d, categories: { ...d.categories, [cat]: e.target.value } }))}
+                  inputProps={{ min: 1, step: 1 }}
+                />
+              ))}
+            </Stack>
+          )}
+          {slaError && <Alert severity="error" sx={{ mt: 2, borderRadius: 2 }}>{slaError}</Alert>}
+        </DialogContent>
+        <DialogActions sx={{ px: 3, pb: 2 }}>
+          <Button onClick={() => setSlaDialogOpen(false)} disabled={slaSaving} variant="outlined" sx={{ borderRadius: 2 }}>
+            Cancel
+          </Button>
+          <Button
+            onClick={saveSlaSettings}
+            disabled={slaSaving}
+            variant="contained"
+            sx={{
+              borderRadius: 2,
+              background: 'linear-gradient(135deg, #4CAF50 0%, #2E7D32 100%)',
+              '&:hover': {
+                background: 'linear-gradient(135deg, #2E7D32 0%, #4CAF50 100%)',
+              }
+            }}
+          >
+            {slaSaving ? 'Saving...' : 'Save targets'}
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
@@ -0,0 +1,284 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Container,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  CircularProgress,
+  Alert,
+  IconButton,
+  Stack,
+} from '@mui/material';
+import {
+  Add,
+  Edit,
+  Delete,
+} from '@mui/icons-material';
+import { adminService } from '../../services/admin';
+import { TEMPLATE_PLACEHOLDERS, rankTemplates, templatesOf } from '../../utils/responseTemplates';
+
+const emptyForm = { name: '', category: '', body: '' };
+
+const formatHours = (hours) => {
+  if (hours == null) return '—';
+  const h = Number(hours);
+  return h >= 48 ? `${(h / 24).toFixed(1)} days` : `${h.toFixed(1)} h`;
+};
+
+const AdminResponseTemplates = () => {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingTemplate, setEditingTemplate] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const bodyRef = useRef(null);
+
+  const loadTemplates = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await adminService.getResponseTemplates();
+      setTemplates(templatesOf(response.data));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load response templates');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  const ranked = useMemo(() => rankTemplates(templates), [templates]);
+
+  const handleOpenDialog = (template = null) => {
+    setEditingTemplate(template);
+    setFormData(template
+      ? { name: template.name || '', category: template.category || '', body: template.body || '' }
+      : emptyForm);
+    setDialogOpen(true);
+  };
+
+  const handleCloseDialog = () => {
+    setDialogOpen(false);
+    setEditingTemplate(null);
+    setFormData(emptyForm);
+  };
+
+  // Insert at the cursor so placeholders can go mid-sentence
+  const insertPlaceholder = (key) => {
+    const token = `{{${key}}}`;
+    const input = bodyRef.current;
+    setFormData((prev) => {
+      const start = input?.selectionStart ?? prev.body.length;
+      const end = input?.selectionEnd ?? prev.body.length;
+      return { ...prev, body: prev.body.slice(0, start) + token + prev.body.slice(end) };
+    });
+  };
+
+  const handleSave = async () => {
+    if (!formData.name.trim() || !formData.body.trim()) {
+      setError('Please fill in a name and the response text');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      const data = {
+        name: formData.name.trim(),
+        category: formData.category.trim() || null,
+        body: formData.body,
+      };
+      if (editingTemplate) {
+        await adminService.updateResponseTemplate(editingTemplate.id, data);
+      } else {
+        await adminService.createResponseTemplate(data);
+      }
+      handleCloseDialog();
+      loadTemplates();
+    } catch (err) {
+      setError(err.response?.data?.error || err.response?.data?.message || 'Failed to save response template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Are you sure you want to delete the template "${template.name}"?`)) {
+      return;
+    }
+
+    try {
+      await adminService.deleteResponseTemplate(template.id);
+      loadTemplates();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete response template');
+    }
+  };
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      <Box sx={{ mb: 3, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Box>
+          <Typography variant="h4" sx={{ fontWeight: 700 }}>
+            Response Templates
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            Reusable replies for complaints in QA. Templates that resolve complaints fastest are listed first.
+          </Typography>
+        </Box>
+        <Button
+          variant="contained"
+          startIcon={<Add />}
+          onClick={() => handleOpenDialog()}
+        >
+          Add Template
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Card>
+        <CardContent>
+          {loading ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+              <CircularProgress />
+            </Box>
+          ) : (
+            <TableContainer>
+              <Table>
+                <TableHead>
+                  <TableRow>
+                    <TableCell sx={{ fontWeight: 600 }}>Name</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>Category</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>Response</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>Uses</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>Resolved</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>Avg. time to resolve</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {ranked.length === 0 ? (
+                    <TableRow>
+                      <TableCell colSpan={7} align="center">
+                        <Typography variant="body2" color="text.secondary">
+                          No response templates yet. Add your first template!
+                        </Typography>
+                      </TableCell>
+                    </TableRow>
+                  ) : (
+                    ranked.map((template) => (
+                      <TableRow key={template.id} hover>
+                        <TableCell>
+                          <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                            {template.name}
+                          </Typography>
+                        </TableCell>
+                        <TableCell>
+                          {template.category ? <Chip label={template.category} size="small" variant="outlined" /> : '—'}
+                        </TableCell>
+                        <TableCell sx={{ maxWidth: 320 }}>
+                          <Typography variant="body2" color="text.secondary" noWrap>
+                            {template.body}
+                          </Typography>
+                        </TableCell>
+                        <TableCell>{template.usage_count || 0}</TableCell>
+                        <TableCell>{template.resolved_count || 0}</TableCell>
+                        <TableCell>{formatHours(template.avg_resolution_hours)}</TableCell>
+                        <TableCell>
+                          <Box sx={{ display: 'flex', gap: 1 }}>
+                            <IconButton size="small" onClick={() => handleOpenDialog(template)}>
+                              <Edit fontSize="small" />
+                            </IconButton>
+                            <IconButton size="small" onClick={() => handleDelete(template)}>
+                              <Delete fontSize="small" />
+                            </IconButton>
+                          </Box>
+                        </TableCell>
+                      </TableRow>
+                    ))
+                  )}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Create/Edit Dialog */}
+      <Dialog open={dialogOpen} onClose={handleCloseDialog} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          {editingTemplate ? 'Edit Response Template' : 'Add Response Template'}
+        </DialogTitle>
+        <DialogContent>
+          <Stack spacing={2} sx={{ mt: 1 }}>
+            <TextField
+              fullWidth
+              label="Name *"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              placeholder="Refund approved, Need more details, etc."
+            />
+            <TextField
+              fullWidth
+              label="Category"
+              value={formData.category}
+              onChange={(e) => setFormData({ ...formData, category: e.target.value })}
+              placeholder="Refund, Delivery, etc."
+              helperText="Optional. Templates for the complaint's category are suggested first."
+            />
+            <TextField
+              fullWidth
+              multiline
+              minRows={5}
+              label="Response *"
+              value={formData.body}
+              inputRef={bodyRef}
+              onChange={(e) => setFormData({ ...formData, body: e.target.value })}
+              placeholder="Hi {{user_name}}, we have refunded {{refund_coins}} coins for order #{{order_id}}."
+            />
+            <Box>
+              <Typography variant="caption" color="text.secondary">Insert placeholder:</Typography>
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 0.5 }}>
+                {TEMPLATE_PLACEHOLDERS.map((p) => (
+                  <Chip key={p.key} label={p.label} size="small" onClick={() => insertPlaceholder(p.key)} />
+                ))}
+              </Box>
+            </Box>
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseDialog}>Cancel</Button>
+          <Button onClick={handleSave} variant="contained" disabled={saving}>
+            {saving ? <CircularProgress size={20} /> : editingTemplate ? 'Update' : 'Create'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default AdminResponseTemplates;
@@ -1,7 +1,8 @@
 import { useEffect, useMemo, useState } from 'react';
-import { Box, Card, CardContent, Typography, Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Paper, Chip, Button, Dialog, DialogTitle, DialogContent, DialogActions, Skeleton, Snackbar, Alert, IconButton, Avatar, TextField, InputAdornment, Select, MenuItem, FormControl, InputLabel, Tabs, Tab, Tooltip } from '@mui/material';
+import { Box, Card, CardContent, Typography, Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Paper, Chip, Button, Dialog, DialogTitle, DialogContent, DialogActions, Skeleton, Snackbar, Alert, IconButton, Avatar, TextField, InputAdornment, Select, MenuItem, FormControl, InputLabel, Tabs, Tab, Tooltip, Checkbox, FormControlLabel, FormGroup } from '@mui/material';
 import { adminService } from '../../services/admin';
 import { complaintService } from '../../services/complaints';
+import { APPLICATION_FIELDS, NEEDS_INFO_STATUS, verificationChecklist } from '../../utils/farmerVerification';
 import { useLocation, useNavigate } from 'react-router-dom';
 import CloseIcon from '@mui/icons-material/Close';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
@@ -18,9 +19,10 @@ const StatusChip = ({ status }) => {
     approved: { bg: 'rgba(76,175,80,0.1)', border: 'rgba(76,175,80,0.2)', color: '#2E7D32' },
     pending: { bg: 'rgba(255,152,0,0.1)', border: 'rgba(255,152,0,0.2)', color: '#FB8C00' },
     rejected: { bg: 'rgba(244,67,54,0.1)', border: 'rgba(244,67,54,0.2)', color: '#D32F2F' },
+    needs_info: { bg: 'rgba(33,150,243,0.1)', border: 'rgba(33,150,243,0.2)', color: '#1976D2' },
   };
   const c = colorMap[String(status || 'pending').toLowerCase()] || colorMap.pending;
-  return <Chip label={status} size="small" sx={{ bgcolor: c.bg, border: `1px solid ${c.border}`, color: c.color, textTransform: 'capitalize', fontWeight: 600 }} />;
+  return <Chip label={String(status || 'pending').replace('_', ' ')} size="small" sx={{ bgcolor: c.bg, border: `1px solid ${c.border}`, color: c.color, textTransform: 'capitalize', fontWeight: 600 }} />;
 };
 
 
@@ -47,6 +49,9 @@ const AdminUsers = () => {
   const [approveId, setApproveId] = useState(null);
   const [rejectId, setRejectId] = useState(null);
   const [rejectReason, setRejectReason] = useState('');
+  // Farmer being asked for more information, and what is requested
+  const [infoFarmer, setInfoFarmer] = useState(null);
+  const [infoRequest, setInfoRequest] = useState({ document_types: [], fields: [], message: '' });
   const [docsUserId, setDocsUserId] = useState(null);
   const [docsLoading, setDocsLoading] = useState(false);
   const [docsContent, setDocsContent] = useState(null);
@@ -267,6 +272,35 @@ const AdminUsers = () => {
     }
   };
 
+  const openInfoRequest = (farmer) => {
+    setInfoFarmer(farmer);
+    setInfoRequest({ document_types: [], fields: [], message: '' });
+  };
+
+  const toggleInfoItem = (key, value) => {
+    setInfoRequest((prev) => ({
+      ...prev,
+      [key]: prev[key].includes(value) ? prev[key].filter((v) => v !== value) : [...prev[key], value],
+    }));
+  };
+
+  const handleRequestInfo = async () => {
+    const { id } = infoFarmer;
+    const request = { ...infoRequest, message: infoRequest.message.trim() };
+    setInfoFarmer(null);
+    const snapshot = pendingFarmers;
+    setPendingFarmers((prev) => prev.filter(p => p.id !== id));
+    setUsers((prev) => prev.map(u => u.id === id ? { ...u, approval_status: NEEDS_INFO_STATUS, info_request: { ...request, requested_at: new Date().toISOString() } } : u));
+    setFeedback('Information requested from farmer');
+    try {
+      await adminService.requestFarmerInfo(id, request);
+    } catch (e) {
+      setPendingFarmers(snapshot);
+      setUsers((prev) => prev.map(u => u.id === id ? { ...u, approval_status: 'pending', info_request: null } : u));
+    }
+  };
+
+  const infoRequestEmpty = infoRequest.document_types.length === 0 && infoRequest.fields.length === 0;
 
   return (
     <Box sx={{ width: '100%', maxWidth: '100%', display: 'flex', flexDirection: 'column', gap: 3, mt: { xs: 1.5, sm: 2 }, px: { xs: 0, sm: 0 } }}>
@@ -578,6 +612,7 @@ const AdminUsers = () => {
                 <MenuItem value="approved">Approved</MenuItem>
                 <MenuItem value="pending">Pending</MenuItem>
                 <MenuItem value="rejected">Rejected</MenuItem>
+                <MenuItem value={NEEDS_INFO_STATUS}>Needs info</MenuItem>
               </Select>
             </FormControl>
             <FormControl size="small" sx={{ minWidth: { xs: '100%', sm: 150 } }}>
@@ -973,7 +1008,14 @@ const AdminUsers = () => {
                           </Tooltip>
                         </TableCell>
                         <TableCell sx={{ py: 2 }}>
-                          <StatusChip status={f.approval_status} />
+                          <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                            <StatusChip status={f.approval_status} />
+                            {f.resubmitted_at && (
+                              <Tooltip title={`Resubmitted ${new Date(f.resubmitted_at).toLocaleString()} after an info request`}>
+                                <Chip label="Resubmitted" size="small" variant="outlined" color="info" sx={{ fontWeight: 600 }} />
+                              </Tooltip>
+                            )}
+                          </Box>
                         </TableCell>
                         <TableCell sx={{ py: 2 }}>
                           <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
@@ -1009,6 +1051,22 @@ const AdminUsers = () => {
                             >
                               Reject
                             </Button>
+                            <Button
+                              variant="outlined"
+                              color="info"
+                              size="small"
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                openInfoRequest(f);
+                              }}
+                              sx={{
+                                minWidth: 90,
+                                textTransform: 'none',
+                                fontWeight: 600
+                              }}
+                            >
+                              Request info
+                            </Button>
                           </Box>
                         </TableCell>
                       </TableRow>
@@ -1045,6 +1103,53 @@ const AdminUsers = () => {
         </DialogActions>
       </Dialog>
 
+      <Dialog open={Boolean(infoFarmer)} onClose={() => setInfoFarmer(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Request more information</DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: 'grid', gap: 2 }}>
+            <Typography variant="body2" color="text.secondary">
+              {infoFarmer?.name || 'The farmer'} is asked to upload or complete the items below. The application returns to this queue when they resubmit.
+            </Typography>
+            <Box>
+              <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>Documents</Typography>
+              <FormGroup>
+                {verificationChecklist(infoFarmer?.country || infoFarmer?.country_code).map((item) => (
+                  <FormControlLabel
+                    key={item.type}
+                    control={<Checkbox size="small" checked={infoRequest.document_types.includes(item.type)} onChange={() => toggleInfoItem('document_types', item.type)} />}
+                    label={item.label}
+                  />
+                ))}
+              </FormGroup>
+            </Box>
+            <Box>
+              <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>Application fields</Typography>
+              <FormGroup>
+                {Object.entries(APPLICATION_FIELDS).map(([key, label]) => (
+                  <FormControlLabel
+                    key={key}
+                    control={<Checkbox size="small" checked={infoRequest.fields.includes(key)} onChange={() => toggleInfoItem('fields', key)} />}
+                    label={label}
+                  />
+                ))}
+              </FormGroup>
+            </Box>
+            <TextField
+              label="Message to the farmer"
+              multiline
+              minRows={3}
+              value={infoRequest.message}
+              onChange={(e) => setInfoRequest((prev) => ({ ...prev, message: e.target.value }))}
+              placeholder="e.g. The licence photo is unreadable, please upload a clearer scan."
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setInfoFarmer(null)} variant="outlined">Cancel</Button>
+          <Button onClick={handleRequestInfo} variant="contained" color="info" disabled={infoRequestEmpty}>Send request</Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Modal removed - navigating to UserDetailPage instead */}
 
       <Dialog
@@ -1,6 +1,6 @@
 import { useEffect, useState } from 'react';
 import { useParams, useNavigate, useLocation } from 'react-router-dom';
-import { Dialog, DialogTitle, DialogContent, DialogActions, Divider, Grid, Avatar, Stack, IconButton, Button, Box, Typography as MuiTypography, CircularProgress } from '@mui/material';
+import { Dialog, DialogTitle, DialogContent, DialogActions, Divider, Grid, Avatar, Stack, IconButton, Button, Box, Typography as MuiTypography, CircularProgress, TextField, Alert } from '@mui/material';
 import ArrowBackIcon from '@mui/icons-material/ArrowBack';
 import CloseIcon from '@mui/icons-material/Close';
 import PersonIcon from '@mui/icons-material/Person';
@@ -22,6 +22,7 @@ import { complaintService } from '../../services/complaints';
 import { orderService } from '../../services/orders';
 import { transactionsService } from '../../services/transactions';
 import { userDocumentsService } from '../../services/userDocuments';
+import { DOCUMENT_TYPES, checklistStatus, documentStatus } from '../../utils/farmerVerification';
 import './UserDetailPage.css';
 
 const UserDetailPage = () => {
@@ -49,6 +50,11 @@ const UserDetailPage = () => {
     const [error, setError] = useState(null);
     const [selectedOrder, setSelectedOrder] = useState(null);
     const [isOrderModalOpen, setIsOrderModalOpen] = useState(false);
+    // Per-document review: { doc, status: 'approved' | 'rejected' }
+    const [review, setReview] = useState(null);
+    const [reviewComment, setReviewComment] = useState('');
+    const [reviewSaving, setReviewSaving] = useState(false);
+    const [reviewError, setReviewError] = useState(null);
 
     useEffect(() => {
         const loadData = async () => {
@@ -115,6 +121,33 @@ const UserDetailPage = () => {
         }
     };
 
+    const openReview = (doc, status) => {
+        setReview({ doc, status });
+        setReviewComment(doc.review_comment || '');
+        setReviewError(null);
+    };
+
+    const submitReview = async () => {
+        if (!review) return;
+        if (review.status === 'rejected' && !reviewComment.trim()) {
+            setReviewError('Tell the farmer why this document was rejected.');
+            return;
+        }
+        setReviewSaving(true);
+        try {
+            const comment = reviewComment.trim() || null;
+            await adminService.reviewFarmerDocument(review.doc.id, { status: review.status, comment });
+            setUserDocs((prev) => prev.map((d) => (
+                d.id === review.doc.id ? { ...d, review_status: review.status, review_comment: comment, reviewed_at: new Date().toISOString() } : d
+            )));
+            setReview(null);
+        } catch (err) {
+            setReviewError(err.response?.data?.error || 'Failed to save the review.');
+        } finally {
+            setReviewSaving(false);
+        }
+    };
+
     const handleViewOrder = (order) => {
         setSelectedOrder(order);
         setIsOrderModalOpen(true);
@@ -194,7 +227,7 @@ const UserDetailPage = () => {
                                 {user.user_type}
                             </span>
                             <span className={`status-badge ${(user.approval_status || 'pending').toLowerCase()}`}>
-                                {user.approval_status || 'Pending'}
+                                {(user.approval_status || 'Pending').replace('_', ' ')}
                             </span>
                         </div>
 
@@ -404,6 +437,28 @@ const UserDetailPage = () => {
 
                         {tabValue === 4 && (
                             <div className="documents-tab">
+                                {user.user_type === 'farmer' && (() => {
+                                    const checklist = checklistStatus(userDocs, user.country || user.country_code);
+                                    return (
+                                        <div style={{ marginBottom: '32px' }}>
+                                            <h3 className="section-title" style={{ marginTop: 0, marginBottom: '8px', fontWeight: 700 }}>Verification Checklist</h3>
+                                            <p style={{ color: '#64748b', marginTop: 0 }}>
+                                                {checklist.complete ? 'All required documents are approved.' : 'Approve or reject each document. The farmer sees your comment.'}
+                                                {checklist.lapsed.length > 0 && ` New listings are suspended: ${checklist.lapsed.map((i) => i.label).join(', ')} expired.`}
+                                            </p>
+                                            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+                                                {checklist.items.map((item) => (
+                                                    <span
+                                                        key={item.type}
+                                                        className={`status-badge ${item.status === 'approved' ? 'approved' : ['rejected', 'expired', 'missing'].includes(item.status) ? 'rejected' : 'pending'}`}
+                                                    >
+                                                        {item.label}: {item.status}
+                                                    </span>
+                                                ))}
+                                            </div>
+                                        </div>
+                                    );
+                                })()}
                                 <h3 className="section-title" style={{ marginTop: 0, marginBottom: '24px', fontWeight: 700 }}>License</h3>
                                 {userDocs.length > 0 ? (
                                     <div className="custom-table-container">
@@ -412,7 +467,10 @@ const UserDetailPage = () => {
                                                 <tr>
                                                     <th>File Name</th>
                                                     <th>Type</th>
+                                                    <th>Checklist Item</th>
                                                     <th>Uploaded At</th>
+                                                    <th>Expires</th>
+                                                    <th>Review</th>
                                                     <th>Action</th>
                                                 </tr>
                                             </thead>
@@ -421,8 +479,24 @@ const UserDetailPage = () => {
                                                     <tr key={doc.id}>
                                                         <td style={{ fontWeight: 600 }}>{doc.file_name}</td>
                                                         <td><span className="type-badge farmer">{doc.file_type || 'other'}</span></td>
+                                                        <td>{DOCUMENT_TYPES[doc.document_type]?.label || '—'}</td>
                                                         <td style={{ color: '#64748b' }}>{formatDate(doc.uploaded_at, true)}</td>
+                                                        <td style={{ color: documentStatus(doc) === 'expired' ? '#dc2626' : '#64748b' }}>{doc.expires_at ? formatDate(doc.expires_at) : '—'}</td>
                                                         <td>
+                                                            <span className={`status-badge ${String(doc.review_status || 'pending').toLowerCase()}`}>{doc.review_status || 'pending'}</span>
+                                                            {doc.review_comment && <div style={{ color: '#64748b', fontSize: '0.75rem', marginTop: '4px' }}>{doc.review_comment}</div>}
+                                                        </td>
+                                                        <td style={{ whiteSpace: 'nowrap' }}>
+                                                            {doc.document_type && doc.review_status !== 'approved' && (
+                                                                <Button size="small" color="success" onClick={() => openReview(doc, 'approved')} sx={{ textTransform: 'none', minWidth: 0, mr: 1 }}>
+                                                                    Approve
+                                                                </Button>
+                                                            )}
+                                                            {doc.document_type && doc.review_status !== 'rejected' && (
+                                                                <Button size="small" color="error" onClick={() => openReview(doc, 'rejected')} sx={{ textTransform: 'none', minWidth: 0, mr: 1 }}>
+                                                                    Reject
+                                                                </Button>
+                                                            )}
                                                             <a
                                                                 href={doc.file_url}
                                                                 target="_blank"
@@ -661,6 +735,40 @@ const UserDetailPage = () => {
 
                 </DialogActions>
             </Dialog>
+
+            <Dialog open={Boolean(review)} onClose={() => !reviewSaving && setReview(null)} maxWidth="sm" fullWidth>
+                <DialogTitle sx={{ fontWeight: 700 }}>
+                    {review?.status === 'approved' ? 'Approve document' : 'Reject document'}
+                </DialogTitle>
+                <DialogContent>
+                    {review && (
+                        <MuiTypography variant="body2" sx={{ color: '#64748b', mb: 2 }}>
+                            {DOCUMENT_TYPES[review.doc.document_type]?.label || 'Document'} · {review.doc.file_name}
+                        </MuiTypography>
+                    )}
+                    {reviewError && <Alert severity="error" sx={{ mb: 2 }}>{reviewError}</Alert>}
+                    <TextField
+                        fullWidth
+                        multiline
+                        minRows={3}
+                        label={review?.status === 'rejected' ? 'Reason (shown to the farmer) *' : 'Comment (optional)'}
+                        value={reviewComment}
+                        onChange={(e) => setReviewComment(e.target.value)}
+                    />
+                </DialogContent>
+                <DialogActions sx={{ p: 2 }}>
+                    <Button onClick={() => setReview(null)} disabled={reviewSaving} sx={{ textTransform: 'none' }}>Cancel</Button>
+                    <Button
+                        variant="contained"
+                        color={review?.status === 'approved' ? 'success' : 'error'}
+                        onClick={submitReview}
+                        disabled={reviewSaving}
+                        sx={{ textTransform: 'none' }}
+                    >
+                        {reviewSaving ? <CircularProgress size={20} /> : review?.status === 'approved' ? 'Approve' : 'Reject'}
+                    </Button>
+                </DialogActions>
+            </Dialog>
         </div>
     );
 };
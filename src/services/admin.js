@@ -6,19 +6,42 @@ export const adminService = {
   getPendingFarmers: () => api.get('/api/admin/farmers/pending'),
   approveFarmer: (id) => api.post(`/api/admin/farmers/${id}/approve`),
   rejectFarmer: (id, reason) => api.post(`/api/admin/farmers/${id}/reject`, { reason }),
+  /** Ask a pending farmer for more: `{ document_types, fields, message }`. Sets approval_status 'needs_info' and notifies them. */
+  requestFarmerInfo: (id, request) => api.post(`/api/admin/farmers/${id}/request-info`, request),
   getFarmerDocuments: (id) => api.get(`/api/admin/farmers/${id}/documents`),
+  /** Approve or reject one verification document: `{ status: 'approved' | 'rejected', comment }` */
+  reviewFarmerDocument: (documentId, review) => api.patch(`/api/admin/farmer-documents/${documentId}/review`, review),
   getProductionConsistency: () => api.get('/api/admin/production/consistency'),
   getComplaints: (params) => api.get('/api/admin/qa/complaints', { params }),
   updateComplaintStatus: (id, status) => api.patch(`/api/admin/qa/complaints/${id}`, { status }),
   updateComplaintRemarks: (id, remarks) => api.patch(`/api/admin/qa/complaints/${id}/remarks`, { remarks }),
   refundComplaint: (id, coins) => api.post(`/api/admin/qa/complaints/${id}/refund`, { coins }),
+  // Assignment changes are written to the audit log (action `complaint_assigned`) by the backend
+  assignComplaint: (id, adminId) => api.patch(`/api/admin/qa/complaints/${id}/assign`, { assigned_to: adminId }),
+  getComplaintInternalNotes: (id) => api.get(`/api/admin/qa/complaints/${id}/notes`),
+  addComplaintInternalNote: (id, message) => api.post(`/api/admin/qa/complaints/${id}/notes`, { message }),
+  // Complaint reply templates; list rows carry usage_count, resolved_count and avg_resolution_hours
+  getResponseTemplates: () => api.get('/api/admin/qa/response-templates'),
+  createResponseTemplate: (data) => api.post('/api/admin/qa/response-templates', data),
+  updateResponseTemplate: (id, data) => api.patch(`/api/admin/qa/response-templates/${id}`, data),
+  deleteResponseTemplate: (id) => api.delete(`/api/admin/qa/response-templates/${id}`),
+  recordResponseTemplateUse: (id, complaintId) => api.post(`/api/admin/qa/response-templates/${id}/uses`, { complaint_id: complaintId }),
+  getComplaintSlaSettings: () => api.get('/api/admin/qa/sla-settings'),
+  updateComplaintSlaSettings: (settings) => api.put('/api/admin/qa/sla-settings', settings),
+  getOrderRefundRequests: (orderId) => api.get(`/api/admin/orders/${orderId}/refund-requests`),
   getProfitByCategory: (params) => api.get('/api/admin/analytics/profit-by-category', { params }),
   getFarmerPerformance: (params) => api.get('/api/admin/analytics/farmers/performance', { params }),
   getReviewsSummary: (params) => api.get('/api/admin/analytics/reviews/summary', { params }),
+  // Promotions and referrals; rows carry redemption_count, coins_awarded and discount_total
+  getPromoCodeStats: (params) => api.get('/api/admin/analytics/promo-codes', { params }),
+  getReferralStats: (params) => api.get('/api/admin/analytics/referrals', { params }),
   getNewUserRegistrations: (params) => api.get('/api/admin/notifications/users/new', { params }),
   getPendingFarmerApprovals: (params) => api.get('/api/admin/notifications/farmers/pending', { params }),
   getCoinPurchases: (params) => api.get('/api/admin/coins/purchases', { params }),
   getCoinTransactions: (params) => api.get('/api/admin/coins/transactions', { params }),
+  getCoinTransfers: (params) => api.get('/api/admin/coins/transfers', { params }),
+  /** Return the coins to the sender; the server writes `coin_transfer_reversal` transactions and an audit entry. */
+  reverseCoinTransfer: (id, reason) => api.post(`/api/admin/coins/transfers/${id}/reverse`, { reason }),
   getPayments: (params) => api.get('/api/admin/payments', { params }),
   getAuditLogs: (params) => api.get('/api/admin/audit/logs', { params }),
   getNotificationsOverview: (params) => api.get('/api/admin/notifications/overview', { params }),
@@ -28,6 +51,14 @@ export const adminService = {
   createPackage: (data) => api.post('/api/admin/packages', data),
   updatePackage: (id, data) => api.patch(`/api/admin/packages/${id}`, data),
   deletePackage: (id) => api.delete(`/api/admin/packages/${id}`),
+  // Promo codes (see utils/promotions)
+  getPromoCodes: () => api.get('/api/admin/promo-codes'),
+  createPromoCode: (data) => api.post('/api/admin/promo-codes', data),
+  updatePromoCode: (id, data) => api.patch(`/api/admin/promo-codes/${id}`, data),
+  deletePromoCode: (id) => api.delete(`/api/admin/promo-codes/${id}`),
+  /** `{ enabled, referrer_bonus_coins, referee_bonus_coins }`, credited after the referee's first completed order */
+  getReferralSettings: () => api.get('/api/admin/referrals/settings'),
+  updateReferralSettings: (data) => api.put('/api/admin/referrals/settings', data),
   // Currency Rates Management
   getCurrencyRates: () => api.get('/api/admin/currency-rates'),
   upsertCurrencyRate: (data) => api.post('/api/admin/currency-rates', data),
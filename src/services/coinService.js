@@ -177,8 +177,11 @@ class CoinService {
    * Create a purchase intent (redirects to Stripe Checkout).
    * Only sends fields the API should trust: pack id or custom coin count + currency, and same-origin return URLs.
    * Line item names and amounts must be resolved on the server from `pack_id` / validated `custom_coins`.
+   * `rateLock` (utils/coinCheckout createRateLock) is the quote the buyer saw; the server charges it only while
+   * the lock is valid and the rate still matches the admin-managed one, and rejects the intent otherwise.
+   * `promoCode` is re-validated by the server, which applies the discount or bonus coins itself.
    * @param {string|null} packId - Pack id from getCoinPacks(), or null for custom coins
-   * @param {{ successUrl?: string, cancelUrl?: string, customCoins?: number, currency?: string }} opts
+   * @param {{ successUrl?: string, cancelUrl?: string, customCoins?: number, currency?: string, rateLock?: { currency: string, coins_per_unit: number, locked_at: string }, promoCode?: string }} opts
    * @returns {Promise<{ url: string }>} - Redirect to url
    */
   async createPurchaseIntent(packId, opts = {}) {
@@ -191,10 +194,17 @@ class CoinService {
         throw new Error(`Coin amount must be a whole number between 1 and ${MAX_CUSTOM_COINS_PURCHASE.toLocaleString()}`);
       }
       body.custom_coins = n;
-      body.currency = opts.currency || 'USD';
     } else {
       throw new Error('Either packId or customCoins must be provided');
     }
+    body.currency = opts.rateLock?.currency || opts.currency || 'USD';
+    if (opts.rateLock) {
+      body.coins_per_unit = opts.rateLock.coins_per_unit;
+      body.rate_locked_at = opts.rateLock.locked_at;
+    }
+    if (opts.promoCode) {
+      body.promo_code = opts.promoCode;
+    }
 
     if (opts.successUrl != null || opts.cancelUrl != null) {
       assertCheckoutReturnUrls(opts.successUrl, opts.cancelUrl);
@@ -205,6 +215,157 @@ class CoinService {
     const response = await api.post('/api/coins/purchase-intent', body);
     return response.data;
   }
+
+  /**
+   * Escrow ledger for the current user's orders: one row per lock, shipping release, completion
+   * release or refund (see utils/coinEscrow).
+   * @returns {Promise<Array<{ order_id, event: 'lock'|'partial_release'|'release'|'refund', coins: number, created_at: string }>>}
+   */
+  async getEscrowLedger() {
+    try {
+      const response = await api.get('/api/coins/escrow');
+      const data = response.data;
+      return Array.isArray(data) ? data : data?.entries || [];
+    } catch (error) {
+      console.error('Error fetching escrow ledger:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Check a promo code for the current user (validity window, usage cap and per-user limit).
+   * Answers 400 with `error` explaining why a code cannot be used.
+   * @param {string} code
+   * @returns {Promise<{ promo: { code: string, type: 'percent'|'bonus_coins', value: number, ends_at?: string } }>}
+   */
+  async validatePromoCode(code) {
+    const response = await api.post('/api/coins/promo-codes/validate', { code });
+    return response.data;
+  }
+
+  /**
+   * The current user's referral code, the bonus each side receives and the people they referred.
+   * @returns {Promise<{ code: string, referrer_bonus_coins: number, referee_bonus_coins: number, referrals: Array<{ id, name, status: 'pending'|'credited', created_at, credited_at }> } | null>}
+   */
+  async getReferralSummary() {
+    try {
+      const response = await api.get('/api/coins/referrals');
+      return response.data || null;
+    } catch (error) {
+      console.error('Error fetching referral summary:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Current user's auto top-up settings (see utils/autoTopUp), or null when not set up.
+   * @returns {Promise<{ pack_id, pack_coins, threshold_coins, monthly_cap_coins, currency, status: 'active'|'paused' } | null>}
+   */
+  async getAutoTopUp() {
+    const response = await api.get('/api/coins/auto-top-up');
+    return response.data?.settings || null;
+  }
+
+  /**
+   * Create or update auto top-up. When no card is saved yet the server returns `setup_url`
+   * (Stripe card setup); the return URLs follow the same same-origin rules as checkout.
+   * @param {{ packId: string, thresholdCoins: number, monthlyCapCoins: number, currency?: string, successUrl?: string, cancelUrl?: string }} opts
+   * @returns {Promise<{ settings: object, setup_url?: string }>}
+   */
+  async saveAutoTopUp(opts) {
+    const body = {
+      pack_id: opts.packId,
+      threshold_coins: opts.thresholdCoins,
+      monthly_cap_coins: opts.monthlyCapCoins,
+      currency: opts.currency || 'USD',
+    };
+    if (opts.successUrl != null || opts.cancelUrl != null) {
+      assertCheckoutReturnUrls(opts.successUrl, opts.cancelUrl);
+      body.success_url = opts.successUrl;
+      body.cancel_url = opts.cancelUrl;
+    }
+    const response = await api.put('/api/coins/auto-top-up', body);
+    return response.data;
+  }
+
+  /**
+   * Pause or resume auto top-up.
+   * @param {boolean} paused
+   * @returns {Promise<{ settings: object }>}
+   */
+  async setAutoTopUpPaused(paused) {
+    const response = await api.patch('/api/coins/auto-top-up', { status: paused ? 'paused' : 'active' });
+    return response.data;
+  }
+
+  /** Turn auto top-up off and forget the settings (the saved card stays with the payment provider). */
+  async deleteAutoTopUp() {
+    await api.delete('/api/coins/auto-top-up');
+  }
+
+  /**
+   * Past auto top-up runs, including failed and skipped ones that never created a coin transaction.
+   * @returns {Promise<Array<{ id, coins, amount, currency, status, failure_reason, balance_before, created_at }>>}
+   */
+  async getAutoTopUpHistory() {
+    try {
+      const response = await api.get('/api/coins/auto-top-up/history');
+      const data = response.data;
+      return Array.isArray(data) ? data : data?.runs || [];
+    } catch (error) {
+      console.error('Error fetching auto top-up history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Ask the server to charge the saved card for the configured pack. It re-checks the balance,
+   * threshold and monthly cap and answers 409 when the top-up is not due.
+   * @param {number} balance - Available coins the client saw
+   * @returns {Promise<{ run: object }>}
+   */
+  async runAutoTopUp(balance) {
+    const response = await api.post('/api/coins/auto-top-up/run', { balance });
+    return response.data;
+  }
+
+  /**
+   * Transfer limits for the current user (see utils/coinTransfers).
+   * @returns {Promise<{ daily_limit_coins: number, per_transfer_max: number, note_max_length: number, sent_today: number }>}
+   */
+  async getTransferLimits() {
+    const response = await api.get('/api/coins/transfers/limits');
+    return response.data;
+  }
+
+  /**
+   * Send coins to another user. The server checks the balance and limits and records both sides.
+   * @param {{ recipientId: string, coins: number, note?: string }} opts
+   * @returns {Promise<{ transfer: object, coins: number }>} - The transfer and the sender's new balance
+   */
+  async sendCoinTransfer({ recipientId, coins, note }) {
+    const response = await api.post('/api/coins/transfers', {
+      recipient_id: recipientId,
+      coins,
+      note: note || undefined,
+    });
+    return response.data;
+  }
+
+  /**
+   * Transfers the current user sent or received, with `sender_name` / `recipient_name`.
+   * @returns {Promise<Array>}
+   */
+  async getCoinTransfers() {
+    try {
+      const response = await api.get('/api/coins/transfers');
+      const data = response.data;
+      return Array.isArray(data) ? data : data?.transfers || [];
+    } catch (error) {
+      console.error('Error fetching coin transfers:', error);
+      return [];
+    }
+  }
 }
 
 // Export a singleton instance
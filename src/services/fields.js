@@ -27,6 +27,10 @@ const fieldsService = {
   getById: (id) => api.get(`/api/fields/${id}`),
   /** Farmer: declared harvest history for a field (after marking orders completed). */
   getHarvestDeclarations: (fieldId) => api.get(`/api/fields/${fieldId}/harvest-declarations`),
+  /** Area held per order (order_id, buyer_id, quantity_m2, status, created_at, is_mine) for the sub-plot view. */
+  getAllocation: (fieldId) => api.get(`/api/fields/${fieldId}/allocation`),
+  /** Aggregate occupied / available m² (my_rented_m2, others_rented_m2, available_m2). */
+  getOccupancy: (fieldId) => api.get(`/api/fields/${fieldId}/occupancy`),
   create: (data) => api.post('/api/fields', data),
   update: (id, data) => api.put(`/api/fields/${id}`, data),
   remove: (id) => api.delete(`/api/fields/${id}`),
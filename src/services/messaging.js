@@ -1,4 +1,9 @@
 import api from './api';
+import supabase from './supabase';
+import { v4 as uuidv4 } from 'uuid';
+import { encodeAttachment } from '../utils/messageAttachments';
+
+const ATTACHMENTS_BUCKET = 'user-documents';
 
 export const messagingService = {
     // Get all conversations
@@ -7,9 +12,9 @@ export const messagingService = {
         return response.data;
     },
 
-    // Start or get conversation with a user
-    startConversation: async (participantId) => {
-        const response = await api.post('/api/conversations', { participantId });
+    // Start or get conversation with a user; `orderId` / `fieldId` tag a separate thread about that order
+    startConversation: async (participantId, { orderId, fieldId } = {}) => {
+        const response = await api.post('/api/conversations', { participantId, orderId, fieldId });
         return response.data;
     },
 
@@ -29,12 +34,40 @@ export const messagingService = {
         return response.data;
     },
 
+    // Search the content of all messages in the user's conversations
+    searchMessages: async (query) => {
+        const response = await api.get('/api/messages/search', { params: { q: query } });
+        return response.data;
+    },
+
+    // Per-user conversation settings: { is_pinned?, is_muted?, is_archived? }
+    updateConversationSettings: async (conversationId, settings) => {
+        const response = await api.patch(`/api/conversations/${conversationId}/settings`, settings);
+        return response.data;
+    },
+
+    // Upload a file to storage and return the message content for it (see utils/messageAttachments)
+    uploadAttachment: async (conversationId, file) => {
+        if (!supabase) throw new Error('File storage is not configured');
+        const filePath = `message-attachments/${conversationId}/${uuidv4()}-${file.name}`;
+        const { error } = await supabase.storage.from(ATTACHMENTS_BUCKET).upload(filePath, file);
+        if (error) throw error;
+        const { data: { publicUrl } } = supabase.storage.from(ATTACHMENTS_BUCKET).getPublicUrl(filePath);
+        return encodeAttachment({ url: publicUrl, name: file.name, size: file.size, mime: file.type });
+    },
+
     // Search users for new conversation
     searchUsers: async (searchTerm) => {
         const response = await api.get(`/api/users/names?search=${searchTerm}`);
         return response.data;
     },
 
+    // Mark incoming messages as delivered to this device (sets delivered_at; read receipts use markAsRead)
+    markDelivered: async (conversationId) => {
+        const response = await api.put(`/api/messages/delivered/${conversationId}`);
+        return response.data;
+    },
+
     // Mark messages as read
     markAsRead: async (conversationId) => {
         const response = await api.put(`/api/messages/read/${conversationId}`);
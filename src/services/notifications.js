@@ -55,17 +55,40 @@ const notificationsService = {
     }
   },
 
-  markAsRead: async (id) => {
-    try {
-      // Use PATCH to match backend route definition
-      const response = await api.patch(`/api/notifications/${id}/read`);
-      return response.data;
-    } catch (error) {
-      // Silently fail if backend doesn't support this endpoint
-      // The notification will still be removed from UI
-      console.warn('Failed to mark notification as read on backend:', error);
-      return { success: false };
+  /**
+   * One page of a user's notifications, newest first.
+   * Sends `page` / `limit` / `category` / `unread` / `muted_events` (event types to leave out); a paginating
+   * backend applies them before cutting the page so `total` matches. When it returns a plain array, `filter`
+   * is applied and the page is cut client-side so callers always get `{ items, total }`.
+   */
+  getUserNotificationsPage: async (userId, { page = 1, limit = 20, category, unreadOnly = false, mutedEvents = [], filter } = {}) => {
+    const response = await api.get(`/api/notifications/user/${userId}`, {
+      params: {
+        page,
+        limit,
+        category: category || undefined,
+        unread: unreadOnly || undefined,
+        muted_events: mutedEvents.length ? mutedEvents.join(',') : undefined,
+      },
+    });
+    const data = response.data;
+    if (data && Array.isArray(data.notifications)) {
+      return { items: data.notifications, total: Number(data.total ?? data.notifications.length) };
     }
+    const all = (Array.isArray(data) ? data : [])
+      .filter((n) => !filter || filter(n))
+      .sort((a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0));
+    return { items: all.slice((page - 1) * limit, page * limit), total: all.length };
+  },
+
+  markAsRead: async (id) => {
+    const response = await api.patch(`/api/notifications/${id}/read`);
+    return response.data;
+  },
+
+  markAllAsRead: async (userId) => {
+    const response = await api.patch(`/api/notifications/user/${userId}/read-all`);
+    return response.data;
   },
 };
 
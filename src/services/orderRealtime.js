@@ -0,0 +1,108 @@
+import supabase from './supabase';
+
+/** Table holding buyer refund requests (resolved by the farmer via PATCH /api/orders/refund-requests/:id). */
+export const REFUND_REQUESTS_TABLE = 'order_refund_requests';
+
+/**
+ * Shared Supabase realtime subscription for order activity of the signed-in user.
+ * Pages, the header and hooks all listen on one channel per user instead of opening their own;
+ * the channel is created for the first listener and removed with the last one.
+ *
+ * Listeners receive normalized events:
+ *   { type: 'order_created' | 'order_updated' | 'refund_requested' | 'refund_resolved',
+ *     role: 'buyer' | 'farmer', order?, refund?, orderId }
+ * Only the new row is reliable (`old` carries just the primary key without REPLICA IDENTITY FULL),
+ * so listeners compare against their own copy to detect a status change.
+ */
+const listeners = new Set();
+let channel = null;
+let channelUserId = null;
+
+const emit = (event) => {
+  listeners.forEach((listener) => {
+    try {
+      listener(event);
+    } catch (err) {
+      console.error('Order realtime listener failed:', err);
+    }
+  });
+};
+
+const onOrderChange = (role) => (payload) => {
+  const order = payload.new;
+  if (!order?.id) return;
+  emit({
+    type: payload.eventType === 'INSERT' ? 'order_created' : 'order_updated',
+    role,
+    order,
+    orderId: order.id,
+  });
+};
+
+const onRefundChange = (role) => (payload) => {
+  const refund = payload.new;
+  if (!refund?.id) return;
+  const status = String(refund.status || 'pending').toLowerCase();
+  emit({
+    type: status === 'pending' ? 'refund_requested' : 'refund_resolved',
+    role,
+    refund,
+    orderId: refund.order_id ?? null,
+  });
+};
+
+function openChannel(userId) {
+  channelUserId = userId;
+  channel = supabase
+    .channel(`orders-realtime-${userId}`)
+    .on('postgres_changes', {
+      event: '*',
+      schema: 'public',
+      table: 'orders',
+      filter: `buyer_id=eq.${userId}`
+    }, onOrderChange('buyer'))
+    .on('postgres_changes', {
+      event: '*',
+      schema: 'public',
+      table: 'orders',
+      filter: `farmer_id=eq.${userId}`
+    }, onOrderChange('farmer'))
+    .on('postgres_changes', {
+      event: '*',
+      schema: 'public',
+      table: REFUND_REQUESTS_TABLE,
+      filter: `buyer_id=eq.${userId}`
+    }, onRefundChange('buyer'))
+    .on('postgres_changes', {
+      event: '*',
+      schema: 'public',
+      table: REFUND_REQUESTS_TABLE,
+      filter: `farmer_id=eq.${userId}`
+    }, onRefundChange('farmer'))
+    .subscribe();
+}
+
+function closeChannel() {
+  if (channel) supabase.removeChannel(channel);
+  channel = null;
+  channelUserId = null;
+}
+
+/**
+ * Listen for order events of `userId`. Returns an unsubscribe function.
+ * A no-op when Supabase is not configured.
+ */
+export function subscribeToOrderEvents(userId, listener) {
+  if (!supabase || !userId) return () => {};
+  if (channel && channelUserId !== userId) {
+    // Account switched in this tab: earlier listeners belong to the previous session
+    closeChannel();
+    listeners.clear();
+  }
+  listeners.add(listener);
+  if (!channel) openChannel(userId);
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) closeChannel();
+  };
+}
@@ -0,0 +1,97 @@
+import supabase from './supabase';
+import { messagingService } from './messaging';
+
+/**
+ * Online presence per conversation: each signed-in tab tracks itself on one Supabase presence channel
+ * for every conversation the user is in, so users only learn about the people they talk to (the header
+ * subscribes on every page). Listeners receive the set of online user ids across those channels.
+ * Like orderRealtime, the channels are opened for the first listener and removed with the last one.
+ */
+const PRESENCE_CHANNEL_PREFIX = 'chat-presence:';
+
+const listeners = new Set();
+const channels = new Map(); // conversation id -> channel
+let channelUserId = null;
+let online = new Set();
+
+const emit = () => {
+  listeners.forEach((listener) => {
+    try {
+      listener(online);
+    } catch (err) {
+      console.error('Presence listener failed:', err);
+    }
+  });
+};
+
+const recompute = () => {
+  const next = new Set();
+  channels.forEach((channel) => Object.keys(channel.presenceState()).forEach((id) => next.add(id)));
+  online = next;
+  emit();
+};
+
+function joinConversation(conversationId) {
+  const key = String(conversationId);
+  if (channels.has(key)) return;
+  const userId = channelUserId;
+  const channel = supabase.channel(`${PRESENCE_CHANNEL_PREFIX}${key}`, { config: { presence: { key: String(userId) } } });
+  channels.set(key, channel);
+  channel
+    .on('presence', { event: 'sync' }, recompute)
+    .subscribe((status) => {
+      if (status === 'SUBSCRIBED') {
+        channel.track({ user_id: userId, online_at: new Date().toISOString() });
+      }
+    });
+}
+
+function openChannels(userId) {
+  channelUserId = userId;
+  messagingService.getConversations()
+    .then((conversations) => {
+      // Account switched or last listener left while loading
+      if (channelUserId !== userId) return;
+      syncPresenceConversations(conversations);
+    })
+    .catch((err) => console.error('Presence: could not load conversations:', err));
+}
+
+function closeChannels() {
+  channels.forEach((channel) => supabase.removeChannel(channel));
+  channels.clear();
+  channelUserId = null;
+  online = new Set();
+}
+
+/**
+ * Join the presence channel of any conversation not joined yet, e.g. after Messages loads or starts one.
+ * A no-op until the first presence listener is subscribed.
+ */
+export function syncPresenceConversations(conversations) {
+  if (!supabase || !channelUserId) return;
+  (Array.isArray(conversations) ? conversations : [])
+    .map((c) => c?.id ?? c?.conversation_id)
+    .filter((id) => id != null)
+    .forEach(joinConversation);
+}
+
+/**
+ * Mark `userId` online in their conversations and receive the set of online user ids (strings) on every change.
+ * Returns an unsubscribe function; a no-op when Supabase is not configured.
+ */
+export function subscribeToPresence(userId, listener) {
+  if (!supabase || !userId) return () => {};
+  if (channelUserId && channelUserId !== userId) {
+    // Account switched in this tab: earlier listeners belong to the previous session
+    closeChannels();
+    listeners.clear();
+  }
+  listeners.add(listener);
+  if (!channelUserId) openChannels(userId);
+  else listener(online);
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) closeChannels();
+  };
+}
@@ -13,11 +13,20 @@ export const profileService = {
   // Update profile image
   updateProfileImage: (userId, imageUrl) => api.patch(`/api/users/${userId}/profile-image`, { profile_image_url: imageUrl }),
 
+  // Answer an admin's info request ({ fields: { [key]: value }, note }); returns the farmer to the pending queue
+  resubmitApplication: (data) => api.post('/api/auth/resubmit-application', data),
+
   // Get preferred currency
   getPreferredCurrency: (userId) => api.get(`/api/users/${userId}/preferred-currency`),
 
   // Update preferred currency
   updatePreferredCurrency: (userId, currency) => api.patch(`/api/users/${userId}/preferred-currency`, { preferred_currency: currency }),
+
+  // Notification preferences ({ [event]: { in_app, email, push } })
+  getNotificationPreferences: (userId) => api.get(`/api/users/${userId}/notification-preferences`),
+
+  updateNotificationPreferences: (userId, preferences) =>
+    api.patch(`/api/users/${userId}/notification-preferences`, { notification_preferences: preferences }),
 };
 
 export default profileService;
@@ -0,0 +1,113 @@
+import api from './api';
+
+/**
+ * Web Push subscription for the current browser. The service worker (public/sw.js) is registered
+ * on demand from Settings; the backend stores the subscription and sends pushes for events
+ * whose `push` channel is enabled in the user's notification preferences.
+ *
+ * A browser has one subscription, so the user it was registered for is remembered locally: another
+ * account signing in on the same browser is "unsubscribed" and gets a fresh subscription, and logout
+ * removes it (AuthContext) so a shared device stops receiving the previous account's pushes.
+ */
+const SERVICE_WORKER_URL = '/sw.js';
+const VAPID_PUBLIC_KEY = process.env.REACT_APP_VAPID_PUBLIC_KEY;
+const OWNER_STORAGE_KEY = 'sharecrop_push_subscription_user';
+
+const getOwner = () => {
+  try {
+    return localStorage.getItem(OWNER_STORAGE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+const setOwner = (userId) => {
+  try {
+    if (userId) localStorage.setItem(OWNER_STORAGE_KEY, String(userId));
+    else localStorage.removeItem(OWNER_STORAGE_KEY);
+  } catch {
+    // Storage unavailable; status falls back to "unsubscribed" for everyone
+  }
+};
+
+const currentSubscription = async () => {
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  return registration ? registration.pushManager.getSubscription() : null;
+};
+
+const urlBase64ToUint8Array = (base64) => {
+  const padded = `${base64}${'='.repeat((4 - (base64.length % 4)) % 4)}`.replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(padded);
+  return Uint8Array.from(raw, (c) => c.charCodeAt(0));
+};
+
+const isSupported = () =>
+  typeof window !== 'undefined' &&
+  'serviceWorker' in navigator &&
+  'PushManager' in window &&
+  'Notification' in window;
+
+const getRegistration = async () => {
+  const existing = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  return existing || navigator.serviceWorker.register(SERVICE_WORKER_URL);
+};
+
+const pushNotificationsService = {
+  isSupported,
+
+  /** 'unsupported' | 'unconfigured' | 'denied' | 'subscribed' | 'unsubscribed', for `userId` on this browser */
+  getStatus: async (userId) => {
+    if (!isSupported()) return 'unsupported';
+    if (!VAPID_PUBLIC_KEY) return 'unconfigured';
+    if (Notification.permission === 'denied') return 'denied';
+    const subscription = await currentSubscription();
+    return subscription && userId && getOwner() === String(userId) ? 'subscribed' : 'unsubscribed';
+  },
+
+  /** Ask for permission, subscribe this browser and register it with the backend. */
+  subscribe: async (userId) => {
+    if (!isSupported()) throw new Error('This browser does not support push notifications');
+    if (!VAPID_PUBLIC_KEY) throw new Error('Push notifications are not configured');
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') throw new Error('Notification permission was not granted');
+    const registration = await getRegistration();
+    let subscription = await registration.pushManager.getSubscription();
+    // Another account's subscription: replace it so its server record points at a dead endpoint
+    if (subscription && getOwner() !== String(userId)) {
+      await subscription.unsubscribe();
+      subscription = null;
+    }
+    if (!subscription) {
+      subscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(VAPID_PUBLIC_KEY),
+      });
+    }
+    await api.post('/api/notifications/push-subscriptions', {
+      user_id: userId,
+      subscription: subscription.toJSON(),
+    });
+    setOwner(userId);
+    return subscription;
+  },
+
+  /** Delete the subscription on the server and in the browser; the browser side is dropped even if the server call fails. */
+  unsubscribe: async (userId) => {
+    if (!isSupported()) return;
+    const subscription = await currentSubscription();
+    if (!subscription) {
+      setOwner(null);
+      return;
+    }
+    try {
+      await api.delete('/api/notifications/push-subscriptions', {
+        data: { user_id: userId, endpoint: subscription.endpoint },
+      });
+    } finally {
+      await subscription.unsubscribe();
+      setOwner(null);
+    }
+  },
+};
+
+export default pushNotificationsService;
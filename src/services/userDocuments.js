@@ -2,6 +2,8 @@ import api from './api';
 
 export const userDocumentsService = {
     getUserDocuments: (userId) => api.get(`/api/user-documents/user/${userId}`),
+    /** `docData` may carry `document_type` (checklist item) and `expires_at`; see utils/farmerVerification. */
     addDocument: (docData) => api.post('/api/user-documents', docData),
+    updateDocument: (id, data) => api.patch(`/api/user-documents/${id}`, data),
     deleteDocument: (id) => api.delete(`/api/user-documents/${id}`)
 };
@@ -0,0 +1,65 @@
+/**
+ * Low-balance auto top-up. The buyer picks a coin pack, a threshold and a monthly cap
+ * (coinService.saveAutoTopUp); when their available balance drops below the threshold the app asks
+ * the server to buy the pack with the saved card (coinService.runAutoTopUp). The server repeats
+ * these checks before charging, so they only keep the client from sending requests that would be refused.
+ */
+
+/** Wait between runs so a slow webhook cannot trigger the same top-up twice. */
+export const AUTO_TOP_UP_COOLDOWN_MINUTES = 10;
+
+export const AUTO_TOP_UP_RUN_STATUS = {
+  succeeded: { label: 'Completed', color: 'success' },
+  pending: { label: 'Processing', color: 'warning' },
+  failed: { label: 'Failed', color: 'error' },
+  skipped: { label: 'Skipped (monthly cap)', color: 'default' },
+};
+
+const runsOf = (data) => (Array.isArray(data) ? data : Array.isArray(data?.runs) ? data.runs : []);
+
+const countsTowardCap = (run) => run.status === 'succeeded' || run.status === 'pending';
+
+export const isAutoTopUpActive = (settings) => Boolean(settings) && settings.status !== 'paused';
+
+/** Coins bought by auto top-up since the start of the current calendar month. */
+export function monthToDateCoins(runs, now = Date.now()) {
+  const d = new Date(now);
+  const monthStart = new Date(d.getFullYear(), d.getMonth(), 1).getTime();
+  return runsOf(runs)
+    .filter((r) => countsTowardCap(r) && new Date(r.created_at).getTime() >= monthStart)
+    .reduce((sum, r) => sum + (Number(r.coins) || 0), 0);
+}
+
+/**
+ * Whether a top-up should start for `balance` available coins.
+ * @returns {{ due: boolean, reason: 'inactive'|'above_threshold'|'in_flight'|'cap_reached'|null }}
+ */
+export function autoTopUpDecision(settings, balance, runs, now = Date.now()) {
+  if (!isAutoTopUpActive(settings)) return { due: false, reason: 'inactive' };
+  if (!(Number(balance) < Number(settings.threshold_coins))) return { due: false, reason: 'above_threshold' };
+  const list = runsOf(runs);
+  const cooldownStart = now - AUTO_TOP_UP_COOLDOWN_MINUTES * 60 * 1000;
+  if (list.some((r) => r.status === 'pending' || new Date(r.created_at).getTime() > cooldownStart)) {
+    return { due: false, reason: 'in_flight' };
+  }
+  if (monthToDateCoins(list, now) + (Number(settings.pack_coins) || 0) > Number(settings.monthly_cap_coins)) {
+    return { due: false, reason: 'cap_reached' };
+  }
+  return { due: true, reason: null };
+}
+
+/** Runs newest first. */
+export const sortedRuns = (data) =>
+  runsOf(data).slice().sort((a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0));
+
+/** Form validation; returns an error message or null. */
+export function validateAutoTopUp({ packCoins, threshold, monthlyCap }) {
+  const t = Number(threshold);
+  const cap = Number(monthlyCap);
+  if (!packCoins) return 'Choose the coin pack to buy';
+  if (!Number.isInteger(t) || t < 1) return 'The threshold must be a whole number of coins (1 or more)';
+  if (!Number.isInteger(cap) || cap < packCoins) {
+    return `The monthly cap must be at least one pack (${packCoins.toLocaleString()} coins)`;
+  }
+  return null;
+}
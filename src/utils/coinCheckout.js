@@ -0,0 +1,97 @@
+/**
+ * Coin checkout pricing in the buyer's currency. Admins enable a currency for payments on its
+ * currency-rate row (`checkout_enabled`) and may set a `rounding_increment`; USD is always available.
+ * Amounts are `coins / coins_per_unit` in the checkout currency, quoted at a rate that stays locked
+ * for RATE_LOCK_MINUTES so the price shown is the price charged.
+ */
+
+/** Must match backend coin purchase fee in `routes/coins.js`. */
+export const COIN_PURCHASE_APP_FEE_PERCENT = 5;
+
+/** Must match the quote window accepted by `POST /api/coins/purchase-intent`. */
+export const RATE_LOCK_MINUTES = 15;
+
+// 1 coin = US$1.00 when the rates omit a USD row
+const USD_FALLBACK = { currency: 'USD', display_name: 'US Dollar', symbol: '$', coins_per_unit: 1, checkout_enabled: true };
+
+// Currencies charged in whole units by the payment provider
+const ZERO_DECIMAL_CURRENCIES = ['CLP', 'ISK', 'JPY', 'KRW', 'PYG', 'RWF', 'UGX', 'VND', 'XAF', 'XOF'];
+
+const code = (currency) => String(currency || 'USD').toUpperCase();
+
+/** Smallest amount a price is rounded to: the admin's `rounding_increment`, else 1 or 0.01 by currency. */
+export function roundingIncrement(rate) {
+  const custom = Number(rate?.rounding_increment);
+  if (Number.isFinite(custom) && custom > 0) return custom;
+  return ZERO_DECIMAL_CURRENCIES.includes(code(rate?.currency)) ? 1 : 0.01;
+}
+
+const decimalsOf = (increment) => {
+  const [, fraction = ''] = String(increment).split('.');
+  return fraction.length;
+};
+
+/** Round half up to the rate's increment (e.g. 0.05 for CHF cash-style pricing, 1 for JPY). */
+export function roundCheckoutAmount(amount, rate) {
+  const increment = roundingIncrement(rate);
+  // Small epsilon so 2.675 / 0.01 does not land just below .5
+  const rounded = Math.round((Number(amount) || 0) / increment + 1e-9) * increment;
+  return Number(rounded.toFixed(decimalsOf(increment)));
+}
+
+/** "€12.50", "¥1,300" */
+export function formatCheckoutAmount(amount, rate) {
+  const decimals = decimalsOf(roundingIncrement(rate));
+  const value = Number(amount) || 0;
+  return `${rate?.symbol || `${code(rate?.currency)} `}${value.toLocaleString(undefined, { minimumFractionDigits: decimals, maximumFractionDigits: decimals })}`;
+}
+
+/** Subtotal, app fee and total in the checkout currency, each rounded with the currency's rule. */
+export function coinCheckoutFeeBreakdown(subtotal, rate = USD_FALLBACK) {
+  const s = roundCheckoutAmount(subtotal, rate);
+  const fee = roundCheckoutAmount(s * (COIN_PURCHASE_APP_FEE_PERCENT / 100), rate);
+  const total = roundCheckoutAmount(s + fee, rate);
+  return { subtotal: s, fee, total };
+}
+
+const isActive = (rate) => rate.is_active !== false;
+
+/** Rates a buyer can pay in: active rows an admin enabled for checkout, plus USD. */
+export function checkoutCurrencies(rates) {
+  const rows = (Array.isArray(rates) ? rates : []).filter(isActive);
+  const usd = rows.find((r) => code(r.currency) === 'USD') || USD_FALLBACK;
+  return [usd, ...rows.filter((r) => code(r.currency) !== 'USD' && r.checkout_enabled)];
+}
+
+/** The preferred currency when it is enabled for checkout, else USD. */
+export function resolveCheckoutCurrency(rates, preferred) {
+  const enabled = checkoutCurrencies(rates);
+  return (enabled.find((r) => code(r.currency) === code(preferred)) || enabled[0]).currency;
+}
+
+const coinsPerUnit = (rate) => {
+  const n = parseFloat(rate?.coins_per_unit);
+  return Number.isFinite(n) && n > 0 ? n : 1;
+};
+
+/** Price of `coins` in the rate's currency, before rounding. */
+export const coinsToCheckoutAmount = (coins, rate) => (Number(coins) || 0) / coinsPerUnit(rate);
+
+/** Pack prices come from the API in USD; convert through coins into the checkout currency. */
+export function usdToCheckoutAmount(usd, rates, rate) {
+  const usdRate = checkoutCurrencies(rates)[0];
+  return coinsToCheckoutAmount((Number(usd) || 0) * coinsPerUnit(usdRate), rate);
+}
+
+/** Quote sent with the purchase intent: the rate the buyer saw and when it was locked. */
+export function createRateLock(rate, now = Date.now()) {
+  return {
+    currency: code(rate?.currency),
+    coins_per_unit: coinsPerUnit(rate),
+    locked_at: new Date(now).toISOString(),
+    expires_at: new Date(now + RATE_LOCK_MINUTES * 60 * 1000).toISOString(),
+  };
+}
+
+export const isRateLockExpired = (lock, now = Date.now()) =>
+  !lock || new Date(lock.expires_at).getTime() <= now;
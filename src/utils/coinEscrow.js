@@ -0,0 +1,93 @@
+/**
+ * Locked-coin escrow per order. Placing an order locks its coins (getUserBalance `locked_coins`); the
+ * server releases part of them to the farmer when the order ships, the rest on completion, and returns
+ * whatever is still locked when the order is cancelled or refunded. It records each step in the escrow
+ * ledger (coinService.getEscrowLedger); steps the ledger does not have yet are projected from the
+ * order status so buyers can see what happens next.
+ */
+
+/** Must match the shipping release share in the backend order status handler. */
+export const SHIPPING_RELEASE_PERCENT = 50;
+
+export const ESCROW_EVENTS = {
+  lock: 'Coins locked',
+  partial_release: `${SHIPPING_RELEASE_PERCENT}% released to the farmer on shipping`,
+  release: 'Released to the farmer on completion',
+  refund: 'Returned to you',
+};
+
+const SHIPPED_STATUSES = ['shipped', 'completed'];
+const RETURNED_STATUSES = ['cancelled', 'refunded', 'rejected'];
+
+/** Ledger rows grouped by order id, oldest first. */
+export function escrowEntriesByOrder(data) {
+  const rows = Array.isArray(data) ? data : Array.isArray(data?.entries) ? data.entries : [];
+  const map = new Map();
+  rows
+    .slice()
+    .sort((a, b) => new Date(a.created_at || 0) - new Date(b.created_at || 0))
+    .forEach((row) => {
+      const key = String(row.order_id);
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(row);
+    });
+  return map;
+}
+
+/**
+ * Lock, shipping release and final release or return for one order.
+ * @param {{ status: string, created_at?: string }} order
+ * @param {number} orderCoins - Coins the order costs; used when the ledger has no lock row
+ * @param {Array} entries - This order's ledger rows (escrowEntriesByOrder)
+ * @returns {Array<{ event: string, label: string, coins: number, at: string|null, state: 'done'|'upcoming'|'skipped' }>}
+ */
+export function escrowTimeline(order, orderCoins, entries = []) {
+  const status = String(order?.status || '').toLowerCase();
+  const entry = (event) => entries.find((e) => e.event === event);
+  const lock = entry('lock');
+  const partial = entry('partial_release');
+  const release = entry('release');
+  const refund = entry('refund');
+
+  const locked = Number(lock?.coins) || Number(orderCoins) || 0;
+  const shipped = Boolean(partial) || SHIPPED_STATUSES.includes(status);
+  const returned = Boolean(refund) || RETURNED_STATUSES.includes(status);
+  const partialCoins = partial ? Number(partial.coins) || 0 : Math.floor((locked * SHIPPING_RELEASE_PERCENT) / 100);
+  const releasedOnShipping = shipped ? partialCoins : 0;
+
+  const steps = [
+    { event: 'lock', label: ESCROW_EVENTS.lock, coins: locked, at: lock?.created_at || order?.created_at || null, state: 'done' },
+    {
+      event: 'partial_release',
+      label: ESCROW_EVENTS.partial_release,
+      coins: partialCoins,
+      at: partial?.created_at || null,
+      state: shipped ? 'done' : returned ? 'skipped' : 'upcoming',
+    },
+  ];
+  if (returned) {
+    steps.push({
+      event: 'refund',
+      label: ESCROW_EVENTS.refund,
+      coins: refund ? Number(refund.coins) || 0 : locked - releasedOnShipping,
+      at: refund?.created_at || null,
+      state: 'done',
+    });
+  } else {
+    steps.push({
+      event: 'release',
+      label: ESCROW_EVENTS.release,
+      coins: release ? Number(release.coins) || 0 : locked - partialCoins,
+      at: release?.created_at || null,
+      state: release || status === 'completed' ? 'done' : 'upcoming',
+    });
+  }
+  return steps;
+}
+
+/** Coins of the order still held in escrow. */
+export function coinsStillLocked(steps) {
+  const [lock, ...rest] = steps;
+  const out = rest.filter((s) => s.state === 'done').reduce((sum, s) => sum + s.coins, 0);
+  return Math.max(0, (lock?.coins || 0) - out);
+}
@@ -0,0 +1,76 @@
+/**
+ * Peer-to-peer coin transfers (coinService.sendCoinTransfer). The server moves the coins and writes a
+ * debit for the sender and a credit for the recipient with `ref_type: 'coin_transfer'` and the transfer id
+ * as `ref_id`; an admin reversal writes the opposite pair with `ref_type: 'coin_transfer_reversal'`.
+ * Limits come from coinService.getTransferLimits and are enforced again on the server.
+ */
+
+export const DEFAULT_TRANSFER_LIMITS = {
+  daily_limit_coins: 1000,
+  per_transfer_max: 500,
+  note_max_length: 200,
+};
+
+export const TRANSFER_REF_TYPE = 'coin_transfer';
+export const TRANSFER_REVERSAL_REF_TYPE = 'coin_transfer_reversal';
+
+const positiveInt = (value) => {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+};
+
+export function normalizeTransferLimits(raw) {
+  return {
+    daily_limit_coins: positiveInt(raw?.daily_limit_coins) || DEFAULT_TRANSFER_LIMITS.daily_limit_coins,
+    per_transfer_max: positiveInt(raw?.per_transfer_max) || DEFAULT_TRANSFER_LIMITS.per_transfer_max,
+    note_max_length: positiveInt(raw?.note_max_length) || DEFAULT_TRANSFER_LIMITS.note_max_length,
+    // Coins already sent in the current (server) day
+    sent_today: Math.max(0, Number(raw?.sent_today) || 0),
+  };
+}
+
+/** Most a sender may still send right now. */
+export const remainingToday = (limits) =>
+  Math.max(0, Math.min(limits.per_transfer_max, limits.daily_limit_coins - limits.sent_today));
+
+/** Validation for the send form; returns an error message or null. */
+export function validateTransfer({ senderId, recipient, coins, note, balance, limits }) {
+  const n = Number(coins);
+  if (!recipient?.id) return 'Choose who to send coins to';
+  if (String(recipient.id) === String(senderId)) return 'You cannot send coins to yourself';
+  if (!Number.isInteger(n) || n < 1) return 'Enter a whole number of coins (1 or more)';
+  if (n > limits.per_transfer_max) return `You can send up to ${limits.per_transfer_max.toLocaleString()} coins per transfer`;
+  if (n > limits.daily_limit_coins - limits.sent_today) {
+    return `That exceeds your daily limit. You can send ${Math.max(0, limits.daily_limit_coins - limits.sent_today).toLocaleString()} more coins today`;
+  }
+  if (typeof balance === 'number' && n > balance) return `You only have ${balance.toLocaleString()} coins available`;
+  if ((note || '').length > limits.note_max_length) return `Keep the note under ${limits.note_max_length} characters`;
+  return null;
+}
+
+export const isTransferReversed = (transfer) =>
+  String(transfer?.status || '').toLowerCase() === 'reversed' || Boolean(transfer?.reversed_at);
+
+/** Index transfers by id for labelling coin transactions. */
+export function transfersById(data) {
+  const rows = Array.isArray(data) ? data : Array.isArray(data?.transfers) ? data.transfers : [];
+  return new Map(rows.map((t) => [String(t.id), t]));
+}
+
+/** Category and description for a coin transaction that belongs to a transfer, or null for other transactions. */
+export function describeTransferTransaction(tx, transfer, userId) {
+  if (tx.ref_type !== TRANSFER_REF_TYPE && tx.ref_type !== TRANSFER_REVERSAL_REF_TYPE) return null;
+  const sent = transfer ? String(transfer.sender_id) === String(userId) : tx.type === 'debit';
+  const other = transfer ? (sent ? transfer.recipient_name : transfer.sender_name) : null;
+  if (tx.ref_type === TRANSFER_REVERSAL_REF_TYPE) {
+    return {
+      category: 'Transfer reversed',
+      description: `Transfer ${sent ? 'to' : 'from'} ${other || 'another user'} reversed by ShareCrop`,
+    };
+  }
+  const base = sent ? `Sent to ${other || 'another user'}` : `Received from ${other || 'another user'}`;
+  return {
+    category: sent ? 'Coins sent' : 'Coins received',
+    description: transfer?.note ? `${base}: “${transfer.note}”` : base,
+  };
+}
@@ -0,0 +1,18 @@
+/**
+ * Complaint assignment and internal admin notes. Internal notes live in their own admin-only
+ * channel (adminService.getComplaintInternalNotes); remarks flagged internal are also filtered out
+ * of anything the complainant sees, in case a backend returns them in the public thread.
+ */
+
+export const isInternalRemark = (remark) =>
+  Boolean(remark?.is_internal || remark?.internal || remark?.visibility === 'internal');
+
+/** Remarks safe to show the complainant. */
+export const publicRemarks = (remarks) => (remarks || []).filter((r) => !isInternalRemark(r));
+
+export const assigneeId = (complaint) => complaint?.assigned_to ?? complaint?.assigned_admin_id ?? null;
+
+export const isAssignedTo = (complaint, userId) =>
+  Boolean(userId) && String(assigneeId(complaint) ?? '') === String(userId);
+
+export const adminLabel = (admin) => admin?.name || admin?.full_name || admin?.email || 'Admin';
@@ -0,0 +1,32 @@
+import { assigneeId, isAssignedTo, isInternalRemark, publicRemarks } from './complaintAssignment';
+
+describe('publicRemarks', () => {
+  test('drops remarks flagged internal in any of the supported shapes', () => {
+    const remarks = [
+      { id: 1, text: 'We are looking into it' },
+      { id: 2, text: 'Farmer has prior complaints', is_internal: true },
+      { id: 3, text: 'Check payout', internal: true },
+      { id: 4, text: 'Escalate to finance', visibility: 'internal' },
+      { id: 5, text: 'Resolved', visibility: 'public' },
+    ];
+    expect(publicRemarks(remarks).map((r) => r.id)).toEqual([1, 5]);
+  });
+
+  test('returns an empty list when there are no remarks', () => {
+    expect(publicRemarks(undefined)).toEqual([]);
+    expect(publicRemarks(null)).toEqual([]);
+  });
+
+  test('isInternalRemark treats a missing remark as public', () => {
+    expect(isInternalRemark(null)).toBe(false);
+  });
+});
+
+describe('isAssignedTo', () => {
+  test('compares either assignee field as a string', () => {
+    expect(assigneeId({ assigned_admin_id: 4 })).toBe(4);
+    expect(isAssignedTo({ assigned_to: 4 }, '4')).toBe(true);
+    expect(isAssignedTo({ assigned_to: 4 }, '5')).toBe(false);
+    expect(isAssignedTo({}, undefined)).toBe(false);
+  });
+});
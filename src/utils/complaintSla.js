@@ -0,0 +1,99 @@
+/**
+ * Complaint SLA targets and timing. A complaint's clock runs from `created_at` until it is resolved
+ * (`resolved_at`, or `updated_at` for resolved rows without one). Targets are hours per category,
+ * stored via adminService.get/updateComplaintSlaSettings. Breach alerts are sent by a backend job that
+ * stamps `sla_escalated_at`; the admin UI only displays it.
+ */
+
+export const DEFAULT_SLA_SETTINGS = {
+  default_hours: 72,
+  // Share of the target after which an open complaint counts as "at risk"
+  at_risk_ratio: 0.75,
+  categories: {
+    Refund: 24,
+    Payment: 24,
+    Order: 48,
+    Delivery: 48,
+  },
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const positiveNumber = (value) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+/** Fill gaps in a settings payload with the defaults and drop invalid hour values. */
+export function normalizeSlaSettings(raw) {
+  const categories = {};
+  Object.entries(raw?.categories || DEFAULT_SLA_SETTINGS.categories).forEach(([category, hours]) => {
+    const h = positiveNumber(hours);
+    if (h) categories[category] = h;
+  });
+  const ratio = Number(raw?.at_risk_ratio);
+  return {
+    default_hours: positiveNumber(raw?.default_hours) || DEFAULT_SLA_SETTINGS.default_hours,
+    at_risk_ratio: ratio > 0 && ratio < 1 ? ratio : DEFAULT_SLA_SETTINGS.at_risk_ratio,
+    categories,
+  };
+}
+
+export const slaTargetHours = (complaint, settings) =>
+  settings.categories[complaint?.category] || settings.default_hours;
+
+const isResolved = (complaint) => String(complaint?.status || '').toLowerCase() === 'resolved';
+
+const resolvedAt = (complaint) =>
+  isResolved(complaint) ? complaint.resolved_at || complaint.updated_at || null : null;
+
+/**
+ * SLA position of one complaint.
+ * `state` is 'on_track' | 'at_risk' | 'breached' for open complaints and 'met' | 'missed' once resolved.
+ */
+export function complaintSla(complaint, settings, now = Date.now()) {
+  const targetMs = slaTargetHours(complaint, settings) * HOUR_MS;
+  const start = new Date(complaint?.created_at || 0).getTime();
+  const end = isResolved(complaint) ? new Date(resolvedAt(complaint) || now).getTime() : now;
+  const ageMs = Math.max(0, end - start);
+  let state;
+  if (isResolved(complaint)) state = ageMs <= targetMs ? 'met' : 'missed';
+  else if (ageMs > targetMs) state = 'breached';
+  else if (ageMs >= targetMs * settings.at_risk_ratio) state = 'at_risk';
+  else state = 'on_track';
+  return { state, ageMs, targetMs, remainingMs: targetMs - ageMs };
+}
+
+/** "2d 5h", "7h", "25m" */
+export function formatSlaDuration(ms) {
+  const minutes = Math.floor(Math.abs(ms) / 60000);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) return hours ? `${days}d ${hours}h` : `${days}d`;
+  if (hours > 0) return `${hours}h`;
+  return `${minutes}m`;
+}
+
+/**
+ * Compliance per category: complaints resolved within target vs. those resolved late or still open past it.
+ * Complaints still inside their window are not counted yet.
+ * @returns {{ overall: number|null, rows: Array<{ category, met, missed, rate }> }} rates in percent
+ */
+export function slaCompliance(complaints, settings, now = Date.now()) {
+  const byCategory = new Map();
+  (complaints || []).forEach((c) => {
+    const { state } = complaintSla(c, settings, now);
+    if (state === 'on_track' || state === 'at_risk') return;
+    const category = c.category || 'Other';
+    const row = byCategory.get(category) || { category, met: 0, missed: 0 };
+    if (state === 'met') row.met += 1;
+    else row.missed += 1;
+    byCategory.set(category, row);
+  });
+  const rows = Array.from(byCategory.values())
+    .map((r) => ({ ...r, rate: Math.round((r.met / (r.met + r.missed)) * 100) }))
+    .sort((a, b) => a.rate - b.rate);
+  const met = rows.reduce((sum, r) => sum + r.met, 0);
+  const total = rows.reduce((sum, r) => sum + r.met + r.missed, 0);
+  return { overall: total ? Math.round((met / total) * 100) : null, rows };
+}
@@ -0,0 +1,23 @@
+/**
+ * Per-user conversation settings (pinned / muted / archived) as returned on conversation rows,
+ * shared by Messages and the header's recent-chats dropdown.
+ */
+
+export const isPinned = (conv) => Boolean(conv?.is_pinned ?? conv?.pinned);
+export const isMuted = (conv) => Boolean(conv?.is_muted ?? conv?.muted);
+export const isArchived = (conv) => Boolean(conv?.is_archived ?? conv?.archived);
+
+/** Pinned first, then most recent activity. Returns a new array. */
+export function sortConversations(conversations) {
+  return [...(conversations || [])].sort((a, b) => {
+    if (isPinned(a) !== isPinned(b)) return isPinned(a) ? -1 : 1;
+    return new Date(b.last_message_at || 0) - new Date(a.last_message_at || 0);
+  });
+}
+
+/** Unread messages that should badge the header: muted and archived chats stay quiet. */
+export function unreadTotal(conversations) {
+  return (conversations || [])
+    .filter((c) => !isMuted(c) && !isArchived(c))
+    .reduce((sum, c) => sum + (c.unread_count || 0), 0);
+}
@@ -0,0 +1,124 @@
+/**
+ * Farmer verification checklist. Each farmer uploads one document per checklist item
+ * (`document_type` on user_documents rows); admins approve or reject each one with a comment
+ * (`review_status`, `review_comment`), and items that expire carry `expires_at`.
+ * A farmer whose required document has lapsed cannot publish new listings until it is replaced.
+ */
+
+export const DOCUMENT_TYPES = {
+  government_id: { label: 'Government ID', hint: 'Passport, national ID card or driving licence', expires: true },
+  farm_licence: { label: 'Farm licence', hint: 'Registration or licence to operate the farm', expires: true },
+  tax_number: { label: 'Tax number', hint: 'Certificate or letter showing your tax number', expires: false },
+  bank_proof: { label: 'Bank proof', hint: 'Bank statement or letter showing the payout account', expires: false },
+};
+
+const DEFAULT_CHECKLIST = ['government_id', 'farm_licence', 'tax_number', 'bank_proof'];
+
+// Local names for checklist items; countries not listed use the defaults above
+const COUNTRY_OVERRIDES = {
+  US: { tax_number: { label: 'EIN or TIN', hint: 'IRS letter showing your EIN, or your TIN' } },
+  GB: {
+    farm_licence: { label: 'CPH number', hint: 'County Parish Holding registration letter' },
+    tax_number: { label: 'UTR or VAT number', hint: 'HMRC letter showing your UTR or VAT registration' },
+  },
+  DE: { tax_number: { label: 'Steuernummer', hint: 'Letter from the Finanzamt showing your tax number' } },
+  FR: { farm_licence: { label: 'SIRET registration', hint: 'Extrait Kbis or INSEE SIRET notice' } },
+  IN: {
+    tax_number: { label: 'PAN card', hint: 'Copy of your PAN card' },
+    bank_proof: { label: 'Cancelled cheque', hint: 'Cancelled cheque or bank passbook front page' },
+  },
+  KE: { tax_number: { label: 'KRA PIN certificate', hint: 'KRA PIN certificate from iTax' } },
+};
+
+/** Days before `expires_at` when a document shows as expiring; must match the backend's reminder job. */
+export const EXPIRY_REMINDER_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Checklist items for a country (ISO2 code), all required. */
+export function verificationChecklist(country) {
+  const overrides = COUNTRY_OVERRIDES[String(country || '').toUpperCase()] || {};
+  return DEFAULT_CHECKLIST.map((type) => ({ type, required: true, ...DOCUMENT_TYPES[type], ...overrides[type] }));
+}
+
+/** Whole days until the document expires (negative once expired), or null when it does not expire. */
+export function daysUntilExpiry(document, now = Date.now()) {
+  if (!document?.expires_at) return null;
+  const expires = new Date(document.expires_at).getTime();
+  return Number.isNaN(expires) ? null : Math.ceil((expires - now) / DAY_MS);
+}
+
+/** 'missing' | 'pending' | 'approved' | 'rejected' | 'expiring' | 'expired' */
+export function documentStatus(document, now = Date.now()) {
+  if (!document) return 'missing';
+  const days = daysUntilExpiry(document, now);
+  if (days != null && days < 0) return 'expired';
+  const review = String(document.review_status || 'pending').toLowerCase();
+  if (review === 'approved' && days != null && days <= EXPIRY_REMINDER_DAYS) return 'expiring';
+  return review === 'approved' || review === 'rejected' ? review : 'pending';
+}
+
+const uploadedAt = (d) => new Date(d.uploaded_at || d.created_at || 0).getTime();
+
+/**
+ * Checklist with the latest upload per item.
+ * `lapsed` lists required items whose approved document expired, which suspends new listings.
+ */
+export function checklistStatus(documents, country, now = Date.now()) {
+  const latest = new Map();
+  (documents || []).forEach((d) => {
+    if (!d.document_type) return;
+    const current = latest.get(d.document_type);
+    if (!current || uploadedAt(d) >= uploadedAt(current)) latest.set(d.document_type, d);
+  });
+  const items = verificationChecklist(country).map((item) => {
+    const document = latest.get(item.type) || null;
+    return { ...item, document, status: documentStatus(document, now) };
+  });
+  const required = items.filter((i) => i.required);
+  return {
+    items,
+    complete: required.every((i) => i.status === 'approved' || i.status === 'expiring'),
+    lapsed: required.filter((i) => i.status === 'expired'),
+    expiring: items.filter((i) => i.status === 'expiring'),
+  };
+}
+
+/**
+ * Third outcome for a pending farmer besides approve/reject. The admin's request is stored on the user as
+ * `info_request`: { document_types: [], fields: [], message, requested_at }. Resubmitting sets the farmer
+ * back to 'pending', which returns them to the AdminUsers pending queue.
+ */
+export const NEEDS_INFO_STATUS = 'needs_info';
+
+/** Application fields an admin can ask the farmer to complete or correct. */
+export const APPLICATION_FIELDS = {
+  name: 'Full name',
+  phone: 'Phone number',
+  address: 'Farm address',
+  country: 'Country',
+};
+
+export const isNeedsInfo = (user) => String(user?.approval_status || '').toLowerCase() === NEEDS_INFO_STATUS;
+
+/**
+ * What the farmer still has to do for an info request. A requested document counts once a copy was
+ * uploaded after the request; a requested field counts once it has a value.
+ * @returns {{ documents: Array<{ type, label }>, fields: Array<{ key, label }>, ready: boolean }}
+ */
+export function outstandingInfoRequest(request, documents, values, country) {
+  if (!request) return { documents: [], fields: [], ready: false };
+  const requestedAt = new Date(request.requested_at || 0).getTime();
+  const labels = Object.fromEntries(verificationChecklist(country).map((i) => [i.type, i.label]));
+  const pendingDocuments = (request.document_types || [])
+    .filter((type) => !(documents || []).some((d) => d.document_type === type && uploadedAt(d) > requestedAt))
+    .map((type) => ({ type, label: labels[type] || DOCUMENT_TYPES[type]?.label || type }));
+  const pendingFields = (request.fields || [])
+    .filter((key) => !String(values?.[key] ?? '').trim())
+    .map((key) => ({ key, label: APPLICATION_FIELDS[key] || key }));
+  return {
+    documents: pendingDocuments,
+    fields: pendingFields,
+    ready: pendingDocuments.length === 0 && pendingFields.length === 0,
+  };
+}
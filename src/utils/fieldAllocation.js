@@ -0,0 +1,188 @@
+/**
+ * Per-field sub-plot allocation: which order holds which slice of a field.
+ * Parcels are laid out in order-placement order (oldest on the west / left), so a buyer's slice stays put
+ * as newer orders arrive. Positions are illustrative — the contract is the m² on the order, not a surveyed plot.
+ */
+
+import { openRing, ringAreaM2 } from './fieldBoundary';
+
+/** Order statuses that occupy area, with the colours FarmOrders uses for the same statuses. */
+export const ALLOCATION_STATUS_META = {
+  pending: { label: 'Pending', color: '#d97706' },
+  active: { label: 'Active', color: '#1d4ed8' },
+  shipped: { label: 'Shipped', color: '#0369a1' },
+  completed: { label: 'Completed', color: '#059669' },
+};
+
+export const AVAILABLE_PARCEL_COLOR = '#e2e8f0';
+
+const toNumber = (v) => {
+  const n = typeof v === 'string' ? parseFloat(v) : Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+function normalizeParcel(raw, currentUserId) {
+  const status = String(raw.status || raw.order_status || 'pending').toLowerCase();
+  const buyerId = raw.buyer_id ?? raw.buyerId ?? raw.user_id ?? null;
+  const isMine = raw.is_mine === true
+    || (currentUserId != null && buyerId != null && String(buyerId) === String(currentUserId));
+  return {
+    id: String(raw.order_id ?? raw.id ?? `${buyerId}-${raw.created_at}`),
+    orderId: raw.order_id ?? raw.id ?? null,
+    buyerId,
+    buyerName: raw.buyer_name || null,
+    areaM2: toNumber(raw.quantity_m2 ?? raw.area_m2 ?? raw.quantity ?? raw.area_rented),
+    status,
+    isMine,
+    createdAt: raw.order_created_at || raw.created_at || null,
+  };
+}
+
+/**
+ * Parcels from GET /api/fields/:id/allocation rows or from order rows (FarmOrders / Orders shapes).
+ * Cancelled and other non-occupying statuses are dropped.
+ */
+export function buildAllocationParcels(rows, currentUserId) {
+  return (Array.isArray(rows) ? rows : [])
+    .map((r) => normalizeParcel(r, currentUserId))
+    .filter((p) => p.areaM2 > 0 && ALLOCATION_STATUS_META[p.status])
+    .sort((a, b) => {
+      const ta = a.createdAt ? new Date(a.createdAt).getTime() : 0;
+      const tb = b.createdAt ? new Date(b.createdAt).getTime() : 0;
+      if (ta !== tb) return ta - tb;
+      return a.id.localeCompare(b.id, undefined, { numeric: true });
+    });
+}
+
+/**
+ * Fallback when the allocation endpoint is unavailable: the viewer's own orders plus one aggregate
+ * "other buyers" parcel from /occupancy.
+ */
+export function parcelsFromOccupancy(occupancy, myOrders, currentUserId) {
+  const mine = buildAllocationParcels(myOrders, currentUserId).map((p) => ({ ...p, isMine: true }));
+  const myRentedM2 = occupancy ? toNumber(occupancy.my_rented_m2) : 0;
+  if (!mine.length && myRentedM2 > 0) {
+    mine.push({
+      id: 'mine',
+      orderId: null,
+      buyerId: currentUserId ?? null,
+      buyerName: null,
+      areaM2: myRentedM2,
+      status: 'active',
+      isMine: true,
+      createdAt: null,
+    });
+  }
+  const mineM2 = mine.reduce((s, p) => s + p.areaM2, 0);
+  const others = occupancy
+    ? toNumber(occupancy.others_rented_m2) || Math.max(0, toNumber(occupancy.occupied_total_m2) - mineM2)
+    : 0;
+  const out = [...mine];
+  if (others > 0) {
+    out.unshift({
+      id: 'others',
+      orderId: null,
+      buyerId: null,
+      buyerName: null,
+      areaM2: others,
+      status: 'active',
+      isMine: false,
+      aggregate: true,
+      createdAt: null,
+    });
+  }
+  return out;
+}
+
+/** Fraction (0–1) of the field per parcel plus the unallocated remainder, for the schematic strip view. */
+export function layoutParcelFractions(parcels, totalAreaM2) {
+  const total = toNumber(totalAreaM2) || parcels.reduce((s, p) => s + p.areaM2, 0);
+  if (!(total > 0)) return { parcels: [], availableFraction: 1 };
+  let used = 0;
+  const laidOut = parcels.map((p) => {
+    const fraction = Math.max(0, Math.min(p.areaM2 / total, 1 - used));
+    const start = used;
+    used += fraction;
+    return { ...p, start, fraction };
+  });
+  return { parcels: laidOut, availableFraction: Math.max(0, 1 - used) };
+}
+
+/** Sutherland–Hodgman clip of an open ring against the half-plane lng <= x (keepLeft) or lng >= x. */
+function clipRingAtLng(ring, x, keepLeft) {
+  const inside = (p) => (keepLeft ? p[0] <= x : p[0] >= x);
+  const out = [];
+  for (let i = 0; i < ring.length; i += 1) {
+    const cur = ring[i];
+    const prev = ring[(i + ring.length - 1) % ring.length];
+    const curIn = inside(cur);
+    const prevIn = inside(prev);
+    if (curIn !== prevIn) {
+      const t = (x - prev[0]) / (cur[0] - prev[0]);
+      out.push([x, prev[1] + t * (cur[1] - prev[1])]);
+    }
+    if (curIn) out.push(cur);
+  }
+  return out;
+}
+
+function lngForAreaFraction(ring, fraction, minX, maxX, totalArea) {
+  if (fraction <= 0) return minX;
+  if (fraction >= 1) return maxX;
+  let lo = minX;
+  let hi = maxX;
+  for (let i = 0; i < 40; i += 1) {
+    const mid = (lo + hi) / 2;
+    const a = ringAreaM2(clipRingAtLng(ring, mid, true)) / totalArea;
+    if (a < fraction) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+const closed = (ring) => (ring.length >= 3 ? [...ring, [...ring[0]]] : null);
+
+/**
+ * Split a field's GeoJSON boundary into west-to-east strips sized by each parcel's share of the field.
+ * @returns {{ type: 'FeatureCollection', features: object[] }}
+ */
+export function splitBoundaryIntoParcels(boundary, parcels, totalAreaM2) {
+  const ring = openRing(boundary?.coordinates?.[0]);
+  const features = [];
+  const area = ringAreaM2(ring);
+  if (ring.length < 3 || !(area > 0)) return { type: 'FeatureCollection', features };
+
+  const xs = ring.map((p) => p[0]);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const { parcels: laidOut, availableFraction } = layoutParcelFractions(parcels, totalAreaM2);
+
+  const pushStrip = (fromFraction, toFraction, properties) => {
+    const x0 = lngForAreaFraction(ring, fromFraction, minX, maxX, area);
+    const x1 = lngForAreaFraction(ring, toFraction, minX, maxX, area);
+    const strip = closed(clipRingAtLng(clipRingAtLng(ring, x0, false), x1, true));
+    if (!strip) return;
+    features.push({ type: 'Feature', geometry: { type: 'Polygon', coordinates: [strip] }, properties });
+  };
+
+  laidOut.forEach((p) => {
+    if (!(p.fraction > 0)) return;
+    pushStrip(p.start, p.start + p.fraction, {
+      id: p.id,
+      status: p.status,
+      color: ALLOCATION_STATUS_META[p.status]?.color || '#64748b',
+      isMine: p.isMine,
+      areaM2: p.areaM2,
+    });
+  });
+  if (availableFraction > 0) {
+    pushStrip(1 - availableFraction, 1, {
+      id: 'available',
+      status: 'available',
+      color: AVAILABLE_PARCEL_COLOR,
+      isMine: false,
+      areaM2: area * availableFraction,
+    });
+  }
+  return { type: 'FeatureCollection', features };
+}
@@ -0,0 +1,238 @@
+/**
+ * Field boundary polygons (GeoJSON, [lng, lat] order) drawn in LocationPicker.
+ * Everything here is computed client-side so drawing and area math keep working without a network.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { normalizeAreaUnit, toM2 } from './rentedFieldModels';
+import { metersPerPixelAtLatitude } from './spreadCoincidentMapMarkers';
+
+const EARTH_RADIUS_M = 6378137;
+const METERS_PER_DEG_LAT = 111320;
+const BOUNDARY_DRAFT_STORAGE_KEY = 'sharecrop_field_boundary_drafts';
+const BOUNDARY_DRAFT_SESSION_KEY = 'sharecrop_field_boundary_draft_session';
+let fallbackDraftSessionId = null;
+
+export const MIN_BOUNDARY_VERTICES = 3;
+/** Screen distance within which a new or dragged vertex snaps onto an existing one. */
+export const BOUNDARY_SNAP_TOLERANCE_PX = 12;
+
+function isLngLat(pt) {
+  return Array.isArray(pt) && pt.length >= 2 && Number.isFinite(Number(pt[0])) && Number.isFinite(Number(pt[1]));
+}
+
+function samePoint(a, b) {
+  return a[0] === b[0] && a[1] === b[1];
+}
+
+/** Open ring (no repeated closing vertex) from user-drawn vertices. */
+export function openRing(vertices) {
+  const pts = (Array.isArray(vertices) ? vertices : []).filter(isLngLat).map((p) => [Number(p[0]), Number(p[1])]);
+  if (pts.length > 1 && samePoint(pts[0], pts[pts.length - 1])) pts.pop();
+  return pts;
+}
+
+/** GeoJSON Polygon geometry for the drawn vertices, or null while fewer than three points exist. */
+export function verticesToBoundary(vertices) {
+  const ring = openRing(vertices);
+  if (ring.length < MIN_BOUNDARY_VERTICES) return null;
+  return { type: 'Polygon', coordinates: [[...ring, [...ring[0]]]] };
+}
+
+/**
+ * Normalise whatever the API stored on the field (`boundary` / `boundary_geojson`, as a Polygon,
+ * Feature or JSON string) to a Polygon geometry. Returns null when missing or malformed.
+ */
+export function getFieldBoundary(field) {
+  if (!field || typeof field !== 'object') return null;
+  let raw = field.boundary ?? field.boundary_geojson ?? field.boundaryGeojson ?? null;
+  if (typeof raw === 'string') {
+    try {
+      raw = JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+  if (raw && raw.type === 'Feature') raw = raw.geometry;
+  if (!raw || raw.type !== 'Polygon' || !Array.isArray(raw.coordinates) || !Array.isArray(raw.coordinates[0])) {
+    return null;
+  }
+  return verticesToBoundary(raw.coordinates[0]);
+}
+
+/** Editable vertex list (open ring) of a Polygon geometry. */
+export function boundaryVertices(boundary) {
+  if (!boundary || !Array.isArray(boundary.coordinates)) return [];
+  return openRing(boundary.coordinates[0]);
+}
+
+/**
+ * Spherical polygon area in m² (same approach as Mapbox `geojson-area`).
+ * Accurate to well under 1% for field-sized shapes.
+ */
+export function ringAreaM2(vertices) {
+  const ring = openRing(vertices);
+  const n = ring.length;
+  if (n < MIN_BOUNDARY_VERTICES) return 0;
+  const rad = (d) => (d * Math.PI) / 180;
+  let total = 0;
+  for (let i = 0; i < n; i += 1) {
+    const p1 = ring[i];
+    const p2 = ring[(i + 1) % n];
+    const p3 = ring[(i + 2) % n];
+    total += (rad(p3[0]) - rad(p1[0])) * Math.sin(rad(p2[1]));
+  }
+  return Math.abs((total * EARTH_RADIUS_M * EARTH_RADIUS_M) / 2);
+}
+
+/** Outer ring minus holes, in m². */
+export function boundaryAreaM2(boundary) {
+  if (!boundary || !Array.isArray(boundary.coordinates)) return 0;
+  const [outer, ...holes] = boundary.coordinates;
+  const holesArea = holes.reduce((sum, h) => sum + ringAreaM2(h), 0);
+  return Math.max(0, ringAreaM2(outer) - holesArea);
+}
+
+/** Express an m² area in a field size unit (any spelling `normalizeAreaUnit` accepts). */
+export function areaM2ToUnit(m2, unit) {
+  const perUnit = toM2(1, normalizeAreaUnit(unit));
+  if (!Number.isFinite(m2) || !(perUnit > 0)) return 0;
+  return m2 / perUnit;
+}
+
+/** Vertex average — good enough for the pin of a convex-ish field. */
+export function boundaryCentroid(vertices) {
+  const ring = openRing(vertices);
+  if (!ring.length) return null;
+  const sum = ring.reduce((acc, p) => [acc[0] + p[0], acc[1] + p[1]], [0, 0]);
+  return [sum[0] / ring.length, sum[1] / ring.length];
+}
+
+/** Approximate ground distance in meters between two nearby [lng, lat] points. */
+export function distanceMeters(a, b) {
+  const midLat = ((a[1] + b[1]) / 2) * (Math.PI / 180);
+  const dx = (b[0] - a[0]) * METERS_PER_DEG_LAT * Math.cos(midLat);
+  const dy = (b[1] - a[1]) * METERS_PER_DEG_LAT;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+/**
+ * Snap `lngLat` to the nearest candidate vertex within `BOUNDARY_SNAP_TOLERANCE_PX` at the current zoom.
+ * @param {[number, number]} lngLat
+ * @param {[number, number][]} candidates
+ * @param {number} zoom
+ * @returns {[number, number]}
+ */
+export function snapToVertex(lngLat, candidates, zoom) {
+  const mpp = metersPerPixelAtLatitude(lngLat[1], zoom);
+  if (!mpp || !Array.isArray(candidates) || !candidates.length) return lngLat;
+  const tolerance = mpp * BOUNDARY_SNAP_TOLERANCE_PX;
+  let best = null;
+  let bestDist = Infinity;
+  candidates.forEach((c) => {
+    if (!isLngLat(c)) return;
+    const d = distanceMeters(lngLat, c);
+    if (d <= tolerance && d < bestDist) {
+      best = c;
+      bestDist = d;
+    }
+  });
+  return best ? [Number(best[0]), Number(best[1])] : lngLat;
+}
+
+function segmentsIntersect(p1, p2, p3, p4) {
+  const cross = (a, b, c) => (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  const d1 = cross(p3, p4, p1);
+  const d2 = cross(p3, p4, p2);
+  const d3 = cross(p1, p2, p3);
+  const d4 = cross(p1, p2, p4);
+  return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+/** True when two non-adjacent edges of the ring cross (bow-tie shapes give meaningless areas). */
+export function ringSelfIntersects(vertices) {
+  const ring = openRing(vertices);
+  const n = ring.length;
+  if (n < 4) return false;
+  for (let i = 0; i < n; i += 1) {
+    const a1 = ring[i];
+    const a2 = ring[(i + 1) % n];
+    for (let j = i + 2; j < n; j += 1) {
+      if (i === 0 && j === n - 1) continue;
+      if (segmentsIntersect(a1, a2, ring[j], ring[(j + 1) % n])) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * FeatureCollection of field outlines for a Mapbox GeoJSON source.
+ * @param {object[]} fields
+ * @param {(field: object) => object} [getProperties]
+ */
+export function buildBoundaryFeatureCollection(fields, getProperties) {
+  const features = [];
+  (Array.isArray(fields) ? fields : []).forEach((field) => {
+    const geometry = getFieldBoundary(field);
+    if (!geometry) return;
+    features.push({
+      type: 'Feature',
+      id: field.id,
+      geometry,
+      properties: { id: field.id, name: field.name || '', ...(getProperties ? getProperties(field) : {}) },
+    });
+  });
+  return { type: 'FeatureCollection', features };
+}
+
+function readDrafts() {
+  try {
+    const stored = localStorage.getItem(BOUNDARY_DRAFT_STORAGE_KEY);
+    const parsed = stored ? JSON.parse(stored) : {};
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/** In-progress outline kept on the device so a dropped connection or reload does not lose the drawing. */
+export function loadBoundaryDraft(draftKey) {
+  if (!draftKey) return [];
+  return openRing(readDrafts()[draftKey]);
+}
+
+export function saveBoundaryDraft(draftKey, vertices) {
+  if (!draftKey) return;
+  const drafts = readDrafts();
+  const ring = openRing(vertices);
+  if (ring.length) drafts[draftKey] = ring;
+  else delete drafts[draftKey];
+  try {
+    localStorage.setItem(BOUNDARY_DRAFT_STORAGE_KEY, JSON.stringify(drafts));
+  } catch {
+    // Storage full or disabled — drawing still works, it just is not kept across reloads.
+  }
+}
+
+export function clearBoundaryDraft(draftKey) {
+  saveBoundaryDraft(draftKey, []);
+}
+
+/**
+ * Draft key for a field that has no id yet. Scoped to the farm and to this tab's session, so a reload
+ * restores the outline but another new field (or another tab) does not inherit it.
+ */
+export function newFieldBoundaryDraftKey(farmId) {
+  let sessionId = null;
+  try {
+    sessionId = sessionStorage.getItem(BOUNDARY_DRAFT_SESSION_KEY);
+    if (!sessionId) {
+      sessionId = uuidv4();
+      sessionStorage.setItem(BOUNDARY_DRAFT_SESSION_KEY, sessionId);
+    }
+  } catch {
+    fallbackDraftSessionId = fallbackDraftSessionId || uuidv4();
+    sessionId = fallbackDraftSessionId;
+  }
+  return `field-new-${farmId || 'unassigned'}-${sessionId}`;
+}
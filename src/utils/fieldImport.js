@@ -0,0 +1,449 @@
+/**
+ * Bulk farm / field import from the Excel "FIELD SETUP" sheet (CSV or XLSX export).
+ * Rows are validated with the same rules and unit normalisers as CreateFieldForm, and turned into the
+ * payloads the create forms submit, so imported fields behave exactly like hand-entered ones.
+ */
+
+import { FIELD_CATEGORY_DATA } from './fieldCategoryData';
+import { normalizeTotalProductionUnit, perAreaUnitSuffix } from './fieldProductionUnits';
+import { derivedSellQuantityFromPercent } from './fieldSellPercent';
+import { normalizeShippingDestinations, deriveShippingScopeEnum, normalizeIso2 } from './shippingDestinations';
+import { normalizeAreaUnit, toM2, unitLabel } from './rentedFieldModels';
+import { parseHarvestDate } from './harvestProgress';
+import { getProductImageUrlForStorage } from './productIcons';
+import { ISO2_COUNTRY_OPTIONS } from '../data/isoCountryOptions';
+
+/** Target columns, in template order. `aliases` are matched against sheet headers case- and punctuation-insensitively. */
+export const FIELD_IMPORT_COLUMNS = [
+  { key: 'farmName', label: 'Farm name', required: true, aliases: ['farm'] },
+  { key: 'farmLocation', label: 'Farm location', aliases: ['location', 'address', 'farm address'] },
+  { key: 'farmArea', label: 'Farm area', aliases: ['farm size'] },
+  { key: 'farmAreaUnit', label: 'Farm area unit', aliases: ['farm unit'] },
+  { key: 'fieldName', label: 'Field name', required: true, aliases: ['field', 'product', 'product name', 'name'] },
+  { key: 'category', label: 'Category', required: true, aliases: [] },
+  { key: 'subcategory', label: 'Subcategory', required: true, aliases: ['sub category', 'product type'] },
+  { key: 'description', label: 'Description', required: true, aliases: ['notes'] },
+  { key: 'latitude', label: 'Latitude', aliases: ['lat'] },
+  { key: 'longitude', label: 'Longitude', aliases: ['lng', 'lon', 'long'] },
+  { key: 'fieldSize', label: 'Field size', required: true, aliases: ['size', 'area', 'field area'] },
+  { key: 'fieldSizeUnit', label: 'Field size unit', aliases: ['size unit', 'area unit', 'unit'] },
+  { key: 'totalProduction', label: 'Total production', required: true, aliases: ['total harvest', 'production', 'expected harvest'] },
+  { key: 'totalProductionUnit', label: 'Production unit', aliases: ['total production unit', 'harvest unit'] },
+  { key: 'sellPercent', label: '% to sell', required: true, aliases: ['percent to sell', 'sell percent', 'selling amount'] },
+  { key: 'distributionPrice', label: 'Distribution price', required: true, aliases: [] },
+  { key: 'retailPrice', label: 'Retail price', required: true, aliases: [] },
+  { key: 'sellingPrice', label: 'Sharecrop price', required: true, aliases: ['your price', 'selling price', 'price'] },
+  { key: 'harvestDates', label: 'Harvest dates', required: true, aliases: ['harvest date', 'harvest'] },
+  { key: 'shippingOption', label: 'Shipping option', aliases: ['shipping'] },
+  { key: 'shippingDestinations', label: 'Ship to', aliases: ['shipping destinations', 'destinations'] },
+  { key: 'estimatedDeliveryDays', label: 'Delivery days after harvest', aliases: ['estimated delivery days', 'delivery days'] },
+];
+
+const EXCEL_EPOCH_UTC = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KG_ALIASES = ['kg', 'kilogram', 'kilograms'];
+const FORM_AREA_UNIT = { m2: 'sqm', acre: 'acres', ha: 'hectares' };
+const COUNTRY_CODES = new Set(ISO2_COUNTRY_OPTIONS.map((o) => o.code));
+const COUNTRY_CODE_BY_NAME = new Map(ISO2_COUNTRY_OPTIONS.map((o) => [o.name.trim().toLowerCase(), o.code]));
+
+const normalizeHeader = (h) => String(h || '').toLowerCase().replace(/[^a-z0-9%]+/g, ' ').trim();
+
+/** Best-guess column mapping: target key -> index of the sheet header (or -1). */
+export function guessHeaderMapping(headers) {
+  const normalized = (headers || []).map(normalizeHeader);
+  const used = new Set();
+  const mapping = {};
+  FIELD_IMPORT_COLUMNS.forEach((col) => {
+    const names = [col.label, col.key, ...col.aliases].map(normalizeHeader);
+    const index = normalized.findIndex((h, i) => !used.has(i) && names.includes(h));
+    mapping[col.key] = index;
+    if (index >= 0) used.add(index);
+  });
+  return mapping;
+}
+
+/** Downloadable CSV with the expected headers and one example row. */
+export function fieldImportTemplateCsv() {
+  const example = {
+    farmName: 'Green Valley',
+    farmLocation: 'Zurich, Switzerland',
+    farmArea: '5',
+    farmAreaUnit: 'hectares',
+    fieldName: 'Valley Tomatoes',
+    category: 'Vegetables',
+    subcategory: 'Tomato',
+    description: 'Open-field tomatoes, harvested by hand',
+    latitude: '47.3769',
+    longitude: '8.5417',
+    fieldSize: '2000',
+    fieldSizeUnit: 'm2',
+    totalProduction: '8000',
+    totalProductionUnit: 'kg',
+    sellPercent: '50',
+    distributionPrice: '1.2',
+    retailPrice: '3.5',
+    sellingPrice: '2.4',
+    harvestDates: `${new Date().getFullYear() + 1}-07-15; ${new Date().getFullYear() + 1}-08-20`,
+    shippingOption: 'Both',
+    shippingDestinations: 'CH; DE:Berlin',
+    estimatedDeliveryDays: '3',
+  };
+  const escape = (v) => `"${String(v).replace(/"/g, '""')}"`;
+  return [
+    FIELD_IMPORT_COLUMNS.map((c) => escape(c.label)).join(','),
+    FIELD_IMPORT_COLUMNS.map((c) => escape(example[c.key] ?? '')).join(','),
+  ].join('\n');
+}
+
+/**
+ * Numbers as typed in spreadsheets: `1,234.5`, `1.234,5`, `1,500`, `1234,5`, `12 %`.
+ * With both separators the last one is the decimal point; a lone comma is a thousands
+ * separator when it groups digits in threes (`1,500`), otherwise a decimal comma (`1,5`).
+ * A single `d,ddd` group could be either; validateImportRows flags it instead of trusting this guess.
+ */
+export function parseNumber(raw) {
+  let s = String(raw ?? '').replace(/[\s%$€£]/g, '');
+  if (!s) return null;
+  const lastComma = s.lastIndexOf(',');
+  const lastDot = s.lastIndexOf('.');
+  if (lastComma !== -1 && lastDot !== -1) {
+    s = lastComma > lastDot ? s.replace(/\./g, '').replace(',', '.') : s.replace(/,/g, '');
+  } else if (lastComma !== -1) {
+    s = /^-?\d{1,3}(,\d{3})+$/.test(s) ? s.replace(/,/g, '') : s.replace(',', '.');
+  }
+  if (!/^-?(\d+\.?\d*|\.\d+)$/.test(s)) return NaN;
+  return Number(s);
+}
+
+// `2,400`: 2400 with a thousands comma, or 2.4 with a decimal comma
+const isAmbiguousComma = (raw) => /^-?\d{1,3},\d{3}$/.test(String(raw ?? '').replace(/[\s%$€£]/g, ''));
+
+const ambiguousCommaError = (label, raw) => {
+  const [whole, fraction] = String(raw).replace(/[\s%$€£]/g, '').split(',');
+  return `${label} "${raw}" is ambiguous: write ${whole}${fraction} or ${whole}.${fraction.replace(/0+$/, '') || '0'}`;
+};
+
+const toYmd = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+/** `2026-07-15; 15 Aug 2026` or Excel serial day numbers -> YYYY-MM-DD strings (null entries are unparseable). */
+function parseHarvestDateList(raw) {
+  return String(raw || '')
+    .split(/[;|\n]/)
+    .map((t) => t.trim())
+    .filter(Boolean)
+    .map((token) => {
+      if (/^\d+(\.\d+)?$/.test(token) && Number(token) > 20000) {
+        const d = new Date(EXCEL_EPOCH_UTC + Math.floor(Number(token)) * DAY_MS);
+        return { token, ymd: d.toISOString().slice(0, 10) };
+      }
+      const parsed = parseHarvestDate(token);
+      return { token, ymd: parsed ? toYmd(parsed) : null };
+    });
+}
+
+function countryCodeFrom(raw) {
+  const s = String(raw || '').trim();
+  const code = normalizeIso2(s);
+  if (code) return COUNTRY_CODES.has(code) ? code : '';
+  return COUNTRY_CODE_BY_NAME.get(s.toLowerCase()) || '';
+}
+
+/** `CH; DE:Berlin; France` -> destination objects; returns unknown tokens separately. */
+function parseShippingDestinations(raw) {
+  const text = String(raw || '').trim();
+  if (!text || /^(global|worldwide|anywhere)$/i.test(text)) return { destinations: [], unknown: [] };
+  if (text.startsWith('[')) {
+    return { destinations: normalizeShippingDestinations(text), unknown: [] };
+  }
+  const unknown = [];
+  const candidates = text.split(/[;|\n]/).map((t) => t.trim()).filter(Boolean).map((token) => {
+    const [countryPart, cityPart] = token.split(':').map((p) => p.trim());
+    const countryCode = countryCodeFrom(countryPart);
+    if (!countryCode) {
+      unknown.push(token);
+      return null;
+    }
+    return cityPart ? { type: 'city', countryCode, city: cityPart } : { type: 'country', countryCode };
+  });
+  return { destinations: normalizeShippingDestinations(candidates.filter(Boolean)), unknown };
+}
+
+function canonicalCategory(raw) {
+  const s = String(raw || '').trim().toLowerCase();
+  return Object.keys(FIELD_CATEGORY_DATA).find((c) => c.toLowerCase() === s) || null;
+}
+
+function canonicalSubcategory(category, raw) {
+  const s = String(raw || '').trim().toLowerCase();
+  return (FIELD_CATEGORY_DATA[category] || []).find((c) => c.toLowerCase() === s) || null;
+}
+
+function canonicalShippingOption(raw) {
+  const s = String(raw || '').trim().toLowerCase();
+  if (!s) return 'Both';
+  if (['both', 'pickup and shipping', 'pickup & shipping', 'pickup/shipping'].includes(s)) return 'Both';
+  if (['pickup', 'pick up', 'collection'].includes(s)) return 'Pickup';
+  if (['shipping', 'delivery', 'ship'].includes(s)) return 'Shipping';
+  return null;
+}
+
+/** [lat, lng] of an existing farm record, whichever shape the API returned. */
+export function farmLatLng(farm) {
+  if (!farm) return null;
+  const c = farm.coordinates;
+  let lat = null;
+  let lng = null;
+  if (Array.isArray(c)) [lng, lat] = c;
+  else if (c && typeof c === 'object') ({ lat, lng } = c);
+  lat = parseFloat(lat ?? farm.latitude);
+  lng = parseFloat(lng ?? farm.longitude);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? [lat, lng] : null;
+}
+
+const farmKey = (name) => String(name || '').trim().toLowerCase();
+
+/** Farm size and area already used by its fields, in m², for the "Not enough area left" check. */
+function existingFarmArea(farm) {
+  const unit = normalizeAreaUnit(farm.areaUnit || farm.area_unit || 'm2');
+  const capacityM2 = farm.farmAreaM2 ?? toM2(farm.areaValue ?? farm.area_value, unit);
+  const usedM2 = farm.occupiedAreaM2 ?? (farm.fields || []).reduce((sum, f) => sum + (Number(f.totalAreaM2) || 0), 0);
+  return { capacityM2: Number(capacityM2) || 0, usedM2: Number(usedM2) || 0, unit };
+}
+
+/**
+ * Validate every row against the mapping. Besides the per-row rules, fields are checked against the area
+ * left on their farm (existing fields plus earlier valid rows), as CreateFieldForm does; a new farm's size
+ * comes from the first row that names it.
+
+ * @param {string[][]} rows data rows (header excluded)
+ * @param {Record<string, number>} mapping from guessHeaderMapping / the mapping step
+ * @param {object[]} existingFarms the farmer's farms (id, name, coordinates)
+ * @returns {{ rowNumber: number, values: object, farmKey: string, existingFarmId: *, errors: string[] }[]}
+ */
+export function validateImportRows(rows, mapping, existingFarms = []) {
+  const farmsByKey = new Map((existingFarms || []).map((f) => [farmKey(f.name || f.farm_name), f]));
+  const seenFields = new Map();
+  const farmAreas = new Map();
+  const todayYmd = toYmd(new Date());
+
+  return (rows || []).map((row, index) => {
+    const rowNumber = index + 2; // header is sheet row 1
+    const cell = (key) => (mapping[key] >= 0 ? String(row[mapping[key]] ?? '').trim() : '');
+    const errors = [];
+
+    FIELD_IMPORT_COLUMNS.filter((c) => c.required).forEach((c) => {
+      if (!cell(c.key)) errors.push(`${c.label} is required`);
+    });
+
+    const category = canonicalCategory(cell('category'));
+    if (cell('category') && !category) errors.push(`Unknown category "${cell('category')}"`);
+    const subcategory = category ? canonicalSubcategory(category, cell('subcategory')) : null;
+    if (category && cell('subcategory') && !subcategory) {
+      errors.push(`"${cell('subcategory')}" is not a ${category} subcategory`);
+    }
+
+    const numbers = {};
+    [
+      ['fieldSize', true],
+      ['totalProduction', true],
+      ['sellPercent', true],
+      ['distributionPrice', false],
+      ['retailPrice', false],
+      ['sellingPrice', false],
+    ].forEach(([key, mustBePositive]) => {
+      if (!cell(key)) return;
+      const n = parseNumber(cell(key));
+      const label = FIELD_IMPORT_COLUMNS.find((c) => c.key === key).label;
+      if (isAmbiguousComma(cell(key))) errors.push(ambiguousCommaError(label, cell(key)));
+      else if (Number.isNaN(n)) errors.push(`${label} must be a number`);
+      else if (mustBePositive ? n <= 0 : n < 0) errors.push(`${label} must be ${mustBePositive ? 'greater than zero' : 'zero or more'}`);
+      numbers[key] = n;
+    });
+    if (numbers.sellPercent > 100) errors.push('% to sell cannot exceed 100');
+
+    const rawSizeUnit = cell('fieldSizeUnit');
+    const sizeUnit = normalizeAreaUnit(rawSizeUnit);
+    if (rawSizeUnit && !['m2', 'acre', 'ha', 'ft2'].includes(sizeUnit)) errors.push(`Unknown field size unit "${rawSizeUnit}"`);
+
+    const rawProductionUnit = cell('totalProductionUnit');
+    const productionUnit = normalizeTotalProductionUnit(rawProductionUnit);
+    if (rawProductionUnit && productionUnit === 'kg' && !KG_ALIASES.includes(rawProductionUnit.toLowerCase())) {
+      errors.push(`Unknown production unit "${rawProductionUnit}" (use kg, L, lbs or units)`);
+    }
+
+    const harvestDates = parseHarvestDateList(cell('harvestDates'));
+    harvestDates.forEach(({ token, ymd }) => {
+      if (!ymd) errors.push(`Harvest date "${token}" is not a valid date`);
+      else if (ymd < todayYmd) errors.push(`Harvest date ${ymd} is in the past`);
+    });
+
+    const shippingOption = canonicalShippingOption(cell('shippingOption'));
+    if (!shippingOption) errors.push(`Shipping option must be Pickup, Shipping or Both (got "${cell('shippingOption')}")`);
+
+    const { destinations, unknown } = parseShippingDestinations(cell('shippingDestinations'));
+    unknown.forEach((t) => errors.push(`Unknown shipping destination "${t}" (use country codes like CH or CH:Zurich)`));
+
+    let estimatedDeliveryDays = null;
+    if (cell('estimatedDeliveryDays')) {
+      const n = parseInt(cell('estimatedDeliveryDays'), 10);
+      if (Number.isNaN(n) || n < 1) errors.push('Delivery days after harvest must be a whole number of at least 1');
+      else estimatedDeliveryDays = Math.min(n, 366);
+    }
+
+    const key = farmKey(cell('farmName'));
+    const existingFarm = farmsByKey.get(key) || null;
+    if (!existingFarm && isAmbiguousComma(cell('farmArea'))) errors.push(ambiguousCommaError('Farm area', cell('farmArea')));
+    let latLng = null;
+    if (cell('latitude') || cell('longitude')) {
+      const lat = parseNumber(cell('latitude'));
+      const lng = parseNumber(cell('longitude'));
+      if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+        errors.push('Latitude / longitude are not valid coordinates');
+      } else {
+        latLng = [lat, lng];
+      }
+    } else {
+      latLng = farmLatLng(existingFarm);
+      if (!latLng) errors.push('Latitude and longitude are required unless the farm already exists with a location');
+    }
+
+    const fieldKey = `${key}::${cell('fieldName').toLowerCase()}`;
+    if (cell('fieldName') && seenFields.has(fieldKey)) {
+      errors.push(`Duplicate of row ${seenFields.get(fieldKey)} (same farm and field name)`);
+    } else if (cell('fieldName')) {
+      seenFields.set(fieldKey, rowNumber);
+    }
+
+    if (key && !farmAreas.has(key)) {
+      if (existingFarm) {
+        farmAreas.set(key, existingFarmArea(existingFarm));
+      } else {
+        // Same default unit as buildImportedFarmPayload
+        const unit = normalizeAreaUnit(cell('farmAreaUnit') || 'acres');
+        const farmArea = isAmbiguousComma(cell('farmArea')) ? NaN : parseNumber(cell('farmArea'));
+        farmAreas.set(key, { capacityM2: Number.isFinite(farmArea) ? toM2(farmArea, unit) : 0, usedM2: 0, unit });
+      }
+    }
+    // Only rows that will be imported take up farm area
+    if (errors.length === 0 && farmAreas.has(key)) {
+      const area = farmAreas.get(key);
+      const sizeM2 = toM2(numbers.fieldSize, sizeUnit);
+      const remainingM2 = Math.max(0, area.capacityM2 - area.usedM2);
+      if (!existingFarm && area.capacityM2 <= 0) {
+        errors.push('Farm area is required to add fields to a new farm');
+      } else if (sizeM2 > remainingM2 + 1e-6) {
+        const remaining = remainingM2 / toM2(1, area.unit);
+        errors.push(`Not enough area left in farm (${remaining.toFixed(2)} ${unitLabel(area.unit)} available)`);
+      } else {
+        area.usedM2 += sizeM2;
+      }
+    }
+
+    return {
+      rowNumber,
+      farmKey: key,
+      existingFarmId: existingFarm?.id ?? null,
+      errors,
+      values: {
+        farmName: cell('farmName'),
+        farmLocation: cell('farmLocation'),
+        farmArea: parseNumber(cell('farmArea')),
+        farmAreaUnit: cell('farmAreaUnit'),
+        fieldName: cell('fieldName'),
+        category,
+        subcategory,
+        description: cell('description'),
+        latitude: latLng ? latLng[0] : null,
+        longitude: latLng ? latLng[1] : null,
+        fieldSize: numbers.fieldSize,
+        fieldSizeUnit: sizeUnit,
+        totalProduction: numbers.totalProduction,
+        totalProductionUnit: productionUnit,
+        sellPercent: numbers.sellPercent,
+        distributionPrice: numbers.distributionPrice,
+        retailPrice: numbers.retailPrice,
+        sellingPrice: numbers.sellingPrice,
+        harvestDates: harvestDates.filter((h) => h.ymd).map((h) => ({ date: h.ymd, label: '' })),
+        shippingOption: shippingOption || 'Both',
+        shippingDestinations: destinations,
+        estimatedDeliveryDays,
+      },
+    };
+  });
+}
+
+/** Payload for farmsService.create, matching what AddFarmForm submits. */
+export function buildImportedFarmPayload(values, ownerId) {
+  const farmAreaUnit = FORM_AREA_UNIT[normalizeAreaUnit(values.farmAreaUnit || 'acres')] || 'acres';
+  return {
+    name: values.farmName,
+    farmName: values.farmName,
+    location: values.farmLocation || `${values.latitude.toFixed(4)}, ${values.longitude.toFixed(4)}`,
+    coordinates: { lat: values.latitude, lng: values.longitude },
+    areaValue: Number.isFinite(values.farmArea) ? values.farmArea : '',
+    areaUnit: farmAreaUnit,
+    description: values.description || '',
+    status: 'Active',
+    owner_id: ownerId,
+  };
+}
+
+/** Payload for fieldsService.create with the derived pricing CreateFieldForm computes on the fly. */
+export function buildImportedFieldPayload(values, { farmId, ownerId, farmerName, location }) {
+  // ft² has no option in the form, so it is stored as m²
+  const formUnit = FORM_AREA_UNIT[values.fieldSizeUnit] || 'sqm';
+  const fieldSize = formUnit === 'sqm' ? toM2(values.fieldSize, values.fieldSizeUnit) : values.fieldSize;
+  const sizeM2 = toM2(values.fieldSize, values.fieldSizeUnit);
+  const productionPerArea = sizeM2 > 0 ? values.totalProduction / sizeM2 : 0;
+  const amountToSell = derivedSellQuantityFromPercent(values.totalProduction, values.sellPercent);
+  const potentialIncome = amountToSell * values.sellingPrice;
+  const pricePerM2 = values.sellingPrice * productionPerArea;
+  const scope = deriveShippingScopeEnum(values.shippingDestinations, 'Global');
+  const image = getProductImageUrlForStorage(values.subcategory);
+
+  return {
+    name: values.fieldName,
+    productName: values.fieldName,
+    category: values.category,
+    subcategory: values.subcategory,
+    description: values.description || '',
+    short_description: '',
+    price: values.sellingPrice,
+    latitude: values.latitude,
+    longitude: values.longitude,
+    coordinates: [values.longitude, values.latitude],
+    image,
+    icon: image,
+    field_size: fieldSize,
+    field_size_unit: formUnit,
+    production_rate: productionPerArea.toFixed(3),
+    production_rate_unit: perAreaUnitSuffix(values.totalProductionUnit),
+    total_production: values.totalProduction,
+    total_production_unit: values.totalProductionUnit,
+    distribution_price: values.distributionPrice,
+    quantity_sell_percent: values.sellPercent,
+    quantity: amountToSell,
+    retailPrice: values.retailPrice,
+    virtualCostPerUnit: (values.distributionPrice * productionPerArea).toFixed(3),
+    appFees: (potentialIncome * 0.05).toFixed(2),
+    potentialIncome: potentialIncome.toFixed(2),
+    harvest_dates: values.harvestDates,
+    harvest_date: values.harvestDates[0]?.date || null,
+    shipping_option: values.shippingOption,
+    shipping_pickup: values.shippingOption !== 'Shipping',
+    shipping_delivery: values.shippingOption !== 'Pickup',
+    estimated_delivery_days: values.estimatedDeliveryDays,
+    shipping_scope: scope,
+    shipping_destinations: values.shippingDestinations,
+    farm_id: farmId,
+    owner_id: ownerId,
+    farmer_name: farmerName || '',
+    location,
+    available_area: fieldSize,
+    total_area: fieldSize,
+    price_per_m2: Number(pricePerM2.toFixed(3)),
+    is_own_field: true,
+    available_for_buy: true,
+    available_for_rent: false,
+  };
+}
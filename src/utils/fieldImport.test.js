@@ -0,0 +1,95 @@
+import { FIELD_IMPORT_COLUMNS, guessHeaderMapping, parseNumber, validateImportRows } from './fieldImport';
+
+describe('parseNumber', () => {
+  test('reads a comma grouping thousands as a thousands separator', () => {
+    expect(parseNumber('1,500')).toBe(1500);
+    expect(parseNumber('1,234,567')).toBe(1234567);
+  });
+
+  test('reads a lone comma not followed by three digits as a decimal comma', () => {
+    expect(parseNumber('1,5')).toBe(1.5);
+    expect(parseNumber('1234,5')).toBe(1234.5);
+  });
+
+  test('uses the last separator as the decimal point when both appear', () => {
+    expect(parseNumber('1.234,5')).toBe(1234.5);
+    expect(parseNumber('1,234.5')).toBe(1234.5);
+  });
+
+  test('ignores spaces, percent and currency signs', () => {
+    expect(parseNumber(' 12 %')).toBe(12);
+    expect(parseNumber('$2,000')).toBe(2000);
+  });
+
+  test('returns null for empty cells and NaN for text', () => {
+    expect(parseNumber('')).toBeNull();
+    expect(parseNumber(null)).toBeNull();
+    expect(parseNumber('abc')).toBeNaN();
+  });
+});
+
+describe('validateImportRows', () => {
+  const headers = FIELD_IMPORT_COLUMNS.map((c) => c.label);
+  const mapping = guessHeaderMapping(headers);
+  const nextYear = new Date().getFullYear() + 1;
+  const baseRow = {
+    farmName: 'Green Valley',
+    farmArea: '1',
+    farmAreaUnit: 'hectares',
+    fieldName: 'Valley Tomatoes',
+    category: 'Vegetables',
+    subcategory: 'Tomato',
+    description: 'Open-field tomatoes',
+    latitude: '47.3769',
+    longitude: '8.5417',
+    fieldSize: '4000',
+    fieldSizeUnit: 'm2',
+    totalProduction: '8000',
+    totalProductionUnit: 'kg',
+    sellPercent: '50',
+    distributionPrice: '1.2',
+    retailPrice: '3.5',
+    sellingPrice: '2.4',
+    harvestDates: `${nextYear}-07-15`,
+  };
+  const row = (overrides = {}) => {
+    const values = { ...baseRow, ...overrides };
+    return FIELD_IMPORT_COLUMNS.map((c) => values[c.key] ?? '');
+  };
+
+  test('accepts a complete row', () => {
+    expect(validateImportRows([row()], mapping)[0].errors).toEqual([]);
+  });
+
+  test('requires a description, as CreateFieldForm does', () => {
+    expect(validateImportRows([row({ description: '' })], mapping)[0].errors).toContain('Description is required');
+  });
+
+  test('rejects fields that do not fit in the area left on a new farm', () => {
+    const result = validateImportRows(
+      [row({ fieldName: 'A' }), row({ fieldName: 'B' }), row({ fieldName: 'C', fieldSize: '2001' })],
+      mapping
+    );
+    expect(result[0].errors).toEqual([]);
+    expect(result[1].errors).toEqual([]);
+    expect(result[2].errors).toEqual(['Not enough area left in farm (0.20 ha available)']);
+  });
+
+  test('counts the fields an existing farm already has', () => {
+    const farms = [{ id: 7, name: 'Green Valley', coordinates: { lat: 47, lng: 8 }, farmAreaM2: 5000, occupiedAreaM2: 3000, areaUnit: 'm2' }];
+    const [result] = validateImportRows([row({ fieldSize: '2500' })], mapping, farms);
+    expect(result.existingFarmId).toBe(7);
+    expect(result.errors).toEqual(['Not enough area left in farm (2000.00 m² available)']);
+  });
+
+  test('requires a farm area for a new farm', () => {
+    const [result] = validateImportRows([row({ farmArea: '' })], mapping);
+    expect(result.errors).toEqual(['Farm area is required to add fields to a new farm']);
+  });
+
+  test('flags a single thousands-or-decimal comma instead of guessing', () => {
+    const [result] = validateImportRows([row({ totalProduction: '2,400' })], mapping);
+    expect(result.errors).toEqual(['Total production "2,400" is ambiguous: write 2400 or 2.4']);
+    expect(validateImportRows([row({ totalProduction: '2,400.5' })], mapping)[0].errors).toEqual([]);
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Calendar events for harvests, shipping lead windows and order delivery days, plus iCalendar export.
+ * Dates are whole local days; the same rules as the per-card harvest UI (harvestProgress.js) apply.
+ */
+
+import { collectHarvestDateStrings, parseHarvestDate, resolveHarvestDate } from './harvestProgress';
+import { getEstimatedDeliveryLeadDays } from './fieldEstimatedDelivery';
+
+/** Lead used when a field has no estimated_delivery_days (same fallback FarmOrders shows). */
+export const DEFAULT_SHIPPING_LEAD_DAYS = 2;
+
+export const CALENDAR_EVENT_KINDS = {
+  harvest: { label: 'Harvest', color: '#059669' },
+  shipping: { label: 'Shipping window', color: '#0369a1' },
+  delivery: { label: 'Delivery', color: '#d97706' },
+};
+
+/** Orders that still have a harvest or delivery ahead of them. */
+const OPEN_ORDER_STATUSES = ['pending', 'active', 'shipped'];
+
+export function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+export function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/** `YYYY-MM-DD` in local time, used as a stable day key. */
+export function toDayKey(date) {
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${m}-${d}`;
+}
+
+const fieldName = (item) => item?.name || item?.field_name || item?.product_name || 'Field';
+
+function harvestDaysOf(item) {
+  const seen = new Map();
+  collectHarvestDateStrings(item).forEach((raw) => {
+    const parsed = parseHarvestDate(raw);
+    if (!parsed) return;
+    const day = startOfDay(parsed);
+    seen.set(toDayKey(day), day);
+  });
+  return [...seen.values()];
+}
+
+function orderDeliveryHarvestDay(order) {
+  const selected = parseHarvestDate(order.order_selected_harvest_date ?? order.delivery_date);
+  if (selected) return startOfDay(selected);
+  const resolved = resolveHarvestDate(order);
+  return resolved ? startOfDay(resolved) : null;
+}
+
+/**
+ * Build calendar events from fields and orders.
+ * Fields contribute harvest days and the shipping window after each harvest; open orders contribute the
+ * expected delivery day (selected harvest + shipping lead). Deliveries on the same field and day are grouped.
+ * @param {{ fields?: object[], orders?: object[] }} input
+ * @returns {{ id: string, kind: string, start: Date, end: Date, title: string, fieldId: *, orderIds: *[], leadDays: number|null }[]}
+ */
+export function buildHarvestCalendarEvents({ fields = [], orders = [] } = {}) {
+  const events = [];
+  const fieldSeen = new Set();
+
+  const addFieldEvents = (field) => {
+    const key = String(field.id ?? field.field_id ?? fieldName(field));
+    if (fieldSeen.has(key)) return;
+    fieldSeen.add(key);
+    const leadDays = getEstimatedDeliveryLeadDays(field, DEFAULT_SHIPPING_LEAD_DAYS);
+    harvestDaysOf(field).forEach((day) => {
+      const dayKey = toDayKey(day);
+      events.push({
+        id: `harvest-${key}-${dayKey}`,
+        kind: 'harvest',
+        start: day,
+        end: day,
+        title: `Harvest · ${fieldName(field)}`,
+        fieldId: field.id ?? field.field_id ?? null,
+        orderIds: [],
+        leadDays,
+      });
+      events.push({
+        id: `shipping-${key}-${dayKey}`,
+        kind: 'shipping',
+        start: addDays(day, 1),
+        end: addDays(day, leadDays),
+        title: `Shipping · ${fieldName(field)}`,
+        fieldId: field.id ?? field.field_id ?? null,
+        orderIds: [],
+        leadDays,
+      });
+    });
+  };
+
+  (Array.isArray(fields) ? fields : []).forEach((field) => field && addFieldEvents(field));
+
+  const deliveries = new Map();
+  (Array.isArray(orders) ? orders : []).forEach((order) => {
+    if (!order || !OPEN_ORDER_STATUSES.includes(String(order.status || 'pending').toLowerCase())) return;
+    const harvestDay = orderDeliveryHarvestDay(order);
+    if (!harvestDay) return;
+    const leadDays = getEstimatedDeliveryLeadDays(order, DEFAULT_SHIPPING_LEAD_DAYS);
+    const day = addDays(harvestDay, leadDays);
+    const groupKey = `${order.field_id ?? fieldName(order)}-${toDayKey(day)}`;
+    const existing = deliveries.get(groupKey);
+    if (existing) {
+      existing.orderIds.push(order.id);
+      return;
+    }
+    deliveries.set(groupKey, {
+      id: `delivery-${groupKey}`,
+      kind: 'delivery',
+      start: day,
+      end: day,
+      title: fieldName(order),
+      fieldId: order.field_id ?? null,
+      orderIds: [order.id],
+      leadDays,
+    });
+  });
+  deliveries.forEach((event) => {
+    const count = event.orderIds.length;
+    events.push({
+      ...event,
+      title: count > 1 ? `${count} deliveries · ${event.title}` : `Delivery · ${event.title}`,
+    });
+  });
+
+  return events.sort((a, b) => a.start - b.start || a.kind.localeCompare(b.kind));
+}
+
+/** Events overlapping the given day. */
+export function eventsOnDay(events, day) {
+  const ts = startOfDay(day).getTime();
+  return events.filter((e) => e.start.getTime() <= ts && e.end.getTime() >= ts);
+}
+
+function icsDate(date) {
+  return toDayKey(date).replace(/-/g, '');
+}
+
+function icsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+}
+
+function utf8Length(ch) {
+  const code = ch.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  return code < 0x10000 ? 3 : 4;
+}
+
+/** RFC 5545 line folding: at most 75 octets per line, continuation lines start with a space. */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const ch of line) {
+    const size = utf8Length(ch);
+    if (octets + size > 75) {
+      parts.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += ch;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+}
+
+function describeEvent(event) {
+  if (event.kind === 'shipping') {
+    return `Goods typically ship within ~${event.leadDays} day${event.leadDays === 1 ? '' : 's'} after harvest.`;
+  }
+  if (event.kind === 'delivery') {
+    return `Expected delivery for order${event.orderIds.length === 1 ? '' : 's'} ${event.orderIds.map((id) => `#${id}`).join(', ')}.`;
+  }
+  return 'Scheduled harvest.';
+}
+
+/**
+ * Serialise events as an iCalendar (.ics) document of all-day events.
+ * @param {object[]} events output of buildHarvestCalendarEvents
+ * @param {{ calendarName?: string }} [options]
+ */
+export function buildIcsCalendar(events, { calendarName = 'ShareCrop harvests' } = {}) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//ShareCrop//Harvest Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(calendarName)}`,
+  ];
+  (Array.isArray(events) ? events : []).forEach((event) => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.id}@sharecrop`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(event.start)}`,
+      // DTEND is exclusive for all-day events
+      `DTEND;VALUE=DATE:${icsDate(addDays(event.end, 1))}`,
+      `SUMMARY:${icsText(event.title)}`,
+      `DESCRIPTION:${icsText(describeEvent(event))}`,
+      `CATEGORIES:${icsText(CALENDAR_EVENT_KINDS[event.kind]?.label || event.kind)}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  });
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
@@ -0,0 +1,61 @@
+/**
+ * Share one declared field harvest between the orders on that field, in proportion to the m² each order rents.
+ * Rounded with the largest-remainder method so the shares always add up to the declared total.
+ */
+
+// Orders that do not hold area on the field: not yet accepted, or cancelled
+const NOT_SHARING_STATUSES = ['pending', 'cancelled', 'rejected'];
+
+/**
+ * Orders whose rented area shares the field's harvest: the orders being completed (`completingIds`) plus
+ * accepted orders that are not in this batch, which still rent part of the field and keep their share.
+ * Pending and cancelled orders hold no area, so they take none.
+ */
+export function ordersSharingHarvest(orders, fieldId, completingIds = []) {
+  const completing = new Set(completingIds.map(String));
+  return (Array.isArray(orders) ? orders : []).filter(
+    (o) =>
+      String(o.field_id) === String(fieldId) &&
+      (completing.has(String(o.id)) || !NOT_SHARING_STATUSES.includes(String(o.status || '').toLowerCase()))
+  );
+}
+
+const orderAreaM2 = (order) => {
+  const n = Number(order?.quantity);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+};
+
+/**
+ * @param {object[]} orders orders on one field (FarmOrders rows; `quantity` is m²)
+ * @param {number} totalAmount declared harvest for the whole field
+ * @param {number} [decimals=2]
+ * @returns {{ orderId: *, areaM2: number, fraction: number, amount: number }[]}
+ */
+export function distributeHarvestByArea(orders, totalAmount, decimals = 2) {
+  const list = Array.isArray(orders) ? orders : [];
+  const total = Number(totalAmount);
+  if (!list.length || !Number.isFinite(total) || total <= 0) return [];
+
+  const totalArea = list.reduce((sum, o) => sum + orderAreaM2(o), 0);
+  const scale = 10 ** decimals;
+  const totalUnits = Math.round(total * scale);
+
+  const rows = list.map((order, index) => {
+    const areaM2 = orderAreaM2(order);
+    // Equal split when no order carries an area
+    const fraction = totalArea > 0 ? areaM2 / totalArea : 1 / list.length;
+    const exact = totalUnits * fraction;
+    return { index, orderId: order.id, areaM2, fraction, units: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+
+  let leftover = totalUnits - rows.reduce((sum, r) => sum + r.units, 0);
+  [...rows]
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .forEach((r) => {
+      if (leftover <= 0) return;
+      r.units += 1;
+      leftover -= 1;
+    });
+
+  return rows.map(({ orderId, areaM2, fraction, units }) => ({ orderId, areaM2, fraction, amount: units / scale }));
+}
@@ -0,0 +1,43 @@
+import { distributeHarvestByArea, ordersSharingHarvest } from './harvestDistribution';
+
+describe('distributeHarvestByArea', () => {
+  test('splits in proportion to each order\'s area', () => {
+    const shares = distributeHarvestByArea([{ id: 1, quantity: 100 }, { id: 2, quantity: 300 }], 80);
+    expect(shares.map((s) => [s.orderId, s.amount])).toEqual([[1, 20], [2, 60]]);
+  });
+
+  test('rounded shares always add up to the declared total', () => {
+    const shares = distributeHarvestByArea([{ id: 1, quantity: 1 }, { id: 2, quantity: 1 }, { id: 3, quantity: 1 }], 10);
+    expect(shares.map((s) => s.amount)).toEqual([3.34, 3.33, 3.33]);
+    expect(shares.reduce((sum, s) => sum + s.amount * 100, 0)).toBe(1000);
+  });
+
+  test('splits equally when no order has an area', () => {
+    const shares = distributeHarvestByArea([{ id: 1 }, { id: 2 }], 5);
+    expect(shares.map((s) => s.amount)).toEqual([2.5, 2.5]);
+  });
+
+  test('returns no shares for an invalid total or no orders', () => {
+    expect(distributeHarvestByArea([{ id: 1, quantity: 10 }], 0)).toEqual([]);
+    expect(distributeHarvestByArea([{ id: 1, quantity: 10 }], NaN)).toEqual([]);
+    expect(distributeHarvestByArea([], 10)).toEqual([]);
+  });
+});
+
+describe('ordersSharingHarvest', () => {
+  const orders = [
+    { id: 1, field_id: 'f1', status: 'active' },
+    { id: 2, field_id: 'f1', status: 'pending' },
+    { id: 3, field_id: 'f1', status: 'cancelled' },
+    { id: 4, field_id: 'f1', status: 'shipped' },
+    { id: 5, field_id: 'f2', status: 'active' },
+  ];
+
+  test('keeps accepted orders on the field and drops pending, cancelled and other fields', () => {
+    expect(ordersSharingHarvest(orders, 'f1').map((o) => o.id)).toEqual([1, 4]);
+  });
+
+  test('includes the orders being completed even while pending', () => {
+    expect(ordersSharingHarvest(orders, 'f1', [2]).map((o) => o.id)).toEqual([1, 2, 4]);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Message attachments. Files are uploaded to Supabase storage and sent as a message whose
+ * `message_type` is 'image' or 'file' and whose content is a JSON payload
+ * ({ url, name, size, mime }), so the messages API and table need no new columns.
+ */
+
+export const MAX_ATTACHMENTS_PER_SEND = 5;
+
+const RULES = [
+  { type: 'image', mimes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'], maxBytes: 8 * 1024 * 1024 },
+  { type: 'file', mimes: ['application/pdf'], maxBytes: 10 * 1024 * 1024 },
+];
+
+/** Value for the file input's `accept` attribute. */
+export const ATTACHMENT_ACCEPT = RULES.flatMap((r) => r.mimes).join(',');
+
+export function formatFileSize(bytes) {
+  const n = Number(bytes) || 0;
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${Math.round(n / 1024)} KB`;
+  return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+const ruleFor = (file) => RULES.find((r) => r.mimes.includes(String(file?.type).toLowerCase())) || null;
+
+/** 'image' | 'file' for an allowed file, null otherwise. */
+export function attachmentMessageType(file) {
+  return ruleFor(file)?.type || null;
+}
+
+/** Error message for a file that cannot be attached, or null. */
+export function validateAttachment(file) {
+  const rule = ruleFor(file);
+  if (!rule) return `${file?.name || 'File'}: only JPG, PNG, WebP, GIF images and PDFs can be attached`;
+  if (file.size > rule.maxBytes) {
+    return `${file.name}: ${rule.type === 'image' ? 'images' : 'PDFs'} must be ${formatFileSize(rule.maxBytes)} or smaller`;
+  }
+  return null;
+}
+
+export function encodeAttachment({ url, name, size, mime }) {
+  return JSON.stringify({ url, name, size, mime });
+}
+
+const messageTypeOf = (message) => message?.message_type || message?.messageType || 'text';
+
+/** Attachment payload of an image/file message, or null for text messages and malformed content. */
+export function parseAttachment(message) {
+  const type = messageTypeOf(message);
+  if (type !== 'image' && type !== 'file') return null;
+  try {
+    const payload = JSON.parse(message.content);
+    // Optimistic PDF drafts have no URL until the upload finishes
+    return payload && (payload.url || payload.name) ? { ...payload, type } : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Conversation list preview for a message's content. */
+export function messagePreview(content, messageType = 'text') {
+  let attachment = parseAttachment({ content, message_type: messageType });
+  // Conversation rows may not carry the last message's type; the JSON payload is recognisable on its own
+  if (!attachment && typeof content === 'string' && content.startsWith('{"url"')) {
+    try {
+      const payload = JSON.parse(content);
+      if (payload.url && payload.mime) {
+        attachment = { ...payload, type: String(payload.mime).startsWith('image/') ? 'image' : 'file' };
+      }
+    } catch {
+      // Plain text that happens to start like JSON
+    }
+  }
+  if (!attachment) return content;
+  return attachment.type === 'image' ? '📷 Photo' : `📄 ${attachment.name || 'Document'}`;
+}
@@ -0,0 +1,101 @@
+/**
+ * Per-event, per-channel notification preferences stored on the user profile
+ * (`notification_preferences`: { [event]: { in_app, email, push } }).
+ * The backend applies them when sending email / push; the client applies `in_app` when listing.
+ */
+
+export const NOTIFICATION_EVENTS = [
+  { key: 'new_order', label: 'New order', description: 'A buyer orders on your field, or your order is confirmed' },
+  { key: 'harvest_approaching', label: 'Harvest approaching', description: 'A field you own or rent is close to harvest' },
+  { key: 'refund_request', label: 'Refund requests', description: 'Refund requested, approved or declined' },
+  { key: 'complaint_reply', label: 'Complaint replies', description: 'Support replied to or resolved your complaint' },
+  { key: 'verification_documents', label: 'Verification documents', description: 'A document was reviewed or is about to expire', roles: ['farmer'] },
+  { key: 'redemption_processed', label: 'Redemptions', description: 'A coin redemption was paid, rejected or failed' },
+  { key: 'new_message', label: 'New messages', description: 'Someone messaged you or a chat was unlocked' },
+];
+
+export const NOTIFICATION_CHANNELS = [
+  { key: 'in_app', label: 'In-app' },
+  { key: 'email', label: 'Email' },
+  { key: 'push', label: 'Push' },
+];
+
+const EVENT_KEYS = NOTIFICATION_EVENTS.map((e) => e.key);
+
+/** Events relevant to a user type; events without `roles` apply to everyone. */
+export const notificationEventsFor = (userType) =>
+  NOTIFICATION_EVENTS.filter((e) => !e.roles || e.roles.includes(String(userType || '').toLowerCase()));
+
+/** Everything in-app, email for money-related events, push opt-in. */
+export const DEFAULT_NOTIFICATION_PREFERENCES = Object.fromEntries(
+  EVENT_KEYS.map((key) => [
+    key,
+    {
+      in_app: true,
+      email: ['new_order', 'refund_request', 'redemption_processed', 'complaint_reply', 'verification_documents'].includes(key),
+      push: false,
+    },
+  ])
+);
+
+/** Fill missing events / channels with defaults; accepts an object or its JSON string. */
+export function normalizeNotificationPreferences(raw) {
+  let prefs = raw;
+  if (typeof raw === 'string') {
+    try {
+      prefs = JSON.parse(raw);
+    } catch {
+      prefs = null;
+    }
+  }
+  const source = prefs && typeof prefs === 'object' ? prefs : {};
+  return Object.fromEntries(
+    EVENT_KEYS.map((key) => {
+      const defaults = DEFAULT_NOTIFICATION_PREFERENCES[key];
+      const row = source[key] && typeof source[key] === 'object' ? source[key] : {};
+      return [
+        key,
+        Object.fromEntries(
+          NOTIFICATION_CHANNELS.map(({ key: channel }) => [
+            channel,
+            typeof row[channel] === 'boolean' ? row[channel] : defaults[channel],
+          ])
+        ),
+      ];
+    })
+  );
+}
+
+// Order matters: refund messages also mention orders
+const EVENT_KEYWORDS = [
+  ['refund_request', ['refund']],
+  ['complaint_reply', ['complaint']],
+  ['verification_documents', ['licence', 'license', 'verification document']],
+  ['redemption_processed', ['redemption', 'payout']],
+  ['new_message', ['message', 'chat unlocked']],
+  ['harvest_approaching', ['harvest']],
+  ['new_order', ['new order', 'order received', 'order placed', 'purchased', 'order #']],
+];
+
+/** Event a notification belongs to (`event_type` on newer rows), or null when it matches none. */
+export function notificationEventType(notification) {
+  const explicit = String(notification?.event_type || '').toLowerCase();
+  if (EVENT_KEYS.includes(explicit)) return explicit;
+  if (notification?.type === 'harvest_alert') return 'harvest_approaching';
+  const text = `${notification?.title || ''} ${notification?.message || ''}`.toLowerCase();
+  const hit = EVENT_KEYWORDS.find(([, words]) => words.some((w) => text.includes(w)));
+  return hit ? hit[0] : null;
+}
+
+/** Events switched off for `channel`, e.g. to send to the server with a paginated listing. */
+export function mutedEventTypes(preferences, channel) {
+  const prefs = normalizeNotificationPreferences(preferences);
+  return EVENT_KEYS.filter((key) => prefs[key][channel] === false);
+}
+
+/** Notifications outside the known events (system notices) are always delivered. */
+export function isChannelEnabled(preferences, eventType, channel) {
+  if (!eventType) return true;
+  const prefs = normalizeNotificationPreferences(preferences);
+  return prefs[eventType]?.[channel] !== false;
+}
@@ -0,0 +1,93 @@
+/**
+ * Notification categories and deep links. Backend rows carry a severity `type` (info/success/warning/error)
+ * and, on newer rows, a `category`; older rows are classified from their message text.
+ */
+
+export const NOTIFICATION_CATEGORIES = [
+  { key: 'order', label: 'Orders' },
+  { key: 'refund', label: 'Refunds' },
+  { key: 'complaint', label: 'Complaints' },
+  { key: 'coin', label: 'Coins' },
+  { key: 'approval', label: 'Approvals' },
+  { key: 'other', label: 'Other' },
+];
+
+const CATEGORY_KEYS = NOTIFICATION_CATEGORIES.map((c) => c.key);
+
+// First match wins, so the more specific words come first ("refund" messages also mention orders and coins)
+const CATEGORY_KEYWORDS = [
+  ['refund', ['refund']],
+  ['complaint', ['complaint', 'ticket', 'dispute']],
+  ['approval', ['approved', 'approval', 'verification', 'verified', 'license', 'licence', 'account rejected', 'documents']],
+  ['coin', ['coin', 'payment', 'payout', 'redemption', 'wallet', 'top-up', 'top up']],
+  ['order', ['order', 'purchased', 'purchase', 'harvest', 'pickup', 'shipped', 'rented', 'rental']],
+];
+
+/** Read flag regardless of backend column naming. */
+export function isNotificationRead(n) {
+  return Boolean(n?.read ?? n?.is_read ?? n?.read_at);
+}
+
+export function notificationCategory(n) {
+  const explicit = String(n?.category || '').toLowerCase();
+  if (CATEGORY_KEYS.includes(explicit)) return explicit;
+  const text = `${n?.title || ''} ${n?.message || ''}`.toLowerCase();
+  const hit = CATEGORY_KEYWORDS.find(([, words]) => words.some((w) => text.includes(w)));
+  return hit ? hit[0] : 'other';
+}
+
+// Order / complaint the notification is about: explicit columns on newer rows, else "order #123" in the text
+const recordId = (n, kind) => {
+  const explicit = n?.[`${kind}_id`];
+  if (explicit != null && explicit !== '') return String(explicit);
+  const match = String(n?.message || '').match(new RegExp(`${kind}\\s*#\\s*(\\w+)`, 'i'));
+  return match ? match[1] : null;
+};
+
+/** Same-origin app path; rejects protocol-relative `//host` and `/\host`, which browsers resolve off-site. */
+export const isAppPath = (link) => /^\/(?![/\\])/.test(String(link || ''));
+
+const withRecord = (path, kind, id) => (id ? `${path}?${kind}=${encodeURIComponent(id)}` : path);
+
+/**
+ * Page a notification should open, relative to the user's area (/farmer or /buyer).
+ * Order and complaint pages get `?order=` / `?complaint=` so they open that record.
+ */
+export function notificationLink(n, userType) {
+  const base = userType === 'farmer' ? '/farmer' : '/buyer';
+  if (isAppPath(n?.link)) return n.link;
+  const msg = String(n?.message || '').toLowerCase();
+  const orderId = recordId(n, 'order');
+  const ordersPage = withRecord(userType === 'farmer' ? '/farmer/farm-orders' : '/buyer/orders', 'order', orderId);
+  if (msg.includes('new order received') || msg.includes('order received for')) {
+    return ordersPage;
+  }
+  if (msg.includes('refund')) {
+    return ordersPage;
+  }
+  if (msg.includes('order placed') || msg.includes('purchased')) {
+    return withRecord('/buyer/orders', 'order', orderId);
+  }
+  if (msg.includes('complaint') || n?.complaint_id) {
+    return withRecord(`${base}/complaints`, 'complaint', recordId(n, 'complaint'));
+  }
+  if (msg.includes('accepted') || msg.includes('approved')) {
+    return `${base}/rented-fields`;
+  }
+  if (msg.includes('harvest') || msg.includes('ready for pickup')) {
+    return `${base}/rented-fields`;
+  }
+  if (msg.includes('chat unlocked') || msg.includes('message')) {
+    return `${base}/messages`;
+  }
+  if (msg.includes('payment') || msg.includes('coins')) {
+    return `${base}/transaction`;
+  }
+  if (msg.includes('rented') || msg.includes('rental')) {
+    return `${base}/rented-fields`;
+  }
+  if (n?.order_id) {
+    return ordersPage;
+  }
+  return `${base}/notifications`;
+}
@@ -0,0 +1,39 @@
+import { isAppPath, notificationLink } from './notifications';
+
+describe('isAppPath', () => {
+  test('accepts same-origin paths', () => {
+    expect(isAppPath('/buyer/orders?order=12')).toBe(true);
+  });
+
+  test('rejects protocol-relative and absolute URLs', () => {
+    expect(isAppPath('//evil.com')).toBe(false);
+    expect(isAppPath('/\\evil.com')).toBe(false);
+    expect(isAppPath('https://evil.com/buyer')).toBe(false);
+    expect(isAppPath('')).toBe(false);
+    expect(isAppPath(undefined)).toBe(false);
+  });
+});
+
+describe('notificationLink', () => {
+  test('uses an explicit same-origin link', () => {
+    expect(notificationLink({ link: '/farmer/messages' }, 'farmer')).toBe('/farmer/messages');
+  });
+
+  test('ignores an off-site link and resolves from the notification instead', () => {
+    expect(notificationLink({ link: '//evil.com', order_id: 7 }, 'buyer')).toBe('/buyer/orders?order=7');
+  });
+
+  test('opens the order on the role\'s orders page', () => {
+    expect(notificationLink({ message: 'New order received for order #42' }, 'farmer')).toBe('/farmer/farm-orders?order=42');
+    expect(notificationLink({ message: 'Your refund for order #42 was approved' }, 'buyer')).toBe('/buyer/orders?order=42');
+  });
+
+  test('opens complaints with the complaint id', () => {
+    expect(notificationLink({ message: 'Update on your complaint', complaint_id: 'c1' }, 'buyer')).toBe('/buyer/complaints?complaint=c1');
+  });
+
+  test('falls back to the notifications page', () => {
+    expect(notificationLink({ message: 'Welcome to ShareCrop' }, 'farmer')).toBe('/farmer/notifications');
+    expect(notificationLink(null, undefined)).toBe('/buyer/notifications');
+  });
+});
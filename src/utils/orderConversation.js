@@ -0,0 +1,34 @@
+/**
+ * Order-linked conversations. A conversation started from an order carries `order_id` / `field_id`;
+ * the thread shows a context card built from the order (see components/Messaging/OrderContextCard).
+ */
+
+/** Card data from a raw API order row or a formatted row from Orders / FarmOrders. */
+export function orderContext(order) {
+  if (!order) return null;
+  return {
+    order_id: order.order_id ?? order.id,
+    field_id: order.field_id ?? null,
+    field_name: order.field_name || order.product_name || 'Field',
+    quantity: Number(order.quantity) || 0,
+    harvest_date: order.selected_harvest_date || order.order_selected_harvest_date || order.delivery_date || null,
+    status: order.status || 'pending',
+    buyer_id: order.buyer_id ?? null,
+    farmer_id: order.farmer_id ?? null,
+  };
+}
+
+/**
+ * Navigation to Messages that opens (or creates) the conversation with `participantId` about `order`.
+ * @returns {[string, object]} arguments for react-router's navigate()
+ */
+export function orderConversationRoute(userType, participantId, participantName, order) {
+  const path = userType === 'farmer' ? '/farmer/messages' : '/buyer/messages';
+  return [path, { state: { openWithUserId: participantId, openWithUserName: participantName, openWithOrder: orderContext(order) } }];
+}
+
+/** Label for an order-linked conversation in lists and the order filter. */
+export function orderConversationLabel(conversation, context) {
+  const name = context?.field_name || conversation?.order_field_name || conversation?.field_name;
+  return name ? `Order #${conversation.order_id} · ${name}` : `Order #${conversation.order_id}`;
+}
@@ -27,3 +27,34 @@ export function canSelectShippedOrCompletedStatus(order) {
   const today = new Date().toISOString().slice(0, 10);
   return today >= h;
 }
+
+// Lifecycle position; bulk updates only move orders forward
+const STATUS_RANK = { pending: 0, confirmed: 1, active: 1, shipped: 2, completed: 3 };
+
+/**
+ * Split orders into those that may move to `status` now and those held back, with the reason shown to the farmer.
+ * Applies the same per-order harvest gate as the status menu, and never moves an order backwards
+ * (e.g. completed → shipped).
+ */
+export function partitionOrdersForStatus(orders, status) {
+  const eligible = [];
+  const blocked = [];
+  (Array.isArray(orders) ? orders : []).forEach((order) => {
+    if (order.status === 'cancelled') {
+      blocked.push({ order, reason: 'Cancelled orders cannot be changed.' });
+    } else if (order.status === status) {
+      blocked.push({ order, reason: `Already ${status}.` });
+    } else if ((STATUS_RANK[order.status] ?? -1) > (STATUS_RANK[status] ?? Infinity)) {
+      blocked.push({ order, reason: `Already ${order.status}; orders cannot move back to ${status}.` });
+    } else if ((status === 'shipped' || status === 'completed') && !canSelectShippedOrCompletedStatus(order)) {
+      const ymd = getOrderHarvestYmd(order);
+      blocked.push({
+        order,
+        reason: ymd ? `Available on or after harvest (${ymd})` : 'No harvest date on the order.',
+      });
+    } else {
+      eligible.push(order);
+    }
+  });
+  return { eligible, blocked };
+}
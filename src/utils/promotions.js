@@ -0,0 +1,90 @@
+/**
+ * Promo codes for coin purchases and the referral programme. Admins manage codes in AdminPackages:
+ * a code either takes a percentage off the checkout subtotal or adds bonus coins, within an optional
+ * validity window, a total redemption cap and a per-user limit. The server checks all of these again
+ * when validating a code and when creating the purchase intent, and counts a redemption only once the
+ * payment succeeds.
+ *
+ * Referrals: each user has a code; a signup through `/signup?ref=CODE` is linked to the referrer and,
+ * after the referee's first completed order, the server credits both accounts with the admin-set bonus.
+ */
+
+export const PROMO_TYPES = {
+  percent: 'Percentage off',
+  bonus_coins: 'Bonus coins',
+};
+
+export const PROMO_STATUS = {
+  active: { label: 'Active', color: 'success' },
+  scheduled: { label: 'Scheduled', color: 'info' },
+  expired: { label: 'Expired', color: 'default' },
+  used_up: { label: 'Used up', color: 'warning' },
+  inactive: { label: 'Inactive', color: 'default' },
+};
+
+export const REFERRAL_QUERY_PARAM = 'ref';
+
+export const REFERRAL_STATUS = {
+  pending: { label: 'Waiting for first order', color: 'warning' },
+  credited: { label: 'Bonus credited', color: 'success' },
+};
+
+/** Codes are case-insensitive and stored upper-case. */
+export const normalizePromoCode = (value) => String(value || '').trim().toUpperCase();
+
+const time = (value) => (value ? new Date(value).getTime() : null);
+
+/** Where a code stands right now; see PROMO_STATUS. */
+export function promoStatus(promo, now = Date.now()) {
+  if (!promo || promo.is_active === false) return 'inactive';
+  const starts = time(promo.starts_at);
+  const ends = time(promo.ends_at);
+  if (starts && starts > now) return 'scheduled';
+  if (ends && ends <= now) return 'expired';
+  const cap = Number(promo.max_redemptions);
+  if (cap > 0 && Number(promo.redemption_count || 0) >= cap) return 'used_up';
+  return 'active';
+}
+
+/** "20% off", "+50 bonus coins" */
+export function describePromo(promo) {
+  if (!promo) return '';
+  const value = Number(promo.value) || 0;
+  return promo.type === 'bonus_coins' ? `+${value.toLocaleString()} bonus coins` : `${value}% off`;
+}
+
+/**
+ * Effect of a validated promo on one purchase. `subtotal` is before the app fee; the fee is charged
+ * on the discounted subtotal.
+ * @returns {{ subtotal: number, discount: number, bonusCoins: number }}
+ */
+export function promoPreview(promo, subtotal) {
+  const s = Number(subtotal) || 0;
+  if (!promo) return { subtotal: s, discount: 0, bonusCoins: 0 };
+  if (promo.type === 'bonus_coins') return { subtotal: s, discount: 0, bonusCoins: Number(promo.value) || 0 };
+  const discount = s * Math.min(100, Math.max(0, Number(promo.value) || 0)) / 100;
+  return { subtotal: s - discount, discount, bonusCoins: 0 };
+}
+
+/** Admin form validation; returns an error message or null. */
+export function validatePromoForm(form) {
+  const value = Number(form.value);
+  if (!/^[A-Z0-9_-]{3,32}$/.test(normalizePromoCode(form.code))) {
+    return 'Codes are 3-32 letters, numbers, dashes or underscores';
+  }
+  if (!PROMO_TYPES[form.type]) return 'Choose the promo type';
+  if (form.type === 'percent' && !(value > 0 && value < 100)) return 'The discount must be between 0 and 100%';
+  if (form.type === 'bonus_coins' && !(Number.isInteger(value) && value > 0)) return 'Bonus coins must be a whole number (1 or more)';
+  if (form.starts_at && form.ends_at && time(form.ends_at) <= time(form.starts_at)) return 'The end date must be after the start date';
+  if (form.max_redemptions !== '' && form.max_redemptions != null && !(Number.isInteger(Number(form.max_redemptions)) && Number(form.max_redemptions) > 0)) {
+    return 'The usage cap must be a whole number, or empty for no cap';
+  }
+  if (!(Number.isInteger(Number(form.per_user_limit)) && Number(form.per_user_limit) > 0)) {
+    return 'The per-user limit must be a whole number (1 or more)';
+  }
+  return null;
+}
+
+/** Link a user shares so signups are attributed to them. */
+export const referralLink = (code, origin = window.location.origin) =>
+  `${origin}/signup?${REFERRAL_QUERY_PARAM}=${encodeURIComponent(code)}`;
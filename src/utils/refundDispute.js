@@ -0,0 +1,84 @@
+/**
+ * Escalating a declined refund request to ShareCrop support. The complaint is linked to the order
+ * (`target_type: 'order'`, `target_id`) and to the refund request, so AdminQA can show the refund history.
+ */
+
+export const REFUND_DISPUTE_CATEGORY = 'Refund';
+
+const rowsOf = (data) => (Array.isArray(data) ? data : Array.isArray(data?.requests) ? data.requests : []);
+
+const requestTime = (r) => new Date(r.updated_at || r.resolved_at || r.created_at || 0).getTime();
+
+/** Most recent refund request per order id, from a list of refund request rows. */
+export function latestRefundByOrder(data) {
+  const byOrder = new Map();
+  rowsOf(data).forEach((r) => {
+    const key = String(r.order_id);
+    const current = byOrder.get(key);
+    if (!current || requestTime(r) >= requestTime(current)) byOrder.set(key, r);
+  });
+  return byOrder;
+}
+
+/** Refund requests for one order, oldest first. */
+export function refundHistory(data) {
+  return rowsOf(data).slice().sort((a, b) => new Date(a.created_at || 0) - new Date(b.created_at || 0));
+}
+
+export const isRefundDeclined = (request) =>
+  ['rejected', 'declined'].includes(String(request?.status || '').toLowerCase());
+
+/** Complaint already opened from this refund request, if any. */
+export const escalationComplaintId = (request) => request?.complaint_id ?? request?.escalated_complaint_id ?? null;
+
+export const isRefundEscalated = (request) => Boolean(escalationComplaintId(request) || request?.escalated);
+
+/**
+ * Complaint id per refund request id, from the user's own complaints. The refund request rows do not
+ * always carry `complaint_id`, so this keeps an escalation visible after a reload.
+ */
+export function escalationsByRefundRequest(data) {
+  const rows = Array.isArray(data) ? data : Array.isArray(data?.complaints) ? data.complaints : [];
+  const byRequest = new Map();
+  rows.forEach((c) => {
+    if (c?.refund_request_id != null && !byRequest.has(String(c.refund_request_id))) {
+      byRequest.set(String(c.refund_request_id), c.id ?? null);
+    }
+  });
+  return byRequest;
+}
+
+/** `request` marked escalated when one of the user's complaints was opened from it. */
+export function withEscalation(request, escalations) {
+  if (!request || isRefundEscalated(request) || !escalations.has(String(request.id))) return request || null;
+  return { ...request, escalated: true, complaint_id: escalations.get(String(request.id)) };
+}
+
+/** Payload for complaintService.createComplaint. */
+export function buildRefundEscalation({ userId, order, request, details }) {
+  const lines = [
+    `Refund escalation for order #${order.id} (${order.product_name || order.field_name || 'field'}).`,
+    `My refund reason: ${request.reason || 'No reason given'}`,
+    `Farmer's note when declining: ${request.farmer_note || 'No note given'}`,
+  ];
+  if (details && details.trim()) lines.push(`Additional details: ${details.trim()}`);
+  return {
+    created_by: userId,
+    target_type: 'order',
+    target_id: String(order.id),
+    complained_against_user_id: order.farmer_id || undefined,
+    category: REFUND_DISPUTE_CATEGORY,
+    description: lines.join('\n\n'),
+    order_id: order.id,
+    refund_request_id: request.id,
+  };
+}
+
+/** Order a complaint is about: explicit `order_id`, else the target of an order complaint. */
+export const disputeOrderId = (complaint) =>
+  complaint?.order_id ?? (complaint?.target_type === 'order' ? complaint?.target_id : null) ?? null;
+
+/** Complaint opened from a declined refund request (see buildRefundEscalation). */
+export const isRefundDispute = (complaint) =>
+  Boolean(complaint?.refund_request_id) ||
+  (complaint?.target_type === 'order' && complaint?.category === REFUND_DISPUTE_CATEGORY);
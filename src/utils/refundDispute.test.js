@@ -0,0 +1,76 @@
+import {
+  buildRefundEscalation,
+  escalationsByRefundRequest,
+  latestRefundByOrder,
+  REFUND_DISPUTE_CATEGORY,
+  withEscalation,
+} from './refundDispute';
+
+describe('latestRefundByOrder', () => {
+  test('keeps the most recent request per order', () => {
+    const byOrder = latestRefundByOrder([
+      { id: 1, order_id: 7, status: 'rejected', created_at: '2026-01-01T00:00:00Z' },
+      { id: 2, order_id: 7, status: 'pending', created_at: '2026-02-01T00:00:00Z' },
+      { id: 3, order_id: 8, status: 'approved', created_at: '2026-01-15T00:00:00Z' },
+    ]);
+    expect(byOrder.get('7').id).toBe(2);
+    expect(byOrder.get('8').id).toBe(3);
+  });
+
+  test('prefers the update time over the creation time', () => {
+    const byOrder = latestRefundByOrder({
+      requests: [
+        { id: 1, order_id: 7, created_at: '2026-01-01T00:00:00Z', updated_at: '2026-03-01T00:00:00Z' },
+        { id: 2, order_id: 7, created_at: '2026-02-01T00:00:00Z' },
+      ],
+    });
+    expect(byOrder.get('7').id).toBe(1);
+  });
+
+  test('returns an empty map for a missing response', () => {
+    expect(latestRefundByOrder(undefined).size).toBe(0);
+  });
+});
+
+describe('buildRefundEscalation', () => {
+  const order = { id: 12, product_name: 'Tomatoes', farmer_id: 'farmer-1' };
+  const request = { id: 'r1', reason: 'Crop failed', farmer_note: 'Weather' };
+
+  test('links the complaint to the order, the farmer and the refund request', () => {
+    expect(buildRefundEscalation({ userId: 'buyer-1', order, request, details: '' })).toMatchObject({
+      created_by: 'buyer-1',
+      target_type: 'order',
+      target_id: '12',
+      complained_against_user_id: 'farmer-1',
+      category: REFUND_DISPUTE_CATEGORY,
+      order_id: 12,
+      refund_request_id: 'r1',
+    });
+  });
+
+  test('includes the reason, the farmer\'s note and trimmed details', () => {
+    const { description } = buildRefundEscalation({ userId: 'buyer-1', order, request, details: '  Photos attached  ' });
+    expect(description).toContain('My refund reason: Crop failed');
+    expect(description).toContain("Farmer's note when declining: Weather");
+    expect(description).toContain('Additional details: Photos attached');
+  });
+});
+
+describe('escalationsByRefundRequest', () => {
+  test('maps refund request ids to the complaint opened from them', () => {
+    const escalations = escalationsByRefundRequest([
+      { id: 'c1', refund_request_id: 'r1' },
+      { id: 'c2' },
+    ]);
+    expect([...escalations]).toEqual([['r1', 'c1']]);
+  });
+
+  test('marks a request escalated after a reload', () => {
+    const escalations = escalationsByRefundRequest({ complaints: [{ id: 'c1', refund_request_id: 5 }] });
+    expect(withEscalation({ id: 5, status: 'rejected' }, escalations)).toEqual({
+      id: 5, status: 'rejected', escalated: true, complaint_id: 'c1',
+    });
+    expect(withEscalation({ id: 6, status: 'rejected' }, escalations)).toEqual({ id: 6, status: 'rejected' });
+    expect(withEscalation(undefined, escalations)).toBeNull();
+  });
+});
@@ -135,6 +135,7 @@ export function mapFieldFromApi(raw, currentUserId) {
       return Number.isFinite(n) && n >= 1 ? Math.min(n, 366) : null;
     })(),
     shipping_destinations: raw.shipping_destinations ?? raw.shippingDestinations ?? [],
+    boundary: raw.boundary ?? raw.boundary_geojson ?? null,
   };
 }
 
@@ -0,0 +1,64 @@
+/**
+ * Canned complaint replies. Template bodies use `{{placeholder}}` tokens that are filled from the
+ * complaint when an admin inserts the template into the remarks box in AdminQA.
+ */
+
+export const TEMPLATE_PLACEHOLDERS = [
+  { key: 'user_name', label: 'Complainant name' },
+  { key: 'order_id', label: 'Order ID' },
+  { key: 'refund_coins', label: 'Refunded coins' },
+  { key: 'field_name', label: 'Field name' },
+];
+
+const PLACEHOLDER_RE = /\{\{\s*(\w+)\s*\}\}/g;
+
+/** Replace known placeholders that have a value; anything else is left in place for the admin to fill. */
+export function fillTemplate(body, values) {
+  return String(body || '').replace(PLACEHOLDER_RE, (token, key) => {
+    const value = values?.[key];
+    return value == null || value === '' ? token : String(value);
+  });
+}
+
+/** Placeholder names still present in `text`. */
+export function unfilledPlaceholders(text) {
+  return Array.from(new Set(Array.from(String(text || '').matchAll(PLACEHOLDER_RE), (m) => m[1])));
+}
+
+/**
+ * Whether text inserted from a template is still in the sent message. Placeholders left in the inserted
+ * text match whatever the admin filled in; any other edit means the template was not used as written.
+ */
+export function templateTextPresent(inserted, message) {
+  const pattern = String(inserted || '')
+    .trim()
+    .split(PLACEHOLDER_RE)
+    .map((part, i) => (i % 2 ? '[\\s\\S]+?' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return Boolean(pattern) && new RegExp(pattern).test(String(message || ''));
+}
+
+/**
+ * Placeholder values for a complaint row from AdminQA. Complaint rows rarely carry a field name, so
+ * AdminQA passes `fieldName` looked up from the linked order or field.
+ */
+export function complaintTemplateValues(complaint, { orderId, refundCoins, fieldName } = {}) {
+  return {
+    user_name: complaint?.created_by_name || complaint?.created_by_email || '',
+    order_id: orderId ?? complaint?.order_id ?? (complaint?.target_type === 'order' ? complaint?.target_id : ''),
+    refund_coins: complaint?.refund_coins ?? refundCoins ?? '',
+    field_name: complaint?.field_name || (complaint?.target_type === 'field' ? complaint?.target_name : '') || fieldName || '',
+  };
+}
+
+export const templatesOf = (data) =>
+  Array.isArray(data) ? data : Array.isArray(data?.templates) ? data.templates : [];
+
+/**
+ * Fastest-resolving templates first: average hours from first use to the complaint being resolved.
+ * Templates without resolved uses go last, most used first.
+ */
+export function rankTemplates(templates) {
+  const avg = (t) => (t.avg_resolution_hours == null ? Infinity : Number(t.avg_resolution_hours));
+  return [...(templates || [])].sort((a, b) => avg(a) - avg(b) || (b.usage_count || 0) - (a.usage_count || 0));
+}
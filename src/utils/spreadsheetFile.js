@@ -0,0 +1,182 @@
+/**
+ * Read the first sheet of a CSV or XLSX file into a header row plus data rows (all cells as trimmed strings).
+ * XLSX is unzipped with the browser's DecompressionStream, so no spreadsheet library is bundled.
+ */
+
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+
+const cellText = (v) => (v == null ? '' : String(v).trim());
+
+/** Drop fully empty rows and align data rows to the header; the first remaining row is the header. */
+function toTable(rawRows) {
+  const rows = rawRows
+    .map((r) => r.map(cellText))
+    .filter((r) => r.some((c) => c !== ''));
+  if (!rows.length) return { headers: [], rows: [] };
+  const [headers, ...data] = rows;
+  return { headers, rows: data.map((r) => headers.map((_, i) => r[i] ?? '')) };
+}
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  let inQuotes = false;
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  for (const ch of firstLine) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && counts[ch] != null) counts[ch] += 1;
+  }
+  const [best, bestCount] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return bestCount > 0 ? best : ',';
+}
+
+/** RFC 4180 CSV (quoted cells, doubled quotes, newlines inside quotes); `;` and tab exports are detected. */
+export function parseCsv(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(src);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return toTable(rows);
+}
+
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot read .xlsx files. Save the sheet as CSV and import that instead.');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/** Map of entry name -> () => Promise<string> for every file in a zip archive. */
+function readZipEntries(buffer) {
+  const view = new DataView(buffer);
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i -= 1) {
+    if (view.getUint32(i, true) === ZIP_EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('The file is not a valid .xlsx workbook.');
+
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder('utf-8');
+  const entries = new Map();
+  for (let n = 0; n < count; n += 1) {
+    if (view.getUint32(offset, true) !== ZIP_CENTRAL_SIGNATURE) break;
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    entries.set(name, async () => {
+      if (view.getUint32(localOffset, true) !== ZIP_LOCAL_SIGNATURE) throw new Error(`Corrupt zip entry ${name}`);
+      const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const bytes = new Uint8Array(buffer, start, compressedSize);
+      if (method === 0) return decoder.decode(bytes);
+      if (method === 8) return decoder.decode(await inflateRaw(bytes));
+      throw new Error(`Unsupported compression in ${name}`);
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+const parseXml = (text) => new DOMParser().parseFromString(text, 'application/xml');
+const byTag = (node, tag) => Array.from(node.getElementsByTagNameNS('*', tag));
+
+function columnIndex(ref) {
+  const letters = String(ref || '').replace(/[^A-Z]/gi, '').toUpperCase();
+  let index = 0;
+  for (const ch of letters) index = index * 26 + (ch.charCodeAt(0) - 64);
+  return index - 1;
+}
+
+async function firstSheetPath(entries) {
+  const workbook = entries.get('xl/workbook.xml');
+  const rels = entries.get('xl/_rels/workbook.xml.rels');
+  if (workbook && rels) {
+    const sheet = byTag(parseXml(await workbook()), 'sheet')[0];
+    const relId = sheet?.getAttribute('r:id') || sheet?.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id');
+    const rel = byTag(parseXml(await rels()), 'Relationship').find((r) => r.getAttribute('Id') === relId);
+    const target = rel?.getAttribute('Target');
+    if (target) return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+  return 'xl/worksheets/sheet1.xml';
+}
+
+/** First worksheet of an .xlsx file. Dates come through as Excel serial numbers. */
+export async function parseXlsx(buffer) {
+  const entries = readZipEntries(buffer);
+  const sheetEntry = entries.get(await firstSheetPath(entries));
+  if (!sheetEntry) throw new Error('The workbook has no worksheet.');
+
+  const sharedEntry = entries.get('xl/sharedStrings.xml');
+  const shared = sharedEntry
+    ? byTag(parseXml(await sharedEntry()), 'si').map((si) => byTag(si, 't').map((t) => t.textContent).join(''))
+    : [];
+
+  const rows = byTag(parseXml(await sheetEntry()), 'row').map((rowNode) => {
+    const out = [];
+    byTag(rowNode, 'c').forEach((c, i) => {
+      const type = c.getAttribute('t');
+      const ref = c.getAttribute('r');
+      const value = byTag(c, 'v')[0]?.textContent ?? '';
+      let text;
+      if (type === 's') text = shared[parseInt(value, 10)] ?? '';
+      else if (type === 'inlineStr') text = byTag(c, 't').map((t) => t.textContent).join('');
+      else if (type === 'b') text = value === '1' ? 'TRUE' : 'FALSE';
+      else text = value;
+      out[ref ? columnIndex(ref) : i] = text;
+    });
+    return Array.from(out, (v) => v ?? '');
+  });
+  return toTable(rows);
+}
+
+/**
+ * @param {File} file .csv or .xlsx
+ * @returns {Promise<{ headers: string[], rows: string[][] }>}
+ */
+export async function readSpreadsheetFile(file) {
+  const name = String(file?.name || '').toLowerCase();
+  if (name.endsWith('.xlsx')) return parseXlsx(await file.arrayBuffer());
+  if (name.endsWith('.csv') || name.endsWith('.txt')) return parseCsv(await file.text());
+  throw new Error('Choose a .csv or .xlsx file.');
+}
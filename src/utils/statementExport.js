@@ -0,0 +1,179 @@
+/**
+ * CSV and printable (save-as-PDF) statements for orders, coin transactions and redemptions.
+ * Coin amounts are converted with the admin-managed rates from /api/coins/currency-rates
+ * (`coins_per_unit` coins = 1 unit of that currency).
+ */
+
+const DEFAULT_COINS_PER_USD = 10;
+
+export function findCurrencyRate(rates, currency) {
+  const code = String(currency || 'USD').toUpperCase();
+  return (Array.isArray(rates) ? rates : []).find((r) => String(r.currency).toUpperCase() === code) || null;
+}
+
+/** Coins -> amount in the rate's currency; null when the rate is unknown. */
+export function coinsToCurrency(coins, rate) {
+  const perUnit = parseFloat(rate?.coins_per_unit);
+  const n = Number(coins);
+  if (!Number.isFinite(perUnit) || perUnit <= 0 || !Number.isFinite(n)) return null;
+  return n / perUnit;
+}
+
+/** Order prices are stored in USD; this mirrors the checkout conversion (EnhancedFarmMap). */
+export function usdToCoins(usd, rates) {
+  const perUnit = parseFloat(findCurrencyRate(rates, 'USD')?.coins_per_unit);
+  return Math.ceil((Number(usd) || 0) * (Number.isFinite(perUnit) && perUnit > 0 ? perUnit : DEFAULT_COINS_PER_USD));
+}
+
+export function formatMoney(amount, rate, currency = 'USD') {
+  if (amount == null || !Number.isFinite(amount)) return '—';
+  const symbol = rate?.symbol || String(currency).toUpperCase();
+  return `${symbol}${amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+const toYmd = (value) => {
+  // Date-only strings would otherwise parse as UTC midnight and shift a day west of Greenwich
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const d = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(d.getTime())) return null;
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Records whose local date is within [from, to] (inclusive `YYYY-MM-DD`; either bound may be empty).
+ * Records without a date are only kept when no range is set.
+ */
+export function filterByDateRange(records, dateOf, { from, to } = {}) {
+  return (Array.isArray(records) ? records : []).filter((record) => {
+    if (!from && !to) return true;
+    const ymd = toYmd(dateOf(record));
+    if (!ymd) return false;
+    return (!from || ymd >= from) && (!to || ymd <= to);
+  });
+}
+
+/** Quick ranges offered by the export dialog. */
+export function presetDateRange(preset, now = new Date()) {
+  const y = now.getFullYear();
+  const m = now.getMonth();
+  if (preset === 'this-month') return { from: toYmd(new Date(y, m, 1)), to: toYmd(now) };
+  if (preset === 'last-month') return { from: toYmd(new Date(y, m - 1, 1)), to: toYmd(new Date(y, m, 0)) };
+  if (preset === 'year') return { from: toYmd(new Date(y, 0, 1)), to: toYmd(now) };
+  return { from: '', to: '' };
+}
+
+function csvCell(value) {
+  let s = value == null ? '' : String(value);
+  // Spreadsheet apps execute cells starting with these characters as formulas
+  if (/^[=+\-@\t\r]/.test(s) && !/^-?\d+(\.\d+)?$/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * @param {{ label: string, value: (record) => * }[]} columns
+ * @param {object[]} records
+ */
+export function buildCsv(columns, records) {
+  const lines = [columns.map((c) => csvCell(c.label)).join(',')];
+  records.forEach((record) => lines.push(columns.map((c) => csvCell(c.value(record))).join(',')));
+  return lines.join('\r\n');
+}
+
+export function downloadCsv(filename, csv) {
+  // BOM so Excel opens UTF-8 (currency symbols, names) correctly
+  const blob = new Blob([`\uFEFF${csv}`], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Open a print-ready statement in a new window; the browser's print dialog saves it as PDF.
+ * Columns may define `display(record)` for the printed cell (falls back to `value`).
+ * @returns {boolean} false when the popup was blocked
+ */
+export function openPrintableStatement({ title, accountName, periodLabel, currencyNote, columns, records, summary = [] }) {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) return false;
+  const generatedAt = new Date().toLocaleString();
+  const cell = (c, r) => escapeHtml(c.display ? c.display(r) : c.value(r));
+  const html = `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <title>${escapeHtml(title)}</title>
+        <style>
+          body { font-family: Arial, sans-serif; margin: 24px; color: #1e293b; }
+          .header { display: flex; justify-content: space-between; align-items: flex-end; border-bottom: 3px solid #4caf50; padding-bottom: 12px; margin-bottom: 20px; }
+          .header h1 { color: #4caf50; margin: 0; font-size: 22px; }
+          .meta { font-size: 12px; color: #64748b; text-align: right; line-height: 1.5; }
+          .summary { display: flex; flex-wrap: wrap; gap: 12px; margin-bottom: 20px; }
+          .summary-card { border: 1px solid #e2e8f0; border-radius: 6px; padding: 10px 14px; min-width: 140px; }
+          .summary-value { font-size: 18px; font-weight: bold; }
+          .summary-label { font-size: 11px; color: #64748b; text-transform: uppercase; }
+          table { width: 100%; border-collapse: collapse; font-size: 11px; }
+          th, td { border-bottom: 1px solid #e2e8f0; padding: 6px 8px; text-align: left; }
+          th { background: #f8fafc; font-weight: 600; }
+          td.num, th.num { text-align: right; }
+          .footer { margin-top: 24px; font-size: 11px; color: #64748b; }
+          @media print { body { margin: 0; } }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <div>
+            <h1>${escapeHtml(title)}</h1>
+            <div>${escapeHtml(accountName || '')}</div>
+          </div>
+          <div class="meta">
+            <div>Period: ${escapeHtml(periodLabel)}</div>
+            <div>${records.length} record${records.length === 1 ? '' : 's'}</div>
+          </div>
+        </div>
+        <div class="summary">
+          ${summary.map((s) => `
+            <div class="summary-card">
+              <div class="summary-value">${escapeHtml(s.value)}</div>
+              <div class="summary-label">${escapeHtml(s.label)}</div>
+            </div>
+          `).join('')}
+        </div>
+        <table>
+          <thead>
+            <tr>${columns.map((c) => `<th class="${c.numeric ? 'num' : ''}">${escapeHtml(c.label)}</th>`).join('')}</tr>
+          </thead>
+          <tbody>
+            ${records.map((r) => `<tr>${columns.map((c) => `<td class="${c.numeric ? 'num' : ''}">${cell(c, r)}</td>`).join('')}</tr>`).join('')}
+          </tbody>
+        </table>
+        <div class="footer">
+          ${currencyNote ? `<p>${escapeHtml(currencyNote)}</p>` : ''}
+          <p>Generated on ${escapeHtml(generatedAt)}</p>
+        </div>
+        <script>
+          window.onload = function() {
+            window.print();
+            window.onafterprint = function() {
+              window.close();
+            };
+          };
+        </script>
+      </body>
+    </html>
+  `;
+  printWindow.document.write(html);
+  printWindow.document.close();
+  return true;
+}